@@ -0,0 +1,125 @@
+/* Loaded into the generated service worker (workbox importScripts).
+   Clicking a notification brings the app back to the front. Scheduled
+   reminders (src/reminders.js) are also delivered from here while the app is
+   closed: on periodic background sync the queue the app saved in IndexedDB is
+   checked and anything due is shown. That event only reaches installed apps in
+   Chromium browsers, at an interval the browser chooses, so background
+   delivery is best effort and can be late or skipped. */
+
+const DB_NAME = "sa_lockin";
+const REMINDER_SYNC_TAG = "lockin-reminders";
+const SNOOZE_MINUTES = 10;
+const GRACE_MS = 60 * 60000;
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    // No version: open whatever the app created, and never create it here
+    const req = indexedDB.open(DB_NAME);
+    req.onupgradeneeded = () => req.transaction.abort();
+    req.onsuccess = () => {
+      const db = req.result;
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function getMeta(db, key) {
+  return new Promise((resolve, reject) => {
+    const req = db.transaction("meta").objectStore("meta").get(key);
+    req.onsuccess = () => resolve(req.result ? req.result.value : undefined);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function putMeta(db, key, value) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("meta", "readwrite");
+    tx.objectStore("meta").put({ key, value });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Same rules as reminderStatus in src/reminders.js
+function isDue(item, app, sw, now) {
+  const later = (f) => Math.max(app[f] || 0, sw[f] || 0);
+  if (later("dismissedAt")) return false;
+  const dueAt = Math.max(item.at, later("snoozedUntil"));
+  return later("shownAt") < dueAt && dueAt <= now && now - dueAt <= GRACE_MS;
+}
+
+async function updateSwState(db, queue, update) {
+  const state = (await getMeta(db, "reminderSwState")) || {};
+  const ids = new Set(queue.map((item) => item.id));
+  const next = {};
+  Object.keys(state).forEach((id) => {
+    if (ids.has(id)) next[id] = state[id];
+  });
+  update(next);
+  await putMeta(db, "reminderSwState", next);
+}
+
+async function deliverReminders() {
+  const db = await openDb();
+  try {
+    const queue = (await getMeta(db, "reminderQueue")) || [];
+    const appState = (await getMeta(db, "reminderState")) || {};
+    const swState = (await getMeta(db, "reminderSwState")) || {};
+    const now = Date.now();
+    const due = queue.filter((item) =>
+      isDue(item, appState[item.id] || {}, swState[item.id] || {}, now)
+    );
+    if (!due.length) return;
+    await Promise.all(
+      due.map((item) =>
+        self.registration.showNotification(item.title, {
+          body: item.body,
+          tag: item.id,
+          icon: "/pwa-192x192.png",
+          data: { reminderId: item.id },
+          actions: [{ action: "snooze", title: `Snooze ${SNOOZE_MINUTES} min` }],
+        })
+      )
+    );
+    await updateSwState(db, queue, (state) => {
+      due.forEach((item) => (state[item.id] = { ...state[item.id], shownAt: now }));
+    });
+  } finally {
+    db.close();
+  }
+}
+
+async function snoozeReminder(id) {
+  const db = await openDb();
+  try {
+    const queue = (await getMeta(db, "reminderQueue")) || [];
+    const until = Date.now() + SNOOZE_MINUTES * 60000;
+    await updateSwState(db, queue, (state) => {
+      state[id] = { ...state[id], snoozedUntil: until };
+    });
+  } finally {
+    db.close();
+  }
+}
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === REMINDER_SYNC_TAG) event.waitUntil(deliverReminders().catch(() => {}));
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const reminderId = event.notification.data?.reminderId;
+  if (reminderId && event.action === "snooze") {
+    event.waitUntil(snoozeReminder(reminderId).catch(() => {}));
+    return;
+  }
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((clients) => {
+      const open = clients.find((c) => "focus" in c);
+      if (open) return open.focus();
+      return self.clients.openWindow("/");
+    })
+  );
+});
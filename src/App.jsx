@@ -1,119 +1,237 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useReducer, useRef, useState } from "react";
+import Courses from "./Courses.jsx";
+import { activeCourses, courseLabel, courseOptions } from "./courses.js";
+import {
+  addDaysISO,
+  addMonthsISO,
+  minutesToHhMm,
+  startOfWeekISO,
+  todayISO,
+  todayISOFromDate,
+  weekdayOf,
+} from "./dates.js";
+import {
+  WEEKDAY_LABELS,
+  deleteOccurrence,
+  describeRecurrence,
+  expandEventsInRange,
+  updateOccurrence,
+} from "./recurrence.js";
+import { DEFAULT_ALERT_SETTINGS, fireAlert, primeAudio, timerAlert } from "./alerts.js";
+import Assignments from "./Assignments.jsx";
+import { sortAssignments } from "./assignments.js";
+import BackupRestore from "./BackupRestore.jsx";
+import CalendarSync from "./CalendarSync.jsx";
+import CommandBar from "./CommandBar.jsx";
+import CopyEvents from "./CopyEvents.jsx";
+import { pairsShiftedBy } from "./copyEvents.js";
+import DueSoon from "./DueSoon.jsx";
+import DayTemplates from "./DayTemplates.jsx";
+import { newDayTemplate, retypeTemplates } from "./dayTemplates.js";
+import {
+  eventTypeById,
+  reassignType,
+  typeColor,
+  typeIdsWith,
+  typeLabel,
+  typeName,
+  typeUsage,
+} from "./eventTypes.js";
+import EventTypes from "./EventTypes.jsx";
+import { historyReducer, initialHistory } from "./history.js";
+import { useEventsInRange, usePersistedCollection } from "./hooks.js";
+import MonthView from "./MonthView.jsx";
+import {
+  busyMinutes,
+  conflictingIds,
+  eventInterval,
+  findConflicts,
+  freeBlocks,
+  fromMinutes,
+} from "./schedule.js";
+import PlanVsActual from "./PlanVsActual.jsx";
+import Readiness from "./Readiness.jsx";
+import { readinessSettings } from "./readiness.js";
+import Reminders, { ReminderRules } from "./Reminders.jsx";
+import {
+  buildReminderQueue,
+  mergeReminderState,
+  pruneReminderState,
+  reminderSettings,
+  reminderStatus,
+  showReminder,
+  studyBehind,
+} from "./reminders.js";
+import SessionLog from "./SessionLog.jsx";
+import SleepCheckIn, { BedtimePlan } from "./Sleep.jsx";
+import { recommendedBedtime, sleepDebt, sleepSettings } from "./sleep.js";
+import {
+  STUDY_EVENT_STATUS,
+  aggregateSessions,
+  minutesByAssignment,
+  minutesByEvent,
+  planVsActual,
+  studyEventStatus,
+  timerSession,
+} from "./sessions.js";
+import StudyHall, { StudyHallFields } from "./StudyHall.jsx";
+import StudyHallReport from "./StudyHallReport.jsx";
+import { studyHallSettings } from "./studyHall.js";
+import StudyPlanner from "./StudyPlanner.jsx";
+import { plannedStudyByCourse, studyEventCourse } from "./studyPlanner.js";
+import { styles } from "./styles.js";
+import TimeGrid from "./TimeGrid.jsx";
+import TimerAlerts from "./TimerAlerts.jsx";
+import TrainingLoad from "./TrainingLoad.jsx";
+import { isTrainingEvent, RPE_LABELS, sessionLoad } from "./trainingLoad.js";
+import UndoToast from "./UndoToast.jsx";
+import WeeklyReport from "./WeeklyReport.jsx";
+import {
+  DEFAULT_TIMER_SETTINGS,
+  advanceTimer,
+  cycleLabel,
+  focusElapsedMs,
+  formatClock,
+  initialTimer,
+  pauseTimerState,
+  remainingMs,
+  resetTimerState,
+  startTimerState,
+} from "./timer.js";
+
+// Settings on a new device, and what a replace restore starts from
+const DEFAULT_SETTINGS = {
+  icsTypeMap: {}, // { "lowercased .ics title": event type }
+  wakeTime: "07:00", // free-time window for the day
+  sleepTime: "23:00",
+  studyTargets: {}, // { courseId: hours per week }
+  currentTerm: "", // term whose courses the pickers offer; "" = all terms
+  studyPlan: {}, // auto-planner rules, see DEFAULT_PLAN_OPTIONS
+  timer: {}, // Pomodoro/custom lengths and cycle rules, see DEFAULT_TIMER_SETTINGS
+  alerts: {}, // phase-change alerts, see DEFAULT_ALERT_SETTINGS
+  readiness: {}, // readiness weights and flag thresholds, see DEFAULT_READINESS_SETTINGS
+  studyHall: {}, // weekly study-hall requirement, see DEFAULT_STUDY_HALL_SETTINGS
+  reminders: {}, // scheduled reminders, see DEFAULT_REMINDER_SETTINGS
+  sleep: {}, // sleep target and get-ready time, see DEFAULT_SLEEP_SETTINGS
+};
 
 /**
  * Student-Athlete Lock-In Planner
- * - Daily planner (classes/lift/practice/match/study/recovery)
- * - Pomodoro/custom timer that logs study minutes by course
- * - Wellness check-in (sleep, soreness, stress, energy)
- * - localStorage persistence
+ * - Daily planner (classes/lift/practice/match/study/recovery) with week and month views
+ * - Pomodoro/custom timer that records study sessions by course
+ * - Study-hall hours against a weekly requirement, with a printable compliance report
+ * - Courses with terms, instructors and credits; rename keeps history, archive hides them
+ * - Assignments, quizzes and exams per course with a due-soon panel and study planning
+ * - Printable weekly report with CSV/HTML export
+ * - Wellness check-in (sleep, soreness, stress, energy) with a baseline readiness score
+ * - Sleep detail: bedtime, wake, quality and naps, sleep debt and a recommended bedtime
+ * - Training load from session RPE (ACWR, monotony, strain)
+ * - Custom event types with colors, quick-add defaults and templates
+ * - Day templates (game day, two-a-day) applied to many dates with a preview
+ * - Quick entry bar ("lift tomorrow 6am 60m", "studied BIO 212 45m yesterday")
+ * - Reminders before events, a daily check-in and study nudges, with snooze
+ * - iCalendar (.ics) import/export
+ * - IndexedDB persistence (localStorage fallback) with schema migrations and full backups
+ * - App-wide undo/redo for events, courses, event types, wellness, study sessions,
+ *   assignments and day templates
  */
 
-const LS_KEYS = {
-  events: "sa_lockin_events_v1",
-  courses: "sa_lockin_courses_v1",
-  wellness: "sa_lockin_wellness_v1",
-  studyLog: "sa_lockin_studylog_v1", // { "YYYY-MM-DD": { "COURSE": minutes } }
-};
-
-const EVENT_TYPES = [
-  "Class",
-  "Lift",
-  "Practice",
-  "Match",
-  "Study",
-  "Recovery",
-  "Other",
-];
-
-function todayISO() {
-  const d = new Date();
-  const yyyy = d.getFullYear();
-  const mm = String(d.getMonth() + 1).padStart(2, "0");
-  const dd = String(d.getDate()).padStart(2, "0");
-  return `${yyyy}-${mm}-${dd}`;
-}
-
-function loadJSON(key, fallback) {
-  try {
-    const raw = localStorage.getItem(key);
-    if (!raw) return fallback;
-    return JSON.parse(raw);
-  } catch {
-    return fallback;
-  }
-}
-
-function saveJSON(key, value) {
-  localStorage.setItem(key, JSON.stringify(value));
-}
-
-function minutesToHhMm(mins) {
-  const h = Math.floor(mins / 60);
-  const m = mins % 60;
-  if (h <= 0) return `${m}m`;
-  return `${h}h ${m}m`;
-}
-
-function startOfWeekISO(date = new Date()) {
-  // Week starts Monday
-  const d = new Date(date);
-  const day = d.getDay(); // 0 Sun ... 6 Sat
-  const diff = (day === 0 ? -6 : 1) - day;
-  d.setDate(d.getDate() + diff);
-  return todayISOFromDate(d);
-}
-
-function todayISOFromDate(d) {
-  const yyyy = d.getFullYear();
-  const mm = String(d.getMonth() + 1).padStart(2, "0");
-  const dd = String(d.getDate()).padStart(2, "0");
-  return `${yyyy}-${mm}-${dd}`;
-}
-
-function addDaysISO(iso, days) {
-  const d = new Date(iso + "T00:00:00");
-  d.setDate(d.getDate() + days);
-  return todayISOFromDate(d);
-}
-
-export default function App() {
+export default function App({ repo, initialData, initialIssues }) {
   const [selectedDate, setSelectedDate] = useState(todayISO());
+  const [view, setView] = useState("day"); // day | week | month | report | studyHall
+
+  // Data loaded (and migrated) by main.jsx before the first render
+  const [storageIssues, setStorageIssues] = useState(initialIssues);
+  // A schema that couldn't be migrated is the read-only banner, not a reset
+  const schemaIssue = storageIssues.find((i) => i.name === "schema");
+  const resetIssues = storageIssues.filter((i) => i !== schemaIssue);
+
+  // User records live in one reducer with undo/redo (see history.js).
+  // Every change goes through change(label, { collection: value | updater }).
+  const [history, dispatch] = useReducer(historyReducer, initialData, initialHistory);
+  const change = useCallback(
+    (label, changes, mergeKey) => dispatch({ type: "change", label, changes, mergeKey }),
+    []
+  );
+  const undo = useCallback(() => dispatch({ type: "undo" }), []);
+  const redo = useCallback(() => dispatch({ type: "redo" }), []);
+  const undoLabel = history.past[history.past.length - 1]?.label;
+  const redoLabel = history.future[0]?.label;
 
   // Courses for study tracking
-  const [courses, setCourses] = useState(() =>
-    loadJSON(LS_KEYS.courses, ["BIO 212", "CHE 211", "PSY 233"])
-  );
-  const [newCourse, setNewCourse] = useState("");
+  const { courses } = history.data;
+
+  // Event types (see eventTypes.js); events store the type id
+  const { eventTypes } = history.data;
+  const trainingTypes = useMemo(() => typeIdsWith(eventTypes, "trainingLoad"), [eventTypes]);
 
   // Events
-  const [events, setEvents] = useState(() =>
-    loadJSON(LS_KEYS.events, [])
-  );
-  // Event: { id, date, type, title, startTime, durationMin, notes }
+  const { events } = history.data;
+  // Event: { id, date, type, title, startTime, durationMin, notes, course?, assignmentId?, rpe?,
+  //          recurrence?, exdates?, overrides? }
+  const eventTypeUsage = useMemo(() => typeUsage(events), [events]);
+
+  // Day templates (see dayTemplates.js)
+  const { dayTemplates } = history.data;
 
   // Wellness per date
-  const [wellness, setWellness] = useState(() =>
-    loadJSON(LS_KEYS.wellness, {})
+  const { wellness } = history.data;
+  // wellness[date] = { sleepHours, sleep, soreness, stress, energy, notes } (sleep: see sleep.js)
+
+  // Study sessions (one per focus session); per-day totals are derived
+  const sessions = history.data.studySessions;
+  const studyLog = useMemo(() => aggregateSessions(sessions), [sessions]); // { date: { course: minutes } }
+
+  // Assignments, quizzes and exams (see assignments.js)
+  const { assignments } = history.data;
+  const loggedByAssignment = useMemo(() => minutesByAssignment(sessions), [sessions]);
+
+  // App settings
+  const [settings, setSettings] = useState(() => ({
+    ...DEFAULT_SETTINGS,
+    ...initialData.settings,
+  }));
+
+  // Timer state (timestamp-driven, saved so it survives reloads)
+  const [timer, setTimer] = useState(() => initialTimer(initialData.timer));
+  const timerSettings = useMemo(
+    () => ({ ...DEFAULT_TIMER_SETTINGS, ...settings.timer }),
+    [settings.timer]
   );
-  // wellness[date] = { sleepHours, soreness, stress, energy, notes }
-
-  // Study log per date
-  const [studyLog, setStudyLog] = useState(() =>
-    loadJSON(LS_KEYS.studyLog, {})
+  const alertSettings = useMemo(
+    () => ({ ...DEFAULT_ALERT_SETTINGS, ...settings.alerts }),
+    [settings.alerts]
   );
-
-  // Timer state
-  const [timerMode, setTimerMode] = useState("Pomodoro"); // Pomodoro | Custom
-  const [focusMin, setFocusMin] = useState(25);
-  const [breakMin, setBreakMin] = useState(5);
-  const [customMin, setCustomMin] = useState(45);
-
-  const [activeCourse, setActiveCourse] = useState(courses[0] || "General");
-  const [phase, setPhase] = useState("idle"); // idle | focus | break
-  const [secondsLeft, setSecondsLeft] = useState(0);
-  const [isRunning, setIsRunning] = useState(false);
-
-  const tickRef = useRef(null);
+  const readinessConfig = useMemo(() => readinessSettings(settings.readiness), [settings.readiness]);
+  const studyHallConfig = useMemo(
+    () => studyHallSettings(settings.studyHall),
+    [settings.studyHall]
+  );
+  const reminderConfig = useMemo(() => reminderSettings(settings.reminders), [settings.reminders]);
+  const sleepConfig = useMemo(() => sleepSettings(settings.sleep), [settings.sleep]);
+  const [now, setNow] = useState(() => Date.now());
+  const handledTimerRef = useRef(null);
+  const [partialPrompt, setPartialPrompt] = useState(null); // { course, start, end, minutes, eventId }
+
+  const timerMode = timer.mode; // Pomodoro | Custom
+  const phase = timer.phase; // idle | focus | break
+  const isRunning = timer.running;
+  // Courses offered in pickers: the current term's, not archived
+  const termCourses = useMemo(
+    () => activeCourses(courses, settings.currentTerm),
+    [courses, settings.currentTerm]
+  );
+  const activeCourse = termCourses.some((c) => c.id === timer.course)
+    ? timer.course
+    : termCourses[0]?.id || "General";
+  const courseAssignments = useMemo(
+    () =>
+      sortAssignments(assignments).filter(
+        (a) => a.status !== "done" && a.course === activeCourse
+      ),
+    [assignments, activeCourse]
+  );
+  const activeAssignment = courseAssignments.find((a) => a.id === timer.assignmentId) || null;
 
   // Draft event form
   const [draft, setDraft] = useState({
@@ -122,90 +240,153 @@ export default function App() {
     startTime: "09:00",
     durationMin: 60,
     notes: "",
+    course: "", // Study events only; "" = course named in the title
+    reminders: null, // reminder rules; null = the type's defaults
+    date: "", // only used while editing (moving an event to another day)
+    repeat: "none", // none | daily | weekly
+    interval: 1,
+    weekdays: [],
+    endMode: "never", // never | until | count
+    until: "",
+    count: 10,
   });
+  const [editing, setEditing] = useState(null); // event or occurrence being edited
+  const [scopePrompt, setScopePrompt] = useState(null); // { action, instance, patch }
+  const [dayLayout, setDayLayout] = useState("list"); // list | timeline
+  const [copyRequest, setCopyRequest] = useState(null); // { id, title, sources } | { id, title, pairs }
+  const [templateName, setTemplateName] = useState(null); // text while saving the day as a template
 
   // Draft wellness
   const currentWellness = wellness[selectedDate] || {
-    sleepHours: 7,
     soreness: 3,
     stress: 4,
     energy: 6,
     notes: "",
   };
 
-  // Persist
-  useEffect(() => saveJSON(LS_KEYS.events, events), [events]);
-  useEffect(() => saveJSON(LS_KEYS.courses, courses), [courses]);
-  useEffect(() => saveJSON(LS_KEYS.wellness, wellness), [wellness]);
-  useEffect(() => saveJSON(LS_KEYS.studyLog, studyLog), [studyLog]);
+  // Persist (incremental: only changed records are written)
+  const reportWriteError = useCallback((err) => {
+    console.error(err);
+    setStorageIssues((prev) => [...prev, { name: "save", reason: err?.message || "Write failed" }]);
+  }, []);
+  usePersistedCollection(repo, "events", events, reportWriteError);
+  usePersistedCollection(repo, "courses", courses, reportWriteError);
+  usePersistedCollection(repo, "eventTypes", eventTypes, reportWriteError);
+  usePersistedCollection(repo, "wellness", wellness, reportWriteError);
+  usePersistedCollection(repo, "studySessions", sessions, reportWriteError);
+  usePersistedCollection(repo, "assignments", assignments, reportWriteError);
+  usePersistedCollection(repo, "dayTemplates", dayTemplates, reportWriteError);
+  usePersistedCollection(repo, "settings", settings, reportWriteError);
 
-  // Keep active course valid
   useEffect(() => {
-    if (!courses.length) return;
-    if (!courses.includes(activeCourse)) setActiveCourse(courses[0]);
-  }, [courses]); // eslint-disable-line
+    repo.setMeta("timer", timer).catch(reportWriteError);
+  }, [repo, timer, reportWriteError]);
 
-  // Timer ticking
+  // Timer clock: re-check on an interval and whenever the app becomes visible,
+  // catching up on phases that ended while throttled, asleep or closed, and
+  // alerting on phase changes
   useEffect(() => {
-    if (!isRunning) {
-      if (tickRef.current) clearInterval(tickRef.current);
-      tickRef.current = null;
-      return;
+    if (!timer.running) return;
+    function tick() {
+      const t = Date.now();
+      setNow(t);
+      if (handledTimerRef.current === timer) return;
+      const { timer: next, completed } = advanceTimer(timer, t);
+      if (next === timer) return;
+      handledTimerRef.current = timer;
+      setTimer(next);
+      const named = completed.map((c) => ({ ...c, course: courseLabel(courses, c.course) }));
+      fireAlert(timerAlert(timer, next, named), alertSettings);
+      if (completed.length) {
+        const logged = completed.map((c) => timerSession({ ...c, status: "completed" }));
+        change(`Logged ${minutesToHhMm(logged.reduce((sum, l) => sum + l.minutes, 0))} focus`, {
+          studySessions: (prev) => [...prev, ...logged],
+        });
+      }
     }
-    tickRef.current = setInterval(() => {
-      setSecondsLeft((s) => Math.max(0, s - 1));
-    }, 1000);
+    const first = setTimeout(tick, 0);
+    const id = setInterval(tick, 1000);
+    document.addEventListener("visibilitychange", tick);
     return () => {
-      if (tickRef.current) clearInterval(tickRef.current);
-      tickRef.current = null;
+      clearTimeout(first);
+      clearInterval(id);
+      document.removeEventListener("visibilitychange", tick);
     };
-  }, [isRunning]);
+  }, [timer, alertSettings, change, courses]);
 
-  // Phase completion
+  // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redo; text fields keep their own undo
   useEffect(() => {
-    if (!isRunning) return;
-    if (secondsLeft > 0) return;
-
-    // If we hit 0 while running, transition
-    if (phase === "focus") {
-      // log focus minutes to study log
-      const minutesDone =
-        timerMode === "Custom" ? customMin : focusMin;
-
-      setStudyLog((prev) => {
-        const copy = { ...prev };
-        const day = selectedDate;
-        if (!copy[day]) copy[day] = {};
-        if (!copy[day][activeCourse]) copy[day][activeCourse] = 0;
-        copy[day][activeCourse] += minutesDone;
-        return copy;
-      });
-
-      if (timerMode === "Pomodoro") {
-        setPhase("break");
-        setSecondsLeft(breakMin * 60);
-        setIsRunning(true);
-      } else {
-        // Custom ends after one session
-        setPhase("idle");
-        setIsRunning(false);
-      }
-    } else if (phase === "break") {
-      setPhase("focus");
-      setSecondsLeft(focusMin * 60);
-      setIsRunning(true);
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+      if (key !== "z" && key !== "y") return;
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      e.preventDefault();
+      if (key === "y" || e.shiftKey) redo();
+      else undo();
     }
-  }, [secondsLeft, isRunning, phase, timerMode, focusMin, breakMin, customMin, activeCourse, selectedDate]);
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [undo, redo]);
+
+  // Minute clock so Study events turn "missed" without a reload
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(id);
+  }, []);
 
+  const dayEvents = useEventsInRange(repo, selectedDate, selectedDate, events);
   const eventsForDay = useMemo(() => {
-    const list = events.filter((e) => e.date === selectedDate);
     // sort by startTime
-    return list.sort((a, b) => a.startTime.localeCompare(b.startTime));
-  }, [events, selectedDate]);
+    return [...dayEvents].sort((a, b) => a.startTime.localeCompare(b.startTime));
+  }, [dayEvents]);
+
+  // Overlapping time only counts once
+  const totalScheduledMin = useMemo(() => busyMinutes(eventsForDay), [eventsForDay]);
+
+  const overlapIds = useMemo(() => conflictingIds(eventsForDay), [eventsForDay]);
+
+  // Last 28 days: training load (ACWR needs the month), and matches for the
+  // post-match soreness flag
+  const loadEvents = useEventsInRange(repo, addDaysISO(selectedDate, -27), selectedDate, events);
+  const matchDates = useMemo(
+    () => [...new Set(loadEvents.filter((e) => e.type === "Match").map((e) => e.date))],
+    [loadEvents]
+  );
+
+  const freeToday = useMemo(
+    () => freeBlocks(eventsForDay, settings.wakeTime, settings.sleepTime),
+    [eventsForDay, settings.wakeTime, settings.sleepTime]
+  );
 
-  const totalScheduledMin = useMemo(() => {
-    return eventsForDay.reduce((sum, e) => sum + (Number(e.durationMin) || 0), 0);
-  }, [eventsForDay]);
+  // Events the draft (new or being edited) would collide with, on the day it's
+  // going to: an edit can move the event to another date
+  const draftDate = draft.date || selectedDate;
+  const draftDateEvents = useEventsInRange(repo, draftDate, draftDate, events);
+  const draftConflicts = useMemo(
+    () =>
+      findConflicts(
+        { id: editing?.id, startTime: draft.startTime, durationMin: Number(draft.durationMin) || 0 },
+        draftDate === selectedDate ? eventsForDay : draftDateEvents
+      ),
+    [
+      draft.startTime,
+      draft.durationMin,
+      editing,
+      draftDate,
+      selectedDate,
+      eventsForDay,
+      draftDateEvents,
+    ]
+  );
+
+  const daySessions = useMemo(
+    () =>
+      sessions
+        .filter((s) => s.date === selectedDate)
+        .sort((a, b) => (a.start ?? 0) - (b.start ?? 0)),
+    [sessions, selectedDate]
+  );
 
   const todayStudyByCourse = useMemo(() => {
     return studyLog[selectedDate] || {};
@@ -228,31 +409,226 @@ export default function App() {
     return total;
   }, [studyLog, weekStart]);
 
-  function addCourse() {
-    const c = newCourse.trim();
-    if (!c) return;
-    if (courses.includes(c)) {
-      setNewCourse("");
-      return;
+  const weekStudyByCourse = useMemo(() => {
+    const out = {};
+    for (let i = 0; i < 7; i++) {
+      Object.entries(studyLog[addDaysISO(weekStart, i)] || {}).forEach(([course, mins]) => {
+        out[course] = (out[course] || 0) + (Number(mins) || 0);
+      });
     }
-    setCourses((prev) => [...prev, c]);
-    setNewCourse("");
-  }
-
-  function removeCourse(course) {
-    setCourses((prev) => prev.filter((c) => c !== course));
-    // also remove from logs
-    setStudyLog((prev) => {
-      const copy = { ...prev };
-      Object.keys(copy).forEach((day) => {
-        if (copy[day]?.[course] != null) {
-          const dayObj = { ...copy[day] };
-          delete dayObj[course];
-          copy[day] = dayObj;
-        }
+    return out;
+  }, [studyLog, weekStart]);
+
+  const weekEvents = useEventsInRange(repo, weekStart, addDaysISO(weekStart, 6), events);
+  const weekDays = useMemo(
+    () => Array.from({ length: 7 }, (_, i) => addDaysISO(weekStart, i)),
+    [weekStart]
+  );
+
+  const weekPlannedByCourse = useMemo(
+    () => plannedStudyByCourse(weekEvents, courses),
+    [weekEvents, courses]
+  );
+
+  // Scheduled reminders: rebuilt from the plan, saved for the service worker
+  // and shown from here while the app is open (see reminders.js)
+  const [reminderState, setReminderState] = useState(() => initialData.reminderState || {});
+  const [reminderSwState, setReminderSwState] = useState(() => initialData.reminderSwState || {});
+  const reminderStateAll = useMemo(
+    () => mergeReminderState(reminderState, reminderSwState),
+    [reminderState, reminderSwState]
+  );
+  const today = todayISOFromDate(new Date(now));
+  const reminderEvents = useEventsInRange(repo, today, addDaysISO(today, 3), events);
+  const reminderQueue = useMemo(() => {
+    if (!reminderConfig.enabled) return [];
+    const thisWeek = startOfWeekISO(new Date(today + "T00:00:00"));
+    const done = {};
+    for (let d = thisWeek; d <= today; d = addDaysISO(d, 1)) {
+      Object.entries(studyLog[d] || {}).forEach(([course, mins]) => {
+        done[course] = (done[course] || 0) + (Number(mins) || 0);
+      });
+    }
+    const targets = Object.fromEntries(
+      termCourses.map((c) => [c.id, settings.studyTargets[c.id]])
+    );
+    return buildReminderQueue({
+      events: reminderEvents,
+      types: eventTypes,
+      courses,
+      settings: reminderConfig,
+      loggedDays: new Set(Object.keys(wellness)),
+      behind: studyBehind(targets, done, thisWeek, today),
+      today,
+    });
+  }, [
+    reminderConfig,
+    today,
+    studyLog,
+    termCourses,
+    settings.studyTargets,
+    reminderEvents,
+    eventTypes,
+    courses,
+    wellness,
+  ]);
+
+  useEffect(() => {
+    repo.setMeta("reminderQueue", reminderQueue).catch(reportWriteError);
+  }, [repo, reminderQueue, reportWriteError]);
+
+  useEffect(() => {
+    repo
+      .setMeta("reminderState", pruneReminderState(reminderState, reminderQueue))
+      .catch(reportWriteError);
+  }, [repo, reminderState, reminderQueue, reportWriteError]);
+
+  // Reminder clock: pick up what the service worker showed or snoozed, then
+  // show whatever is due
+  useEffect(() => {
+    if (!reminderQueue.length) return;
+    let cancelled = false;
+    async function check() {
+      let sw = reminderSwState;
+      try {
+        sw = (await repo.getMeta("reminderSwState")) || {};
+      } catch (err) {
+        // Go on with what the service worker last reported
+        console.warn("Couldn't read the reminder state from the service worker:", err);
+      }
+      if (cancelled) return;
+      setReminderSwState((prev) => (JSON.stringify(prev) === JSON.stringify(sw) ? prev : sw));
+      const t = Date.now();
+      const merged = mergeReminderState(reminderState, sw);
+      const due = reminderQueue.filter((r) => reminderStatus(r, merged[r.id], t) === "due");
+      if (!due.length) return;
+      due.forEach(showReminder);
+      setReminderState((prev) => {
+        const next = { ...prev };
+        due.forEach((r) => (next[r.id] = { ...prev[r.id], shownAt: t }));
+        return next;
       });
-      return copy;
+    }
+    const first = setTimeout(check, 0);
+    const id = setInterval(check, 30000);
+    document.addEventListener("visibilitychange", check);
+    return () => {
+      cancelled = true;
+      clearTimeout(first);
+      clearInterval(id);
+      document.removeEventListener("visibilitychange", check);
+    };
+  }, [repo, reminderQueue, reminderState, reminderSwState]);
+
+  // Tonight's bedtime from tomorrow's first event and the sleep target
+  const nextDayEvents = useEventsInRange(
+    repo,
+    addDaysISO(selectedDate, 1),
+    addDaysISO(selectedDate, 1),
+    events
+  );
+  const bedtimePlan = useMemo(
+    () => recommendedBedtime(nextDayEvents, sleepConfig, settings.wakeTime),
+    [nextDayEvents, sleepConfig, settings.wakeTime]
+  );
+  const sleepDebtNow = useMemo(
+    () => sleepDebt(wellness, selectedDate, sleepConfig),
+    [wellness, selectedDate, sleepConfig]
+  );
+
+  // Plan vs. actual: Study events against focused minutes
+  const eventMinutes = useMemo(() => minutesByEvent(sessions), [sessions]);
+  const studyInfo = useMemo(() => {
+    const out = {}; // { eventId: { course, focused, status } } for the day's Study events
+    eventsForDay.forEach((e) => {
+      if (e.type !== "Study") return;
+      const focused = eventMinutes[e.id] || 0;
+      out[e.id] = {
+        course: studyEventCourse(e, courses),
+        focused,
+        status: studyEventStatus(e, focused, now),
+      };
+    });
+    return out;
+  }, [eventsForDay, eventMinutes, courses, now]);
+  const dayPlanRows = useMemo(
+    () => planVsActual(plannedStudyByCourse(eventsForDay, courses), todayStudyByCourse),
+    [eventsForDay, courses, todayStudyByCourse]
+  );
+  const weekPlanRows = useMemo(
+    () => planVsActual(weekPlannedByCourse, weekStudyByCourse),
+    [weekPlannedByCourse, weekStudyByCourse]
+  );
+
+  // Courses are never deleted, only archived, so history always has a name
+  function saveCourse(course) {
+    const prev = courses.find((c) => c.id === course.id);
+    const label = !prev
+      ? `Added course ${course.code}`
+      : prev.archived !== course.archived
+        ? `${course.archived ? "Archived" : "Restored"} ${course.code}`
+        : prev.code !== course.code
+          ? `Renamed ${prev.code} to ${course.code}`
+          : `Edited ${course.code}`;
+    change(label, {
+      courses: (list) =>
+        prev ? list.map((c) => (c.id === course.id ? course : c)) : [...list, course],
+    });
+  }
+
+  function saveEventType(type) {
+    const prev = eventTypes.find((t) => t.id === type.id);
+    const label = !prev
+      ? `Added type ${type.name}`
+      : prev.name !== type.name
+        ? `Renamed ${prev.name} to ${type.name}`
+        : `Edited type ${type.name}`;
+    change(label, {
+      eventTypes: (list) =>
+        prev ? list.map((t) => (t.id === type.id ? type : t)) : [...list, type],
+    });
+  }
+
+  // Custom types only; their events become Other
+  function deleteEventType(type) {
+    change(`Deleted type ${type.name}`, {
+      eventTypes: (list) => list.filter((t) => t.id !== type.id),
+      events: (list) => reassignType(list, type.id, "Other"),
+      dayTemplates: (list) => retypeTemplates(list, type.id, "Other"),
     });
+    if (draft.type === type.id) setDraft((d) => ({ ...d, type: "Other" }));
+  }
+
+  function draftRecurrence(startDate) {
+    if (draft.repeat === "none") return null;
+    return {
+      freq: draft.repeat,
+      interval: Math.max(1, Number(draft.interval) || 1),
+      weekdays:
+        draft.repeat === "weekly"
+          ? draft.weekdays.length
+            ? draft.weekdays
+            : [weekdayOf(startDate)]
+          : [],
+      until: draft.endMode === "until" && draft.until ? draft.until : null,
+      count: draft.endMode === "count" ? Math.max(1, Number(draft.count) || 1) : null,
+    };
+  }
+
+  function resetDraft() {
+    setDraft((d) => ({
+      ...d,
+      title: "",
+      notes: "",
+      course: "",
+      reminders: null,
+      repeat: "none",
+      interval: 1,
+      weekdays: [],
+      endMode: "never",
+      until: "",
+      count: 10,
+    }));
   }
 
   function addEvent() {
@@ -266,59 +642,416 @@ export default function App() {
       durationMin: Number(draft.durationMin) || 0,
       notes: draft.notes.trim(),
     };
-    setEvents((prev) => [...prev, evt]);
-    setDraft((d) => ({ ...d, title: "", notes: "" }));
+    if (draft.type === "Study" && draft.course) evt.course = draft.course;
+    if (draft.reminders) evt.reminders = draft.reminders;
+    const recurrence = draftRecurrence(selectedDate);
+    if (recurrence) evt.recurrence = recurrence;
+    change(`Added ${evt.title}`, { events: (prev) => [...prev, evt] });
+    resetDraft();
   }
 
-  function deleteEvent(id) {
-    setEvents((prev) => prev.filter((e) => e.id !== id));
+  function addQuickEntry({ events: added, sessions: logged }) {
+    const label = logged.length
+      ? `Logged ${minutesToHhMm(logged[0].minutes)} ${courseLabel(courses, logged[0].course)}`
+      : added.length === 1
+        ? `Added ${added[0].title}`
+        : `Added ${added.length} events`;
+    const changes = {};
+    if (added.length) changes.events = (prev) => [...prev, ...added];
+    if (logged.length) changes.studySessions = (prev) => [...prev, ...logged];
+    change(label, changes);
   }
 
-  function saveWellness(next) {
-    setWellness((prev) => ({ ...prev, [selectedDate]: next }));
+  function startEdit(e) {
+    const series = e.seriesId ? events.find((x) => x.id === e.seriesId) : e;
+    const rule = series?.recurrence;
+    setEditing(e);
+    setScopePrompt(null);
+    setDraft({
+      type: e.type,
+      title: e.title,
+      startTime: e.startTime,
+      durationMin: e.durationMin,
+      notes: e.notes || "",
+      course: e.course || "",
+      reminders: e.reminders ?? null,
+      date: e.date,
+      repeat: rule ? rule.freq : "none",
+      interval: rule?.interval || 1,
+      weekdays: rule?.weekdays || [],
+      endMode: rule?.until ? "until" : rule?.count ? "count" : "never",
+      until: rule?.until || "",
+      count: rule?.count || 10,
+    });
   }
 
-  function timerLabel() {
-    const m = Math.floor(secondsLeft / 60);
-    const s = secondsLeft % 60;
-    return `${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}`;
+  function cancelEdit() {
+    setEditing(null);
+    setScopePrompt(null);
+    resetDraft();
   }
 
-  function startTimer() {
-    if (phase === "idle") {
-      if (timerMode === "Custom") {
-        setPhase("focus");
-        setSecondsLeft(customMin * 60);
-      } else {
-        setPhase("focus");
-        setSecondsLeft(focusMin * 60);
-      }
+  function saveEdit() {
+    if (!editing || !draft.title.trim()) return;
+    const date = draft.date || editing.date;
+    const patch = {
+      type: draft.type,
+      title: draft.title.trim(),
+      startTime: draft.startTime,
+      durationMin: Number(draft.durationMin) || 0,
+      notes: draft.notes.trim(),
+      course: draft.type === "Study" ? draft.course || null : null,
+      reminders: draft.reminders ?? undefined,
+      recurrence: draftRecurrence(date),
+    };
+    if (editing.seriesId && date !== editing.date) {
+      // Moving one occurrence to another day takes it out of the series
+      change(`Moved ${patch.title}`, {
+        events: (prev) => updateOccurrence(prev, editing, { ...patch, date }, "this"),
+      });
+      cancelEdit();
+      return;
+    }
+    if (!editing.seriesId) patch.date = date;
+    if (editing.seriesId) {
+      setScopePrompt({ action: "edit", instance: editing, patch });
+      return;
+    }
+    change(`Edited ${patch.title}`, { events: (prev) => updateOccurrence(prev, editing, patch) });
+    cancelEdit();
+  }
+
+  function deleteEvent(e) {
+    if (e.seriesId) {
+      setScopePrompt({ action: "delete", instance: e });
+      return;
     }
-    setIsRunning(true);
+    change(`Deleted ${e.title}`, { events: (prev) => deleteOccurrence(prev, e) });
+    if (editing?.id === e.id) cancelEdit();
+  }
+
+  // scope: "this" | "following" | "all"
+  function applyScope(scope) {
+    if (!scopePrompt) return;
+    const { action, instance, patch } = scopePrompt;
+    if (action === "edit") {
+      change(`Edited ${patch.title}`, {
+        events: (prev) => updateOccurrence(prev, instance, patch, scope),
+      });
+    } else {
+      change(`Deleted ${instance.title}`, {
+        events: (prev) => deleteOccurrence(prev, instance, scope),
+      });
+    }
+    if (action === "edit" || editing?.id === instance.id) cancelEdit();
+    setScopePrompt(null);
+  }
+
+  // Drag-and-drop in the day timeline / week view; repeating events move just that occurrence
+  function rescheduleEvent(instance, patch) {
+    change(`Moved ${instance.title}`, {
+      events: (prev) => updateOccurrence(prev, instance, patch, "this"),
+    });
+    if (editing?.id === instance.id) cancelEdit();
+  }
+
+  function rateSession(instance, rpe) {
+    change(`RPE for ${instance.title}`, {
+      events: (prev) => updateOccurrence(prev, instance, { rpe }, "this"),
+    });
+  }
+
+  function copyEventTo(e) {
+    setCopyRequest({
+      id: crypto.randomUUID(),
+      title: `Duplicate “${e.title}” to…`,
+      sources: [e],
+    });
+  }
+
+  function copyDayTo() {
+    setCopyRequest({
+      id: crypto.randomUUID(),
+      title: `Copy ${selectedDate} to…`,
+      sources: eventsForDay,
+    });
+  }
+
+  function copyLastWeek() {
+    const from = addDaysISO(weekStart, -7);
+    const lastWeek = expandEventsInRange(events, from, addDaysISO(from, 6));
+    setCopyRequest({
+      id: crypto.randomUUID(),
+      title: "Copy last week into this week",
+      pairs: pairsShiftedBy(lastWeek, 7),
+    });
+  }
+
+  function applyCopies(list) {
+    const count = `${list.length} event${list.length === 1 ? "" : "s"}`;
+    const label = copyRequest?.templateName
+      ? `Added ${count} from ${copyRequest.templateName}`
+      : `Copied ${count}`;
+    change(label, { events: (prev) => [...prev, ...list] });
+    setCopyRequest(null);
+  }
+
+  // Saving under an existing name replaces that template's events
+  function saveDayAsTemplate() {
+    const name = templateName.trim();
+    setTemplateName(null);
+    if (!name) return;
+    const existing = dayTemplates.find((t) => t.name.toLowerCase() === name.toLowerCase());
+    const template = newDayTemplate(name, eventsForDay);
+    saveDayTemplate(existing ? { ...existing, events: template.events } : template);
+  }
+
+  function applyDayTemplate(id) {
+    const template = dayTemplates.find((t) => t.id === id);
+    if (!template) return;
+    setCopyRequest({
+      id: crypto.randomUUID(),
+      title: `Apply “${template.name}” to…`,
+      sources: template.events,
+      dates: [selectedDate],
+      shiftable: true,
+      verb: "Add",
+      templateName: template.name,
+    });
+  }
+
+  function saveDayTemplate(template) {
+    const prev = dayTemplates.find((t) => t.id === template.id);
+    const label = !prev
+      ? `Saved template ${template.name}`
+      : prev.name !== template.name
+        ? `Renamed template ${prev.name} to ${template.name}`
+        : `Updated template ${template.name}`;
+    change(label, {
+      dayTemplates: (list) =>
+        prev ? list.map((t) => (t.id === template.id ? template : t)) : [...list, template],
+    });
+  }
+
+  function deleteDayTemplate(template) {
+    change(`Deleted template ${template.name}`, {
+      dayTemplates: (list) => list.filter((t) => t.id !== template.id),
+    });
+  }
+
+  function toggleDraftWeekday(day) {
+    setDraft((d) => ({
+      ...d,
+      weekdays: d.weekdays.includes(day)
+        ? d.weekdays.filter((x) => x !== day)
+        : [...d.weekdays, day],
+    }));
+  }
+
+  function applyCalendarImport(nextEvents, icsTypeMap) {
+    change("Imported calendar", { events: nextEvents });
+    setSettings((prev) => ({ ...prev, icsTypeMap }));
+  }
+
+  // mode: "replace" drops settings the backup doesn't have; "merge" keeps them
+  function restoreData(next, mode) {
+    change("Restored backup", {
+      events: next.events,
+      courses: next.courses,
+      eventTypes: next.eventTypes,
+      wellness: next.wellness,
+      studySessions: next.studySessions,
+      assignments: next.assignments,
+      dayTemplates: next.dayTemplates,
+    });
+    setSettings((prev) => ({
+      ...(mode === "replace" ? DEFAULT_SETTINGS : prev),
+      ...next.settings,
+    }));
+    setStorageIssues([]);
+    cancelEdit();
+  }
+
+  function planInFreeBlock(block) {
+    setDraft((d) => ({
+      ...d,
+      type: "Study",
+      title: d.title || eventTypeById(eventTypes, "Study").defaultTitle,
+      startTime: block.start,
+      durationMin: block.minutes,
+    }));
+  }
+
+  function addPlannedStudy(list) {
+    change(`Planned ${list.length} study block${list.length === 1 ? "" : "s"}`, {
+      events: (prev) => [...prev, ...list],
+    });
+  }
+
+  // Prev/next by the current view's unit
+  const stepUnit = view === "day" || view === "month" ? view : "week";
+  function shiftView(dir) {
+    setSelectedDate((d) =>
+      view === "month" ? addMonthsISO(d, dir) : addDaysISO(d, view === "day" ? dir : 7 * dir)
+    );
+  }
+
+  function openDay(date) {
+    setSelectedDate(date);
+    setView("day");
+  }
+
+  function saveWellness(next) {
+    change(
+      `Wellness for ${selectedDate}`,
+      { wellness: (prev) => ({ ...prev, [selectedDate]: next }) },
+      `wellness:${selectedDate}`
+    );
+  }
+
+  function startTimer() {
+    primeAudio(); // browsers only allow sound after a click
+    const t = Date.now();
+    setNow(t);
+    setTimer((prev) =>
+      startTimerState(
+        { ...prev, course: activeCourse, assignmentId: activeAssignment?.id || null },
+        t,
+        timerSettings
+      )
+    );
+  }
+
+  // Run the timer against a Study event: its course and length, sessions linked to it
+  function startStudyEvent(evt) {
+    if (timer.phase !== "idle") return;
+    primeAudio();
+    const t = Date.now();
+    const course = studyEventCourse(evt, courses) || activeCourse;
+    setNow(t);
+    setTimer((prev) =>
+      startTimerState(
+        {
+          ...prev,
+          // The event's length for this run only; reset puts the chosen mode back
+          mode: "Custom",
+          restoreMode: prev.mode,
+          course,
+          eventId: evt.id,
+          eventTitle: `${evt.startTime} ${evt.title}`,
+          assignmentId: evt.assignmentId || null,
+        },
+        t,
+        { ...timerSettings, customMin: Number(evt.durationMin) || timerSettings.customMin }
+      )
+    );
+  }
+
+  function updateTimerSettings(patch) {
+    setSettings((prev) => ({ ...prev, timer: { ...prev.timer, ...patch } }));
+  }
+
+  function updateAlertSettings(patch) {
+    setSettings((prev) => ({ ...prev, alerts: { ...prev.alerts, ...patch } }));
+  }
+
+  function updateReminderSettings(patch) {
+    setSettings((prev) => ({ ...prev, reminders: { ...prev.reminders, ...patch } }));
+  }
+
+  function snoozeReminder(id, minutes) {
+    const until = Date.now() + minutes * 60000;
+    setReminderState((prev) => ({ ...prev, [id]: { ...prev[id], snoozedUntil: until } }));
+  }
+
+  function dismissReminder(id) {
+    const t = Date.now();
+    setReminderState((prev) => ({ ...prev, [id]: { ...prev[id], dismissedAt: t } }));
+  }
+
+  function updateSleepSettings(patch) {
+    setSettings((prev) => ({ ...prev, sleep: { ...prev.sleep, ...patch } }));
+  }
+
+  function updateReadinessSettings(patch) {
+    setSettings((prev) => ({ ...prev, readiness: { ...prev.readiness, ...patch } }));
+  }
+
+  function updateStudyHallSettings(patch) {
+    setSettings((prev) => ({ ...prev, studyHall: { ...prev.studyHall, ...patch } }));
   }
 
   function pauseTimer() {
-    setIsRunning(false);
+    setTimer((prev) => pauseTimerState(prev, Date.now()));
   }
 
   function resetTimer() {
-    setIsRunning(false);
-    setPhase("idle");
-    setSecondsLeft(0);
-  }
-
-  function quickAddTemplate(type) {
-    const templates = {
-      Class: { title: "Class", durationMin: 75 },
-      Lift: { title: "Lift", durationMin: 60 },
-      Practice: { title: "Practice", durationMin: 120 },
-      Match: { title: "Match", durationMin: 180 },
-      Study: { title: "Study Block", durationMin: 60 },
-      Recovery: { title: "Recovery (ice/roll/stretch)", durationMin: 30 },
-      Other: { title: "Other", durationMin: 30 },
-    };
-    const t = templates[type] || templates.Other;
-    setDraft((d) => ({ ...d, type, title: t.title, durationMin: t.durationMin }));
+    const t = Date.now();
+    const minutes = Math.floor(focusElapsedMs(timer, t) / 60000);
+    if (minutes >= 1) {
+      // Ask before throwing away a partly finished focus phase
+      setTimer((prev) => pauseTimerState(prev, t));
+      setPartialPrompt({
+        course: timer.course || activeCourse,
+        start: timer.phaseStartedAt ?? t - minutes * 60000,
+        end: t,
+        minutes,
+        eventId: timer.eventId,
+        assignmentId: timer.assignmentId,
+        studyHall: timer.studyHall,
+      });
+      return;
+    }
+    setTimer((prev) => resetTimerState(prev));
+  }
+
+  function resolvePartial(keep) {
+    if (keep && partialPrompt) {
+      const session = timerSession({ ...partialPrompt, status: "interrupted" });
+      change(`Logged ${minutesToHhMm(session.minutes)} partial focus`, {
+        studySessions: (prev) => [...prev, session],
+      });
+    }
+    setPartialPrompt(null);
+    setTimer((prev) => resetTimerState(prev));
+  }
+
+  function saveAssignment(a) {
+    const exists = assignments.some((x) => x.id === a.id);
+    change(exists ? `Edited ${a.title}` : `Added ${a.title}`, {
+      assignments: (prev) =>
+        exists ? prev.map((x) => (x.id === a.id ? a : x)) : [...prev, a],
+    });
+  }
+
+  function deleteAssignment(a) {
+    change(`Deleted ${a.title}`, {
+      assignments: (prev) => prev.filter((x) => x.id !== a.id),
+    });
+  }
+
+  function saveSession(session) {
+    change(sessions.some((s) => s.id === session.id) ? "Edited session" : "Added session", {
+      studySessions: (prev) =>
+        prev.some((s) => s.id === session.id)
+          ? prev.map((s) => (s.id === session.id ? session : s))
+          : [...prev, session],
+    });
+  }
+
+  function deleteSession(id) {
+    change("Deleted session", { studySessions: (prev) => prev.filter((s) => s.id !== id) });
+  }
+
+  // Fill the form from a type's defaults, or from one of its templates
+  function quickAdd(type, template = null) {
+    setDraft((d) => ({
+      ...d,
+      type: type.id,
+      title: template ? template.title || template.name : type.defaultTitle || type.name,
+      durationMin: template ? template.durationMin : type.defaultDurationMin,
+      notes: template?.notes || d.notes,
+    }));
   }
 
   return (
@@ -331,7 +1064,40 @@ export default function App() {
           </div>
         </div>
         <div style={styles.dateWrap}>
-          <label style={styles.label}>Date</label>
+          <button
+            onClick={undo}
+            style={styles.chip}
+            disabled={!undoLabel}
+            title={undoLabel ? `Undo: ${undoLabel} (Ctrl+Z)` : "Nothing to undo"}
+          >
+            ↶
+          </button>
+          <button
+            onClick={redo}
+            style={styles.chip}
+            disabled={!redoLabel}
+            title={redoLabel ? `Redo: ${redoLabel} (Ctrl+Shift+Z)` : "Nothing to redo"}
+          >
+            ↷
+          </button>
+          {["day", "week", "month", "report"].map((v) => (
+            <button
+              key={v}
+              onClick={() => setView(v)}
+              style={view === v ? styles.chipActive : styles.chip}
+            >
+              {v[0].toUpperCase() + v.slice(1)}
+            </button>
+          ))}
+          <button onClick={() => shiftView(-1)} style={styles.chip} title={`Previous ${stepUnit}`}>
+            ‹
+          </button>
+          <button onClick={() => setSelectedDate(todayISO())} style={styles.chip}>
+            Today
+          </button>
+          <button onClick={() => shiftView(1)} style={styles.chip} title={`Next ${stepUnit}`}>
+            ›
+          </button>
           <input
             type="date"
             value={selectedDate}
@@ -341,14 +1107,144 @@ export default function App() {
         </div>
       </div>
 
-      <div style={styles.grid}>
+      {repo.kind === "memory" && (
+        <div style={{ ...styles.warning, marginBottom: 14 }}>
+          This browser isn't letting Lock-In save: changes are lost when the page closes. Download
+          a backup below to keep them.
+        </div>
+      )}
+
+      {repo.kind === "readonly" && (
+        <div style={{ ...styles.warning, marginBottom: 14 }}>
+          Lock-In can't update your saved data to this version
+          {schemaIssue && ` (${schemaIssue.reason})`}, so saving is off: the saved data stays as it
+          is and changes made now are lost when the page closes. Download a backup below to keep
+          them.
+        </div>
+      )}
+
+      {resetIssues.length > 0 && (
+        <div style={{ ...styles.warning, marginBottom: 14 }}>
+          Some saved data couldn't be read and was reset:{" "}
+          {resetIssues.map((i) => `${i.name} (${i.reason})`).join(", ")}.
+          {resetIssues.some((i) => i.copyKey) &&
+            " The unreadable data was kept aside on this device."}{" "}
+          Restore a backup file below to recover.{" "}
+          <button onClick={() => setStorageIssues([])} style={styles.ghostBtn}>
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {view === "week" && (
+        <div style={styles.card}>
+          <div style={styles.cardTitle}>
+            Week of{" "}
+            {new Date(weekStart + "T00:00:00").toLocaleDateString(undefined, {
+              month: "short",
+              day: "numeric",
+            })}
+          </div>
+          <div style={styles.cardMeta}>
+            {weekEvents.length} event(s) • {minutesToHhMm(weeklyStudyTotal)} studied • click a day
+            to open it
+          </div>
+          <div style={{ ...styles.row, marginBottom: 10 }}>
+            <button onClick={copyLastWeek} style={styles.secondaryBtn}>
+              Copy last week into this week
+            </button>
+          </div>
+          {copyRequest?.pairs && (
+            <CopyEvents
+              key={copyRequest.id}
+              request={copyRequest}
+              events={events}
+              types={eventTypes}
+              onApply={applyCopies}
+              onCancel={() => setCopyRequest(null)}
+            />
+          )}
+          <TimeGrid
+            days={weekDays}
+            events={weekEvents}
+            types={eventTypes}
+            selectedDate={selectedDate}
+            studyLog={studyLog}
+            onPickDay={openDay}
+            onReschedule={rescheduleEvent}
+          />
+        </div>
+      )}
+
+      {view === "month" && (
+        <div style={styles.card}>
+          <div style={styles.cardTitle}>
+            {new Date(selectedDate + "T00:00:00").toLocaleDateString(undefined, {
+              month: "long",
+              year: "numeric",
+            })}
+          </div>
+          <div style={styles.cardMeta}>Match days are highlighted • click a day to open it</div>
+          <MonthView
+            repo={repo}
+            events={events}
+            types={eventTypes}
+            month={selectedDate}
+            selectedDate={selectedDate}
+            studyLog={studyLog}
+            onPickDay={openDay}
+          />
+        </div>
+      )}
+
+      {view === "report" && (
+        <WeeklyReport
+          repo={repo}
+          events={events}
+          weekStart={weekStart}
+          weekEvents={weekEvents}
+          studyLog={studyLog}
+          wellness={wellness}
+          courses={courses}
+          eventTypes={eventTypes}
+        />
+      )}
+
+      {view === "studyHall" && (
+        <StudyHallReport
+          sessions={sessions}
+          date={selectedDate}
+          settings={studyHallConfig}
+          courses={courses}
+        />
+      )}
+
+      {/* Day view; kept mounted in the other views so card drafts survive switching */}
+      <div style={view === "day" ? styles.grid : { display: "none" }}>
         {/* LEFT: Planner */}
         <div style={styles.card}>
           <div style={styles.cardTitle}>Daily Schedule</div>
           <div style={styles.cardMeta}>
             {eventsForDay.length} event(s) • {minutesToHhMm(totalScheduledMin)} scheduled
+            {overlapIds.size > 0 ? ` • ${overlapIds.size} overlapping` : ""}
           </div>
 
+          <BedtimePlan
+            plan={bedtimePlan}
+            targetHours={sleepConfig.targetHours}
+            debtMin={sleepDebtNow.debtMin}
+            types={eventTypes}
+          />
+
+          <DueSoon assignments={assignments} courses={courses} events={events} now={now} />
+
+          <CommandBar
+            date={selectedDate}
+            types={eventTypes}
+            courses={termCourses}
+            onAdd={addQuickEntry}
+          />
+
           <div style={styles.rowWrap}>
             <div style={styles.row}>
               <select
@@ -356,11 +1252,14 @@ export default function App() {
                 onChange={(e) => setDraft((d) => ({ ...d, type: e.target.value }))}
                 style={styles.select}
               >
-                {EVENT_TYPES.map((t) => (
-                  <option key={t} value={t}>
-                    {t}
+                {eventTypes.map((t) => (
+                  <option key={t.id} value={t.id}>
+                    {typeLabel(eventTypes, t.id)}
                   </option>
                 ))}
+                {!eventTypes.some((t) => t.id === draft.type) && (
+                  <option value={draft.type}>{draft.type}</option>
+                )}
               </select>
 
               <input
@@ -369,9 +1268,37 @@ export default function App() {
                 onChange={(e) => setDraft((d) => ({ ...d, title: e.target.value }))}
                 style={styles.inputWide}
               />
+              {draft.type === "Study" && (
+                <select
+                  value={draft.course}
+                  onChange={(e) => setDraft((d) => ({ ...d, course: e.target.value }))}
+                  style={styles.select}
+                  title="Course this block is for"
+                >
+                  <option value="">Course from title</option>
+                  {courseOptions(courses, settings.currentTerm, draft.course).map((c) => (
+                    <option key={c.id} value={c.id}>
+                      {c.code}
+                    </option>
+                  ))}
+                </select>
+              )}
             </div>
 
             <div style={styles.row}>
+              {editing && (
+                <div style={{ flex: 1 }}>
+                  <label style={styles.labelSmall}>
+                    Date{editing.seriesId ? " (moves only this occurrence)" : ""}
+                  </label>
+                  <input
+                    type="date"
+                    value={draft.date}
+                    onChange={(e) => setDraft((d) => ({ ...d, date: e.target.value }))}
+                    style={styles.input}
+                  />
+                </div>
+              )}
               <div style={{ flex: 1 }}>
                 <label style={styles.labelSmall}>Start</label>
                 <input
@@ -391,11 +1318,120 @@ export default function App() {
                   style={styles.input}
                 />
               </div>
-              <button onClick={addEvent} style={styles.primaryBtn}>
-                Add
-              </button>
+              {editing ? (
+                <>
+                  <button onClick={saveEdit} style={styles.primaryBtn}>
+                    Save
+                  </button>
+                  <button onClick={cancelEdit} style={styles.ghostBtn}>
+                    Cancel
+                  </button>
+                </>
+              ) : (
+                <button onClick={addEvent} style={styles.primaryBtn}>
+                  {draftConflicts.length ? "Add anyway" : "Add"}
+                </button>
+              )}
             </div>
 
+            <div style={styles.row}>
+              <div style={{ flex: 1 }}>
+                <label style={styles.labelSmall}>Repeat</label>
+                <select
+                  value={draft.repeat}
+                  onChange={(e) => setDraft((d) => ({ ...d, repeat: e.target.value }))}
+                  style={styles.select}
+                >
+                  <option value="none">Does not repeat</option>
+                  <option value="daily">Every N days</option>
+                  <option value="weekly">Weekly</option>
+                </select>
+              </div>
+              {draft.repeat !== "none" && (
+                <>
+                  <div style={{ flex: 1 }}>
+                    <label style={styles.labelSmall}>
+                      Every ({draft.repeat === "daily" ? "days" : "weeks"})
+                    </label>
+                    <input
+                      type="number"
+                      min={1}
+                      value={draft.interval}
+                      onChange={(e) => setDraft((d) => ({ ...d, interval: e.target.value }))}
+                      style={styles.input}
+                    />
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <label style={styles.labelSmall}>Ends</label>
+                    <select
+                      value={draft.endMode}
+                      onChange={(e) => setDraft((d) => ({ ...d, endMode: e.target.value }))}
+                      style={styles.select}
+                    >
+                      <option value="never">Never</option>
+                      <option value="until">On date</option>
+                      <option value="count">After N times</option>
+                    </select>
+                  </div>
+                  {draft.endMode === "until" && (
+                    <div style={{ flex: 1 }}>
+                      <label style={styles.labelSmall}>Until</label>
+                      <input
+                        type="date"
+                        value={draft.until}
+                        onChange={(e) => setDraft((d) => ({ ...d, until: e.target.value }))}
+                        style={styles.input}
+                      />
+                    </div>
+                  )}
+                  {draft.endMode === "count" && (
+                    <div style={{ flex: 1 }}>
+                      <label style={styles.labelSmall}>Occurrences</label>
+                      <input
+                        type="number"
+                        min={1}
+                        value={draft.count}
+                        onChange={(e) => setDraft((d) => ({ ...d, count: e.target.value }))}
+                        style={styles.input}
+                      />
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+
+            {draft.repeat === "weekly" && (
+              <div style={styles.quickBar}>
+                {[1, 2, 3, 4, 5, 6, 0].map((day) => {
+                  const on = draft.weekdays.length
+                    ? draft.weekdays.includes(day)
+                    : day === weekdayOf(editing?.date || selectedDate);
+                  return (
+                    <button
+                      key={day}
+                      onClick={() => toggleDraftWeekday(day)}
+                      style={on ? styles.chipActive : styles.chip}
+                    >
+                      {WEEKDAY_LABELS[day]}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+
+            {draftConflicts.length > 0 && (
+              <div style={styles.warning}>
+                Overlaps with{" "}
+                {draftConflicts
+                  .map((c) => {
+                    const [, end] = eventInterval(c);
+                    const name = typeName(eventTypes, c.type);
+                    return `${name} “${c.title}” (${c.startTime}–${fromMinutes(end)})`;
+                  })
+                  .join(", ")}
+              </div>
+            )}
+
             <textarea
               placeholder="Notes (travel, coach feedback, assignment due, etc.)"
               value={draft.notes}
@@ -403,39 +1439,276 @@ export default function App() {
               style={styles.textarea}
             />
 
+            {reminderConfig.enabled && (
+              <ReminderRules
+                rules={draft.reminders}
+                inherited={eventTypeById(eventTypes, draft.type).reminders || []}
+                onChange={(reminders) => setDraft((d) => ({ ...d, reminders }))}
+              />
+            )}
+
             <div style={styles.quickBar}>
-              {EVENT_TYPES.map((t) => (
-                <button key={t} onClick={() => quickAddTemplate(t)} style={styles.chip}>
-                  + {t}
+              {eventTypes.map((t) => (
+                <button key={t.id} onClick={() => quickAdd(t)} style={styles.chip}>
+                  + {t.icon} {t.name}
                 </button>
               ))}
+              {eventTypes.flatMap((t) =>
+                t.templates.map((tpl) => (
+                  <button
+                    key={tpl.id}
+                    onClick={() => quickAdd(t, tpl)}
+                    style={{ ...styles.chip, borderColor: t.color }}
+                    title={`${t.name} • ${minutesToHhMm(tpl.durationMin)}${
+                      tpl.notes ? ` • ${tpl.notes}` : ""
+                    }`}
+                  >
+                    + {tpl.name}
+                  </button>
+                ))
+              )}
             </div>
           </div>
 
           <div style={styles.divider} />
 
+          <div style={{ ...styles.row, marginBottom: 8 }}>
+            {["list", "timeline"].map((l) => (
+              <button
+                key={l}
+                onClick={() => setDayLayout(l)}
+                style={dayLayout === l ? styles.chipActive : styles.chip}
+              >
+                {l === "list" ? "List" : "Timeline"}
+              </button>
+            ))}
+            <button
+              onClick={copyDayTo}
+              style={styles.chip}
+              disabled={eventsForDay.length === 0}
+            >
+              Copy this day to…
+            </button>
+            <button
+              onClick={() => setTemplateName(templateName == null ? "" : null)}
+              style={templateName == null ? styles.chip : styles.chipActive}
+              disabled={eventsForDay.length === 0}
+            >
+              Save day as template…
+            </button>
+            {dayTemplates.length > 0 && (
+              <select
+                value=""
+                onChange={(e) => applyDayTemplate(e.target.value)}
+                style={styles.select}
+              >
+                <option value="">Apply template…</option>
+                {[...dayTemplates]
+                  .sort((a, b) => a.name.localeCompare(b.name))
+                  .map((t) => (
+                    <option key={t.id} value={t.id}>
+                      {t.name} ({t.events.length})
+                    </option>
+                  ))}
+              </select>
+            )}
+          </div>
+
+          {templateName != null && (
+            <div style={{ ...styles.row, marginBottom: 8 }}>
+              <input
+                autoFocus
+                list="day-template-names"
+                placeholder="Template name (e.g., Game day, Two-a-day)"
+                value={templateName}
+                onChange={(e) => setTemplateName(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && saveDayAsTemplate()}
+                style={styles.inputWide}
+              />
+              <datalist id="day-template-names">
+                {dayTemplates.map((t) => (
+                  <option key={t.id} value={t.name} />
+                ))}
+              </datalist>
+              <button
+                onClick={saveDayAsTemplate}
+                style={styles.primaryBtn}
+                disabled={!templateName.trim()}
+              >
+                Save {eventsForDay.length} event{eventsForDay.length === 1 ? "" : "s"}
+              </button>
+              <button onClick={() => setTemplateName(null)} style={styles.ghostBtn}>
+                Cancel
+              </button>
+            </div>
+          )}
+
+          {copyRequest?.sources && (
+            <CopyEvents
+              key={copyRequest.id}
+              request={copyRequest}
+              events={events}
+              types={eventTypes}
+              onApply={applyCopies}
+              onCancel={() => setCopyRequest(null)}
+            />
+          )}
+
           {eventsForDay.length === 0 ? (
             <div style={styles.empty}>No events yet. Add your classes, practice, lifts, and study blocks.</div>
+          ) : dayLayout === "timeline" ? (
+            <TimeGrid
+              days={[selectedDate]}
+              events={eventsForDay}
+              types={eventTypes}
+              selectedDate={selectedDate}
+              studyLog={studyLog}
+              onPickDay={setSelectedDate}
+              onPickEvent={startEdit}
+              onReschedule={rescheduleEvent}
+            />
           ) : (
             <div style={styles.list}>
               {eventsForDay.map((e) => (
-                <div key={e.id} style={styles.listItem}>
-                  <div style={styles.listLeft}>
-                    <div style={styles.badge}>{e.type}</div>
-                    <div>
-                      <div style={styles.itemTitle}>
-                        {e.startTime} • {e.title}
+                <React.Fragment key={e.id}>
+                  <div style={editing?.id === e.id ? styles.listItemActive : styles.listItem}>
+                    <div style={styles.listLeft}>
+                      <div style={{ ...styles.badge, borderColor: typeColor(eventTypes, e.type) }}>
+                        {typeLabel(eventTypes, e.type)}
                       </div>
-                      <div style={styles.itemSub}>
-                        {minutesToHhMm(Number(e.durationMin) || 0)}
-                        {e.notes ? ` • ${e.notes}` : ""}
+                      <div>
+                        <div style={styles.itemTitle}>
+                          {e.startTime} • {e.title}
+                        </div>
+                        <div style={styles.itemSub}>
+                          {minutesToHhMm(Number(e.durationMin) || 0)}
+                          {e.recurrence ? ` • ↻ ${describeRecurrence(e.recurrence)}` : ""}
+                          {e.changed ? " (changed)" : ""}
+                          {overlapIds.has(e.id) ? " • ⚠ overlaps" : ""}
+                          {e.notes ? ` • ${e.notes}` : ""}
+                        </div>
+                        {studyInfo[e.id] && (
+                          <div style={styles.itemSub}>
+                            {courseLabel(courses, studyInfo[e.id].course) || "No course"} •{" "}
+                            {STUDY_EVENT_STATUS[studyInfo[e.id].status]}
+                            {studyInfo[e.id].focused
+                              ? ` • ${minutesToHhMm(studyInfo[e.id].focused)} focused`
+                              : ""}
+                            {timer.eventId === e.id && phase !== "idle" ? " • timer running" : ""}
+                          </div>
+                        )}
+                        {isTrainingEvent(e, trainingTypes) && (
+                          <div style={styles.itemSub}>
+                            <select
+                              value={e.rpe ?? ""}
+                              onChange={(ev) =>
+                                rateSession(e, ev.target.value ? Number(ev.target.value) : null)
+                              }
+                              style={{ ...styles.select, padding: "2px 6px", fontSize: 12 }}
+                              title="Session RPE: how hard it felt, 1–10"
+                            >
+                              <option value="">RPE –</option>
+                              {Object.entries(RPE_LABELS).map(([n, label]) => (
+                                <option key={n} value={n}>
+                                  RPE {n} • {label}
+                                </option>
+                              ))}
+                            </select>
+                            {sessionLoad(e, trainingTypes) != null
+                              ? ` load ${sessionLoad(e, trainingTypes)}`
+                              : ""}
+                          </div>
+                        )}
                       </div>
                     </div>
+                    <div style={styles.row}>
+                      <button onClick={() => startEdit(e)} style={styles.ghostBtn}>
+                        Edit
+                      </button>
+                      <button onClick={() => copyEventTo(e)} style={styles.ghostBtn}>
+                        Duplicate…
+                      </button>
+                      <button onClick={() => deleteEvent(e)} style={styles.dangerBtn}>
+                        Delete
+                      </button>
+                      {studyInfo[e.id] && (
+                        <button
+                          onClick={() => startStudyEvent(e)}
+                          style={styles.secondaryBtn}
+                          disabled={phase !== "idle"}
+                          title={
+                            phase !== "idle" ? "The timer is already in use" : "Run the timer for this block"
+                          }
+                        >
+                          Start
+                        </button>
+                      )}
+                    </div>
                   </div>
-                  <button onClick={() => deleteEvent(e.id)} style={styles.dangerBtn}>
-                    Delete
-                  </button>
-                </div>
+                  {scopePrompt?.instance.id === e.id && (
+                    <div style={styles.scopeBox}>
+                      <div style={styles.itemSub}>
+                        {scopePrompt.action === "edit" ? "Save changes to" : "Delete"} a repeating event:
+                      </div>
+                      <div style={styles.row}>
+                        <button onClick={() => applyScope("this")} style={styles.secondaryBtn}>
+                          This event
+                        </button>
+                        <button onClick={() => applyScope("following")} style={styles.secondaryBtn}>
+                          This and following
+                        </button>
+                        <button onClick={() => applyScope("all")} style={styles.secondaryBtn}>
+                          All events
+                        </button>
+                        <button onClick={() => setScopePrompt(null)} style={styles.ghostBtn}>
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </React.Fragment>
+              ))}
+            </div>
+          )}
+
+          <PlanVsActual title="Study: planned vs. focused" rows={dayPlanRows} courses={courses} />
+
+          <div style={styles.divider} />
+
+          <div style={styles.cardTitleSmall}>Free time</div>
+          <div style={styles.row}>
+            <div style={{ flex: 1 }}>
+              <label style={styles.labelSmall}>Wake</label>
+              <input
+                type="time"
+                value={settings.wakeTime}
+                onChange={(e) => setSettings((prev) => ({ ...prev, wakeTime: e.target.value }))}
+                style={styles.input}
+              />
+            </div>
+            <div style={{ flex: 1 }}>
+              <label style={styles.labelSmall}>Sleep</label>
+              <input
+                type="time"
+                value={settings.sleepTime}
+                onChange={(e) => setSettings((prev) => ({ ...prev, sleepTime: e.target.value }))}
+                style={styles.input}
+              />
+            </div>
+          </div>
+          {freeToday.length === 0 ? (
+            <div style={styles.empty}>No free blocks between wake and sleep.</div>
+          ) : (
+            <div style={{ ...styles.quickBar, marginTop: 8 }}>
+              {freeToday.map((b) => (
+                <button
+                  key={b.start}
+                  onClick={() => planInFreeBlock(b)}
+                  style={styles.chip}
+                  title="Plan a study block here"
+                >
+                  {b.start}–{b.end} • {minutesToHhMm(b.minutes)}
+                </button>
               ))}
             </div>
           )}
@@ -452,10 +1725,8 @@ export default function App() {
             <label style={styles.label}>Mode</label>
             <select
               value={timerMode}
-              onChange={(e) => {
-                setTimerMode(e.target.value);
-                resetTimer();
-              }}
+              onChange={(e) => setTimer((prev) => ({ ...resetTimerState(prev), mode: e.target.value }))}
+              disabled={phase !== "idle"}
               style={styles.select}
             >
               <option value="Pomodoro">Pomodoro</option>
@@ -465,40 +1736,122 @@ export default function App() {
             <label style={{ ...styles.label, marginLeft: 10 }}>Course</label>
             <select
               value={activeCourse}
-              onChange={(e) => setActiveCourse(e.target.value)}
+              onChange={(e) => setTimer((prev) => ({ ...prev, course: e.target.value }))}
               style={styles.select}
             >
-              {(courses.length ? courses : ["General"]).map((c) => (
-                <option key={c} value={c}>
-                  {c}
+              {termCourses.length === 0 && <option value="General">General</option>}
+              {termCourses.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.code}
                 </option>
               ))}
             </select>
+
+            {courseAssignments.length > 0 && (
+              <>
+                <label style={{ ...styles.label, marginLeft: 10 }}>For</label>
+                <select
+                  value={activeAssignment?.id || ""}
+                  onChange={(e) =>
+                    setTimer((prev) => ({ ...prev, assignmentId: e.target.value || null }))
+                  }
+                  disabled={phase !== "idle"}
+                  style={styles.select}
+                >
+                  <option value="">No assignment</option>
+                  {courseAssignments.map((a) => (
+                    <option key={a.id} value={a.id}>
+                      {a.kind}: {a.title}
+                    </option>
+                  ))}
+                </select>
+              </>
+            )}
           </div>
+          <StudyHallFields
+            value={timer.studyHall}
+            onChange={(studyHall) => setTimer((prev) => ({ ...prev, studyHall }))}
+          />
 
           {timerMode === "Pomodoro" ? (
-            <div style={styles.row}>
-              <div style={{ flex: 1 }}>
-                <label style={styles.labelSmall}>Focus (min)</label>
-                <input
-                  type="number"
-                  min={1}
-                  value={focusMin}
-                  onChange={(e) => setFocusMin(Number(e.target.value) || 25)}
-                  style={styles.input}
-                />
+            <>
+              <div style={styles.row}>
+                <div style={{ flex: 1 }}>
+                  <label style={styles.labelSmall}>Focus (min)</label>
+                  <input
+                    type="number"
+                    min={1}
+                    value={timerSettings.focusMin}
+                    onChange={(e) => updateTimerSettings({ focusMin: Number(e.target.value) || 25 })}
+                    style={styles.input}
+                  />
+                </div>
+                <div style={{ flex: 1 }}>
+                  <label style={styles.labelSmall}>Break (min)</label>
+                  <input
+                    type="number"
+                    min={1}
+                    value={timerSettings.breakMin}
+                    onChange={(e) => updateTimerSettings({ breakMin: Number(e.target.value) || 5 })}
+                    style={styles.input}
+                  />
+                </div>
+                <div style={{ flex: 1 }}>
+                  <label style={styles.labelSmall}>Long break (min)</label>
+                  <input
+                    type="number"
+                    min={1}
+                    value={timerSettings.longBreakMin}
+                    onChange={(e) => updateTimerSettings({ longBreakMin: Number(e.target.value) || 15 })}
+                    style={styles.input}
+                  />
+                </div>
               </div>
-              <div style={{ flex: 1 }}>
-                <label style={styles.labelSmall}>Break (min)</label>
-                <input
-                  type="number"
-                  min={1}
-                  value={breakMin}
-                  onChange={(e) => setBreakMin(Number(e.target.value) || 5)}
-                  style={styles.input}
-                />
+              <div style={styles.row}>
+                <div style={{ flex: 1 }}>
+                  <label style={styles.labelSmall}>Long break every</label>
+                  <input
+                    type="number"
+                    min={0}
+                    value={timerSettings.longBreakEvery}
+                    onChange={(e) =>
+                      updateTimerSettings({ longBreakEvery: Math.max(0, Number(e.target.value) || 0) })
+                    }
+                    style={styles.input}
+                  />
+                </div>
+                <div style={{ flex: 1 }}>
+                  <label style={styles.labelSmall}>Cycles (0 = until stopped)</label>
+                  <input
+                    type="number"
+                    min={0}
+                    value={timerSettings.targetCycles}
+                    onChange={(e) =>
+                      updateTimerSettings({ targetCycles: Math.max(0, Number(e.target.value) || 0) })
+                    }
+                    style={styles.input}
+                  />
+                </div>
               </div>
-            </div>
+              <div style={styles.row}>
+                <label style={{ ...styles.itemSub, display: "flex", gap: 6, alignItems: "center" }}>
+                  <input
+                    type="checkbox"
+                    checked={timerSettings.autoStartBreaks}
+                    onChange={(e) => updateTimerSettings({ autoStartBreaks: e.target.checked })}
+                  />
+                  Auto-start breaks
+                </label>
+                <label style={{ ...styles.itemSub, display: "flex", gap: 6, alignItems: "center" }}>
+                  <input
+                    type="checkbox"
+                    checked={timerSettings.autoStartFocus}
+                    onChange={(e) => updateTimerSettings({ autoStartFocus: e.target.checked })}
+                  />
+                  Auto-start next focus
+                </label>
+              </div>
+            </>
           ) : (
             <div style={styles.row}>
               <div style={{ flex: 1 }}>
@@ -506,8 +1859,8 @@ export default function App() {
                 <input
                   type="number"
                   min={1}
-                  value={customMin}
-                  onChange={(e) => setCustomMin(Number(e.target.value) || 45)}
+                  value={timerSettings.customMin}
+                  onChange={(e) => updateTimerSettings({ customMin: Number(e.target.value) || 45 })}
                   style={styles.input}
                 />
               </div>
@@ -516,15 +1869,28 @@ export default function App() {
 
           <div style={styles.timerBox}>
             <div style={styles.timerPhase}>
-              {phase === "idle" ? "Ready" : phase === "focus" ? "FOCUS" : "BREAK"}
+              {phase === "idle"
+                ? "Ready"
+                : phase === "focus"
+                  ? "FOCUS"
+                  : phase === "longBreak"
+                    ? "LONG BREAK"
+                    : "BREAK"}
+              {cycleLabel(timer) && ` • ${cycleLabel(timer)}`}
+              {!isRunning && phase !== "idle" && " • paused"}
             </div>
             <div style={styles.timerTime}>
               {phase === "idle"
                 ? timerMode === "Custom"
-                  ? `${customMin}:00`
-                  : `${focusMin}:00`
-                : timerLabel()}
+                  ? `${timerSettings.customMin}:00`
+                  : `${timerSettings.focusMin}:00`
+                : formatClock(remainingMs(timer, now))}
             </div>
+            {phase === "idle" && timer.doneCycles > 0 && (
+              <div style={styles.itemSub}>
+                Done: {timer.doneCycles} focus session{timer.doneCycles === 1 ? "" : "s"} completed
+              </div>
+            )}
 
             <div style={styles.row}>
               {!isRunning ? (
@@ -536,16 +1902,54 @@ export default function App() {
                   Pause
                 </button>
               )}
-              <button onClick={resetTimer} style={styles.ghostBtn}>
+              <button onClick={resetTimer} style={styles.ghostBtn} disabled={Boolean(partialPrompt)}>
                 Reset
               </button>
             </div>
 
+            {partialPrompt && (
+              <div style={{ ...styles.scopeBox, marginTop: 10 }}>
+                <div style={styles.itemSub}>
+                  Keep the {minutesToHhMm(partialPrompt.minutes)} you focused on{" "}
+                  {courseLabel(courses, partialPrompt.course)}?
+                </div>
+                <div style={styles.row}>
+                  <button onClick={() => resolvePartial(true)} style={styles.primaryBtn}>
+                    Keep minutes
+                  </button>
+                  <button onClick={() => resolvePartial(false)} style={styles.dangerBtn}>
+                    Discard
+                  </button>
+                  <button onClick={() => setPartialPrompt(null)} style={styles.ghostBtn}>
+                    Back to timer
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {timer.eventId && phase !== "idle" && (
+              <div style={styles.itemSub}>Scheduled block: {timer.eventTitle}</div>
+            )}
+            {timer.studyHall && phase !== "idle" && (
+              <div style={styles.itemSub}>
+                Study hall
+                {timer.studyHall.location ? ` • ${timer.studyHall.location}` : ""}
+                {timer.studyHall.monitor ? ` • monitor: ${timer.studyHall.monitor}` : ""}
+              </div>
+            )}
+            {activeAssignment && phase !== "idle" && (
+              <div style={styles.itemSub}>
+                For: {activeAssignment.kind} • {activeAssignment.title}
+              </div>
+            )}
+
             <div style={styles.tip}>
-              Tip: Put a “Study Block” in your schedule that matches your timer session.
+              Tip: Press Start on a Study block in your schedule to run the timer for it.
             </div>
           </div>
 
+          <TimerAlerts settings={alertSettings} onChange={updateAlertSettings} />
+
           <div style={styles.divider} />
 
           <div style={styles.cardTitleSmall}>Study Tracking</div>
@@ -559,6 +1963,20 @@ export default function App() {
               <div style={styles.statValue}>{minutesToHhMm(weeklyStudyTotal)}</div>
             </div>
           </div>
+          <button
+            onClick={() => setView("report")}
+            style={{ ...styles.ghostBtn, marginBottom: 10 }}
+          >
+            Open weekly report
+          </button>
+
+          <StudyHall
+            sessions={sessions}
+            date={selectedDate}
+            settings={studyHallConfig}
+            onChange={updateStudyHallSettings}
+            onOpenReport={() => setView("studyHall")}
+          />
 
           <div style={styles.list}>
             {Object.keys(todayStudyByCourse).length === 0 ? (
@@ -571,7 +1989,7 @@ export default function App() {
                     <div style={styles.listLeft}>
                       <div style={styles.badge}>Course</div>
                       <div>
-                        <div style={styles.itemTitle}>{course}</div>
+                        <div style={styles.itemTitle}>{courseLabel(courses, course)}</div>
                         <div style={styles.itemSub}>{minutesToHhMm(Number(mins) || 0)}</div>
                       </div>
                     </div>
@@ -579,6 +1997,55 @@ export default function App() {
                 ))
             )}
           </div>
+
+          <div style={styles.divider} />
+
+          <SessionLog
+            date={selectedDate}
+            sessions={daySessions}
+            courses={courses}
+            term={settings.currentTerm}
+            assignments={assignments}
+            onSave={saveSession}
+            onDelete={deleteSession}
+          />
+
+          <PlanVsActual
+            title="This week: planned vs. focused"
+            rows={weekPlanRows}
+            courses={courses}
+          />
+
+          {termCourses.some((c) => Number(settings.studyTargets[c.id]) > 0) && (
+            <>
+              <div style={{ ...styles.cardTitleSmall, marginTop: 12 }}>Weekly targets</div>
+              <div style={styles.list}>
+                {termCourses
+                  .filter((c) => Number(settings.studyTargets[c.id]) > 0)
+                  .map((c) => {
+                    const target = Number(settings.studyTargets[c.id]) * 60;
+                    const done = weekStudyByCourse[c.id] || 0;
+                    const planned = weekPlannedByCourse[c.id] || 0;
+                    return (
+                      <div key={c.id}>
+                        <div style={styles.itemSub}>
+                          <b>{c.code}</b> • {minutesToHhMm(done)} of {minutesToHhMm(target)}
+                          {planned ? ` • ${minutesToHhMm(planned)} planned` : ""}
+                        </div>
+                        <div style={styles.progressTrack}>
+                          <div
+                            style={{
+                              ...styles.progressFill,
+                              width: `${Math.min(100, Math.round((done / target) * 100))}%`,
+                            }}
+                          />
+                        </div>
+                      </div>
+                    );
+                  })}
+              </div>
+            </>
+          )}
         </div>
 
         {/* RIGHT BOTTOM: Wellness + Courses */}
@@ -586,62 +2053,43 @@ export default function App() {
           <div style={styles.cardTitle}>Wellness Check-In</div>
           <div style={styles.cardMeta}>Quick athlete metrics for the day</div>
 
-          <div style={styles.row}>
-            <div style={{ flex: 1 }}>
-              <label style={styles.labelSmall}>Sleep (hours)</label>
-              <input
-                type="number"
-                min={0}
-                step="0.5"
-                value={currentWellness.sleepHours}
-                onChange={(e) =>
-                  saveWellness({ ...currentWellness, sleepHours: Number(e.target.value) })
-                }
-                style={styles.input}
-              />
-            </div>
-            <div style={{ flex: 1 }}>
-              <label style={styles.labelSmall}>Soreness (1–10)</label>
-              <input
-                type="number"
-                min={1}
-                max={10}
-                value={currentWellness.soreness}
-                onChange={(e) =>
-                  saveWellness({ ...currentWellness, soreness: Number(e.target.value) })
-                }
-                style={styles.input}
-              />
-            </div>
-          </div>
+          <Readiness
+            wellness={wellness}
+            date={selectedDate}
+            matchDates={matchDates}
+            settings={readinessConfig}
+            onChange={updateReadinessSettings}
+          />
+
+          <SleepCheckIn
+            entry={currentWellness}
+            wellness={wellness}
+            date={selectedDate}
+            settings={sleepConfig}
+            onChange={saveWellness}
+            onSettingsChange={updateSleepSettings}
+          />
 
           <div style={styles.row}>
-            <div style={{ flex: 1 }}>
-              <label style={styles.labelSmall}>Stress (1–10)</label>
-              <input
-                type="number"
-                min={1}
-                max={10}
-                value={currentWellness.stress}
-                onChange={(e) =>
-                  saveWellness({ ...currentWellness, stress: Number(e.target.value) })
-                }
-                style={styles.input}
-              />
-            </div>
-            <div style={{ flex: 1 }}>
-              <label style={styles.labelSmall}>Energy (1–10)</label>
-              <input
-                type="number"
-                min={1}
-                max={10}
-                value={currentWellness.energy}
-                onChange={(e) =>
-                  saveWellness({ ...currentWellness, energy: Number(e.target.value) })
-                }
-                style={styles.input}
-              />
-            </div>
+            {[
+              ["soreness", "Soreness (1–10)"],
+              ["stress", "Stress (1–10)"],
+              ["energy", "Energy (1–10)"],
+            ].map(([key, label]) => (
+              <div key={key} style={{ flex: 1 }}>
+                <label style={styles.labelSmall}>{label}</label>
+                <input
+                  type="number"
+                  min={1}
+                  max={10}
+                  value={currentWellness[key]}
+                  onChange={(e) =>
+                    saveWellness({ ...currentWellness, [key]: Number(e.target.value) })
+                  }
+                  style={styles.input}
+                />
+              </div>
+            ))}
           </div>
 
           <textarea
@@ -653,217 +2101,117 @@ export default function App() {
 
           <div style={styles.divider} />
 
-          <div style={styles.cardTitleSmall}>Courses</div>
-          <div style={styles.row}>
-            <input
-              placeholder="Add course (e.g., COM 215)"
-              value={newCourse}
-              onChange={(e) => setNewCourse(e.target.value)}
-              style={styles.inputWide}
-            />
-            <button onClick={addCourse} style={styles.primaryBtn}>
-              Add
-            </button>
-          </div>
+          <TrainingLoad
+            events={loadEvents}
+            date={selectedDate}
+            wellness={wellness}
+            trainingTypes={trainingTypes}
+          />
 
-          <div style={styles.list}>
-            {courses.length === 0 ? (
-              <div style={styles.empty}>Add at least one course to track study sessions.</div>
-            ) : (
-              courses.map((c) => (
-                <div key={c} style={styles.listItem}>
-                  <div style={styles.listLeft}>
-                    <div style={styles.badge}>Course</div>
-                    <div style={styles.itemTitle}>{c}</div>
-                  </div>
-                  <button onClick={() => removeCourse(c)} style={styles.dangerBtn}>
-                    Remove
-                  </button>
-                </div>
-              ))
-            )}
-          </div>
+          <div style={styles.divider} />
+
+          <Courses
+            courses={courses}
+            term={settings.currentTerm}
+            onSave={saveCourse}
+            onTermChange={(currentTerm) => setSettings((prev) => ({ ...prev, currentTerm }))}
+          />
 
           <div style={styles.tip}>
-            Next easy upgrade: streaks, push reminders, and exporting weekly reports.
+            Next easy upgrade: streaks. Weekly reports for advisors are under Report at the top.
           </div>
         </div>
+
+        <Assignments
+          repo={repo}
+          assignments={assignments}
+          courses={courses}
+          term={settings.currentTerm}
+          events={events}
+          loggedMin={loggedByAssignment}
+          now={now}
+          wakeTime={settings.wakeTime}
+          sleepTime={settings.sleepTime}
+          planOptions={settings.studyPlan}
+          onSave={saveAssignment}
+          onDelete={deleteAssignment}
+          onPlan={addPlannedStudy}
+        />
+
+        <StudyPlanner
+          courses={termCourses}
+          targets={settings.studyTargets}
+          options={settings.studyPlan}
+          weekStart={weekStart}
+          weekEvents={weekEvents}
+          doneByCourse={weekStudyByCourse}
+          wakeTime={settings.wakeTime}
+          sleepTime={settings.sleepTime}
+          onTargetsChange={(studyTargets) => setSettings((prev) => ({ ...prev, studyTargets }))}
+          onOptionsChange={(studyPlan) => setSettings((prev) => ({ ...prev, studyPlan }))}
+          onAccept={addPlannedStudy}
+        />
+
+        <Reminders
+          settings={reminderConfig}
+          onChange={updateReminderSettings}
+          queue={reminderQueue}
+          state={reminderStateAll}
+          now={now}
+          hasStudyTargets={termCourses.some((c) => Number(settings.studyTargets[c.id]) > 0)}
+          onSnooze={snoozeReminder}
+          onDismiss={dismissReminder}
+        />
+
+        <EventTypes
+          types={eventTypes}
+          usage={eventTypeUsage}
+          onSave={saveEventType}
+          onDelete={deleteEventType}
+        />
+
+        <DayTemplates
+          templates={dayTemplates}
+          types={eventTypes}
+          onSave={saveDayTemplate}
+          onDelete={deleteDayTemplate}
+        />
+
+        <CalendarSync
+          events={events}
+          types={eventTypes}
+          typeMap={settings.icsTypeMap}
+          weekStart={weekStart}
+          onImport={applyCalendarImport}
+        />
+
+        <BackupRestore
+          data={{
+            events,
+            courses,
+            eventTypes,
+            wellness,
+            studySessions: sessions,
+            assignments,
+            dayTemplates,
+            settings,
+          }}
+          onRestore={restoreData}
+        />
       </div>
 
+      <UndoToast
+        last={history.last}
+        canUndo={Boolean(undoLabel)}
+        canRedo={Boolean(redoLabel)}
+        onUndo={undo}
+        onRedo={redo}
+      />
+
       <div style={styles.footer}>
-        Data saves locally on your device (no account). If you clear browser storage, it resets.
+        Data saves locally on your device (no account). If you clear browser storage, it resets —
+        download a backup to keep a copy.
       </div>
     </div>
   );
 }
-
-const styles = {
-  page: {
-    fontFamily:
-      'ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, "Helvetica Neue", Arial',
-    padding: 18,
-    maxWidth: 1100,
-    margin: "0 auto",
-    color: "#111",
-  },
-  header: {
-    display: "flex",
-    gap: 16,
-    alignItems: "flex-end",
-    justifyContent: "space-between",
-    marginBottom: 16,
-    flexWrap: "wrap",
-  },
-  h1: { fontSize: 28, fontWeight: 800, letterSpacing: -0.5 },
-  sub: { fontSize: 13, opacity: 0.75, marginTop: 4 },
-  dateWrap: { display: "flex", gap: 8, alignItems: "center" },
-  grid: {
-    display: "grid",
-    gridTemplateColumns: "1.2fr 1fr",
-    gap: 14,
-  },
-  card: {
-    border: "1px solid #e6e6e6",
-    borderRadius: 16,
-    padding: 14,
-    boxShadow: "0 6px 18px rgba(0,0,0,0.05)",
-    background: "white",
-  },
-  cardTitle: { fontSize: 18, fontWeight: 800 },
-  cardTitleSmall: { fontSize: 15, fontWeight: 800, marginBottom: 8 },
-  cardMeta: { fontSize: 12, opacity: 0.7, marginTop: 4, marginBottom: 10 },
-  rowWrap: { display: "flex", flexDirection: "column", gap: 8 },
-  row: { display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" },
-  label: { fontSize: 12, fontWeight: 700, opacity: 0.7 },
-  labelSmall: { fontSize: 11, fontWeight: 700, opacity: 0.7, display: "block" },
-  input: {
-    border: "1px solid #ddd",
-    borderRadius: 10,
-    padding: "9px 10px",
-    fontSize: 14,
-    outline: "none",
-    width: "100%",
-    minWidth: 140,
-  },
-  inputWide: {
-    border: "1px solid #ddd",
-    borderRadius: 10,
-    padding: "9px 10px",
-    fontSize: 14,
-    outline: "none",
-    flex: 1,
-    minWidth: 220,
-  },
-  select: {
-    border: "1px solid #ddd",
-    borderRadius: 10,
-    padding: "9px 10px",
-    fontSize: 14,
-    outline: "none",
-    minWidth: 160,
-  },
-  textarea: {
-    border: "1px solid #ddd",
-    borderRadius: 12,
-    padding: 10,
-    fontSize: 14,
-    outline: "none",
-    width: "100%",
-    minHeight: 70,
-    resize: "vertical",
-  },
-  primaryBtn: {
-    border: "1px solid #111",
-    background: "#111",
-    color: "white",
-    borderRadius: 12,
-    padding: "10px 12px",
-    fontWeight: 800,
-    cursor: "pointer",
-    minWidth: 90,
-  },
-  secondaryBtn: {
-    border: "1px solid #111",
-    background: "white",
-    color: "#111",
-    borderRadius: 12,
-    padding: "10px 12px",
-    fontWeight: 800,
-    cursor: "pointer",
-    minWidth: 90,
-  },
-  ghostBtn: {
-    border: "1px solid #ddd",
-    background: "white",
-    color: "#111",
-    borderRadius: 12,
-    padding: "10px 12px",
-    fontWeight: 800,
-    cursor: "pointer",
-  },
-  dangerBtn: {
-    border: "1px solid #ffcccc",
-    background: "#fff5f5",
-    color: "#b00020",
-    borderRadius: 12,
-    padding: "8px 10px",
-    fontWeight: 800,
-    cursor: "pointer",
-  },
-  divider: { height: 1, background: "#eee", margin: "12px 0" },
-  list: { display: "flex", flexDirection: "column", gap: 8 },
-  listItem: {
-    display: "flex",
-    justifyContent: "space-between",
-    alignItems: "center",
-    gap: 10,
-    border: "1px solid #eee",
-    borderRadius: 14,
-    padding: "10px 10px",
-    background: "#fff",
-  },
-  listLeft: { display: "flex", gap: 10, alignItems: "center" },
-  badge: {
-    fontSize: 11,
-    fontWeight: 900,
-    padding: "6px 8px",
-    borderRadius: 999,
-    background: "#f3f3f3",
-    border: "1px solid #e7e7e7",
-    whiteSpace: "nowrap",
-  },
-  itemTitle: { fontSize: 14, fontWeight: 900 },
-  itemSub: { fontSize: 12, opacity: 0.7, marginTop: 2 },
-  empty: { fontSize: 13, opacity: 0.7, padding: "10px 2px" },
-  timerBox: {
-    border: "1px solid #eee",
-    borderRadius: 16,
-    padding: 14,
-    background: "#fafafa",
-  },
-  timerPhase: { fontSize: 12, fontWeight: 900, opacity: 0.7 },
-  timerTime: { fontSize: 44, fontWeight: 900, letterSpacing: -1, margin: "6px 0" },
-  tip: { fontSize: 12, opacity: 0.7, marginTop: 10 },
-  quickBar: { display: "flex", flexWrap: "wrap", gap: 8 },
-  chip: {
-    border: "1px solid #e3e3e3",
-    background: "white",
-    borderRadius: 999,
-    padding: "8px 10px",
-    fontWeight: 800,
-    fontSize: 12,
-    cursor: "pointer",
-  },
-  studyStats: { display: "flex", gap: 10, marginBottom: 10, flexWrap: "wrap" },
-  stat: {
-    flex: 1,
-    minWidth: 140,
-    border: "1px solid #eee",
-    borderRadius: 14,
-    padding: 10,
-    background: "#fff",
-  },
-  statLabel: { fontSize: 12, opacity: 0.7, fontWeight: 800 },
-  statValue: { fontSize: 18, fontWeight: 900, marginTop: 4 },
-  footer: { fontSize: 12, opacity: 0.65, marginTop: 14 },
-};
\ No newline at end of file
@@ -0,0 +1,333 @@
+import React, { useMemo, useState } from "react";
+import {
+  ASSIGNMENT_KINDS,
+  ASSIGNMENT_STATUS,
+  assignmentConflicts,
+  dueCountdown,
+  newAssignment,
+  sortAssignments,
+} from "./assignments.js";
+import { courseLabel, courseOptions } from "./courses.js";
+import { minutesToHhMm, todayISO } from "./dates.js";
+import { styles } from "./styles.js";
+import { planAssignmentStudy } from "./studyPlanner.js";
+
+function emptyForm(courses, term) {
+  return {
+    id: null,
+    course: courseOptions(courses, term)[0]?.id || "General",
+    kind: "Assignment",
+    title: "",
+    dueDate: todayISO(),
+    dueTime: "",
+    weight: "",
+    estHours: "",
+    notes: "",
+  };
+}
+
+/**
+ * Assignments, quizzes and exams per course: add/edit, status, time logged
+ * against each, and "Plan study" to turn the remaining estimate into Study
+ * events before the due date.
+ * loggedMin: { assignmentId: minutes } from study sessions
+ */
+export default function Assignments({
+  repo,
+  assignments,
+  courses,
+  term,
+  events,
+  loggedMin,
+  now,
+  wakeTime,
+  sleepTime,
+  planOptions,
+  onSave,
+  onDelete,
+  onPlan,
+}) {
+  const [form, setForm] = useState(null); // emptyForm shape while adding/editing
+  const [showDone, setShowDone] = useState(false);
+  const [planning, setPlanning] = useState(null); // { id, proposals, shortfall } | { id, message }
+
+  const list = useMemo(
+    () => sortAssignments(assignments).filter((a) => showDone || a.status !== "done"),
+    [assignments, showDone]
+  );
+  const openCount = assignments.filter((a) => a.status !== "done").length;
+  const options = form ? courseOptions(courses, term, form.course) : [];
+
+  function startEdit(a) {
+    setForm({ ...a, weight: a.weight || "", estHours: a.estHours || "" });
+  }
+
+  function save() {
+    if (!form.title.trim() || !form.dueDate) return;
+    const { id, ...rest } = form;
+    const fields = {
+      ...rest,
+      title: form.title.trim(),
+      weight: Number(form.weight) || 0,
+      estHours: Number(form.estHours) || 0,
+    };
+    const existing = assignments.find((a) => a.id === id);
+    onSave(existing ? { ...existing, ...fields } : newAssignment(fields));
+    setForm(null);
+  }
+
+  async function planStudy(a) {
+    const from = todayISO();
+    if (a.dueDate < from) {
+      setPlanning({ id: a.id, message: "The due date has passed." });
+      return;
+    }
+    try {
+      const rangeEvents = await repo.eventsInRange(from, a.dueDate);
+      const planned = rangeEvents
+        .filter((e) => e.type === "Study" && e.assignmentId === a.id)
+        .reduce((sum, e) => sum + (Number(e.durationMin) || 0), 0);
+      const needMin = (Number(a.estHours) || 0) * 60 - (loggedMin[a.id] || 0) - planned;
+      if (needMin <= 0) {
+        setPlanning({
+          id: a.id,
+          message: a.estHours
+            ? "Logged and planned time already cover the estimate."
+            : "Set estimated hours first.",
+        });
+        return;
+      }
+      const result = planAssignmentStudy({
+        assignment: a,
+        rangeEvents,
+        needMin,
+        fromDate: from,
+        now: new Date(),
+        wakeTime,
+        sleepTime,
+        options: planOptions,
+      });
+      setPlanning({ id: a.id, ...result });
+    } catch (err) {
+      console.error(err);
+      setPlanning({ id: a.id, message: "Couldn't read your schedule to plan around it." });
+    }
+  }
+
+  function acceptPlan() {
+    onPlan(planning.proposals);
+    setPlanning(null);
+  }
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.cardTitle}>Assignments & Exams</div>
+      <div style={styles.cardMeta}>
+        {openCount} open • due dates, weights and time estimates per course
+      </div>
+
+      {form ? (
+        <div style={{ ...styles.scopeBox, marginBottom: 10 }}>
+          <div style={styles.row}>
+            <select
+              value={form.course}
+              onChange={(e) => setForm((f) => ({ ...f, course: e.target.value }))}
+              style={styles.select}
+            >
+              {!options.some((c) => c.id === form.course) && (
+                <option value={form.course}>{form.course}</option>
+              )}
+              {options.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.code}
+                </option>
+              ))}
+            </select>
+            <select
+              value={form.kind}
+              onChange={(e) => setForm((f) => ({ ...f, kind: e.target.value }))}
+              style={styles.select}
+            >
+              {ASSIGNMENT_KINDS.map((k) => (
+                <option key={k} value={k}>
+                  {k}
+                </option>
+              ))}
+            </select>
+            <input
+              placeholder="Title (e.g., Lab report 3)"
+              value={form.title}
+              onChange={(e) => setForm((f) => ({ ...f, title: e.target.value }))}
+              style={styles.inputWide}
+            />
+          </div>
+          <div style={styles.row}>
+            <div>
+              <label style={styles.labelSmall}>Due</label>
+              <input
+                type="date"
+                value={form.dueDate}
+                onChange={(e) => setForm((f) => ({ ...f, dueDate: e.target.value }))}
+                style={styles.input}
+              />
+            </div>
+            <div>
+              <label style={styles.labelSmall}>Time (optional)</label>
+              <input
+                type="time"
+                value={form.dueTime}
+                onChange={(e) => setForm((f) => ({ ...f, dueTime: e.target.value }))}
+                style={styles.input}
+              />
+            </div>
+            <div style={{ width: 80 }}>
+              <label style={styles.labelSmall}>Weight %</label>
+              <input
+                type="number"
+                min={0}
+                max={100}
+                value={form.weight}
+                onChange={(e) => setForm((f) => ({ ...f, weight: e.target.value }))}
+                style={styles.input}
+              />
+            </div>
+            <div style={{ width: 80 }}>
+              <label style={styles.labelSmall}>Est. hours</label>
+              <input
+                type="number"
+                min={0}
+                step="0.5"
+                value={form.estHours}
+                onChange={(e) => setForm((f) => ({ ...f, estHours: e.target.value }))}
+                style={styles.input}
+              />
+            </div>
+          </div>
+          <div style={styles.row}>
+            <button onClick={save} style={styles.primaryBtn} disabled={!form.title.trim()}>
+              {form.id ? "Save" : "Add"}
+            </button>
+            <button onClick={() => setForm(null)} style={styles.ghostBtn}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div style={{ ...styles.row, marginBottom: 10 }}>
+          <button onClick={() => setForm(emptyForm(courses, term))} style={styles.secondaryBtn}>
+            + Add assignment, quiz or exam
+          </button>
+          <label style={{ ...styles.itemSub, display: "flex", gap: 6, alignItems: "center" }}>
+            <input
+              type="checkbox"
+              checked={showDone}
+              onChange={(e) => setShowDone(e.target.checked)}
+            />
+            Show done
+          </label>
+        </div>
+      )}
+
+      <div style={styles.list}>
+        {list.length === 0 ? (
+          <div style={styles.empty}>Nothing due. Add upcoming assignments and exams.</div>
+        ) : (
+          list.map((a) => {
+            const logged = loggedMin[a.id] || 0;
+            const conflicts = assignmentConflicts(a, events);
+            const estimate = a.estHours ? ` of ${minutesToHhMm(a.estHours * 60)}` : "";
+            return (
+              <div key={a.id}>
+                <div style={styles.listItem}>
+                  <div style={styles.listLeft}>
+                    <div style={styles.badge}>{a.kind}</div>
+                    <div>
+                      <div
+                        style={{
+                          ...styles.itemTitle,
+                          textDecoration: a.status === "done" ? "line-through" : "none",
+                        }}
+                      >
+                        {courseLabel(courses, a.course)} • {a.title}
+                      </div>
+                      <div style={styles.itemSub}>
+                        Due {a.dueDate}
+                        {a.dueTime ? ` ${a.dueTime}` : ""}
+                        {a.status !== "done" ? ` (${dueCountdown(a, now)})` : ""}
+                        {a.weight ? ` • ${a.weight}%` : ""}
+                        {a.estHours || logged
+                          ? ` • ${minutesToHhMm(logged)}${estimate} logged`
+                          : ""}
+                      </div>
+                    </div>
+                  </div>
+                  <div style={styles.row}>
+                    <select
+                      value={a.status}
+                      onChange={(e) => onSave({ ...a, status: e.target.value })}
+                      style={styles.select}
+                    >
+                      {Object.entries(ASSIGNMENT_STATUS).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                    <button onClick={() => startEdit(a)} style={styles.ghostBtn}>
+                      Edit
+                    </button>
+                    <button onClick={() => onDelete(a)} style={styles.dangerBtn}>
+                      Delete
+                    </button>
+                    {a.status !== "done" && (
+                      <button onClick={() => planStudy(a)} style={styles.secondaryBtn}>
+                        Plan study
+                      </button>
+                    )}
+                  </div>
+                </div>
+                {conflicts.map((c) => (
+                  <div key={c} style={{ ...styles.warning, marginTop: 4 }}>
+                    ⚠ Exam on a {c.charAt(0).toLowerCase() + c.slice(1)}. Ask about a make-up date
+                    early.
+                  </div>
+                ))}
+                {planning?.id === a.id && (
+                  <div style={{ ...styles.scopeBox, marginTop: 6 }}>
+                    {planning.message ? (
+                      <div style={styles.itemSub}>{planning.message}</div>
+                    ) : (
+                      <>
+                        {planning.proposals.map((p) => (
+                          <div key={p.id} style={styles.itemSub}>
+                            {p.date} • {p.startTime} • {minutesToHhMm(p.durationMin)}
+                          </div>
+                        ))}
+                        {planning.shortfall > 0 && (
+                          <div style={styles.warning}>
+                            {minutesToHhMm(planning.shortfall)} didn't fit before the due date.
+                          </div>
+                        )}
+                      </>
+                    )}
+                    <div style={styles.row}>
+                      {planning.proposals?.length > 0 && (
+                        <button onClick={acceptPlan} style={styles.primaryBtn}>
+                          Add {planning.proposals.length} study block
+                          {planning.proposals.length === 1 ? "" : "s"}
+                        </button>
+                      )}
+                      <button onClick={() => setPlanning(null)} style={styles.ghostBtn}>
+                        {planning.proposals ? "Cancel" : "OK"}
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+}
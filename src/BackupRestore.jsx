@@ -0,0 +1,121 @@
+import React, { useMemo, useState } from "react";
+import { COLLECTIONS, buildBackup, diffBackup, mergeData, parseBackup } from "./backup.js";
+import { todayISO } from "./dates.js";
+import { downloadText } from "./files.js";
+import { styles } from "./styles.js";
+
+const LABELS = {
+  events: "Events",
+  courses: "Courses",
+  eventTypes: "Event types",
+  wellness: "Wellness days",
+  studySessions: "Study sessions",
+  assignments: "Assignments & exams",
+  dayTemplates: "Day templates",
+  settings: "Settings",
+};
+
+/**
+ * Backup & Restore card
+ * One-click export of everything to a versioned JSON file, and an import that
+ * previews the changes before merging or replacing.
+ * onRestore(data, mode): data is the backup, already merged in "merge" mode
+ */
+export default function BackupRestore({ data, onRestore }) {
+  const [pending, setPending] = useState(null); // { fileName, data, exportedAt }
+  const [mode, setMode] = useState("merge"); // merge | replace
+  const [error, setError] = useState("");
+
+  const diff = useMemo(() => (pending ? diffBackup(data, pending.data) : null), [data, pending]);
+
+  function exportBackup() {
+    downloadText(
+      `lockin-backup-${todayISO()}.json`,
+      JSON.stringify(buildBackup(data), null, 2),
+      "application/json"
+    );
+  }
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setError("");
+    try {
+      const parsed = parseBackup(await file.text());
+      setPending({ fileName: file.name, ...parsed });
+      setMode("merge");
+    } catch (err) {
+      setPending(null);
+      setError(err.message);
+    }
+  }
+
+  function applyRestore() {
+    if (!pending) return;
+    if (mode === "replace" && !window.confirm("Replace everything on this device with the backup?")) {
+      return;
+    }
+    onRestore(mode === "replace" ? pending.data : mergeData(data, pending.data), mode);
+    setPending(null);
+  }
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.cardTitle}>Backup & Restore</div>
+      <div style={styles.cardMeta}>
+        Save everything (events, courses, event types, wellness, study sessions, assignments,
+        day templates, settings) to one file
+      </div>
+
+      <div style={styles.row}>
+        <button onClick={exportBackup} style={styles.primaryBtn}>
+          Download backup
+        </button>
+        <label style={styles.labelSmall}>Restore from file</label>
+        <input type="file" accept=".json,application/json" onChange={onFile} style={styles.inputWide} />
+      </div>
+      {error && <div style={styles.warning}>{error}</div>}
+
+      {pending && diff && (
+        <div style={{ ...styles.rowWrap, marginTop: 10 }}>
+          <div style={styles.itemSub}>
+            {pending.fileName}
+            {pending.exportedAt ? ` • saved ${new Date(pending.exportedAt).toLocaleString()}` : ""}
+          </div>
+
+          <div style={styles.list}>
+            {COLLECTIONS.map((name) => {
+              const d = diff[name];
+              return (
+                <div key={name} style={styles.listItem}>
+                  <div style={styles.itemTitle}>{LABELS[name]}</div>
+                  <div style={styles.itemSub}>
+                    {d.current} here • {d.incoming} in file • +{d.added} new • {d.changed} changed
+                    {mode === "replace" && d.removed ? ` • ${d.removed} removed` : ""}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          <div style={styles.row}>
+            <select value={mode} onChange={(e) => setMode(e.target.value)} style={styles.select}>
+              <option value="merge">Merge (keep what's here, backup wins conflicts)</option>
+              <option value="replace">Replace everything with the backup</option>
+            </select>
+            <button
+              onClick={applyRestore}
+              style={mode === "replace" ? styles.dangerBtn : styles.primaryBtn}
+            >
+              {mode === "replace" ? "Replace" : "Merge"}
+            </button>
+            <button onClick={() => setPending(null)} style={styles.ghostBtn}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+import React, { useMemo, useState } from "react";
+import { addDaysISO } from "./dates.js";
+import { downloadText } from "./files.js";
+import {
+  eventsToICS,
+  guessEventType,
+  mergeImported,
+  parseICS,
+  planImport,
+  typeMapKey,
+  veventsToEvents,
+} from "./ical.js";
+import { styles } from "./styles.js";
+
+/**
+ * Calendar Sync card
+ * - Import .ics (athletics schedules, registrar feeds) with a title -> type mapping
+ * - Export a date range to .ics for Google/Apple Calendar
+ * types: event type records, for the mapping and the exported categories
+ */
+export default function CalendarSync({ events, types, typeMap, weekStart, onImport }) {
+  const [fileName, setFileName] = useState("");
+  const [vevents, setVevents] = useState(null);
+  const [mapping, setMapping] = useState(typeMap);
+  const [error, setError] = useState("");
+
+  const [exportFrom, setExportFrom] = useState(weekStart);
+  const [exportTo, setExportTo] = useState(addDaysISO(weekStart, 6));
+
+  const preview = useMemo(() => {
+    if (!vevents) return null;
+    const { events: imported, cancelled, warnings } = veventsToEvents(vevents, mapping, types);
+    const plan = planImport(events, imported, cancelled);
+    const count = (status) => plan.filter((p) => p.status === status).length;
+    return {
+      plan,
+      warnings,
+      added: count("new"),
+      updated: count("update"),
+      removed: count("remove"),
+      unchanged: count("unchanged"),
+    };
+  }, [vevents, mapping, events, types]);
+
+  // Distinct titles in the file, for the type mapping table
+  const titles = useMemo(() => {
+    if (!vevents) return [];
+    const byKey = new Map();
+    vevents
+      .filter((v) => !v.recurrenceId)
+      .forEach((v) => {
+        const key = typeMapKey(v.summary);
+        const row = byKey.get(key) || { key, sample: v, count: 0 };
+        row.count += 1;
+        byKey.set(key, row);
+      });
+    return [...byKey.values()].sort((a, b) => a.sample.summary.localeCompare(b.sample.summary));
+  }, [vevents]);
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setError("");
+    try {
+      const parsed = parseICS(await file.text());
+      if (!parsed.length) {
+        setError("No events found in that file.");
+        setVevents(null);
+        return;
+      }
+      setFileName(file.name);
+      setMapping(typeMap);
+      setVevents(parsed);
+    } catch {
+      setError("Couldn't read that file as an iCalendar (.ics) file.");
+      setVevents(null);
+    }
+  }
+
+  function cancelImport() {
+    setVevents(null);
+    setFileName("");
+  }
+
+  function confirmImport() {
+    if (!preview) return;
+    onImport(mergeImported(events, preview.plan), mapping);
+    cancelImport();
+  }
+
+  function exportICS() {
+    if (!exportFrom || !exportTo || exportTo < exportFrom) return;
+    downloadText(
+      `lockin-${exportFrom}-to-${exportTo}.ics`,
+      eventsToICS(events, exportFrom, exportTo, types),
+      "text/calendar"
+    );
+  }
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.cardTitle}>Calendar Sync</div>
+      <div style={styles.cardMeta}>
+        Import team and class schedules (.ics) • export your plan to Google/Apple Calendar
+      </div>
+
+      <div style={styles.cardTitleSmall}>Import</div>
+      <input type="file" accept=".ics,text/calendar" onChange={onFile} style={styles.input} />
+      {error && <div style={styles.warning}>{error}</div>}
+
+      {preview && (
+        <div style={{ ...styles.rowWrap, marginTop: 10 }}>
+          <div style={styles.itemSub}>
+            {fileName}: {preview.added} new • {preview.updated} updated
+            {preview.removed > 0 && ` • ${preview.removed} cancelled`}
+            {` • ${preview.unchanged} unchanged`}
+          </div>
+          {preview.warnings.map((w) => (
+            <div key={w} style={styles.warning}>
+              {w}
+            </div>
+          ))}
+
+          <div style={styles.labelSmall}>Event types</div>
+          <div style={styles.scrollList}>
+            {titles.map(({ key, sample, count }) => (
+              <div key={key} style={styles.row}>
+                <div style={{ flex: 1, minWidth: 160 }}>
+                  <div style={styles.itemTitle}>{sample.summary}</div>
+                  {count > 1 && <div style={styles.itemSub}>{count} entries</div>}
+                </div>
+                <select
+                  value={guessEventType(sample, mapping, types)}
+                  onChange={(e) => setMapping((m) => ({ ...m, [key]: e.target.value }))}
+                  style={styles.select}
+                >
+                  {types.map((t) => (
+                    <option key={t.id} value={t.id}>
+                      {t.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          <div style={styles.row}>
+            <button
+              onClick={confirmImport}
+              disabled={!preview.added && !preview.updated && !preview.removed}
+              style={styles.primaryBtn}
+            >
+              Import {preview.added + preview.updated + preview.removed} change(s)
+            </button>
+            <button onClick={cancelImport} style={styles.ghostBtn}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div style={styles.divider} />
+
+      <div style={styles.cardTitleSmall}>Export</div>
+      <div style={styles.row}>
+        <div style={{ flex: 1 }}>
+          <label style={styles.labelSmall}>From</label>
+          <input
+            type="date"
+            value={exportFrom}
+            onChange={(e) => setExportFrom(e.target.value)}
+            style={styles.input}
+          />
+        </div>
+        <div style={{ flex: 1 }}>
+          <label style={styles.labelSmall}>To</label>
+          <input
+            type="date"
+            value={exportTo}
+            onChange={(e) => setExportTo(e.target.value)}
+            style={styles.input}
+          />
+        </div>
+        <button onClick={exportICS} style={styles.secondaryBtn}>
+          Export .ics
+        </button>
+      </div>
+    </div>
+  );
+}
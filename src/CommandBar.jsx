@@ -0,0 +1,83 @@
+import React, { useMemo, useState } from "react";
+import { courseLabel } from "./courses.js";
+import { minutesToHhMm, todayISO } from "./dates.js";
+import { typeLabel } from "./eventTypes.js";
+import { parseQuickEntry } from "./quickEntry.js";
+import { describeRecurrence } from "./recurrence.js";
+import { eventInterval, fromMinutes } from "./schedule.js";
+import { styles } from "./styles.js";
+
+function shortDate(iso) {
+  return new Date(iso + "T00:00:00").toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+/**
+ * One-line quick entry ("lift tomorrow 6am 60m", "studied BIO 212 45m
+ * yesterday") with a live preview of what Enter will add. Parsing is local
+ * (see quickEntry.js). Entries without a date go on `date`.
+ * onAdd({ events, sessions })
+ */
+export default function CommandBar({ date, types, courses, onAdd }) {
+  const [text, setText] = useState("");
+  const today = todayISO();
+  const parsed = useMemo(
+    () => (text.trim() ? parseQuickEntry(text, { today, date, types, courses }) : null),
+    [text, today, date, types, courses]
+  );
+  const ready = parsed && !parsed.error;
+
+  function confirm() {
+    if (!ready) return;
+    onAdd(parsed);
+    setText("");
+  }
+
+  return (
+    <div style={{ marginBottom: 10 }}>
+      <div style={styles.row}>
+        <input
+          placeholder="Quick add: “lift tomorrow 6am 60m”, “studied BIO 212 45m yesterday”"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") confirm();
+            if (e.key === "Escape") setText("");
+          }}
+          style={styles.inputWide}
+        />
+        <button onClick={confirm} style={styles.primaryBtn} disabled={!ready}>
+          {parsed?.sessions.length ? "Log" : "Add"}
+        </button>
+      </div>
+
+      {parsed && (
+        <div style={{ ...styles.scopeBox, marginTop: 6 }}>
+          {parsed.error && <div style={styles.itemSub}>{parsed.error}</div>}
+          {parsed.events.map((e) => (
+            <div key={e.id} style={styles.itemSub}>
+              <b>{typeLabel(types, e.type)}</b> “{e.title}” • {shortDate(e.date)} {e.startTime}–
+              {fromMinutes(eventInterval(e)[1])} ({minutesToHhMm(e.durationMin)})
+              {e.recurrence ? ` • ↻ ${describeRecurrence(e.recurrence)}` : ""}
+              {e.notes ? ` • ${e.notes}` : ""}
+            </div>
+          ))}
+          {parsed.sessions.map((s) => (
+            <div key={s.id} style={styles.itemSub}>
+              <b>Study log</b> {minutesToHhMm(s.minutes)} of {courseLabel(courses, s.course)} •{" "}
+              {shortDate(s.date)}
+            </div>
+          ))}
+          {parsed.warnings.map((w) => (
+            <div key={w} style={{ ...styles.itemSub, color: "#8a5300" }}>
+              {w}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+import React, { useMemo, useState } from "react";
+import { pairsForDates, planCopies, shiftSources } from "./copyEvents.js";
+import { minutesToHhMm } from "./dates.js";
+import { typeName } from "./eventTypes.js";
+import { styles } from "./styles.js";
+
+// Day-template shifts, in minutes: up to 3 hours either way
+const SHIFT_OPTIONS = [-180, -120, -90, -60, -30, -15, 0, 15, 30, 60, 90, 120, 180];
+
+function shiftLabel(minutes) {
+  if (!minutes) return "No shift";
+  return `${minutes > 0 ? "+" : "−"}${minutesToHhMm(Math.abs(minutes))}`;
+}
+
+const STATUS_LABELS = {
+  new: "Free",
+  conflict: "Overlaps",
+  duplicate: "Already there",
+};
+
+/**
+ * Preview-and-confirm panel for bulk copies.
+ * request: { title, sources, dates?, shiftable?, verb? } to pick target dates
+ * for (day templates can also shift every start time), or { title, pairs }
+ * for a fixed mapping (copy last week). Overlapping copies start unticked
+ * while "skip conflicting slots" is on; copies of something already on that
+ * day can't be added.
+ */
+export default function CopyEvents({ request, events, types, onApply, onCancel }) {
+  const [dates, setDates] = useState(request.dates || []);
+  const [dateInput, setDateInput] = useState("");
+  const [shiftMin, setShiftMin] = useState(0);
+  const [skipConflicts, setSkipConflicts] = useState(true);
+  const [picked, setPicked] = useState({}); // key -> bool, overrides the default
+
+  const shifted = useMemo(
+    () => (request.sources ? shiftSources(request.sources, shiftMin) : null),
+    [request, shiftMin]
+  );
+  const pairs = useMemo(
+    () => request.pairs || pairsForDates(shifted.sources, dates),
+    [request, shifted, dates]
+  );
+  const plan = useMemo(() => planCopies(pairs, events), [pairs, events]);
+
+  const isPicked = (item) =>
+    item.status !== "duplicate" &&
+    (picked[item.key] ?? (item.status === "new" || !skipConflicts));
+  const chosen = plan.filter(isPicked);
+
+  function addDate() {
+    if (!dateInput || dates.includes(dateInput)) return;
+    setDates((prev) => [...prev, dateInput].sort());
+  }
+
+  return (
+    <div style={{ ...styles.scopeBox, marginTop: 10 }}>
+      <div style={styles.cardTitleSmall}>{request.title}</div>
+
+      {!request.pairs && (
+        <>
+          <div style={styles.row}>
+            <input
+              type="date"
+              value={dateInput}
+              onChange={(e) => setDateInput(e.target.value)}
+              style={{ ...styles.input, width: "auto" }}
+            />
+            <button onClick={addDate} style={styles.secondaryBtn}>
+              Add date
+            </button>
+          </div>
+          {request.shiftable && (
+            <div style={styles.row}>
+              <label style={styles.label}>Shift all times</label>
+              <select
+                value={shiftMin}
+                onChange={(e) => {
+                  setShiftMin(Number(e.target.value));
+                  setPicked({});
+                }}
+                style={styles.select}
+              >
+                {SHIFT_OPTIONS.map((m) => (
+                  <option key={m} value={m}>
+                    {shiftLabel(m)}
+                  </option>
+                ))}
+              </select>
+              {shifted.outside > 0 && (
+                <span style={styles.itemSub}>
+                  {shifted.outside} event{shifted.outside === 1 ? "" : "s"} would move off the
+                  day and {shifted.outside === 1 ? "is" : "are"} left out
+                </span>
+              )}
+            </div>
+          )}
+          <div style={styles.quickBar}>
+            {dates.map((d) => (
+              <button
+                key={d}
+                onClick={() => setDates((prev) => prev.filter((x) => x !== d))}
+                style={styles.chipActive}
+                title="Remove"
+              >
+                {d} ×
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+
+      <label style={{ ...styles.itemSub, display: "flex", gap: 6, alignItems: "center" }}>
+        <input
+          type="checkbox"
+          checked={skipConflicts}
+          onChange={(e) => {
+            setSkipConflicts(e.target.checked);
+            setPicked({});
+          }}
+        />
+        Skip conflicting slots
+      </label>
+
+      {plan.length === 0 ? (
+        <div style={styles.empty}>
+          {request.pairs ? "Nothing to copy." : "Pick one or more dates to copy to."}
+        </div>
+      ) : (
+        <div style={styles.scrollList}>
+          {plan.map((item) => (
+            <label key={item.key} style={{ ...styles.listItem, justifyContent: "flex-start" }}>
+              <input
+                type="checkbox"
+                checked={isPicked(item)}
+                disabled={item.status === "duplicate"}
+                onChange={(e) => setPicked((prev) => ({ ...prev, [item.key]: e.target.checked }))}
+              />
+              <div>
+                <div style={styles.itemTitle}>
+                  {item.event.date} • {item.event.startTime} {item.event.title}
+                </div>
+                <div style={styles.itemSub}>
+                  {typeName(types, item.event.type)} •{" "}
+                  {minutesToHhMm(Number(item.event.durationMin) || 0)} •{" "}
+                  {STATUS_LABELS[item.status]}
+                  {item.conflicts.length ? ` ${item.conflicts.map((c) => c.title).join(", ")}` : ""}
+                </div>
+              </div>
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div style={styles.row}>
+        <button
+          onClick={() => onApply(chosen.map((item) => item.event))}
+          style={styles.primaryBtn}
+          disabled={chosen.length === 0}
+        >
+          {request.verb || "Copy"} {chosen.length} event{chosen.length === 1 ? "" : "s"}
+        </button>
+        <button onClick={onCancel} style={styles.ghostBtn}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
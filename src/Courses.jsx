@@ -0,0 +1,259 @@
+import React, { useState } from "react";
+import { activeCourses, courseTerms, newCourse } from "./courses.js";
+import { styles } from "./styles.js";
+
+const ALL_TERMS = "";
+
+function CourseForm({ form, setForm, terms, onSave, onCancel }) {
+  const set = (key) => (e) => setForm((f) => ({ ...f, [key]: e.target.value }));
+  return (
+    <div style={{ ...styles.scopeBox, marginBottom: 8 }}>
+      <div style={styles.row}>
+        <input
+          placeholder="Code (e.g., BIO 212)"
+          value={form.code}
+          onChange={set("code")}
+          style={{ ...styles.input, width: 120, minWidth: 120 }}
+        />
+        <input
+          placeholder="Title (e.g., Genetics)"
+          value={form.title}
+          onChange={set("title")}
+          style={styles.inputWide}
+        />
+      </div>
+      <div style={styles.row}>
+        <input
+          placeholder="Instructor"
+          value={form.instructor}
+          onChange={set("instructor")}
+          style={styles.inputWide}
+        />
+        <div style={{ width: 70 }}>
+          <label style={styles.labelSmall}>Credits</label>
+          <input
+            type="number"
+            min={0}
+            step="0.5"
+            value={form.credits}
+            onChange={set("credits")}
+            style={styles.input}
+          />
+        </div>
+        <div>
+          <label style={styles.labelSmall}>Color</label>
+          <input type="color" value={form.color} onChange={set("color")} />
+        </div>
+        <div>
+          <label style={styles.labelSmall}>Term</label>
+          <input
+            list="course-terms"
+            placeholder="e.g., Fall 2026"
+            value={form.term}
+            onChange={set("term")}
+            style={{ ...styles.input, width: 130, minWidth: 130 }}
+          />
+          <datalist id="course-terms">
+            {terms.map((t) => (
+              <option key={t} value={t} />
+            ))}
+          </datalist>
+        </div>
+      </div>
+      <div style={styles.row}>
+        <button onClick={onSave} style={styles.primaryBtn} disabled={!form.code.trim()}>
+          Save
+        </button>
+        <button onClick={onCancel} style={styles.ghostBtn}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function CourseRow({ course, onEdit, onArchive }) {
+  const detail = [
+    course.title,
+    course.instructor,
+    course.credits ? `${course.credits} cr` : "",
+    course.term,
+  ].filter(Boolean);
+  return (
+    <div style={{ ...styles.listItem, opacity: course.archived ? 0.6 : 1 }}>
+      <div style={styles.listLeft}>
+        <div style={{ ...styles.reportSwatch, background: course.color }} />
+        <div>
+          <div style={styles.itemTitle}>{course.code}</div>
+          {detail.length > 0 && <div style={styles.itemSub}>{detail.join(" • ")}</div>}
+        </div>
+      </div>
+      <div style={styles.row}>
+        <button onClick={onEdit} style={styles.ghostBtn}>
+          Edit
+        </button>
+        <button
+          onClick={onArchive}
+          style={course.archived ? styles.secondaryBtn : styles.dangerBtn}
+        >
+          {course.archived ? "Restore" : "Archive"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Courses for the current term: add, edit (renaming keeps all history, since
+ * sessions and events refer to the course id), archive and restore. Switching
+ * the term takes other terms' courses out of the pickers; reports keep them.
+ */
+export default function Courses({ courses, term, onSave, onTermChange }) {
+  const [newCode, setNewCode] = useState("");
+  const [form, setForm] = useState(null); // course being edited
+  const [newTerm, setNewTerm] = useState(null); // text while naming a new term
+  const [showOthers, setShowOthers] = useState(false);
+
+  const terms = courseTerms(courses, term);
+  const active = activeCourses(courses, term);
+  const others = courses.filter((c) => !active.includes(c));
+  const credits = active.reduce((sum, c) => sum + (Number(c.credits) || 0), 0);
+
+  function addCourse() {
+    const code = newCode.trim();
+    if (!code) return;
+    setNewCode("");
+    const existing = courses.find(
+      (c) => c.code.toLowerCase() === code.toLowerCase() && (c.term || "") === term
+    );
+    if (existing) {
+      if (existing.archived) onSave({ ...existing, archived: false });
+      return;
+    }
+    onSave(newCourse({ code, term }, courses.length));
+  }
+
+  function saveForm() {
+    onSave({
+      ...form,
+      code: form.code.trim(),
+      title: form.title.trim(),
+      instructor: form.instructor.trim(),
+      credits: Number(form.credits) || 0,
+      term: form.term.trim(),
+    });
+    setForm(null);
+  }
+
+  function startNewTerm() {
+    const name = newTerm.trim();
+    setNewTerm(null);
+    if (name) onTermChange(name);
+  }
+
+  const row = (c) =>
+    form?.id === c.id ? (
+      <CourseForm
+        key={c.id}
+        form={form}
+        setForm={setForm}
+        terms={terms}
+        onSave={saveForm}
+        onCancel={() => setForm(null)}
+      />
+    ) : (
+      <CourseRow
+        key={c.id}
+        course={c}
+        onEdit={() => setForm({ ...c, credits: c.credits || "" })}
+        onArchive={() => onSave({ ...c, archived: !c.archived })}
+      />
+    );
+
+  return (
+    <div>
+      <div style={{ ...styles.row, justifyContent: "space-between" }}>
+        <div style={styles.cardTitleSmall}>Courses</div>
+        <div style={styles.row}>
+          <label style={styles.label}>Term</label>
+          {newTerm == null ? (
+            <select
+              value={term}
+              onChange={(e) =>
+                e.target.value === "+" ? setNewTerm("") : onTermChange(e.target.value)
+              }
+              style={styles.select}
+            >
+              <option value={ALL_TERMS}>All terms</option>
+              {terms.map((t) => (
+                <option key={t} value={t}>
+                  {t}
+                </option>
+              ))}
+              <option value="+">New term…</option>
+            </select>
+          ) : (
+            <>
+              <input
+                autoFocus
+                placeholder="e.g., Spring 2027"
+                value={newTerm}
+                onChange={(e) => setNewTerm(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && startNewTerm()}
+                style={{ ...styles.input, width: 130, minWidth: 130 }}
+              />
+              <button onClick={startNewTerm} style={styles.primaryBtn}>
+                Start
+              </button>
+              <button onClick={() => setNewTerm(null)} style={styles.ghostBtn}>
+                Cancel
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+      {newTerm != null && active.some((c) => !c.term) && (
+        <div style={styles.itemSub}>
+          Courses without a term show in every term. Edit them to file them under one.
+        </div>
+      )}
+      <div style={styles.row}>
+        <input
+          placeholder="Add course (e.g., COM 215)"
+          value={newCode}
+          onChange={(e) => setNewCode(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && addCourse()}
+          style={styles.inputWide}
+        />
+        <button onClick={addCourse} style={styles.primaryBtn}>
+          Add
+        </button>
+      </div>
+
+      <div style={{ ...styles.list, marginTop: 8 }}>
+        {active.length === 0 ? (
+          <div style={styles.empty}>
+            {term
+              ? `No courses in ${term} yet. Add one to track study sessions.`
+              : "Add at least one course to track study sessions."}
+          </div>
+        ) : (
+          active.map(row)
+        )}
+      </div>
+      {credits > 0 && <div style={styles.itemSub}>{credits} credit hours</div>}
+
+      {others.length > 0 && (
+        <>
+          <button
+            onClick={() => setShowOthers((v) => !v)}
+            style={{ ...styles.chip, marginTop: 8 }}
+          >
+            {showOthers ? "Hide" : "Show"} archived and other terms ({others.length})
+          </button>
+          {showOthers && <div style={{ ...styles.list, marginTop: 8 }}>{others.map(row)}</div>}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+import React, { useState } from "react";
+import { sortTemplateEvents, templateEvent } from "./dayTemplates.js";
+import { minutesToHhMm } from "./dates.js";
+import { typeLabel } from "./eventTypes.js";
+import { eventInterval, fromMinutes } from "./schedule.js";
+import { styles } from "./styles.js";
+
+function TemplateEventFields({ evt, types, onChange, onRemove }) {
+  const set = (key) => (e) => onChange({ ...evt, [key]: e.target.value });
+  return (
+    <div style={styles.row}>
+      <input
+        type="time"
+        value={evt.startTime}
+        onChange={set("startTime")}
+        style={{ ...styles.input, width: 110, minWidth: 110 }}
+      />
+      <select value={evt.type} onChange={set("type")} style={styles.select}>
+        {types.map((t) => (
+          <option key={t.id} value={t.id}>
+            {typeLabel(types, t.id)}
+          </option>
+        ))}
+        {!types.some((t) => t.id === evt.type) && <option value={evt.type}>{evt.type}</option>}
+      </select>
+      <input
+        placeholder="Title"
+        value={evt.title}
+        onChange={set("title")}
+        style={styles.inputWide}
+      />
+      <input
+        type="number"
+        min={5}
+        step={5}
+        value={evt.durationMin}
+        onChange={set("durationMin")}
+        style={{ ...styles.input, width: 80, minWidth: 80 }}
+        title="Minutes"
+      />
+      <button onClick={onRemove} style={styles.ghostBtn}>
+        Remove
+      </button>
+    </div>
+  );
+}
+
+function TemplateForm({ form, setForm, types, onSave, onCancel }) {
+  const setEvents = (update) => setForm((f) => ({ ...f, events: update(f.events) }));
+  return (
+    <div style={{ ...styles.scopeBox, marginBottom: 8 }}>
+      <input
+        placeholder="Name (e.g., Game day)"
+        value={form.name}
+        onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+        style={styles.input}
+      />
+      {form.events.map((evt) => (
+        <TemplateEventFields
+          key={evt.id}
+          evt={evt}
+          types={types}
+          onChange={(next) => setEvents((list) => list.map((x) => (x.id === evt.id ? next : x)))}
+          onRemove={() => setEvents((list) => list.filter((x) => x.id !== evt.id))}
+        />
+      ))}
+      <div style={styles.row}>
+        <button
+          onClick={() => setEvents((list) => [...list, templateEvent({})])}
+          style={styles.chip}
+        >
+          + Event
+        </button>
+      </div>
+      <div style={styles.row}>
+        <button onClick={onSave} style={styles.primaryBtn} disabled={!form.name.trim()}>
+          Save
+        </button>
+        <button onClick={onCancel} style={styles.ghostBtn}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function TemplateRow({ template, onEdit, onDelete }) {
+  const { events } = template;
+  const span =
+    events.length > 0
+      ? `${events[0].startTime}–${fromMinutes(Math.max(...events.map((e) => eventInterval(e)[1])))}`
+      : "";
+  return (
+    <div style={styles.listItem}>
+      <div>
+        <div style={styles.itemTitle}>{template.name}</div>
+        <div style={styles.itemSub}>
+          {events.length} event{events.length === 1 ? "" : "s"}
+          {span ? ` • ${span}` : ""}
+        </div>
+        {events.length > 0 && (
+          <div style={styles.itemSub}>
+            {events
+              .map((e) => `${e.startTime} ${e.title} (${minutesToHhMm(Number(e.durationMin))})`)
+              .join(" • ")}
+          </div>
+        )}
+      </div>
+      <div style={styles.row}>
+        <button onClick={onEdit} style={styles.ghostBtn}>
+          Edit
+        </button>
+        <button onClick={onDelete} style={styles.dangerBtn}>
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Day templates card: rename a template, edit the events inside it, or
+ * delete it. Templates are saved and applied from the Daily Schedule.
+ */
+export default function DayTemplates({ templates, types, onSave, onDelete }) {
+  const [form, setForm] = useState(null); // template being edited
+
+  function saveForm() {
+    onSave({
+      ...form,
+      name: form.name.trim(),
+      events: sortTemplateEvents(
+        form.events.map((e) => ({
+          ...e,
+          title: e.title.trim(),
+          durationMin: Math.max(5, Number(e.durationMin) || 0),
+        }))
+      ),
+    });
+    setForm(null);
+  }
+
+  const sorted = [...templates].sort((a, b) => a.name.localeCompare(b.name));
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.cardTitle}>Day templates</div>
+      <div style={styles.cardMeta}>
+        Save a day from the Daily Schedule (“Save day as template…”), then apply it to other dates
+        there
+      </div>
+
+      <div style={styles.list}>
+        {sorted.length === 0 ? (
+          <div style={styles.empty}>
+            No templates yet. Set up a game day or a two-a-day once and save it.
+          </div>
+        ) : (
+          sorted.map((t) =>
+            form?.id === t.id ? (
+              <TemplateForm
+                key={t.id}
+                form={form}
+                setForm={setForm}
+                types={types}
+                onSave={saveForm}
+                onCancel={() => setForm(null)}
+              />
+            ) : (
+              <TemplateRow
+                key={t.id}
+                template={t}
+                onEdit={() => setForm(t)}
+                onDelete={() => onDelete(t)}
+              />
+            )
+          )
+        )}
+      </div>
+    </div>
+  );
+}
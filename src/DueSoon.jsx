@@ -0,0 +1,44 @@
+import React, { useMemo } from "react";
+import { assignmentConflicts, dueCountdown, dueSoon, DUE_SOON_DAYS } from "./assignments.js";
+import { courseLabel } from "./courses.js";
+import { styles } from "./styles.js";
+
+/**
+ * Open assignments and exams due in the next week (and overdue ones), with a
+ * countdown and a warning when an exam lands on a match or travel day.
+ */
+export default function DueSoon({ assignments, courses, events, now }) {
+  const items = useMemo(() => dueSoon(assignments, now), [assignments, now]);
+  if (items.length === 0) return null;
+
+  return (
+    <div style={{ ...styles.scopeBox, marginBottom: 10 }}>
+      <div style={styles.cardTitleSmall}>Due soon</div>
+      <div style={styles.list}>
+        {items.map((a) => {
+          const conflicts = assignmentConflicts(a, events);
+          const overdue = dueCountdown(a, now).endsWith("overdue");
+          return (
+            <div key={a.id}>
+              <div style={styles.itemSub}>
+                <b>{courseLabel(courses, a.course)}</b> {a.kind}: {a.title} •{" "}
+                <span style={{ color: overdue ? "#b3261e" : undefined, fontWeight: 700 }}>
+                  {dueCountdown(a, now)}
+                </span>
+                {a.weight ? ` • ${a.weight}%` : ""}
+              </div>
+              {conflicts.map((c) => (
+                <div key={c} style={styles.warning}>
+                  ⚠ {a.kind} on a {c.charAt(0).toLowerCase() + c.slice(1)}
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+      <div style={styles.tip}>
+        Showing the next {DUE_SOON_DAYS} days. Manage them under Assignments & Exams.
+      </div>
+    </div>
+  );
+}
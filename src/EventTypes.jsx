@@ -0,0 +1,270 @@
+import React, { useState } from "react";
+import { minutesToHhMm } from "./dates.js";
+import { newEventType, newTypeTemplate } from "./eventTypes.js";
+import { ReminderRules } from "./Reminders.jsx";
+import { ruleLabel } from "./reminders.js";
+import { styles } from "./styles.js";
+
+function TemplateFields({ template, onChange, onRemove }) {
+  const set = (key) => (e) => onChange({ ...template, [key]: e.target.value });
+  return (
+    <div style={styles.row}>
+      <input
+        placeholder="Chip label (e.g., Away match)"
+        value={template.name}
+        onChange={set("name")}
+        style={styles.inputWide}
+      />
+      <input
+        placeholder="Event title"
+        value={template.title}
+        onChange={set("title")}
+        style={styles.inputWide}
+      />
+      <input
+        type="number"
+        min={5}
+        step={5}
+        value={template.durationMin}
+        onChange={set("durationMin")}
+        style={{ ...styles.input, width: 80, minWidth: 80 }}
+        title="Minutes"
+      />
+      <input
+        placeholder="Notes (e.g., incl. bus)"
+        value={template.notes}
+        onChange={set("notes")}
+        style={styles.inputWide}
+      />
+      <button onClick={onRemove} style={styles.ghostBtn}>
+        Remove
+      </button>
+    </div>
+  );
+}
+
+function TypeForm({ form, setForm, onSave, onCancel }) {
+  const set = (key) => (e) => setForm((f) => ({ ...f, [key]: e.target.value }));
+  const check = (key) => (e) => setForm((f) => ({ ...f, [key]: e.target.checked }));
+  const setTemplates = (update) => setForm((f) => ({ ...f, templates: update(f.templates) }));
+  return (
+    <div style={{ ...styles.scopeBox, marginBottom: 8 }}>
+      <div style={styles.row}>
+        <input
+          placeholder="Icon"
+          value={form.icon}
+          onChange={set("icon")}
+          style={{ ...styles.input, width: 56, minWidth: 56 }}
+        />
+        <input
+          placeholder="Name (e.g., Travel)"
+          value={form.name}
+          onChange={set("name")}
+          style={styles.inputWide}
+        />
+        <div>
+          <label style={styles.labelSmall}>Color</label>
+          <input type="color" value={form.color} onChange={set("color")} />
+        </div>
+      </div>
+      <div style={styles.row}>
+        <input
+          placeholder="Default title"
+          value={form.defaultTitle}
+          onChange={set("defaultTitle")}
+          style={styles.inputWide}
+        />
+        <div style={{ width: 90 }}>
+          <label style={styles.labelSmall}>Default min</label>
+          <input
+            type="number"
+            min={5}
+            step={5}
+            value={form.defaultDurationMin}
+            onChange={set("defaultDurationMin")}
+            style={styles.input}
+          />
+        </div>
+      </div>
+      <div style={styles.row}>
+        <label style={{ ...styles.itemSub, display: "flex", gap: 6, alignItems: "center" }}>
+          <input type="checkbox" checked={form.trainingLoad} onChange={check("trainingLoad")} />
+          Counts toward training load (RPE)
+        </label>
+        <label style={{ ...styles.itemSub, display: "flex", gap: 6, alignItems: "center" }}>
+          <input type="checkbox" checked={form.academic} onChange={check("academic")} />
+          Counts as academic time
+        </label>
+      </div>
+
+      <div style={styles.labelSmall}>Default reminders</div>
+      <ReminderRules
+        rules={form.reminders || []}
+        onChange={(reminders) => setForm((f) => ({ ...f, reminders }))}
+      />
+
+      <div style={styles.labelSmall}>Quick-add templates</div>
+      {form.templates.map((t) => (
+        <TemplateFields
+          key={t.id}
+          template={t}
+          onChange={(next) => setTemplates((list) => list.map((x) => (x.id === t.id ? next : x)))}
+          onRemove={() => setTemplates((list) => list.filter((x) => x.id !== t.id))}
+        />
+      ))}
+      <div style={styles.row}>
+        <button
+          onClick={() =>
+            setTemplates((list) => [
+              ...list,
+              newTypeTemplate({ title: form.defaultTitle, durationMin: form.defaultDurationMin }),
+            ])
+          }
+          style={styles.chip}
+        >
+          + Template
+        </button>
+      </div>
+
+      <div style={styles.row}>
+        <button onClick={onSave} style={styles.primaryBtn} disabled={!form.name.trim()}>
+          Save
+        </button>
+        <button onClick={onCancel} style={styles.ghostBtn}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function TypeRow({ type, uses, onEdit, onDelete }) {
+  const detail = [
+    `${minutesToHhMm(type.defaultDurationMin)} “${type.defaultTitle || type.name}”`,
+    type.trainingLoad ? "training load" : "",
+    type.academic ? "academic" : "",
+    type.reminders?.length ? `🔔 ${type.reminders.map(ruleLabel).join(", ")}` : "",
+    type.templates.length
+      ? `${type.templates.length} template${type.templates.length === 1 ? "" : "s"}`
+      : "",
+    uses ? `${uses} event${uses === 1 ? "" : "s"}` : "",
+  ].filter(Boolean);
+  return (
+    <div style={styles.listItem}>
+      <div style={styles.listLeft}>
+        <div style={{ ...styles.reportSwatch, background: type.color }} />
+        <div>
+          <div style={styles.itemTitle}>
+            {type.icon} {type.name}
+          </div>
+          <div style={styles.itemSub}>{detail.join(" • ")}</div>
+        </div>
+      </div>
+      <div style={styles.row}>
+        <button onClick={onEdit} style={styles.ghostBtn}>
+          Edit
+        </button>
+        {!type.builtIn && (
+          <button
+            onClick={onDelete}
+            style={styles.dangerBtn}
+            title={uses ? "Its events become Other" : undefined}
+          >
+            Delete
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Event types card: name, icon, color, quick-add defaults and templates,
+ * default reminders, and whether a type counts toward training load or
+ * academic time. Built-in types
+ * can be renamed and restyled but not deleted; deleting a custom type moves
+ * its events to Other.
+ * usage: { typeId: number of events }
+ */
+export default function EventTypes({ types, usage, onSave, onDelete }) {
+  const [newName, setNewName] = useState("");
+  const [form, setForm] = useState(null); // type being edited
+
+  function addType() {
+    const name = newName.trim();
+    if (!name) return;
+    setNewName("");
+    const existing = types.find((t) => t.name.toLowerCase() === name.toLowerCase());
+    if (existing) {
+      setForm(existing);
+      return;
+    }
+    const type = newEventType({ name, defaultTitle: name });
+    onSave(type);
+    setForm(type);
+  }
+
+  function saveForm() {
+    onSave({
+      ...form,
+      name: form.name.trim(),
+      icon: form.icon.trim(),
+      defaultTitle: form.defaultTitle.trim(),
+      defaultDurationMin: Math.max(5, Number(form.defaultDurationMin) || 0),
+      templates: form.templates
+        .map((t) => ({
+          ...t,
+          name: t.name.trim() || t.title.trim(),
+          title: t.title.trim(),
+          durationMin: Math.max(5, Number(t.durationMin) || 0),
+          notes: t.notes.trim(),
+        }))
+        .filter((t) => t.name),
+    });
+    setForm(null);
+  }
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.cardTitle}>Event types</div>
+      <div style={styles.cardMeta}>
+        Colors, quick-add defaults and templates • which types count as training or academics
+      </div>
+
+      <div style={styles.row}>
+        <input
+          placeholder="Add type (e.g., Travel, Treatment, Film)"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && addType()}
+          style={styles.inputWide}
+        />
+        <button onClick={addType} style={styles.primaryBtn}>
+          Add
+        </button>
+      </div>
+
+      <div style={{ ...styles.list, marginTop: 8 }}>
+        {types.map((t) =>
+          form?.id === t.id ? (
+            <TypeForm
+              key={t.id}
+              form={form}
+              setForm={setForm}
+              onSave={saveForm}
+              onCancel={() => setForm(null)}
+            />
+          ) : (
+            <TypeRow
+              key={t.id}
+              type={t}
+              uses={usage[t.id] || 0}
+              onEdit={() => setForm(t)}
+              onDelete={() => onDelete(t)}
+            />
+          )
+        )}
+      </div>
+    </div>
+  );
+}
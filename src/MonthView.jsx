@@ -0,0 +1,84 @@
+import React, { useMemo } from "react";
+import { addDaysISO, minutesToHhMm, startOfMonthISO, startOfWeekISO, todayISO } from "./dates.js";
+import { typeColor, typeName } from "./eventTypes.js";
+import { useEventsInRange } from "./hooks.js";
+import { WEEKDAY_LABELS } from "./recurrence.js";
+import { styles } from "./styles.js";
+
+// Monday-first, like startOfWeekISO
+const HEADINGS = [...WEEKDAY_LABELS.slice(1), WEEKDAY_LABELS[0]];
+
+/**
+ * Month view: per-day event counts, match days highlighted and study minutes.
+ * Clicking a day opens it in the daily schedule.
+ */
+export default function MonthView({
+  repo,
+  events,
+  types,
+  month,
+  selectedDate,
+  studyLog,
+  onPickDay,
+}) {
+  const monthStart = startOfMonthISO(month);
+  const gridStart = startOfWeekISO(new Date(monthStart + "T00:00:00"));
+  const gridEnd = addDaysISO(gridStart, 41);
+  const monthEvents = useEventsInRange(repo, gridStart, gridEnd, events);
+
+  const byDay = useMemo(() => {
+    const out = {};
+    monthEvents.forEach((e) => {
+      const day = out[e.date] || (out[e.date] = { count: 0, match: false });
+      day.count += 1;
+      if (e.type === "Match") day.match = true;
+    });
+    return out;
+  }, [monthEvents]);
+
+  const matchColor = typeColor(types, "Match");
+  const today = todayISO();
+  const days = Array.from({ length: 42 }, (_, i) => addDaysISO(gridStart, i));
+
+  return (
+    <div style={styles.calMonth}>
+      {HEADINGS.map((d) => (
+        <div key={d} style={{ ...styles.calHourLabel, textAlign: "center", fontWeight: 800 }}>
+          {d}
+        </div>
+      ))}
+      {days.map((date) => {
+        const info = byDay[date] || { count: 0, match: false };
+        const study = Object.values(studyLog[date] || {}).reduce((s, v) => s + (Number(v) || 0), 0);
+        const inMonth = date.slice(0, 7) === monthStart.slice(0, 7);
+        return (
+          <button
+            key={date}
+            onClick={() => onPickDay(date)}
+            style={{
+              ...styles.calMonthCell,
+              opacity: inMonth ? 1 : 0.45,
+              background: info.match ? "#fdecec" : "#fff",
+              borderColor:
+                date === selectedDate ? "#111" : info.match ? matchColor : "#eee",
+              boxShadow: date === today ? "inset 0 0 0 2px #2fa37c" : "none",
+            }}
+          >
+            <div style={{ fontWeight: 900, fontSize: 13 }}>{Number(date.slice(8))}</div>
+            {info.count > 0 && (
+              <div>
+                {info.count} event{info.count === 1 ? "" : "s"}
+              </div>
+            )}
+            {info.match && (
+              <div style={{ color: matchColor, fontWeight: 800 }}>{typeName(types, "Match")}</div>
+            )}
+            {study > 0 && (
+              <div style={{ color: typeColor(types, "Study") }}>{minutesToHhMm(study)} study</div>
+            )}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
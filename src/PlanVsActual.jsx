@@ -0,0 +1,37 @@
+import React from "react";
+import { courseLabel } from "./courses.js";
+import { minutesToHhMm } from "./dates.js";
+import { styles } from "./styles.js";
+
+/**
+ * Planned Study minutes vs. minutes actually focused, per course.
+ * rows: [{ course, planned, actual }] (see planVsActual); courses: records for names
+ */
+export default function PlanVsActual({ title, rows, courses }) {
+  if (rows.length === 0) return null;
+  return (
+    <>
+      <div style={{ ...styles.cardTitleSmall, marginTop: 12 }}>{title}</div>
+      <div style={styles.list}>
+        {rows.map(({ course, planned, actual }) => (
+          <div key={course}>
+            <div style={styles.itemSub}>
+              <b>{courseLabel(courses, course)}</b> • {minutesToHhMm(actual)} focused of{" "}
+              {minutesToHhMm(planned)} planned
+              {planned && actual < planned ? ` • ${minutesToHhMm(planned - actual)} short` : ""}
+              {!planned ? " • unplanned" : ""}
+            </div>
+            <div style={styles.progressTrack}>
+              <div
+                style={{
+                  ...styles.progressFill,
+                  width: `${planned ? Math.min(100, Math.round((actual / planned) * 100)) : 100}%`,
+                }}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,140 @@
+import React, { useMemo, useState } from "react";
+import {
+  DEFAULT_READINESS_SETTINGS,
+  readinessFlags,
+  readinessFor,
+  readinessSeries,
+} from "./readiness.js";
+import { TrendLine } from "./ReportCharts.jsx";
+import { styles } from "./styles.js";
+import { WELLNESS_METRICS } from "./weeklyReport.js";
+
+const SPARK_DAYS = 14;
+
+function scoreColor(score) {
+  if (score >= 60) return "#1d7a55";
+  if (score < 40) return "#b3261e";
+  return "#111";
+}
+
+/**
+ * Readiness score, reasons and trend flags for the check-in card, with the
+ * metric weights and sleep threshold tunable.
+ * settings: filled-in readiness settings (see readinessSettings)
+ * matchDates: dates with a Match, for the post-match soreness flag
+ */
+export default function Readiness({ wellness, date, matchDates, settings, onChange }) {
+  const [tuning, setTuning] = useState(false);
+
+  const result = useMemo(() => readinessFor(wellness, date, settings), [wellness, date, settings]);
+  const flags = useMemo(
+    () => readinessFlags(wellness, date, settings, matchDates),
+    [wellness, date, settings, matchDates]
+  );
+  const series = useMemo(
+    () => readinessSeries(wellness, date, SPARK_DAYS, settings),
+    [wellness, date, settings]
+  );
+
+  let pending = "Check in to see readiness for this day.";
+  if (result?.needed > 0) {
+    const plural = result.needed === 1 ? "" : "s";
+    pending = `${result.needed} more check-in${plural} to build your baseline.`;
+  } else if (result) {
+    pending = "All metrics are weighted 0.";
+  }
+
+  function setWeight(key, weight) {
+    onChange({ weights: { ...settings.weights, [key]: weight } });
+  }
+
+  return (
+    <div style={{ ...styles.scopeBox, marginBottom: 10 }}>
+      <div style={{ ...styles.row, justifyContent: "space-between" }}>
+        <div>
+          <div style={styles.statLabel}>Readiness</div>
+          {result?.score != null ? (
+            <div style={{ ...styles.statValue, color: scoreColor(result.score) }}>
+              {result.score}
+              <span style={{ ...styles.itemSub, marginLeft: 6 }}>50 = a usual day for you</span>
+            </div>
+          ) : (
+            <div style={styles.itemSub}>{pending}</div>
+          )}
+        </div>
+        <div title={`Readiness, last ${SPARK_DAYS} days`}>
+          <TrendLine values={series.map((s) => s.score)} max={100} color="#111" width={140} />
+        </div>
+      </div>
+
+      {result?.reasons.length > 0 && (
+        <div style={{ marginTop: 6 }}>
+          {result.reasons.map((r) => (
+            <div key={r.key} style={styles.itemSub}>
+              <span style={{ color: r.good ? "#1d7a55" : "#b3261e" }}>
+                {r.good ? "▲" : "▼"}
+              </span>{" "}
+              {r.text}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {flags.map((f) => (
+        <div key={f.kind} style={{ ...styles.warning, marginTop: 6 }}>
+          {f.text}
+        </div>
+      ))}
+
+      <button onClick={() => setTuning((t) => !t)} style={{ ...styles.chip, marginTop: 8 }}>
+        {tuning ? "Done" : "Tune weights"}
+      </button>
+      {tuning && (
+        <div style={{ marginTop: 8 }}>
+          <div style={styles.row}>
+            {WELLNESS_METRICS.map((m) => (
+              <div key={m.key} style={{ flex: 1, minWidth: 70 }}>
+                <label style={styles.labelSmall}>{m.label}</label>
+                <input
+                  type="number"
+                  min={0}
+                  max={3}
+                  step="0.5"
+                  value={settings.weights[m.key]}
+                  onChange={(e) => setWeight(m.key, Math.max(0, Number(e.target.value) || 0))}
+                  style={styles.input}
+                />
+              </div>
+            ))}
+          </div>
+          <div style={{ ...styles.row, marginTop: 6 }}>
+            <label style={styles.labelSmall}>Low-sleep flag under (hours)</label>
+            <input
+              type="number"
+              min={0}
+              step="0.5"
+              value={settings.sleepThreshold}
+              onChange={(e) => onChange({ sleepThreshold: Number(e.target.value) || 0 })}
+              style={{ ...styles.input, width: 70 }}
+            />
+            <button
+              onClick={() =>
+                onChange({
+                  weights: DEFAULT_READINESS_SETTINGS.weights,
+                  sleepThreshold: DEFAULT_READINESS_SETTINGS.sleepThreshold,
+                })
+              }
+              style={styles.ghostBtn}
+            >
+              Reset
+            </button>
+          </div>
+          <div style={styles.itemSub}>
+            Weights set how much each metric moves the score (0 leaves it out). Scores compare each
+            day with your previous {settings.baselineDays} days of check-ins.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
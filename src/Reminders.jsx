@@ -0,0 +1,233 @@
+import React, { useEffect, useState } from "react";
+import { notificationPermission, requestNotificationPermission } from "./alerts.js";
+import {
+  REMINDER_RULES,
+  SNOOZE_MINUTES,
+  registerBackgroundReminders,
+  reminderDueAt,
+  reminderStatus,
+  unregisterBackgroundReminders,
+  visibleReminders,
+} from "./reminders.js";
+import { styles } from "./styles.js";
+
+const checkLabel = { ...styles.itemSub, display: "flex", gap: 6, alignItems: "center" };
+const timeInput = { ...styles.input, width: 110, minWidth: 110 };
+
+/**
+ * Reminder rule chips for an event or event type. `inherited` (an event's
+ * type rules) adds a "Type default" chip; choosing it stores null.
+ */
+export function ReminderRules({ rules, inherited, onChange }) {
+  const current = rules ?? inherited ?? [];
+  function toggle(key) {
+    const next = current.includes(key) ? current.filter((r) => r !== key) : [...current, key];
+    onChange(REMINDER_RULES.map((r) => r.key).filter((k) => next.includes(k)));
+  }
+  return (
+    <div style={styles.quickBar}>
+      {inherited && (
+        <button
+          onClick={() => onChange(null)}
+          style={rules == null ? styles.chipActive : styles.chip}
+        >
+          Type default
+        </button>
+      )}
+      {REMINDER_RULES.map((r) => (
+        <button
+          key={r.key}
+          onClick={() => toggle(r.key)}
+          style={current.includes(r.key) ? styles.chipActive : styles.chip}
+        >
+          🔔 {r.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function whenLabel(ms) {
+  return new Date(ms).toLocaleString(undefined, {
+    weekday: "short",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
+const STATUS_LABELS = { due: "Due now", shown: "Sent", missed: "Missed" };
+
+const DELIVERY = {
+  blocked: "Notifications are blocked in this browser, so reminders only show in this list.",
+  background:
+    "While Lock-In is closed, the installed app checks for due reminders only when the " +
+    "browser wakes it, which may be hours apart or not at all. A reminder more than an hour " +
+    "late isn't shown; keep Lock-In open for reminders on time.",
+  open:
+    "Delivered while Lock-In is open, even in a background tab. Installed in a Chromium " +
+    "browser, it can also check now and then while closed, but not reliably on time.",
+};
+
+function QueueRow({ item, state, now, onSnooze, onDismiss }) {
+  const status = reminderStatus(item, state, now);
+  const snoozed = status === "pending" && (state?.snoozedUntil || 0) > item.at;
+  const tag = snoozed ? "Snoozed" : STATUS_LABELS[status];
+  return (
+    <div style={status === "due" ? styles.listItemActive : styles.listItem}>
+      <div>
+        <div style={styles.itemTitle}>
+          {whenLabel(reminderDueAt(item, state))} • {item.title}
+        </div>
+        <div style={styles.itemSub}>
+          {item.body}
+          {tag ? ` • ${tag}` : ""}
+        </div>
+      </div>
+      <div style={styles.row}>
+        <button onClick={() => onSnooze(item.id, SNOOZE_MINUTES)} style={styles.ghostBtn}>
+          +{SNOOZE_MINUTES}m
+        </button>
+        <button onClick={() => onSnooze(item.id, 60)} style={styles.ghostBtn}>
+          +1h
+        </button>
+        <button onClick={() => onDismiss(item.id)} style={styles.ghostBtn}>
+          Dismiss
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Reminders card: turn reminders on, set the check-in, night-before and study
+ * nudge times, and see what's queued for the next few days with snooze and
+ * dismiss. Which events remind is set per event type and per event.
+ * state: merged reminder state by id (see reminders.js)
+ */
+export default function Reminders({
+  settings,
+  onChange,
+  queue,
+  state,
+  now,
+  hasStudyTargets,
+  onSnooze,
+  onDismiss,
+}) {
+  const [permission, setPermission] = useState(() => notificationPermission());
+  const [background, setBackground] = useState(false);
+
+  useEffect(() => {
+    if (!settings.enabled) return;
+    let cancelled = false;
+    registerBackgroundReminders().then((on) => {
+      if (!cancelled) setBackground(on);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [settings.enabled]);
+
+  async function toggleEnabled(e) {
+    const enabled = e.target.checked;
+    onChange({ enabled });
+    if (!enabled) {
+      unregisterBackgroundReminders();
+      return;
+    }
+    if (permission === "default") setPermission(await requestNotificationPermission());
+  }
+
+  const set = (key) => (e) => onChange({ [key]: e.target.value });
+  const check = (key) => (e) => onChange({ [key]: e.target.checked });
+  const visible = visibleReminders(queue, state, now);
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.cardTitle}>Reminders</div>
+      <div style={styles.cardMeta}>
+        Events remind on their type's defaults (set under Event types) unless an event sets its
+        own
+      </div>
+
+      <label style={checkLabel}>
+        <input type="checkbox" checked={settings.enabled} onChange={toggleEnabled} />
+        Send reminders
+      </label>
+
+      {settings.enabled && (
+        <>
+          <div style={styles.itemSub}>
+            {permission === "denied" || permission === "unsupported"
+              ? DELIVERY.blocked
+              : DELIVERY[background ? "background" : "open"]}
+          </div>
+          <div style={{ ...styles.row, marginTop: 8 }}>
+            <div>
+              <label style={styles.labelSmall}>Night-before reminders at</label>
+              <input
+                type="time"
+                value={settings.nightBeforeTime}
+                onChange={set("nightBeforeTime")}
+                style={timeInput}
+              />
+            </div>
+            <div>
+              <label style={checkLabel}>
+                <input type="checkbox" checked={settings.checkIn} onChange={check("checkIn")} />
+                Daily check-in
+              </label>
+              <input
+                type="time"
+                value={settings.checkInTime}
+                onChange={set("checkInTime")}
+                disabled={!settings.checkIn}
+                style={timeInput}
+              />
+            </div>
+            <div>
+              <label style={checkLabel}>
+                <input
+                  type="checkbox"
+                  checked={settings.studyNudge}
+                  onChange={check("studyNudge")}
+                />
+                Study nudge when behind
+              </label>
+              <input
+                type="time"
+                value={settings.studyNudgeTime}
+                onChange={set("studyNudgeTime")}
+                disabled={!settings.studyNudge}
+                style={timeInput}
+              />
+            </div>
+          </div>
+          {settings.studyNudge && !hasStudyTargets && (
+            <div style={styles.itemSub}>
+              Set weekly study targets in the Study Planner for the nudge to have something to
+              check.
+            </div>
+          )}
+
+          <div style={{ ...styles.list, marginTop: 10 }}>
+            {visible.length === 0 ? (
+              <div style={styles.empty}>Nothing queued for the next few days.</div>
+            ) : (
+              visible.map((item) => (
+                <QueueRow
+                  key={item.id}
+                  item={item}
+                  state={state[item.id]}
+                  now={now}
+                  onSnooze={onSnooze}
+                  onDismiss={onDismiss}
+                />
+              ))
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
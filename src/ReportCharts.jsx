@@ -0,0 +1,255 @@
+import React from "react";
+import { minutesToHhMm, weekdayOf } from "./dates.js";
+import { WEEKDAY_LABELS } from "./recurrence.js";
+
+/**
+ * Small SVG charts for the weekly report and the wellness card. Plain inline
+ * SVG so the same markup prints and exports as static HTML.
+ */
+
+const AXIS = "#bbb";
+const FONT = { fontSize: 10, fill: "#555" };
+
+/**
+ * Bars per day, stacked by series.
+ * days: [{ date, values: { key: minutes } }]; series: [{ key, label?, color }]
+ */
+export function StackedBars({ days, series, width = 340, height = 150 }) {
+  const pad = { top: 8, right: 6, bottom: 18, left: 34 };
+  const innerW = width - pad.left - pad.right;
+  const innerH = height - pad.top - pad.bottom;
+  const totals = days.map((d) => series.reduce((s, { key }) => s + (d.values[key] || 0), 0));
+  const max = Math.max(60, ...totals);
+  const slot = innerW / days.length;
+  const barW = Math.min(28, slot * 0.6);
+  const y = (mins) => pad.top + innerH - (mins / max) * innerH;
+
+  return (
+    <svg width={width} height={height} role="img" aria-label="Study minutes per day by course">
+      <line x1={pad.left} x2={width - pad.right} y1={y(0)} y2={y(0)} stroke={AXIS} />
+      <text x={pad.left - 4} y={y(max) + 8} textAnchor="end" {...FONT}>
+        {minutesToHhMm(max)}
+      </text>
+      {days.map((d, i) => {
+        const x = pad.left + i * slot + (slot - barW) / 2;
+        let base = 0;
+        return (
+          <g key={d.date}>
+            {series.map(({ key, label, color }) => {
+              const mins = d.values[key] || 0;
+              if (!mins) return null;
+              const top = y(base + mins);
+              const h = y(base) - top;
+              base += mins;
+              return (
+                <rect key={key} x={x} y={top} width={barW} height={h} fill={color}>
+                  <title>{`${label || key}: ${minutesToHhMm(mins)}`}</title>
+                </rect>
+              );
+            })}
+            <text x={x + barW / 2} y={height - 5} textAnchor="middle" {...FONT}>
+              {WEEKDAY_LABELS[weekdayOf(d.date)]}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/**
+ * Horizontal bars comparing this week (solid) to last week (outline).
+ * rows: [{ label, color, current, previous }] in minutes
+ */
+export function CompareBars({ rows, width = 340 }) {
+  const rowH = 20;
+  const labelW = 70;
+  const valueW = 56;
+  const innerW = width - labelW - valueW;
+  const max = Math.max(1, ...rows.flatMap((r) => [r.current, r.previous]));
+  const height = rows.length * rowH + 4;
+
+  return (
+    <svg width={width} height={height} role="img" aria-label="Scheduled time by event type">
+      {rows.map((r, i) => {
+        const top = i * rowH + 4;
+        return (
+          <g key={r.label}>
+            <text x={0} y={top + 11} {...FONT}>
+              {r.label}
+            </text>
+            <rect
+              x={labelW}
+              y={top}
+              width={(r.previous / max) * innerW}
+              height={14}
+              fill="none"
+              stroke={r.color}
+              strokeDasharray="3 2"
+            />
+            <rect
+              x={labelW}
+              y={top + 3}
+              width={(r.current / max) * innerW}
+              height={8}
+              fill={r.color}
+            />
+            <text x={width} y={top + 11} textAnchor="end" {...FONT}>
+              {minutesToHhMm(r.current)}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/**
+ * One metric over a run of days; gaps where a day has no value.
+ * values: [number | null]; max: top of the scale
+ */
+export function TrendLine({ values, max, color, width = 160, height = 48 }) {
+  const pad = 4;
+  const step = values.length > 1 ? (width - pad * 2) / (values.length - 1) : 0;
+  const x = (i) => pad + i * step;
+  const y = (v) => pad + (1 - Math.min(max, Math.max(0, v)) / max) * (height - pad * 2);
+
+  // Split into runs of consecutive logged days
+  const runs = [];
+  values.forEach((v, i) => {
+    if (v == null) return;
+    const run = runs[runs.length - 1];
+    if (run && run[run.length - 1].i === i - 1) run.push({ i, v });
+    else runs.push([{ i, v }]);
+  });
+
+  return (
+    <svg width={width} height={height} role="img">
+      <line x1={pad} x2={width - pad} y1={height - pad} y2={height - pad} stroke={AXIS} />
+      {runs.map((run) => (
+        <polyline
+          key={run[0].i}
+          points={run.map(({ i, v }) => `${x(i)},${y(v)}`).join(" ")}
+          fill="none"
+          stroke={color}
+          strokeWidth={2}
+        />
+      ))}
+      {runs.flat().map(({ i, v }) => (
+        <circle key={i} cx={x(i)} cy={y(v)} r={2.5} fill={color}>
+          <title>{String(v)}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+/**
+ * Daily training load as bars with a 0–10 metric (soreness) drawn over them.
+ * days: [{ date, load, metric: number | null }]
+ */
+export function LoadChart({ days, width = 320, height = 90 }) {
+  const color = "#d9822b";
+  const lineColor = "#d64545";
+  const pad = { top: 6, bottom: 14 };
+  const innerH = height - pad.top - pad.bottom;
+  const max = Math.max(100, ...days.map((d) => d.load));
+  const slot = width / days.length;
+  const barW = Math.max(2, slot * 0.6);
+  const base = pad.top + innerH;
+  const lineY = (v) => base - (Math.min(10, Math.max(0, v)) / 10) * innerH;
+  const points = days
+    .map((d, i) => (d.metric == null ? null : `${i * slot + slot / 2},${lineY(d.metric)}`))
+    .filter(Boolean);
+
+  return (
+    <svg width={width} height={height} role="img" aria-label="Daily training load and soreness">
+      <line x1={0} x2={width} y1={base} y2={base} stroke={AXIS} />
+      {days.map((d, i) => (
+        <rect
+          key={d.date}
+          x={i * slot + (slot - barW) / 2}
+          y={base - (d.load / max) * innerH}
+          width={barW}
+          height={(d.load / max) * innerH}
+          fill={color}
+        >
+          <title>{`${d.date}: load ${d.load}`}</title>
+        </rect>
+      ))}
+      {points.length > 1 && (
+        <polyline points={points.join(" ")} fill="none" stroke={lineColor} strokeWidth={2} />
+      )}
+      {days.map((d, i) =>
+        d.metric == null ? null : (
+          <circle
+            key={d.date}
+            cx={i * slot + slot / 2}
+            cy={lineY(d.metric)}
+            r={2.5}
+            fill={lineColor}
+          />
+        )
+      )}
+      <text x={0} y={height - 2} {...FONT}>
+        {WEEKDAY_LABELS[weekdayOf(days[0].date)]}
+      </text>
+      <text x={width} y={height - 2} textAnchor="end" {...FONT}>
+        {WEEKDAY_LABELS[weekdayOf(days[days.length - 1].date)]}
+      </text>
+    </svg>
+  );
+}
+
+/**
+ * Average sleep per week as bars against a dashed target line.
+ * weeks: [{ weekStart, avgMin: number | null, nights, quality }]; targetMin: minutes
+ */
+export function SleepWeeks({ weeks, targetMin, width = 320, height = 110 }) {
+  const color = "#4a7bd0";
+  const pad = { top: 14, bottom: 14 };
+  const innerH = height - pad.top - pad.bottom;
+  const max = Math.max(targetMin * 1.25, ...weeks.map((w) => w.avgMin || 0));
+  const slot = width / weeks.length;
+  const barW = Math.min(28, slot * 0.6);
+  const base = pad.top + innerH;
+  const y = (mins) => base - (mins / max) * innerH;
+
+  return (
+    <svg width={width} height={height} role="img" aria-label="Average sleep per week">
+      <line x1={0} x2={width} y1={base} y2={base} stroke={AXIS} />
+      <line
+        x1={0}
+        x2={width}
+        y1={y(targetMin)}
+        y2={y(targetMin)}
+        stroke="#2fa37c"
+        strokeDasharray="4 3"
+      />
+      {weeks.map((w, i) => {
+        const x = i * slot + (slot - barW) / 2;
+        const [, m, d] = w.weekStart.split("-").map(Number);
+        return (
+          <g key={w.weekStart}>
+            {w.avgMin != null && (
+              <>
+                <rect x={x} y={y(w.avgMin)} width={barW} height={base - y(w.avgMin)} fill={color}>
+                  <title>
+                    {`Week of ${w.weekStart}: ${minutesToHhMm(w.avgMin)} avg over ${w.nights}` +
+                      ` day(s)${w.quality != null ? `, quality ${w.quality}/5` : ""}`}
+                  </title>
+                </rect>
+                <text x={x + barW / 2} y={y(w.avgMin) - 3} textAnchor="middle" {...FONT}>
+                  {(w.avgMin / 60).toFixed(1)}
+                </text>
+              </>
+            )}
+            <text x={x + barW / 2} y={height - 2} textAnchor="middle" {...FONT}>
+              {`${m}/${d}`}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
@@ -0,0 +1,160 @@
+import React, { useState } from "react";
+import { courseLabel, courseOptions } from "./courses.js";
+import { minutesToHhMm } from "./dates.js";
+import { SESSION_STATUS, clockTime, manualSession } from "./sessions.js";
+import { StudyHallFields } from "./StudyHall.jsx";
+import { styles } from "./styles.js";
+
+const EMPTY_FORM = {
+  id: null,
+  course: "",
+  startTime: "",
+  minutes: 30,
+  status: null,
+  eventId: null,
+  assignmentId: null,
+  studyHall: null,
+};
+
+/**
+ * Study session history for one day: add sessions by hand, fix or delete them.
+ */
+export default function SessionLog({
+  date,
+  sessions,
+  courses,
+  term,
+  assignments = [],
+  onSave,
+  onDelete,
+}) {
+  const [form, setForm] = useState(null); // EMPTY_FORM shape while adding/editing
+
+  function startAdd() {
+    setForm({ ...EMPTY_FORM, course: courseOptions(courses, term)[0]?.id || "General" });
+  }
+
+  function startEdit(s) {
+    setForm({
+      id: s.id,
+      course: s.course,
+      startTime: clockTime(s.start),
+      minutes: s.minutes,
+      status: s.status,
+      eventId: s.eventId,
+      assignmentId: s.assignmentId,
+      studyHall: s.studyHall || null,
+    });
+  }
+
+  function save() {
+    if (!form.course || !(Number(form.minutes) > 0)) return;
+    onSave(manualSession({ ...form, date }));
+    setForm(null);
+  }
+
+  const assignmentTitles = Object.fromEntries(assignments.map((a) => [a.id, a.title]));
+  const options = form ? courseOptions(courses, term, form.course) : [];
+
+  return (
+    <div>
+      <div style={{ ...styles.row, justifyContent: "space-between" }}>
+        <div style={styles.cardTitleSmall}>Sessions</div>
+        {!form && (
+          <button onClick={startAdd} style={styles.chip}>
+            + Add session
+          </button>
+        )}
+      </div>
+
+      {form && (
+        <div style={{ ...styles.scopeBox, marginBottom: 8 }}>
+          <div style={styles.row}>
+            <select
+              value={form.course}
+              onChange={(e) => setForm((f) => ({ ...f, course: e.target.value }))}
+              style={styles.select}
+            >
+              {!options.some((c) => c.id === form.course) && (
+                <option value={form.course}>{form.course}</option>
+              )}
+              {options.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.code}
+                </option>
+              ))}
+            </select>
+            <div style={{ flex: 1 }}>
+              <label style={styles.labelSmall}>Start</label>
+              <input
+                type="time"
+                value={form.startTime}
+                onChange={(e) => setForm((f) => ({ ...f, startTime: e.target.value }))}
+                style={styles.input}
+              />
+            </div>
+            <div style={{ flex: 1 }}>
+              <label style={styles.labelSmall}>Focused (min)</label>
+              <input
+                type="number"
+                min={1}
+                value={form.minutes}
+                onChange={(e) => setForm((f) => ({ ...f, minutes: e.target.value }))}
+                style={styles.input}
+              />
+            </div>
+          </div>
+          <StudyHallFields
+            value={form.studyHall}
+            onChange={(studyHall) => setForm((f) => ({ ...f, studyHall }))}
+          />
+          <div style={styles.row}>
+            <button onClick={save} style={styles.primaryBtn}>
+              {form.id ? "Save" : "Add"}
+            </button>
+            <button onClick={() => setForm(null)} style={styles.ghostBtn}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div style={styles.list}>
+        {sessions.length === 0 ? (
+          <div style={styles.empty}>No sessions on this day.</div>
+        ) : (
+          sessions.map((s) => (
+            <div key={s.id} style={styles.listItem}>
+              <div style={styles.listLeft}>
+                <div style={styles.badge}>{SESSION_STATUS[s.status] || s.status}</div>
+                <div>
+                  <div style={styles.itemTitle}>
+                    {courseLabel(courses, s.course)} • {minutesToHhMm(Number(s.minutes) || 0)}
+                  </div>
+                  <div style={styles.itemSub}>
+                    {s.start != null ? `${clockTime(s.start)}–${clockTime(s.end)}` : "No times recorded"}
+                    {s.eventId ? " • scheduled block" : ""}
+                    {s.assignmentId && assignmentTitles[s.assignmentId]
+                      ? ` • ${assignmentTitles[s.assignmentId]}`
+                      : ""}
+                    {s.studyHall
+                      ? ` • study hall${s.studyHall.location ? ` (${s.studyHall.location})` : ""}`
+                      : ""}
+                  </div>
+                </div>
+              </div>
+              <div style={styles.row}>
+                <button onClick={() => startEdit(s)} style={styles.ghostBtn}>
+                  Edit
+                </button>
+                <button onClick={() => onDelete(s.id)} style={styles.dangerBtn}>
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import React from "react";
+import { minutesToHhMm } from "./dates.js";
+import { typeName } from "./eventTypes.js";
+import { SleepWeeks } from "./ReportCharts.jsx";
+import {
+  SLEEP_QUALITY_LABELS,
+  nightMinutes,
+  sleepDebt,
+  weeklySleep,
+  withSleep,
+} from "./sleep.js";
+import { styles } from "./styles.js";
+
+const CHART_WEEKS = 6;
+
+/**
+ * Tonight's recommended bedtime for the daily view.
+ * plan: recommendedBedtime() for the next day; debtMin: current sleep debt
+ */
+export function BedtimePlan({ plan, targetHours, debtMin, types }) {
+  const { event } = plan;
+  const before = event
+    ? `before ${typeName(types, event.type)} “${event.title}” at ${event.startTime}`
+    : "with nothing scheduled tomorrow";
+  return (
+    <div style={{ ...styles.itemSub, marginBottom: 8 }}>
+      🛏 Bed by <b>{plan.bedtime}</b> for {targetHours}h {before} (up at {plan.wake})
+      {debtMin >= 60 ? ` • ${minutesToHhMm(debtMin)} sleep debt, earlier helps` : ""}
+    </div>
+  );
+}
+
+/**
+ * Sleep part of the wellness check-in: bedtime, wake, quality and naps for
+ * `date`, rolling sleep debt, and average sleep week over week.
+ * entry: the date's check-in; onChange(entry) saves it with sleepHours derived
+ */
+export default function SleepCheckIn({
+  entry,
+  wellness,
+  date,
+  settings,
+  onChange,
+  onSettingsChange,
+}) {
+  const sleep = entry.sleep || {};
+  const set = (key) => (e) => onChange(withSleep(entry, { [key]: e.target.value }));
+  const setNumber = (key) => (e) =>
+    onChange(withSleep(entry, { [key]: e.target.value === "" ? "" : Number(e.target.value) }));
+
+  const night = nightMinutes(sleep);
+  const debt = sleepDebt(wellness, date, settings);
+  const weeks = weeklySleep(wellness, date, CHART_WEEKS);
+  const [lastWeek, thisWeek] = weeks.slice(-2);
+  const hasHistory = weeks.some((w) => w.avgMin != null);
+
+  const slept =
+    night != null
+      ? `Slept ${minutesToHhMm(night)}`
+      : entry.sleepHours != null && entry.sleepHours !== ""
+        ? `Logged ${entry.sleepHours}h (add bedtime and wake for detail)`
+        : "No sleep logged yet";
+
+  return (
+    <div style={{ marginBottom: 8 }}>
+      <div style={styles.row}>
+        <div style={{ flex: 1 }}>
+          <label style={styles.labelSmall}>Bedtime (last night)</label>
+          <input
+            type="time"
+            value={sleep.bedtime || ""}
+            onChange={set("bedtime")}
+            style={styles.input}
+          />
+        </div>
+        <div style={{ flex: 1 }}>
+          <label style={styles.labelSmall}>Woke up</label>
+          <input type="time" value={sleep.wake || ""} onChange={set("wake")} style={styles.input} />
+        </div>
+        <div style={{ flex: 1 }}>
+          <label style={styles.labelSmall}>Quality</label>
+          <select value={sleep.quality || ""} onChange={setNumber("quality")} style={styles.select}>
+            <option value="">–</option>
+            {Object.entries(SLEEP_QUALITY_LABELS).map(([q, label]) => (
+              <option key={q} value={q}>
+                {q} {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div style={{ flex: 1 }}>
+          <label style={styles.labelSmall}>Naps (min)</label>
+          <input
+            type="number"
+            min={0}
+            step={5}
+            value={sleep.napMin ?? ""}
+            onChange={setNumber("napMin")}
+            style={styles.input}
+          />
+        </div>
+      </div>
+
+      <div style={styles.itemSub}>
+        {slept}
+        {Number(sleep.napMin) > 0 ? ` + ${minutesToHhMm(Number(sleep.napMin))} nap` : ""}
+        {debt.nights > 0 &&
+          ` • Sleep debt ${minutesToHhMm(debt.debtMin)} over ${settings.debtDays} days` +
+            ` (avg ${minutesToHhMm(debt.avgMin)})`}
+      </div>
+
+      <div style={{ ...styles.row, marginTop: 6 }}>
+        <div style={{ width: 90 }}>
+          <label style={styles.labelSmall}>Target (h)</label>
+          <input
+            type="number"
+            min={4}
+            max={12}
+            step="0.5"
+            value={settings.targetHours}
+            onChange={(e) => onSettingsChange({ targetHours: Number(e.target.value) || 8 })}
+            style={styles.input}
+          />
+        </div>
+        <div style={{ width: 120 }}>
+          <label style={styles.labelSmall}>Get ready (min)</label>
+          <input
+            type="number"
+            min={0}
+            step={5}
+            value={settings.prepMin}
+            onChange={(e) =>
+              onSettingsChange({ prepMin: Math.max(0, Number(e.target.value) || 0) })
+            }
+            style={styles.input}
+          />
+        </div>
+      </div>
+
+      {hasHistory && (
+        <div style={{ marginTop: 8 }}>
+          <div style={styles.labelSmall}>
+            Average sleep per week
+            {thisWeek.avgMin != null && lastWeek.avgMin != null
+              ? `: ${minutesToHhMm(thisWeek.avgMin)} this week vs ${minutesToHhMm(
+                  lastWeek.avgMin
+                )} last week`
+              : ""}
+          </div>
+          <SleepWeeks weeks={weeks} targetMin={settings.targetHours * 60} />
+        </div>
+      )}
+    </div>
+  );
+}
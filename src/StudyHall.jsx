@@ -0,0 +1,184 @@
+import React, { useMemo, useState } from "react";
+import { daysBetweenISO, minutesToHhMm, todayISO } from "./dates.js";
+import { WEEKDAY_LABELS } from "./recurrence.js";
+import { SESSION_STATUS } from "./sessions.js";
+import { studyHallWeek } from "./studyHall.js";
+import { styles } from "./styles.js";
+
+function shortDate(iso) {
+  return new Date(iso + "T00:00:00").toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+/**
+ * "Study hall" toggle with location and monitor, for the timer and the
+ * session form. value: { location, monitor } | null
+ */
+export function StudyHallFields({ value, onChange, disabled }) {
+  const set = (key) => (e) => onChange({ ...value, [key]: e.target.value });
+  return (
+    <div style={styles.row}>
+      <label style={{ ...styles.itemSub, display: "flex", gap: 6, alignItems: "center" }}>
+        <input
+          type="checkbox"
+          checked={Boolean(value)}
+          disabled={disabled}
+          onChange={(e) => onChange(e.target.checked ? { location: "", monitor: "" } : null)}
+        />
+        Study hall
+      </label>
+      {value && (
+        <>
+          <input
+            placeholder="Location (e.g., Academic Center 2F)"
+            value={value.location}
+            disabled={disabled}
+            onChange={set("location")}
+            style={styles.inputWide}
+          />
+          <input
+            placeholder="Monitor"
+            value={value.monitor}
+            disabled={disabled}
+            onChange={set("monitor")}
+            style={{ ...styles.input, width: 130, minWidth: 130 }}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Study-hall progress for the requirement week containing `date`, with the
+ * requirement settings (hours, which sessions count, week start).
+ */
+export default function StudyHall({ sessions, date, settings, onChange, onOpenReport }) {
+  const [editing, setEditing] = useState(false);
+  const week = useMemo(() => studyHallWeek(sessions, date, settings), [sessions, date, settings]);
+  const today = todayISO();
+  // Days left in the week, today included
+  const daysLeft =
+    today > week.weekEnd
+      ? 0
+      : daysBetweenISO(today > week.weekStart ? today : week.weekStart, week.weekEnd) + 1;
+
+  function toggleStatus(status, on) {
+    const countStatuses = on
+      ? [...settings.countStatuses, status]
+      : settings.countStatuses.filter((s) => s !== status);
+    onChange({ countStatuses });
+  }
+
+  return (
+    <div style={{ marginBottom: 10 }}>
+      <div style={{ ...styles.row, justifyContent: "space-between" }}>
+        <div style={styles.cardTitleSmall}>Study hall</div>
+        <div style={styles.row}>
+          <button onClick={() => setEditing((v) => !v)} style={styles.chip}>
+            {editing ? "Done" : "Requirement"}
+          </button>
+          {week.requiredMin > 0 && (
+            <button onClick={onOpenReport} style={styles.chip}>
+              Compliance report
+            </button>
+          )}
+        </div>
+      </div>
+
+      {week.requiredMin === 0 ? (
+        <div style={styles.empty}>
+          No study-hall requirement set. Add your weekly hours under Requirement.
+        </div>
+      ) : (
+        <>
+          <div style={styles.itemSub}>
+            <b>{minutesToHhMm(week.countedMin)}</b> of {minutesToHhMm(week.requiredMin)} •{" "}
+            {shortDate(week.weekStart)} – {shortDate(week.weekEnd)}
+            {week.met
+              ? " • requirement met"
+              : ` • ${minutesToHhMm(week.remainingMin)} to go, ${daysLeft} day${
+                  daysLeft === 1 ? "" : "s"
+                } left`}
+          </div>
+          <div style={styles.progressTrack}>
+            <div
+              style={{
+                ...styles.progressFill,
+                width: `${Math.min(100, Math.round((week.countedMin / week.requiredMin) * 100))}%`,
+                background: week.met ? "#2fa37c" : "#d9822b",
+              }}
+            />
+          </div>
+        </>
+      )}
+
+      {editing && (
+        <div style={{ ...styles.scopeBox, marginTop: 8 }}>
+          <div style={styles.row}>
+            <div style={{ width: 90 }}>
+              <label style={styles.labelSmall}>Hours / week</label>
+              <input
+                type="number"
+                min={0}
+                step="0.5"
+                value={settings.hoursPerWeek}
+                onChange={(e) => onChange({ hoursPerWeek: Number(e.target.value) || 0 })}
+                style={styles.input}
+              />
+            </div>
+            <div>
+              <label style={styles.labelSmall}>Week starts</label>
+              <select
+                value={settings.weekStartsOn}
+                onChange={(e) => onChange({ weekStartsOn: Number(e.target.value) })}
+                style={styles.select}
+              >
+                {WEEKDAY_LABELS.map((label, i) => (
+                  <option key={label} value={i}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div style={{ flex: 1 }}>
+              <label style={styles.labelSmall}>Name on report</label>
+              <input
+                value={settings.athlete}
+                onChange={(e) => onChange({ athlete: e.target.value })}
+                style={styles.input}
+              />
+            </div>
+          </div>
+          <label style={{ ...styles.itemSub, display: "flex", gap: 6, alignItems: "center" }}>
+            <input
+              type="checkbox"
+              checked={settings.studyHallOnly}
+              onChange={(e) => onChange({ studyHallOnly: e.target.checked })}
+            />
+            Only sessions marked as study hall count
+          </label>
+          <div style={styles.row}>
+            <span style={styles.itemSub}>Session types that count:</span>
+            {Object.entries(SESSION_STATUS).map(([status, label]) => (
+              <label
+                key={status}
+                style={{ ...styles.itemSub, display: "flex", gap: 4, alignItems: "center" }}
+              >
+                <input
+                  type="checkbox"
+                  checked={settings.countStatuses.includes(status)}
+                  onChange={(e) => toggleStatus(status, e.target.checked)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
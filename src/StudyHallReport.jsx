@@ -0,0 +1,164 @@
+import React, { useMemo, useState } from "react";
+import { courseNames } from "./courses.js";
+import { minutesToHhMm, todayISO } from "./dates.js";
+import { downloadText } from "./files.js";
+import { SESSION_STATUS, clockTime } from "./sessions.js";
+import { studyHallCSV, studyHallWeek } from "./studyHall.js";
+import { styles } from "./styles.js";
+import { reportDocument } from "./weeklyReport.js";
+
+function dayLabel(date, opts = {}) {
+  return new Date(date + "T00:00:00").toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    ...opts,
+  });
+}
+
+/** The compliance sheet itself; also rendered to static HTML for export. */
+function ComplianceSheet({ week, names, athlete, generated }) {
+  const cell = { ...styles.reportCell, textAlign: "left" };
+  return (
+    <div style={styles.reportSheet}>
+      <div style={styles.cardTitle}>Study hall compliance report</div>
+      <div style={styles.cardMeta}>
+        {athlete ? `${athlete} • ` : ""}
+        {dayLabel(week.weekStart)} – {dayLabel(week.weekEnd, { year: "numeric" })} •
+        generated {generated}
+      </div>
+
+      <div style={{ ...styles.reportLegend, fontSize: 13, marginBottom: 10 }}>
+        <span>
+          <b>Required:</b> {minutesToHhMm(week.requiredMin)}
+        </span>
+        <span>
+          <b>Completed:</b> {minutesToHhMm(week.countedMin)}
+        </span>
+        <span style={{ fontWeight: 900, color: week.met ? "#1d7a55" : "#b3261e" }}>
+          {week.met ? "Requirement met" : `Short by ${minutesToHhMm(week.remainingMin)}`}
+        </span>
+      </div>
+
+      <table style={styles.reportTable}>
+        <thead>
+          <tr>
+            {["Date", "Start", "End", "Course", "Location", "Monitor", "Type"].map((h) => (
+              <th key={h} style={cell}>
+                {h}
+              </th>
+            ))}
+            <th style={styles.reportCell}>Minutes</th>
+          </tr>
+        </thead>
+        <tbody>
+          {week.sessions.length === 0 ? (
+            <tr>
+              <td colSpan={8} style={cell}>
+                No study-hall sessions this week.
+              </td>
+            </tr>
+          ) : (
+            week.sessions.map((s) => (
+              <tr key={s.id} style={s.counts ? undefined : { opacity: 0.55 }}>
+                <td style={cell}>{dayLabel(s.date)}</td>
+                <td style={cell}>{clockTime(s.start) || "–"}</td>
+                <td style={cell}>{clockTime(s.end) || "–"}</td>
+                <td style={cell}>{names[s.course] || s.course}</td>
+                <td style={cell}>{s.studyHall?.location || "–"}</td>
+                <td style={cell}>{s.studyHall?.monitor || "–"}</td>
+                <td style={cell}>
+                  {SESSION_STATUS[s.status] || s.status}
+                  {s.counts ? "" : " (doesn't count)"}
+                </td>
+                <td style={styles.reportCell}>{s.minutes}</td>
+              </tr>
+            ))
+          )}
+          <tr>
+            <td colSpan={7} style={{ ...cell, fontWeight: 900 }}>
+              Counted total
+            </td>
+            <td style={{ ...styles.reportCell, fontWeight: 900 }}>
+              {minutesToHhMm(week.countedMin)}
+            </td>
+          </tr>
+        </tbody>
+      </table>
+
+      <div style={styles.reportGrid}>
+        <div style={styles.reportSignature}>Student-athlete signature / date</div>
+        <div style={styles.reportSignature}>Academic coordinator signature / date</div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Study-hall compliance report for the requirement week containing `date`:
+ * every session with start/end times, location and monitor, the counted total
+ * against the requirement, and signature lines. Prints to one page and
+ * exports as CSV or a standalone HTML page.
+ */
+export default function StudyHallReport({ sessions, date, settings, courses }) {
+  const [exportError, setExportError] = useState("");
+  const week = useMemo(() => studyHallWeek(sessions, date, settings), [sessions, date, settings]);
+  const names = useMemo(() => courseNames(courses), [courses]);
+  const generated = todayISO();
+  const sheet = (
+    <ComplianceSheet week={week} names={names} athlete={settings.athlete} generated={generated} />
+  );
+
+  function exportCSV() {
+    downloadText(`study-hall-${week.weekStart}.csv`, studyHallCSV(week, names), "text/csv");
+  }
+
+  async function exportHTML() {
+    setExportError("");
+    try {
+      // Loaded on demand: only needed for this export
+      const { renderToStaticMarkup } = await import("react-dom/server");
+      downloadText(
+        `study-hall-${week.weekStart}.html`,
+        reportDocument(
+          `Study hall compliance – week of ${week.weekStart}`,
+          renderToStaticMarkup(sheet)
+        ),
+        "text/html"
+      );
+    } catch (err) {
+      console.error(err);
+      setExportError("Couldn't build the HTML export. Try printing instead.");
+    }
+  }
+
+  return (
+    <div style={styles.card}>
+      <div className="no-print" style={{ ...styles.row, marginBottom: 10 }}>
+        <button onClick={() => window.print()} style={styles.primaryBtn}>
+          Print
+        </button>
+        <button onClick={exportCSV} style={styles.secondaryBtn}>
+          Download CSV
+        </button>
+        <button onClick={exportHTML} style={styles.secondaryBtn}>
+          Download HTML
+        </button>
+        <span style={styles.itemSub}>
+          For your academic coordinator: print and sign, or send the session list.
+        </span>
+      </div>
+      {exportError && (
+        <div className="no-print" style={{ ...styles.warning, marginBottom: 10 }}>
+          {exportError}
+        </div>
+      )}
+      {week.requiredMin === 0 && (
+        <div className="no-print" style={{ ...styles.warning, marginBottom: 10 }}>
+          Set your weekly study-hall hours under Study Tracking → Study hall → Requirement.
+        </div>
+      )}
+      <div className="print-area">{sheet}</div>
+    </div>
+  );
+}
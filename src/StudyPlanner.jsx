@@ -0,0 +1,224 @@
+import React, { useState } from "react";
+import { courseLabel } from "./courses.js";
+import { minutesToHhMm, todayISO } from "./dates.js";
+import { DEFAULT_PLAN_OPTIONS, planStudyWeek } from "./studyPlanner.js";
+import { styles } from "./styles.js";
+
+/**
+ * Study Plan card
+ * Weekly study-hour targets per course, and an auto-planner that proposes Study
+ * events in free time. Proposals are a preview until accepted.
+ * courses: the current term's course records; targets are keyed by course id
+ */
+export default function StudyPlanner({
+  courses,
+  targets,
+  options,
+  weekStart,
+  weekEvents,
+  doneByCourse,
+  wakeTime,
+  sleepTime,
+  onTargetsChange,
+  onOptionsChange,
+  onAccept,
+}) {
+  const [proposals, setProposals] = useState(null); // [{ ...event, keep }]
+  const [shortfall, setShortfall] = useState({});
+  const opts = { ...DEFAULT_PLAN_OPTIONS, ...options };
+
+  function setOption(key, value) {
+    onOptionsChange({ ...opts, [key]: value });
+  }
+
+  function runPlanner() {
+    const today = todayISO();
+    const result = planStudyWeek({
+      weekStart,
+      weekEvents,
+      courses,
+      targets: Object.fromEntries(
+        courses.map(({ id }) => [id, (Number(targets[id]) || 0) * 60])
+      ),
+      doneByCourse,
+      fromDate: today > weekStart ? today : weekStart,
+      now: new Date(),
+      wakeTime,
+      sleepTime,
+      options: opts,
+    });
+    setProposals(result.proposals.map((p) => ({ ...p, keep: true })));
+    setShortfall(result.shortfall);
+  }
+
+  function updateProposal(id, patch) {
+    setProposals((list) => list.map((p) => (p.id === id ? { ...p, ...patch } : p)));
+  }
+
+  function acceptProposals() {
+    const picked = proposals
+      .filter((p) => p.keep)
+      .map((p) => {
+        const { keep: _keep, ...evt } = p;
+        return { ...evt, durationMin: Number(evt.durationMin) || 0 };
+      });
+    if (picked.length) onAccept(picked);
+    setProposals(null);
+    setShortfall({});
+  }
+
+  const kept = proposals ? proposals.filter((p) => p.keep).length : 0;
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.cardTitle}>Study Plan</div>
+      <div style={styles.cardMeta}>
+        Weekly targets per course • auto-fill free time around class, lift, practice and matches
+      </div>
+
+      <div style={styles.cardTitleSmall}>Weekly targets</div>
+      {courses.length === 0 ? (
+        <div style={styles.empty}>Add courses to set study targets.</div>
+      ) : (
+        <div style={styles.list}>
+          {courses.map((c) => (
+            <div key={c.id} style={styles.row}>
+              <div style={{ ...styles.itemTitle, flex: 1 }}>{c.code}</div>
+              <input
+                type="number"
+                min={0}
+                step="0.5"
+                value={targets[c.id] ?? ""}
+                placeholder="0"
+                onChange={(e) =>
+                  onTargetsChange({
+                    ...targets,
+                    [c.id]: e.target.value === "" ? "" : Number(e.target.value),
+                  })
+                }
+                style={{ ...styles.input, width: 90, minWidth: 90 }}
+              />
+              <span style={styles.itemSub}>hrs/week</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={styles.divider} />
+
+      <div style={styles.cardTitleSmall}>Planner rules</div>
+      <div style={styles.row}>
+        <div style={{ flex: 1 }}>
+          <label style={styles.labelSmall}>Min block (min)</label>
+          <input
+            type="number"
+            min={5}
+            value={opts.minBlockMin}
+            onChange={(e) => setOption("minBlockMin", Number(e.target.value) || 30)}
+            style={styles.input}
+          />
+        </div>
+        <div style={{ flex: 1 }}>
+          <label style={styles.labelSmall}>Max block (min)</label>
+          <input
+            type="number"
+            min={5}
+            value={opts.maxBlockMin}
+            onChange={(e) => setOption("maxBlockMin", Number(e.target.value) || 90)}
+            style={styles.input}
+          />
+        </div>
+      </div>
+      <div style={styles.row}>
+        <div style={{ flex: 1 }}>
+          <label style={styles.labelSmall}>Daily study cap (min)</label>
+          <input
+            type="number"
+            min={0}
+            value={opts.maxDailyMin}
+            onChange={(e) => setOption("maxDailyMin", Number(e.target.value) || 0)}
+            style={styles.input}
+          />
+        </div>
+        <div style={{ flex: 1 }}>
+          <label style={styles.labelSmall}>No study after a match (min)</label>
+          <input
+            type="number"
+            min={0}
+            value={opts.postMatchMin}
+            onChange={(e) => setOption("postMatchMin", Number(e.target.value) || 0)}
+            style={styles.input}
+          />
+        </div>
+      </div>
+      <label style={{ ...styles.itemSub, display: "flex", gap: 6, alignItems: "center" }}>
+        <input
+          type="checkbox"
+          checked={opts.skipTravelDays}
+          onChange={(e) => setOption("skipTravelDays", e.target.checked)}
+        />
+        Skip travel days (events mentioning travel, bus or flight)
+      </label>
+
+      <div style={{ ...styles.row, marginTop: 10 }}>
+        <button onClick={runPlanner} style={styles.primaryBtn} disabled={!courses.length}>
+          Plan this week
+        </button>
+      </div>
+
+      {proposals && (
+        <div style={{ ...styles.rowWrap, marginTop: 10 }}>
+          {proposals.length === 0 ? (
+            <div style={styles.empty}>Nothing to add — targets are covered or there's no free time.</div>
+          ) : (
+            <div style={styles.scrollList}>
+              {proposals.map((p) => (
+                <div key={p.id} style={p.keep ? styles.listItem : { ...styles.listItem, opacity: 0.5 }}>
+                  <label style={styles.listLeft}>
+                    <input
+                      type="checkbox"
+                      checked={p.keep}
+                      onChange={(e) => updateProposal(p.id, { keep: e.target.checked })}
+                    />
+                    <div>
+                      <div style={styles.itemTitle}>{courseLabel(courses, p.course)}</div>
+                      <div style={styles.itemSub}>{p.date}</div>
+                    </div>
+                  </label>
+                  <div style={styles.row}>
+                    <input
+                      type="time"
+                      value={p.startTime}
+                      onChange={(e) => updateProposal(p.id, { startTime: e.target.value })}
+                      style={{ ...styles.input, width: 110, minWidth: 110 }}
+                    />
+                    <input
+                      type="number"
+                      min={5}
+                      value={p.durationMin}
+                      onChange={(e) => updateProposal(p.id, { durationMin: e.target.value })}
+                      style={{ ...styles.input, width: 80, minWidth: 80 }}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+          {Object.entries(shortfall).map(([course, mins]) => (
+            <div key={course} style={styles.warning}>
+              {courseLabel(courses, course)}: couldn't fit {minutesToHhMm(mins)} this week.
+            </div>
+          ))}
+          <div style={styles.row}>
+            <button onClick={acceptProposals} style={styles.primaryBtn} disabled={!kept}>
+              Add {kept} block(s)
+            </button>
+            <button onClick={() => setProposals(null)} style={styles.ghostBtn}>
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
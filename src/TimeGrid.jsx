@@ -0,0 +1,187 @@
+import React, { useMemo, useState } from "react";
+import { minutesToHhMm, todayISO, weekdayOf } from "./dates.js";
+import { typeColor } from "./eventTypes.js";
+import { WEEKDAY_LABELS } from "./recurrence.js";
+import { fromMinutes, layoutDay } from "./schedule.js";
+import { styles } from "./styles.js";
+
+const HOUR_PX = 44; // matches the hour lines drawn by styles.calColumn
+const SNAP_MIN = 15;
+const DAY_MIN = 24 * 60;
+const CLICK_SLOP_PX = 4;
+
+function snap(mins) {
+  return Math.round(mins / SNAP_MIN) * SNAP_MIN;
+}
+
+/**
+ * Hour grid for one or more day columns (week view, day timeline). Events are
+ * placed by start time and duration and colored by type. Drag an event to move
+ * it (across days too), drag its bottom edge to resize; a plain click picks it.
+ * onReschedule(event, { date, startTime } | { durationMin })
+ * types: event type records, for the colors
+ */
+export default function TimeGrid({
+  days,
+  events,
+  types,
+  selectedDate,
+  studyLog,
+  onPickDay,
+  onPickEvent,
+  onReschedule,
+}) {
+  const [drag, setDrag] = useState(null); // { id, mode, x0, y0, colWidth, dx, dy }
+
+  const columns = useMemo(
+    () => days.map((date) => layoutDay(events.filter((e) => e.date === date))),
+    [days, events]
+  );
+
+  // Show 6:00–22:00 at least, widened to fit early/late events
+  const [fromHour, toHour] = useMemo(() => {
+    let from = 6;
+    let to = 22;
+    columns.flat().forEach((it) => {
+      from = Math.min(from, Math.floor(it.start / 60));
+      to = Math.max(to, Math.ceil(it.end / 60));
+    });
+    return [from, to];
+  }, [columns]);
+
+  const today = todayISO();
+  const height = (toHour - fromHour) * HOUR_PX;
+  const hours = Array.from({ length: toHour - fromHour }, (_, i) => fromHour + i);
+
+  // Where an item would land for the current drag offsets
+  function dragResult(item, dayIndex, d) {
+    const deltaMin = snap((d.dy / HOUR_PX) * 60);
+    if (d.mode === "resize") {
+      const end = Math.min(DAY_MIN, Math.max(item.start + SNAP_MIN, item.end + deltaMin));
+      return { dayShift: 0, start: item.start, end };
+    }
+    const length = item.end - item.start;
+    const start = Math.max(0, Math.min(DAY_MIN - length, item.start + deltaMin));
+    const shift = days.length > 1 ? Math.round(d.dx / d.colWidth) : 0;
+    const dayShift = Math.max(-dayIndex, Math.min(days.length - 1 - dayIndex, shift));
+    return { dayShift, start, end: start + length };
+  }
+
+  function onPointerDown(e, item) {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({
+      id: item.event.id,
+      mode: e.target.dataset.resize ? "resize" : "move",
+      x0: e.clientX,
+      y0: e.clientY,
+      colWidth: e.currentTarget.parentElement.getBoundingClientRect().width || 1,
+      dx: 0,
+      dy: 0,
+    });
+  }
+
+  function onPointerMove(e, item) {
+    if (drag?.id !== item.event.id) return;
+    setDrag((d) => ({ ...d, dx: e.clientX - d.x0, dy: e.clientY - d.y0 }));
+  }
+
+  function onPointerUp(e, item, dayIndex) {
+    if (drag?.id !== item.event.id) return;
+    const d = { ...drag, dx: e.clientX - drag.x0, dy: e.clientY - drag.y0 };
+    setDrag(null);
+    if (Math.abs(d.dx) < CLICK_SLOP_PX && Math.abs(d.dy) < CLICK_SLOP_PX) {
+      if (onPickEvent) onPickEvent(item.event);
+      else onPickDay(item.event.date);
+      return;
+    }
+    if (!onReschedule) return;
+    const r = dragResult(item, dayIndex, d);
+    if (d.mode === "resize") {
+      if (r.end !== item.end) onReschedule(item.event, { durationMin: r.end - r.start });
+    } else if (r.start !== item.start || r.dayShift) {
+      onReschedule(item.event, {
+        date: days[dayIndex + r.dayShift],
+        startTime: fromMinutes(r.start),
+      });
+    }
+  }
+
+  return (
+    <div
+      style={{
+        ...styles.calWeek,
+        gridTemplateColumns: `44px repeat(${days.length}, minmax(0, 1fr))`,
+      }}
+    >
+      <div />
+      {days.map((date) => {
+        const study = Object.values(studyLog[date] || {}).reduce((s, v) => s + (Number(v) || 0), 0);
+        return (
+          <div
+            key={date}
+            onClick={() => onPickDay(date)}
+            style={{
+              ...styles.calDayHead,
+              background: date === selectedDate ? "#111" : date === today ? "#f3fbf7" : "transparent",
+              color: date === selectedDate ? "white" : "#111",
+            }}
+          >
+            {WEEKDAY_LABELS[weekdayOf(date)]} {Number(date.slice(8))}
+            {study > 0 && (
+              <div style={{ fontWeight: 600, opacity: 0.8 }}>{minutesToHhMm(study)} study</div>
+            )}
+          </div>
+        );
+      })}
+
+      <div style={{ position: "relative", height }}>
+        {hours.map((h) => (
+          <div key={h} style={{ ...styles.calHourLabel, height: HOUR_PX }}>
+            {String(h).padStart(2, "0")}:00
+          </div>
+        ))}
+      </div>
+      {days.map((date, i) => (
+        <div key={date} style={{ ...styles.calColumn, height }} onClick={() => onPickDay(date)}>
+          {columns[i].map((item) => {
+            const { event, lane, lanes } = item;
+            const dragging = drag?.id === event.id;
+            const { dayShift, start, end } = dragging
+              ? dragResult(item, i, drag)
+              : { dayShift: 0, start: item.start, end: item.end };
+            return (
+              <div
+                key={event.id}
+                title={`${event.startTime} ${event.title} (${minutesToHhMm(end - start)})`}
+                onPointerDown={(e) => onPointerDown(e, item)}
+                onPointerMove={(e) => onPointerMove(e, item)}
+                onPointerUp={(e) => onPointerUp(e, item, i)}
+                onPointerCancel={() => setDrag(null)}
+                onClick={(e) => e.stopPropagation()}
+                style={{
+                  ...styles.calEvent,
+                  top: ((start - fromHour * 60) / 60) * HOUR_PX,
+                  height: Math.max(14, ((end - start) / 60) * HOUR_PX - 2),
+                  left: `${(lane / lanes) * 100}%`,
+                  width: `calc(${100 / lanes}% - 2px)`,
+                  background: typeColor(types, event.type),
+                  transform: dayShift && drag ? `translateX(${dayShift * drag.colWidth}px)` : "none",
+                  opacity: dragging ? 0.85 : 1,
+                  zIndex: dragging ? 2 : 1,
+                  touchAction: "none",
+                }}
+              >
+                <b>{dragging ? fromMinutes(start) : event.startTime}</b> {event.title}
+                {onReschedule && (
+                  <div data-resize="1" style={styles.calResize} title="Drag to change length" />
+                )}
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
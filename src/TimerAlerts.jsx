@@ -0,0 +1,118 @@
+import React, { useState } from "react";
+import {
+  ALERT_LABELS,
+  notificationPermission,
+  primeAudio,
+  requestNotificationPermission,
+  testAlert,
+} from "./alerts.js";
+import { styles } from "./styles.js";
+
+const checkLabel = { ...styles.itemSub, display: "flex", gap: 6, alignItems: "center" };
+
+/**
+ * Timer alert settings, plus a one-time prompt asking for notification
+ * permission (browsers only allow asking from a click).
+ */
+export default function TimerAlerts({ settings, onChange }) {
+  const [permission, setPermission] = useState(() => notificationPermission());
+  const [open, setOpen] = useState(false);
+
+  async function enableNotifications() {
+    primeAudio();
+    const result = await requestNotificationPermission();
+    setPermission(result);
+    onChange({ notify: result === "granted", onboarded: true });
+  }
+
+  const showOnboarding = !settings.onboarded && permission === "default";
+
+  return (
+    <div style={{ marginTop: 10 }}>
+      {showOnboarding && (
+        <div style={styles.scopeBox}>
+          <div style={styles.itemSub}>
+            Get a notification, chime and buzz when a focus session or break ends, even if you
+            switch apps.
+          </div>
+          <div style={styles.row}>
+            <button onClick={enableNotifications} style={styles.primaryBtn}>
+              Turn on notifications
+            </button>
+            <button onClick={() => onChange({ onboarded: true })} style={styles.ghostBtn}>
+              Not now
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div style={{ ...styles.row, justifyContent: "space-between" }}>
+        <div style={styles.cardTitleSmall}>Alerts</div>
+        <button onClick={() => setOpen((o) => !o)} style={styles.chip}>
+          {open ? "Hide" : "Settings"}
+        </button>
+      </div>
+
+      {open && (
+        <div style={styles.scopeBox}>
+          <div style={styles.row}>
+            {Object.entries(ALERT_LABELS).map(([kind, label]) => (
+              <label key={kind} style={checkLabel}>
+                <input
+                  type="checkbox"
+                  checked={settings[kind]}
+                  onChange={(e) => onChange({ [kind]: e.target.checked })}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+          <div style={styles.row}>
+            <label style={checkLabel}>
+              <input
+                type="checkbox"
+                checked={settings.notify && permission === "granted"}
+                disabled={permission !== "granted"}
+                onChange={(e) => onChange({ notify: e.target.checked })}
+              />
+              Notification
+            </label>
+            <label style={checkLabel}>
+              <input
+                type="checkbox"
+                checked={settings.sound}
+                onChange={(e) => onChange({ sound: e.target.checked })}
+              />
+              Chime
+            </label>
+            <label style={checkLabel}>
+              <input
+                type="checkbox"
+                checked={settings.vibrate}
+                onChange={(e) => onChange({ vibrate: e.target.checked })}
+              />
+              Vibration
+            </label>
+            <button onClick={() => testAlert(settings)} style={styles.ghostBtn}>
+              Test
+            </button>
+          </div>
+          {permission === "default" && (
+            <button onClick={enableNotifications} style={styles.secondaryBtn}>
+              Allow notifications
+            </button>
+          )}
+          {permission === "denied" && (
+            <div style={styles.itemSub}>
+              Notifications are blocked for this site in your browser settings. Chime and vibration
+              still work while the app is open.
+            </div>
+          )}
+          {permission === "unsupported" && (
+            <div style={styles.itemSub}>This browser can't show notifications.</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import React, { useMemo } from "react";
+import { LoadChart } from "./ReportCharts.jsx";
+import { styles } from "./styles.js";
+import { ACWR_BAND, loadSummary } from "./trainingLoad.js";
+
+const CHART_DAYS = 14;
+
+const ZONE_COLORS = {
+  low: "#8a5300",
+  safe: "#1d7a55",
+  high: "#8a5300",
+  danger: "#b3261e",
+};
+
+/**
+ * Training load on the wellness card: acute/chronic load, ACWR, monotony and
+ * strain, with daily load charted against soreness.
+ * events: expanded instances for the 28 days ending at `date`
+ * trainingTypes: ids of the event types that count as training
+ */
+export default function TrainingLoad({ events, date, wellness, trainingTypes }) {
+  const summary = useMemo(
+    () => loadSummary(events, date, trainingTypes),
+    [events, date, trainingTypes]
+  );
+  const chartDays = summary.days.slice(-CHART_DAYS).map((d) => {
+    const soreness = wellness[d.date]?.soreness;
+    return { ...d, metric: soreness == null || soreness === "" ? null : Number(soreness) };
+  });
+  const hasLoad = summary.days.some((d) => d.load > 0);
+
+  const stats = [
+    ["Today", summary.today],
+    ["7-day load", summary.acute],
+    ["Weekly avg (28d)", summary.chronic],
+    ["ACWR", summary.acwr ?? "–"],
+    ["Monotony", summary.monotony ?? "–"],
+    ["Strain", summary.strain ?? "–"],
+  ];
+
+  return (
+    <div style={{ marginBottom: 10 }}>
+      <div style={styles.cardTitleSmall}>Training load</div>
+      {!hasLoad ? (
+        <div style={styles.empty}>
+          Rate Lift, Practice and Match sessions (RPE 1–10) in your schedule to track load.
+        </div>
+      ) : (
+        <>
+          <div style={styles.studyStats}>
+            {stats.map(([label, value]) => (
+              <div key={label} style={{ ...styles.stat, minWidth: 90, padding: 8 }}>
+                <div style={styles.statLabel}>{label}</div>
+                <div
+                  style={{
+                    ...styles.statValue,
+                    fontSize: 15,
+                    color: label === "ACWR" && summary.zone ? ZONE_COLORS[summary.zone] : undefined,
+                  }}
+                >
+                  {value}
+                </div>
+              </div>
+            ))}
+          </div>
+          {summary.acwr == null && (
+            <div style={styles.itemSub}>ACWR shows once you have 3 weeks of rated sessions.</div>
+          )}
+          {summary.warnings.map((w) => (
+            <div key={w} style={{ ...styles.warning, marginTop: 6 }}>
+              {w}
+            </div>
+          ))}
+          <LoadChart days={chartDays} />
+          <div style={styles.itemSub}>
+            Bars: daily load (RPE × minutes) • line: soreness • safe ACWR {ACWR_BAND.low}–
+            {ACWR_BAND.high}
+          </div>
+        </>
+      )}
+      {summary.unrated > 0 && (
+        <div style={styles.itemSub}>
+          {summary.unrated} session{summary.unrated === 1 ? "" : "s"} in the last 7 days without an
+          RPE.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import React, { useEffect, useState } from "react";
+import { styles } from "./styles.js";
+
+const TOAST_MS = 6000;
+
+/**
+ * Bottom toast after each change ("Deleted event · Undo") or undo/redo.
+ * last: history.last ({ kind, label, seq })
+ */
+export default function UndoToast({ last, canUndo, canRedo, onUndo, onRedo }) {
+  const [dismissed, setDismissed] = useState(null); // seq of the last toast hidden
+
+  useEffect(() => {
+    if (!last) return;
+    const id = setTimeout(() => setDismissed(last.seq), TOAST_MS);
+    return () => clearTimeout(id);
+  }, [last]);
+
+  if (!last || dismissed === last.seq) return null;
+
+  const prefix = { undo: "Undid: ", redo: "Redid: " }[last.kind] || "";
+
+  return (
+    <div style={styles.toast} role="status">
+      <span>
+        {prefix}
+        {last.label}
+      </span>
+      {last.kind !== "undo" && canUndo && (
+        <button onClick={onUndo} style={styles.toastBtn}>
+          Undo
+        </button>
+      )}
+      {last.kind === "undo" && canRedo && (
+        <button onClick={onRedo} style={styles.toastBtn}>
+          Redo
+        </button>
+      )}
+      <button onClick={() => setDismissed(last.seq)} style={styles.toastBtn} title="Dismiss">
+        ×
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,275 @@
+import React, { useMemo, useState } from "react";
+import { courseColor } from "./courses.js";
+import { addDaysISO, minutesToHhMm, todayISO } from "./dates.js";
+import { downloadText } from "./files.js";
+import { useEventsInRange } from "./hooks.js";
+import { CompareBars, StackedBars, TrendLine } from "./ReportCharts.jsx";
+import { styles } from "./styles.js";
+import {
+  buildWeeklyReport,
+  reportDocument,
+  reportTypes,
+  WELLNESS_METRICS,
+  weeklyReportCSV,
+} from "./weeklyReport.js";
+
+function dayLabel(date, opts = {}) {
+  return new Date(date + "T00:00:00").toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    ...opts,
+  });
+}
+
+function formatValue(value, unit) {
+  if (value == null) return "–";
+  return unit === "min" ? minutesToHhMm(Math.round(value)) : String(value);
+}
+
+function Change({ row }) {
+  if (row.delta == null || row.delta === 0) return <span style={{ opacity: 0.6 }}>same</span>;
+  const up = row.delta > 0;
+  const good = row.better && (row.better === "higher") === up;
+  const magnitude = row.unit === "min" ? minutesToHhMm(Math.abs(row.delta)) : Math.abs(row.delta);
+  return (
+    <span style={{ color: !row.better ? "#555" : good ? "#1d7a55" : "#b3261e", fontWeight: 700 }}>
+      {up ? "▲" : "▼"} {magnitude}
+    </span>
+  );
+}
+
+function Legend({ items }) {
+  return (
+    <div style={styles.reportLegend}>
+      {items.map(({ label, color }) => (
+        <span key={label}>
+          <span style={{ ...styles.reportSwatch, background: color }} />
+          {label}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+/** The one-page report itself; also rendered to static HTML for export. */
+function ReportSheet({ report, colors, typeColors, generated }) {
+  const weekEnd = addDaysISO(report.weekStart, 6);
+  const courseSeries = report.courses.map((key, i) => ({
+    key,
+    label: report.courseNames[key] || key,
+    color: colors[key] || courseColor(i),
+  }));
+  const loadRows = reportTypes(report).map((type) => ({
+    label: report.typeNames[type] || type,
+    color: typeColors[type] || "#8a8a8a",
+    current: report.loadByType[type] || 0,
+    previous: report.previous.loadByType[type] || 0,
+  }));
+  const { mostStudy, leastStudy, bestDay, worstDay } = report.highlights;
+  const highlights = [
+    mostStudy && ["Most study", mostStudy, minutesToHhMm(mostStudy.studyTotal)],
+    leastStudy && ["Least study", leastStudy, minutesToHhMm(leastStudy.studyTotal)],
+    bestDay && ["Best-feeling day", bestDay, `wellness ${bestDay.score}/10`],
+    worstDay && ["Toughest day", worstDay, `wellness ${worstDay.score}/10`],
+  ].filter(Boolean);
+
+  return (
+    <div style={styles.reportSheet}>
+      <div style={styles.cardTitle}>Weekly report</div>
+      <div style={styles.cardMeta}>
+        {dayLabel(report.weekStart)} – {dayLabel(weekEnd, { year: "numeric" })} • compared with
+        the week before • generated {generated}
+      </div>
+
+      <table style={styles.reportTable}>
+        <thead>
+          <tr>
+            <th style={{ ...styles.reportCell, textAlign: "left" }} />
+            <th style={styles.reportCell}>This week</th>
+            <th style={styles.reportCell}>Last week</th>
+            <th style={styles.reportCell}>Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.comparison.map((row) => (
+            <tr key={row.key}>
+              <td style={{ ...styles.reportCell, textAlign: "left", fontWeight: 700 }}>
+                {row.label}
+              </td>
+              <td style={styles.reportCell}>{formatValue(row.current, row.unit)}</td>
+              <td style={styles.reportCell}>{formatValue(row.previous, row.unit)}</td>
+              <td style={styles.reportCell}>
+                <Change row={row} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={styles.reportGrid}>
+        <div>
+          <div style={styles.reportSection}>Study minutes per day</div>
+          {courseSeries.length === 0 ? (
+            <div style={styles.empty}>No study logged this week.</div>
+          ) : (
+            <>
+              <StackedBars
+                days={report.days.map((d) => ({ date: d.date, values: d.study }))}
+                series={courseSeries}
+              />
+              <Legend
+                items={courseSeries.map(({ key, label, color }) => ({
+                  label: `${label} ${minutesToHhMm(report.studyByCourse[key])}`,
+                  color,
+                }))}
+              />
+            </>
+          )}
+        </div>
+        <div>
+          <div style={styles.reportSection}>Scheduled load by type</div>
+          {loadRows.length === 0 ? (
+            <div style={styles.empty}>Nothing scheduled this week or last.</div>
+          ) : (
+            <>
+              <CompareBars rows={loadRows} />
+              <div style={styles.reportLegend}>Solid: this week • dashed: last week</div>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div style={styles.reportSection}>Wellness trends</div>
+      <div style={{ ...styles.reportGrid, gridTemplateColumns: "repeat(4, 1fr)", marginTop: 0 }}>
+        {WELLNESS_METRICS.map((m) => (
+          <div key={m.key}>
+            <div style={{ fontWeight: 700 }}>
+              {m.label}{" "}
+              <span style={{ fontWeight: 400, opacity: 0.7 }}>
+                avg {formatValue(report.averages[m.key])} (was{" "}
+                {formatValue(report.previous.averages[m.key])})
+              </span>
+            </div>
+            <TrendLine
+              values={report.days.map((d) =>
+                d.wellness && d.wellness[m.key] !== "" ? Number(d.wellness[m.key]) : null
+              )}
+              max={m.max}
+              color={m.color}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div style={styles.reportSection}>Best and worst days</div>
+      {highlights.length === 0 ? (
+        <div style={styles.empty}>Log study time or check-ins to see your best and worst days.</div>
+      ) : (
+        <div style={styles.reportLegend}>
+          {highlights.map(([label, day, detail]) => (
+            <span key={label}>
+              <b>{label}:</b> {dayLabel(day.date)} ({detail})
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Weekly report screen: study by course and day, scheduled load by type,
+ * wellness trends and the change from last week, for advisors. Prints to one
+ * page and exports as CSV (raw numbers) or a standalone HTML page.
+ */
+export default function WeeklyReport({
+  repo,
+  events,
+  weekStart,
+  weekEvents,
+  studyLog,
+  wellness,
+  courses,
+  eventTypes,
+}) {
+  const [exportError, setExportError] = useState("");
+  const prevEvents = useEventsInRange(
+    repo,
+    addDaysISO(weekStart, -7),
+    addDaysISO(weekStart, -1),
+    events
+  );
+
+  const generated = todayISO();
+  const report = useMemo(
+    () =>
+      buildWeeklyReport({
+        weekStart,
+        weekEvents,
+        prevEvents,
+        studyLog,
+        wellness,
+        courses,
+        eventTypes,
+        asOf: generated,
+      }),
+    [weekStart, weekEvents, prevEvents, studyLog, wellness, courses, eventTypes, generated]
+  );
+  const colors = useMemo(
+    () => Object.fromEntries(courses.map((c) => [c.id, c.color])),
+    [courses]
+  );
+  const typeColors = useMemo(
+    () => Object.fromEntries(eventTypes.map((t) => [t.id, t.color])),
+    [eventTypes]
+  );
+  const sheet = (
+    <ReportSheet report={report} colors={colors} typeColors={typeColors} generated={generated} />
+  );
+
+  function exportCSV() {
+    downloadText(`weekly-report-${weekStart}.csv`, weeklyReportCSV(report), "text/csv");
+  }
+
+  async function exportHTML() {
+    setExportError("");
+    try {
+      // Loaded on demand: only needed for this export
+      const { renderToStaticMarkup } = await import("react-dom/server");
+      downloadText(
+        `weekly-report-${weekStart}.html`,
+        reportDocument(`Weekly report – week of ${weekStart}`, renderToStaticMarkup(sheet)),
+        "text/html"
+      );
+    } catch (err) {
+      console.error(err);
+      setExportError("Couldn't build the HTML export. Try printing instead.");
+    }
+  }
+
+  return (
+    <div style={styles.card}>
+      <div className="no-print" style={{ ...styles.row, marginBottom: 10 }}>
+        <button onClick={() => window.print()} style={styles.primaryBtn}>
+          Print
+        </button>
+        <button onClick={exportCSV} style={styles.secondaryBtn}>
+          Download CSV
+        </button>
+        <button onClick={exportHTML} style={styles.secondaryBtn}>
+          Download HTML
+        </button>
+        <span style={styles.itemSub}>
+          For advisors: print (or save as PDF) a one-page summary, or share the raw numbers.
+        </span>
+      </div>
+      {exportError && (
+        <div className="no-print" style={{ ...styles.warning, marginBottom: 10 }}>
+          {exportError}
+        </div>
+      )}
+      <div className="print-area">{sheet}</div>
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+import { minutesToHhMm } from "./dates.js";
+import { cycleLabel } from "./timer.js";
+
+/**
+ * Timer phase-change alerts: system notification (through the PWA service
+ * worker when it's registered), a short chime and vibration.
+ * Which alerts fire and how is saved per user in settings.alerts.
+ */
+
+export const DEFAULT_ALERT_SETTINGS = {
+  focusEnd: true, // focus session finished (says what was logged)
+  breakEnd: true, // break over, next focus starting or waiting
+  runDone: true, // Pomodoro run reached its target cycles
+  notify: true,
+  sound: true,
+  vibrate: true,
+  onboarded: false, // permission prompt answered or dismissed
+};
+
+export const ALERT_LABELS = {
+  focusEnd: "Focus session ends",
+  breakEnd: "Break ends",
+  runDone: "All cycles done",
+};
+
+const NOTIFICATION_TAG = "lockin-timer";
+
+/** "unsupported" | "default" | "granted" | "denied" */
+export function notificationPermission() {
+  if (typeof Notification === "undefined") return "unsupported";
+  return Notification.permission;
+}
+
+export async function requestNotificationPermission() {
+  if (typeof Notification === "undefined") return "unsupported";
+  return Notification.requestPermission();
+}
+
+/**
+ * The alert for a timer change, or null when nothing worth announcing happened.
+ * `completed` is what advanceTimer reported for the same step.
+ * { kind, title, body }
+ */
+export function timerAlert(prev, next, completed) {
+  const minutes = completed.reduce((sum, c) => sum + c.minutes, 0);
+  const course = completed[completed.length - 1]?.course;
+  const logged = completed.length ? `Logged ${minutesToHhMm(minutes)} to ${course}.` : "";
+  const waiting = !next.running && next.phase !== "idle";
+
+  if (next.phase === "idle") {
+    if (!completed.length) return null;
+    if (prev.mode === "Pomodoro" && next.doneCycles > 0) {
+      return {
+        kind: "runDone",
+        title: "Pomodoro run complete",
+        body: `${logged} ${next.doneCycles} focus session${next.doneCycles === 1 ? "" : "s"} done.`,
+      };
+    }
+    return { kind: "focusEnd", title: "Focus session done", body: logged };
+  }
+  if (next.phase === "break" || next.phase === "longBreak") {
+    if (!completed.length) return null;
+    const label = next.phase === "longBreak" ? "long break" : "break";
+    return {
+      kind: "focusEnd",
+      title: `Focus done: ${label} time`,
+      body: `${logged} ${waiting ? `Press Start for your ${label}.` : `Your ${label} has started.`}`,
+    };
+  }
+  if (prev.phase === "focus" && next.cycle === prev.cycle) return null;
+  return {
+    kind: "breakEnd",
+    title: "Break over",
+    body: [logged, `${cycleLabel(next)} ${waiting ? "is ready, press Start." : "has started."}`]
+      .filter(Boolean)
+      .join(" "),
+  };
+}
+
+/**
+ * System notification, through the service worker when there is one.
+ * `extra` overrides the timer defaults (tag, renotify) and may add actions,
+ * which only service-worker notifications support.
+ */
+export async function showNotification(title, body, extra = {}) {
+  const options = {
+    body,
+    tag: NOTIFICATION_TAG,
+    renotify: true,
+    icon: "/pwa-192x192.png",
+    ...extra,
+  };
+  // Mobile browsers only show notifications from a service worker
+  const reg = await navigator.serviceWorker?.getRegistration();
+  if (reg) return reg.showNotification(title, options);
+  delete options.actions;
+  return new Notification(title, options);
+}
+
+let audioCtx = null;
+
+/** Create/resume the audio context; call from a click so the chime may play later. */
+export function primeAudio() {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) return null;
+  audioCtx = audioCtx || new Ctx();
+  if (audioCtx.state === "suspended") audioCtx.resume().catch(() => {});
+  return audioCtx;
+}
+
+function playChime() {
+  const ctx = primeAudio();
+  if (!ctx) return;
+  const t0 = ctx.currentTime;
+  [880, 1318.5].forEach((freq, i) => {
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    const start = t0 + i * 0.22;
+    osc.type = "sine";
+    osc.frequency.value = freq;
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(0.3, start + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.6);
+    osc.connect(gain).connect(ctx.destination);
+    osc.start(start);
+    osc.stop(start + 0.65);
+  });
+}
+
+/**
+ * Deliver an alert through every channel the user has switched on.
+ * The system notification is only shown while the app isn't in front.
+ */
+export function fireAlert(alert, settings) {
+  if (!alert || !settings[alert.kind]) return;
+  if (settings.sound) playChime();
+  if (settings.vibrate) navigator.vibrate?.([200, 100, 200]);
+  if (
+    settings.notify &&
+    notificationPermission() === "granted" &&
+    document.visibilityState !== "visible"
+  ) {
+    showNotification(alert.title, alert.body).catch((err) => console.warn("Notification failed:", err));
+  }
+}
+
+/** Sample alert for the "Test" button; always shows the notification. */
+export function testAlert(settings) {
+  if (settings.sound) playChime();
+  if (settings.vibrate) navigator.vibrate?.([200, 100, 200]);
+  if (notificationPermission() === "granted") {
+    showNotification("Lock-In alerts are on", "You'll hear from the timer when a phase ends.").catch(
+      (err) => console.warn("Notification failed:", err)
+    );
+  }
+}
@@ -0,0 +1,85 @@
+import { expandEventsForDate } from "./recurrence.js";
+import { isTravelDay } from "./studyPlanner.js";
+
+/**
+ * Assignments, quizzes and exams per course.
+ * Assignment: { id, course, kind, title, dueDate, dueTime, weight, estHours, status, notes }
+ *   dueTime  "HH:MM" or "" (due end of day)
+ *   weight   % of the course grade
+ *   estHours hours of work expected
+ */
+
+export const ASSIGNMENT_KINDS = ["Assignment", "Quiz", "Exam"];
+
+export const ASSIGNMENT_STATUS = {
+  todo: "To do",
+  doing: "In progress",
+  done: "Done",
+};
+
+export const DUE_SOON_DAYS = 7;
+
+export function newAssignment(fields) {
+  return {
+    id: crypto.randomUUID(),
+    course: "",
+    kind: "Assignment",
+    title: "",
+    dueDate: "",
+    dueTime: "",
+    weight: 0,
+    estHours: 0,
+    status: "todo",
+    notes: "",
+    ...fields,
+  };
+}
+
+/** Due moment as ms epoch; no time means the end of that day. */
+export function dueAt(a) {
+  return new Date(`${a.dueDate}T${a.dueTime || "23:59"}:00`).getTime();
+}
+
+/** "in 2d 4h", "in 45m", "2d overdue" */
+export function dueCountdown(a, now) {
+  const diff = dueAt(a) - now;
+  const mins = Math.round(Math.abs(diff) / 60000);
+  const d = Math.floor(mins / 1440);
+  const h = Math.floor((mins % 1440) / 60);
+  const m = mins % 60;
+  const text = d > 0 ? `${d}d ${h}h` : h > 0 ? `${h}h ${m}m` : `${m}m`;
+  return diff < 0 ? `${text} overdue` : `in ${text}`;
+}
+
+/** Open items due within `days` of `now` (overdue ones included), soonest first. */
+export function dueSoon(assignments, now, days = DUE_SOON_DAYS) {
+  const horizon = now + days * 86400000;
+  return assignments
+    .filter((a) => a.status !== "done" && a.dueDate && dueAt(a) <= horizon)
+    .sort((a, b) => dueAt(a) - dueAt(b));
+}
+
+/**
+ * Why an exam's date is a problem: a Match or travel that day.
+ * events: stored events (series are expanded for the due date).
+ * Returns [reason]
+ */
+export function assignmentConflicts(a, events) {
+  if (a.kind !== "Exam" || !a.dueDate || a.status === "done") return [];
+  const dayEvents = expandEventsForDate(events, a.dueDate);
+  const out = [];
+  const match = dayEvents.find((e) => e.type === "Match");
+  if (match) out.push(`Match day (${match.startTime} ${match.title})`);
+  if (isTravelDay(dayEvents)) out.push("Travel day");
+  return out;
+}
+
+/** Open assignments sorted by due date, then the finished ones. */
+export function sortAssignments(assignments) {
+  return [...assignments].sort(
+    (a, b) =>
+      Number(a.status === "done") - Number(b.status === "done") ||
+      (a.dueDate || "9999").localeCompare(b.dueDate || "9999") ||
+      (a.dueTime || "").localeCompare(b.dueTime || "")
+  );
+}
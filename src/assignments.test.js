@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+import {
+  assignmentConflicts,
+  dueAt,
+  dueCountdown,
+  dueSoon,
+  newAssignment,
+  sortAssignments,
+} from "./assignments.js";
+
+const NOW = new Date(2026, 9, 19, 12, 0).getTime(); // Monday 2026-10-19, 12:00 local
+const HOUR = 3600000;
+
+const item = (id, dueDate, fields = {}) => newAssignment({ id, title: id, dueDate, ...fields });
+
+describe("due times", () => {
+  it("is due at the end of the day without a time", () => {
+    expect(dueAt(item("a", "2026-10-19"))).toBe(new Date(2026, 9, 19, 23, 59).getTime());
+    expect(dueAt(item("a", "2026-10-19", { dueTime: "09:00" }))).toBe(NOW - 3 * HOUR);
+  });
+
+  it("counts down in days, hours and minutes", () => {
+    expect(dueCountdown(item("a", "2026-10-21", { dueTime: "16:30" }), NOW)).toBe("in 2d 4h");
+    expect(dueCountdown(item("a", "2026-10-19", { dueTime: "12:45" }), NOW)).toBe("in 45m");
+    expect(dueCountdown(item("a", "2026-10-17", { dueTime: "12:00" }), NOW)).toBe("2d 0h overdue");
+  });
+});
+
+describe("dueSoon / sortAssignments", () => {
+  const list = [
+    item("later", "2026-10-30"),
+    item("done", "2026-10-20", { status: "done" }),
+    item("friday", "2026-10-23"),
+    item("overdue", "2026-10-16"),
+    item("undated", ""),
+  ];
+
+  it("lists open items due within the window, overdue ones first", () => {
+    expect(dueSoon(list, NOW).map((a) => a.id)).toEqual(["overdue", "friday"]);
+    expect(dueSoon(list, NOW, 14).map((a) => a.id)).toEqual(["overdue", "friday", "later"]);
+  });
+
+  it("sorts open items by due date, undated and finished ones last", () => {
+    expect(sortAssignments(list).map((a) => a.id)).toEqual([
+      "overdue",
+      "friday",
+      "later",
+      "undated",
+      "done",
+    ]);
+  });
+});
+
+describe("assignmentConflicts", () => {
+  const match = {
+    id: "m",
+    date: "2026-10-24",
+    type: "Match",
+    title: "vs State",
+    startTime: "13:00",
+    durationMin: 120,
+  };
+  const bus = { ...match, id: "b", date: "2026-10-23", type: "Other", title: "Bus to State" };
+
+  it("flags exams on match and travel days", () => {
+    const exam = item("midterm", "2026-10-24", { kind: "Exam" });
+    expect(assignmentConflicts(exam, [match, bus])).toEqual(["Match day (13:00 vs State)"]);
+    const travel = { ...exam, dueDate: "2026-10-23" };
+    expect(assignmentConflicts(travel, [match, bus])).toEqual(["Travel day"]);
+  });
+
+  it("only looks at open exams", () => {
+    expect(assignmentConflicts(item("hw", "2026-10-24"), [match])).toEqual([]);
+    const done = item("midterm", "2026-10-24", { kind: "Exam", status: "done" });
+    expect(assignmentConflicts(done, [match])).toEqual([]);
+  });
+});
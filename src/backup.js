@@ -0,0 +1,121 @@
+import { SCHEMA_VERSION, migrateData } from "./migrations.js";
+
+/**
+ * Full backup files
+ * { format: "lockin-backup", schemaVersion, exportedAt,
+ *   data: { events, courses, eventTypes, wellness, studySessions, assignments, dayTemplates,
+ *           settings } }
+ */
+
+export const BACKUP_FORMAT = "lockin-backup";
+
+export const COLLECTIONS = [
+  "events",
+  "courses",
+  "eventTypes",
+  "wellness",
+  "studySessions",
+  "assignments",
+  "dayTemplates",
+  "settings",
+];
+
+export function buildBackup(data) {
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: Object.fromEntries(COLLECTIONS.map((c) => [c, data[c]])),
+  };
+}
+
+/**
+ * Parse and validate backup text, migrating older files to the current schema.
+ * Throws an Error with a user-facing message when the file can't be used.
+ */
+export function parseBackup(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error("This file isn't valid JSON.");
+  }
+  if (!file || file.format !== BACKUP_FORMAT || typeof file.data !== "object" || !file.data) {
+    throw new Error("This file isn't a Lock-In Planner backup.");
+  }
+  const version = Number(file.schemaVersion);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error("The backup has no valid schema version.");
+  }
+  const data = {
+    wellness: {},
+    studySessions: [],
+    assignments: [],
+    dayTemplates: [],
+    settings: {},
+    ...migrateData(file.data, version),
+  };
+  if (!Array.isArray(data.events) || !Array.isArray(data.courses)) {
+    throw new Error("The backup is missing its events or courses.");
+  }
+  if (data.events.some((e) => !e || !e.id || !e.date)) {
+    throw new Error("Some events in the backup have no id or date.");
+  }
+  return { data, exportedAt: file.exportedAt || null, schemaVersion: version };
+}
+
+// Keyed view of a collection, so every collection diffs the same way
+function entries(name, value) {
+  const ids = ["events", "courses", "eventTypes", "studySessions", "assignments", "dayTemplates"];
+  if (ids.includes(name)) {
+    return new Map((value || []).map((e) => [e.id, e]));
+  }
+  return new Map(Object.entries(value || {}));
+}
+
+/**
+ * Per-collection summary of what importing would change.
+ * { events: { current, incoming, added, changed, removed }, ... }
+ * `removed` only applies when replacing.
+ */
+export function diffBackup(current, incoming) {
+  const out = {};
+  COLLECTIONS.forEach((name) => {
+    const a = entries(name, current[name]);
+    const b = entries(name, incoming[name]);
+    let added = 0;
+    let changed = 0;
+    let removed = 0;
+    b.forEach((v, k) => {
+      if (!a.has(k)) added += 1;
+      else if (JSON.stringify(a.get(k)) !== JSON.stringify(v)) changed += 1;
+    });
+    a.forEach((_, k) => {
+      if (!b.has(k)) removed += 1;
+    });
+    out[name] = { current: a.size, incoming: b.size, added, changed, removed };
+  });
+  return out;
+}
+
+/**
+ * Merge a backup into current data. Records from the backup win on conflict;
+ * nothing already on this device is removed.
+ */
+export function mergeData(current, incoming) {
+  const byId = (a, b) => {
+    const map = new Map(a.map((r) => [r.id, r]));
+    b.forEach((r) => map.set(r.id, r));
+    return [...map.values()];
+  };
+  return {
+    events: byId(current.events, incoming.events),
+    courses: byId(current.courses, incoming.courses),
+    eventTypes: byId(current.eventTypes, incoming.eventTypes || []),
+    wellness: { ...current.wellness, ...incoming.wellness },
+    studySessions: byId(current.studySessions, incoming.studySessions || []),
+    assignments: byId(current.assignments, incoming.assignments || []),
+    dayTemplates: byId(current.dayTemplates, incoming.dayTemplates || []),
+    settings: { ...current.settings, ...incoming.settings },
+  };
+}
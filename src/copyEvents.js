@@ -0,0 +1,64 @@
+import { addDaysISO } from "./dates.js";
+import { detachedCopy, expandEventsForDate } from "./recurrence.js";
+import { findConflicts, fromMinutes, toMinutes } from "./schedule.js";
+
+/**
+ * Copying events to other dates (duplicate an event, copy a day, copy last
+ * week, apply a day template). Each copy is checked against what the target day already holds:
+ *   new        free slot, copied by default
+ *   conflict   overlaps something there, skipped unless ticked
+ *   duplicate  the same event is already there (e.g. a repeating practice)
+ */
+
+function sameEvent(a, b) {
+  return a.type === b.type && a.title === b.title && a.startTime === b.startTime;
+}
+
+/**
+ * Preview copies for [{ source, date }] pairs against `events` (stored events,
+ * series included). Copies planned earlier in the list count as occupying
+ * their slot for later ones.
+ * Returns [{ key, event, status, conflicts }]
+ */
+export function planCopies(pairs, events) {
+  const planned = {}; // date -> copies so far
+  return pairs.map(({ source, date }, i) => {
+    const event = detachedCopy(source, { date });
+    delete event.rpe; // a copy hasn't been done yet
+    const existing = [...expandEventsForDate(events, date), ...(planned[date] || [])];
+    let status = "new";
+    let conflicts = [];
+    if (existing.some((e) => sameEvent(e, event))) {
+      status = "duplicate";
+    } else {
+      conflicts = findConflicts(event, existing);
+      if (conflicts.length) status = "conflict";
+    }
+    if (status !== "duplicate") planned[date] = [...(planned[date] || []), event];
+    return { key: `${i}:${date}`, event, status, conflicts };
+  });
+}
+
+/** Every source copied to every target date. */
+export function pairsForDates(sources, dates) {
+  return dates.flatMap((date) => sources.map((source) => ({ source, date })));
+}
+
+/** Each source moved forward by `days` (e.g. last week into this week). */
+export function pairsShiftedBy(sources, days) {
+  return sources.map((source) => ({ source, date: addDaysISO(source.date, days) }));
+}
+
+/**
+ * Sources with their start times moved by `minutes` (apply a template an hour
+ * later). Sources that would start before midnight or after the day ends are
+ * left out. Returns { sources, outside } with `outside` the number left out.
+ */
+export function shiftSources(sources, minutes) {
+  if (!minutes) return { sources, outside: 0 };
+  const shifted = sources
+    .map((s) => ({ source: s, start: toMinutes(s.startTime) + minutes }))
+    .filter(({ start }) => start >= 0 && start < 24 * 60)
+    .map(({ source, start }) => ({ ...source, startTime: fromMinutes(start) }));
+  return { sources: shifted, outside: sources.length - shifted.length };
+}
@@ -0,0 +1,85 @@
+/**
+ * Courses
+ * Course: { id, code, title, instructor, credits, color, term, archived }
+ *   code     short name shown everywhere ("BIO 212")
+ *   term     e.g. "Fall 2026"; "" when not tied to a term
+ *   archived kept for history and reports, hidden from pickers
+ * Study sessions, events, assignments and study targets refer to the id, so a
+ * rename never touches history.
+ */
+
+// Default course colors, handed out in the order courses are added
+export const COURSE_COLORS = [
+  "#8e5bd0",
+  "#4a7bd0",
+  "#2fa37c",
+  "#d9822b",
+  "#d64545",
+  "#3aa6b9",
+  "#b0892f",
+  "#c2569b",
+];
+
+export function courseColor(index) {
+  return COURSE_COLORS[index % COURSE_COLORS.length];
+}
+
+/** Id for a course that used to be stored by name (migration 4 and DB v4). */
+export function legacyCourseId(name) {
+  return `course-${name}`;
+}
+
+export function newCourse(fields, index = 0) {
+  return {
+    id: crypto.randomUUID(),
+    code: "",
+    title: "",
+    instructor: "",
+    credits: 0,
+    color: courseColor(index),
+    term: "",
+    archived: false,
+    ...fields,
+  };
+}
+
+/** Display name for a course id; ids with no record (e.g. "General") show as-is. */
+export function courseLabel(courses, id) {
+  return courses.find((c) => c.id === id)?.code || id || "";
+}
+
+/** { id: code } for every course. */
+export function courseNames(courses) {
+  return Object.fromEntries(courses.map((c) => [c.id, c.code]));
+}
+
+/** Courses offered in pickers: not archived, and in the current term or in none. */
+export function activeCourses(courses, term) {
+  return courses.filter((c) => !c.archived && (!term || !c.term || c.term === term));
+}
+
+/**
+ * Picker options for a form: the active courses plus the one the record being
+ * edited already points at, so editing old history doesn't reassign it.
+ */
+export function courseOptions(courses, term, currentId) {
+  const active = activeCourses(courses, term);
+  const current = courses.find((c) => c.id === currentId);
+  return current && !active.includes(current) ? [...active, current] : active;
+}
+
+/** Terms in use, in the order they first appear, plus the current one. */
+export function courseTerms(courses, term) {
+  return [...new Set([...courses.map((c) => c.term), term].filter(Boolean))];
+}
+
+/** The course whose code appears in `text` (longest code first), or null. */
+export function findCourseInText(courses, text) {
+  const lower = text.toLowerCase();
+  return (
+    [...courses]
+      .filter((c) => c.code)
+      .sort((a, b) => b.code.length - a.code.length)
+      .find((c) => lower.includes(c.code.toLowerCase())) || null
+  );
+}
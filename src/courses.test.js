@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { courseLabel, courseOptions, courseTerms, findCourseInText, newCourse } from "./courses.js";
+
+const bio = newCourse({ id: "bio", code: "BIO 212", term: "Fall 2026" });
+const bioLab = newCourse({ id: "bio-lab", code: "BIO 212L", term: "Fall 2026" }, 1);
+const hist = newCourse({ id: "hist", code: "HIST 101", term: "Spring 2026", archived: true }, 2);
+const courses = [bio, bioLab, hist];
+
+describe("courses", () => {
+  it("labels ids by code and shows unknown ids as they are", () => {
+    expect(courseLabel(courses, "hist")).toBe("HIST 101");
+    expect(courseLabel(courses, "General")).toBe("General");
+    expect(courseLabel(courses, null)).toBe("");
+  });
+
+  it("offers active courses plus the one already picked", () => {
+    expect(courseOptions(courses, "Fall 2026").map((c) => c.id)).toEqual(["bio", "bio-lab"]);
+    expect(courseOptions(courses, "Fall 2026", "hist").map((c) => c.id)).toEqual([
+      "bio",
+      "bio-lab",
+      "hist",
+    ]);
+  });
+
+  it("lists the terms in use and the current one", () => {
+    const terms = ["Fall 2026", "Spring 2026", "Spring 2027"];
+    expect(courseTerms(courses, "Spring 2027")).toEqual(terms);
+  });
+
+  it("matches the longest code in free text", () => {
+    expect(findCourseInText(courses, "bio 212l lab write-up")).toBe(bioLab);
+    expect(findCourseInText(courses, "Study: BIO 212")).toBe(bio);
+    expect(findCourseInText(courses, "Lift")).toBe(null);
+  });
+});
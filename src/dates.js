@@ -0,0 +1,64 @@
+/**
+ * Date helpers. Dates are local-time "YYYY-MM-DD" strings, times are "HH:MM".
+ */
+
+export function todayISO() {
+  const d = new Date();
+  const yyyy = d.getFullYear();
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  return `${yyyy}-${mm}-${dd}`;
+}
+
+export function minutesToHhMm(mins) {
+  const h = Math.floor(mins / 60);
+  const m = mins % 60;
+  if (h <= 0) return `${m}m`;
+  return `${h}h ${m}m`;
+}
+
+export function startOfWeekISO(date = new Date()) {
+  // Week starts Monday
+  const d = new Date(date);
+  const day = d.getDay(); // 0 Sun ... 6 Sat
+  const diff = (day === 0 ? -6 : 1) - day;
+  d.setDate(d.getDate() + diff);
+  return todayISOFromDate(d);
+}
+
+export function todayISOFromDate(d) {
+  const yyyy = d.getFullYear();
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  return `${yyyy}-${mm}-${dd}`;
+}
+
+export function addDaysISO(iso, days) {
+  const d = new Date(iso + "T00:00:00");
+  d.setDate(d.getDate() + days);
+  return todayISOFromDate(d);
+}
+
+export function weekdayOf(iso) {
+  return new Date(iso + "T00:00:00").getDay(); // 0 Sun ... 6 Sat
+}
+
+export function daysBetweenISO(fromIso, toIso) {
+  // Noon avoids DST shifts turning a day into 23 or 25 hours
+  const a = new Date(fromIso + "T12:00:00");
+  const b = new Date(toIso + "T12:00:00");
+  return Math.round((b - a) / 86400000);
+}
+
+export function startOfMonthISO(iso) {
+  return `${iso.slice(0, 7)}-01`;
+}
+
+export function addMonthsISO(iso, months) {
+  // Clamp to the target month's last day (Jan 31 + 1 month = Feb 28/29)
+  const [y, m, d] = iso.split("-").map(Number);
+  const first = new Date(y, m - 1 + months, 1);
+  const lastDay = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+  first.setDate(Math.min(d, lastDay));
+  return todayISOFromDate(first);
+}
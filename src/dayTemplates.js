@@ -0,0 +1,49 @@
+import { reassignType } from "./eventTypes.js";
+
+/**
+ * Day templates: a whole day's events saved under a name ("Game day",
+ * "Two-a-day", "Recovery day") to stamp onto other dates.
+ * DayTemplate: { id, name, events: [{ id, type, title, startTime, durationMin, notes, course?,
+ *                                    reminders? }] }
+ * Template events have no date. Applying a template goes through copyEvents.js,
+ * so the preview and conflict checks are the same as copying a day.
+ */
+
+const TEMPLATE_FIELDS = [
+  "type",
+  "title",
+  "startTime",
+  "durationMin",
+  "notes",
+  "course",
+  "reminders",
+];
+
+/** A dateless template copy of an event or occurrence (no series, RPE or links). */
+export function templateEvent(evt) {
+  const out = { id: crypto.randomUUID() };
+  TEMPLATE_FIELDS.forEach((f) => {
+    if (evt[f] != null && evt[f] !== "") out[f] = evt[f];
+  });
+  return { type: "Other", title: "", startTime: "09:00", durationMin: 60, notes: "", ...out };
+}
+
+export function sortTemplateEvents(events) {
+  return [...events].sort((a, b) => a.startTime.localeCompare(b.startTime));
+}
+
+export function newDayTemplate(name, dayEvents) {
+  return {
+    id: crypto.randomUUID(),
+    name,
+    events: sortTemplateEvents(dayEvents.map(templateEvent)),
+  };
+}
+
+/** Templates with events of type `fromId` moved to `toId`; untouched templates kept as-is. */
+export function retypeTemplates(templates, fromId, toId) {
+  return templates.map((t) => {
+    const events = reassignType(t.events, fromId, toId);
+    return events.some((e, i) => e !== t.events[i]) ? { ...t, events } : t;
+  });
+}
@@ -0,0 +1,48 @@
+import { describe, expect, it } from "vitest";
+import { newDayTemplate, retypeTemplates, templateEvent } from "./dayTemplates.js";
+
+const lift = {
+  id: "e1",
+  date: "2026-10-19",
+  type: "Lift",
+  title: "Team lift",
+  startTime: "06:00",
+  durationMin: 60,
+  notes: "",
+  rpe: 7,
+  recurrence: { freq: "weekly" },
+};
+const film = { ...lift, id: "e2", type: "Film", title: "Film", startTime: "10:00", rpe: null };
+
+describe("templateEvent", () => {
+  it("keeps the event's content but not its date, series or RPE", () => {
+    const copy = templateEvent(lift);
+    expect(copy).toEqual({
+      id: copy.id,
+      type: "Lift",
+      title: "Team lift",
+      startTime: "06:00",
+      durationMin: 60,
+      notes: "",
+    });
+    expect(copy.id).not.toBe("e1");
+  });
+});
+
+describe("newDayTemplate", () => {
+  it("stores the day's events in time order", () => {
+    const template = newDayTemplate("Two-a-day", [film, lift]);
+    expect(template.name).toBe("Two-a-day");
+    expect(template.events.map((e) => e.title)).toEqual(["Team lift", "Film"]);
+  });
+});
+
+describe("retypeTemplates", () => {
+  it("moves events to another type and leaves other templates alone", () => {
+    const liftDay = newDayTemplate("Lift day", [lift]);
+    const filmDay = newDayTemplate("Film day", [film]);
+    const [retyped, untouched] = retypeTemplates([liftDay, filmDay], "Lift", "Conditioning");
+    expect(retyped.events[0].type).toBe("Conditioning");
+    expect(untouched).toBe(filmDay);
+  });
+});
@@ -0,0 +1,277 @@
+import { legacyCourseId } from "./courses.js";
+import { expandEventsInRange } from "./recurrence.js";
+
+/**
+ * IndexedDB repository
+ * Object stores:
+ *   events         keyPath id,   indexes: date, recurrence.freq (series only)
+ *   studySessions  keyPath id,   index: date
+ *   studyLog       keyPath date  legacy per-day totals (DB v1), emptied by migration 2
+ *   wellness       keyPath date  { date, sleepHours, sleep, soreness, stress, energy, notes }
+ *   courses        keyPath id    { ...course, order } (keyPath name { name, order } before v4)
+ *   eventTypes     keyPath id    { ...eventType, order }
+ *   assignments    keyPath id,   index: dueDate
+ *   dayTemplates   keyPath id    { id, name, events }
+ *   meta           keyPath key   { key, value }  settings, schemaVersion, ...
+ * When IndexedDB can't be opened the same API is served from memory, saved
+ * to localStorage as one snapshot when it's available.
+ */
+
+export const DB_NAME = "sa_lockin";
+export const DB_VERSION = 6;
+
+export const STORES = [
+  "events",
+  "studySessions",
+  "studyLog",
+  "wellness",
+  "courses",
+  "eventTypes",
+  "assignments",
+  "dayTemplates",
+  "meta",
+];
+
+// Ordered upgrade steps, one per DB_VERSION
+const UPGRADES = [
+  (db) => {
+    const events = db.createObjectStore("events", { keyPath: "id" });
+    events.createIndex("date", "date");
+    events.createIndex("series", "recurrence.freq");
+    db.createObjectStore("studyLog", { keyPath: "date" });
+    db.createObjectStore("wellness", { keyPath: "date" });
+    db.createObjectStore("courses", { keyPath: "name" });
+    db.createObjectStore("meta", { keyPath: "key" });
+  },
+  (db) => {
+    const sessions = db.createObjectStore("studySessions", { keyPath: "id" });
+    sessions.createIndex("date", "date");
+  },
+  (db) => {
+    const assignments = db.createObjectStore("assignments", { keyPath: "id" });
+    assignments.createIndex("dueDate", "dueDate");
+  },
+  (db, tx) => {
+    // Re-key courses by id; migration 4 fills in the other fields and references
+    const old = tx.objectStore("courses").getAll();
+    old.onsuccess = () => {
+      db.deleteObjectStore("courses");
+      const courses = db.createObjectStore("courses", { keyPath: "id" });
+      old.result.forEach(({ name, order }) =>
+        courses.put({ id: legacyCourseId(name), code: name, order })
+      );
+    };
+  },
+  (db) => {
+    db.createObjectStore("eventTypes", { keyPath: "id" });
+  },
+  (db) => {
+    db.createObjectStore("dayTemplates", { keyPath: "id" });
+  },
+];
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+function openIndexedDB() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      for (let v = e.oldVersion; v < DB_VERSION; v++) UPGRADES[v](req.result, req.transaction);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("Database upgrade blocked by another open tab"));
+  });
+}
+
+// Series that can produce an occurrence inside [from, to]
+function seriesOverlaps(evt, from, to) {
+  return evt.date <= to && (!evt.recurrence.until || evt.recurrence.until >= from);
+}
+
+function createIdbRepository(db) {
+  return {
+    kind: "indexeddb",
+
+    async getAll(store) {
+      return request(db.transaction(store).objectStore(store).getAll());
+    },
+
+    async getMeta(key) {
+      const row = await request(db.transaction("meta").objectStore("meta").get(key));
+      return row ? row.value : undefined;
+    },
+
+    setMeta(key, value) {
+      return this.write([{ store: "meta", put: [{ key, value }] }]);
+    },
+
+    /**
+     * Apply changes in one transaction: [{ store, put: [records], del: [keys] }].
+     * The transaction is created synchronously, so a read started afterwards
+     * sees these writes.
+     */
+    write(changes) {
+      const list = changes.filter((c) => c.put?.length || c.del?.length);
+      if (!list.length) return Promise.resolve();
+      const tx = db.transaction([...new Set(list.map((c) => c.store))], "readwrite");
+      list.forEach(({ store, put = [], del = [] }) => {
+        const os = tx.objectStore(store);
+        del.forEach((key) => os.delete(key));
+        put.forEach((rec) => os.put(rec));
+      });
+      return transactionDone(tx);
+    },
+
+    replaceAll(records) {
+      const tx = db.transaction(STORES, "readwrite");
+      STORES.forEach((store) => {
+        if (!records[store]) return;
+        const os = tx.objectStore(store);
+        os.clear();
+        records[store].forEach((rec) => os.put(rec));
+      });
+      return transactionDone(tx);
+    },
+
+    /** Events in [from, to] with recurring series expanded. */
+    async eventsInRange(from, to) {
+      const tx = db.transaction("events");
+      const os = tx.objectStore("events");
+      const [dated, series] = await Promise.all([
+        request(os.index("date").getAll(IDBKeyRange.bound(from, to))),
+        request(os.index("series").getAll()),
+      ]);
+      const candidates = [
+        ...dated.filter((e) => !e.recurrence),
+        ...series.filter((e) => seriesOverlaps(e, from, to)),
+      ];
+      return expandEventsInRange(candidates, from, to);
+    },
+  };
+}
+
+// localStorage key for the fallback repository's snapshot
+export const SNAPSHOT_KEY = "sa_lockin_db";
+
+// localStorage if it can be written to, else null (private modes, blocked storage)
+function writableLocalStorage() {
+  try {
+    const probe = `${SNAPSHOT_KEY}__probe`;
+    localStorage.setItem(probe, "1");
+    localStorage.removeItem(probe);
+    return localStorage;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The repository API over in-memory stores. With `storage` (localStorage or
+ * anything with getItem/setItem) the stores are read from SNAPSHOT_KEY and
+ * saved back after every write; without it nothing outlives the page.
+ */
+export function createMemoryRepository(storage = null) {
+  const stores = Object.fromEntries(STORES.map((s) => [s, new Map()]));
+  const keyOf = {
+    events: "id",
+    studySessions: "id",
+    studyLog: "date",
+    wellness: "date",
+    courses: "id",
+    eventTypes: "id",
+    assignments: "id",
+    dayTemplates: "id",
+    meta: "key",
+  };
+
+  if (storage) {
+    const raw = storage.getItem(SNAPSHOT_KEY);
+    try {
+      const snapshot = raw ? JSON.parse(raw) : {};
+      STORES.forEach((store) =>
+        (snapshot[store] || []).forEach((rec) => stores[store].set(rec[keyOf[store]], rec))
+      );
+    } catch (err) {
+      // Keep the unreadable snapshot aside; the next save would overwrite it
+      console.error("Could not read the saved snapshot:", err);
+      storage.setItem(`${SNAPSHOT_KEY}__corrupt`, raw);
+    }
+  }
+
+  function save() {
+    if (!storage) return;
+    const snapshot = Object.fromEntries(STORES.map((s) => [s, [...stores[s].values()]]));
+    storage.setItem(SNAPSHOT_KEY, JSON.stringify(snapshot));
+  }
+
+  return {
+    kind: storage ? "localstorage" : "memory",
+
+    async getAll(store) {
+      return [...stores[store].values()];
+    },
+
+    async getMeta(key) {
+      return stores.meta.get(key)?.value;
+    },
+
+    setMeta(key, value) {
+      return this.write([{ store: "meta", put: [{ key, value }] }]);
+    },
+
+    async write(changes) {
+      changes.forEach(({ store, put = [], del = [] }) => {
+        del.forEach((key) => stores[store].delete(key));
+        put.forEach((rec) => stores[store].set(rec[keyOf[store]], rec));
+      });
+      save();
+    },
+
+    async replaceAll(records) {
+      Object.entries(records).forEach(([store, list]) => {
+        stores[store].clear();
+        list.forEach((rec) => stores[store].set(rec[keyOf[store]], rec));
+      });
+      save();
+    },
+
+    async eventsInRange(from, to) {
+      const candidates = [...stores.events.values()].filter((e) =>
+        e.recurrence ? seriesOverlaps(e, from, to) : e.date >= from && e.date <= to
+      );
+      return expandEventsInRange(candidates, from, to);
+    },
+  };
+}
+
+/**
+ * Open the IndexedDB repository, falling back to localStorage, then to memory
+ * (kind "memory": changes are lost on reload).
+ */
+export async function openRepository() {
+  try {
+    return createIdbRepository(await openIndexedDB());
+  } catch (err) {
+    const storage = writableLocalStorage();
+    console.warn(`Falling back to ${storage ? "localStorage" : "in-memory storage"}:`, err);
+    return createMemoryRepository(storage);
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Event types
+ * EventType: { id, name, color, icon, defaultDurationMin, defaultTitle,
+ *              trainingLoad, academic, builtIn, templates, reminders }
+ *   trainingLoad  sessions can be rated for RPE and count toward training load
+ *   academic      scheduled time counts as academic time in reports
+ *   templates     quick-add presets: [{ id, name, title, durationMin, notes }]
+ *   reminders     default reminder rules for its events (see reminders.js)
+ * Events store the type id in `type`. The built-in ids are the original type
+ * names, so events from before types were editable still point at them, and
+ * the app's special handling (Study blocks start the timer, Match days get a
+ * recovery window) follows the id through a rename.
+ */
+
+// Built-in type ids, in their original order
+export const EVENT_TYPES = [
+  "Class",
+  "Lift",
+  "Practice",
+  "Match",
+  "Study",
+  "Recovery",
+  "Other",
+];
+
+const BUILT_IN_TYPES = [
+  { id: "Class", icon: "📚", color: "#4a7bd0", defaultDurationMin: 75, academic: true },
+  { id: "Lift", icon: "🏋️", color: "#d9822b", defaultDurationMin: 60, trainingLoad: true },
+  {
+    id: "Practice",
+    icon: "🏃",
+    color: "#2fa37c",
+    defaultDurationMin: 120,
+    trainingLoad: true,
+    reminders: ["15"],
+  },
+  {
+    id: "Match",
+    icon: "🏆",
+    color: "#d64545",
+    defaultDurationMin: 180,
+    trainingLoad: true,
+    reminders: ["night"],
+  },
+  {
+    id: "Study",
+    icon: "📖",
+    color: "#8e5bd0",
+    defaultDurationMin: 60,
+    defaultTitle: "Study Block",
+    academic: true,
+  },
+  {
+    id: "Recovery",
+    icon: "🧊",
+    color: "#3aa6b9",
+    defaultDurationMin: 30,
+    defaultTitle: "Recovery (ice/roll/stretch)",
+  },
+  { id: "Other", icon: "📌", color: "#8a8a8a", defaultDurationMin: 30 },
+];
+
+const FALLBACK_COLOR = "#8a8a8a";
+
+export function newEventType(fields) {
+  return {
+    id: crypto.randomUUID(),
+    name: "",
+    color: FALLBACK_COLOR,
+    icon: "",
+    defaultDurationMin: 60,
+    defaultTitle: "",
+    trainingLoad: false,
+    academic: false,
+    builtIn: false,
+    templates: [],
+    reminders: [],
+    ...fields,
+  };
+}
+
+/** Records for the built-in types, seeded on first run (migration 5). */
+export function builtInEventTypes() {
+  return BUILT_IN_TYPES.map((t) =>
+    newEventType({ name: t.id, defaultTitle: t.id, ...t, builtIn: true })
+  );
+}
+
+/** Reminder rules a built-in type starts with; custom types start with none. */
+export function builtInReminders(id) {
+  return BUILT_IN_TYPES.find((t) => t.id === id)?.reminders || [];
+}
+
+export function newTypeTemplate(fields) {
+  return { id: crypto.randomUUID(), name: "", title: "", durationMin: 60, notes: "", ...fields };
+}
+
+/** The type record for an id; ids with no record (e.g. deleted) get a grey stand-in. */
+export function eventTypeById(types, id) {
+  return (
+    types.find((t) => t.id === id) ||
+    newEventType({ id, name: id || "Other", defaultTitle: id || "" })
+  );
+}
+
+export function typeName(types, id) {
+  return eventTypeById(types, id).name;
+}
+
+export function typeColor(types, id) {
+  return eventTypeById(types, id).color || FALLBACK_COLOR;
+}
+
+/** "🏋️ Lift": the badge shown on events. */
+export function typeLabel(types, id) {
+  const t = eventTypeById(types, id);
+  return t.icon ? `${t.icon} ${t.name}` : t.name;
+}
+
+/** Ids of the types with `flag` ("trainingLoad" | "academic") set. */
+export function typeIdsWith(types, flag) {
+  return types.filter((t) => t[flag]).map((t) => t.id);
+}
+
+/** The type whose name matches `name`, ignoring case, or null. */
+export function findTypeByName(types, name) {
+  const lower = String(name || "").trim().toLowerCase();
+  return types.find((t) => t.id.toLowerCase() === lower || t.name.toLowerCase() === lower) || null;
+}
+
+function eventUsesType(evt, id) {
+  return evt.type === id || Object.values(evt.overrides || {}).some((o) => o?.type === id);
+}
+
+/** { typeId: number of events (a series counts once) } */
+export function typeUsage(events) {
+  const out = {};
+  events.forEach((e) => {
+    const ids = new Set([e.type, ...Object.values(e.overrides || {}).map((o) => o?.type)]);
+    ids.forEach((id) => {
+      if (id) out[id] = (out[id] || 0) + 1;
+    });
+  });
+  return out;
+}
+
+/** Events (and changed occurrences) of type `fromId` moved to `toId`; others kept as-is. */
+export function reassignType(events, fromId, toId) {
+  const retype = (r) => (r?.type === fromId ? { ...r, type: toId } : r);
+  return events.map((e) => {
+    if (!eventUsesType(e, fromId)) return e;
+    const next = retype(e);
+    if (!e.overrides) return next;
+    const overrides = Object.fromEntries(
+      Object.entries(e.overrides).map(([date, o]) => [date, retype(o)])
+    );
+    return { ...next, overrides };
+  });
+}
@@ -0,0 +1,88 @@
+/**
+ * App data with undo/redo.
+ * One reducer owns the user's records; every change carries a label so the
+ * history can say what an undo will revert.
+ *
+ * state = {
+ *   data: { events, courses, eventTypes, wellness, studySessions, assignments, dayTemplates },
+ *   past: [{ label, data, mergeKey }],   // newest last
+ *   future: [{ label, data }],           // newest first
+ *   last: { kind: "change" | "undo" | "redo", label, seq } | null
+ * }
+ * Settings stay outside: they're preferences, not records to undo.
+ */
+
+export const HISTORY_LIMIT = 100;
+
+export const HISTORY_COLLECTIONS = [
+  "events",
+  "courses",
+  "eventTypes",
+  "wellness",
+  "studySessions",
+  "assignments",
+  "dayTemplates",
+];
+
+export function initialHistory(data) {
+  return {
+    data: Object.fromEntries(HISTORY_COLLECTIONS.map((c) => [c, data[c]])),
+    past: [],
+    future: [],
+    last: null,
+  };
+}
+
+// changes: { collection: value | (prev) => value }
+function applyChanges(data, changes) {
+  let next = data;
+  Object.entries(changes).forEach(([name, change]) => {
+    const value = typeof change === "function" ? change(next[name]) : change;
+    if (value !== next[name]) next = { ...next, [name]: value };
+  });
+  return next;
+}
+
+/**
+ * Actions:
+ *   { type: "change", label, changes, mergeKey? }  consecutive changes with the
+ *       same mergeKey (e.g. typing into one day's wellness) are one undo step
+ *   { type: "undo" } | { type: "redo" }
+ */
+export function historyReducer(state, action) {
+  const seq = (state.last?.seq || 0) + 1;
+  switch (action.type) {
+    case "change": {
+      const data = applyChanges(state.data, action.changes);
+      if (data === state.data) return state;
+      const top = state.past[state.past.length - 1];
+      const merge =
+        action.mergeKey && top?.mergeKey === action.mergeKey && state.last?.kind === "change";
+      const entry = { label: action.label, data: state.data, mergeKey: action.mergeKey };
+      const past = merge ? state.past : [...state.past, entry].slice(-HISTORY_LIMIT);
+      return { data, past, future: [], last: { kind: "change", label: action.label, seq } };
+    }
+    case "undo": {
+      const top = state.past[state.past.length - 1];
+      if (!top) return state;
+      return {
+        data: top.data,
+        past: state.past.slice(0, -1),
+        future: [{ label: top.label, data: state.data }, ...state.future],
+        last: { kind: "undo", label: top.label, seq },
+      };
+    }
+    case "redo": {
+      const [next, ...rest] = state.future;
+      if (!next) return state;
+      return {
+        data: next.data,
+        past: [...state.past, { label: next.label, data: state.data }],
+        future: rest,
+        last: { kind: "redo", label: next.label, seq },
+      };
+    }
+    default:
+      return state;
+  }
+}
@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import { HISTORY_LIMIT, historyReducer, initialHistory } from "./history.js";
+
+const start = () => initialHistory({ events: [], courses: ["BIO 212"], wellness: {} });
+const change = (label, changes, mergeKey) => ({ type: "change", label, changes, mergeKey });
+const run = (state, ...actions) => actions.reduce(historyReducer, state);
+
+const addEvent = (id) => change(`Added ${id}`, { events: (prev) => [...prev, { id }] });
+const ids = (state) => state.data.events.map((e) => e.id);
+
+describe("historyReducer", () => {
+  it("undoes and redoes changes in order", () => {
+    const state = run(start(), addEvent("a"), addEvent("b"), { type: "undo" });
+    expect(ids(state)).toEqual(["a"]);
+    expect(state.last).toMatchObject({ kind: "undo", label: "Added b" });
+    expect(ids(run(state, { type: "undo" }))).toEqual([]);
+    expect(ids(run(state, { type: "redo" }))).toEqual(["a", "b"]);
+  });
+
+  it("clears redo when a new change comes in", () => {
+    const state = run(start(), addEvent("a"), { type: "undo" }, addEvent("b"));
+    expect(state.future).toEqual([]);
+    expect(run(state, { type: "redo" })).toBe(state);
+    expect(ids(state)).toEqual(["b"]);
+  });
+
+  it("ignores changes that change nothing and undo with nothing to undo", () => {
+    const state = start();
+    expect(run(state, change("Nothing", { events: (prev) => prev }))).toBe(state);
+    expect(run(state, { type: "undo" })).toBe(state);
+  });
+
+  it("groups consecutive changes with the same mergeKey into one step", () => {
+    const wellness = (stress) =>
+      change("Check-in", { wellness: (prev) => ({ ...prev, "2026-10-19": { stress } }) }, "w");
+    const state = run(start(), addEvent("a"), wellness(3), wellness(4), wellness(5));
+    expect(state.past).toHaveLength(2);
+    const undone = run(state, { type: "undo" });
+    expect(undone.data.wellness).toEqual({});
+    expect(ids(undone)).toEqual(["a"]);
+  });
+
+  it("starts a new step when the same key comes back after an undo", () => {
+    const edit = (stress) => change("Check-in", { wellness: { "2026-10-19": { stress } } }, "w");
+    const state = run(start(), edit(3), { type: "undo" }, edit(4), edit(5));
+    expect(state.past).toHaveLength(1);
+  });
+
+  it("keeps at most HISTORY_LIMIT steps", () => {
+    const actions = Array.from({ length: HISTORY_LIMIT + 5 }, (_, i) => addEvent(`e${i}`));
+    let state = run(start(), ...actions);
+    expect(state.past).toHaveLength(HISTORY_LIMIT);
+    for (let i = 0; i < HISTORY_LIMIT + 5; i++) state = historyReducer(state, { type: "undo" });
+    // The oldest five can't be undone any more
+    expect(ids(state)).toEqual(["e0", "e1", "e2", "e3", "e4"]);
+  });
+});
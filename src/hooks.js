@@ -0,0 +1,43 @@
+import { useEffect, useRef, useState } from "react";
+import { diffCollection } from "./persistence.js";
+import { expandEventsInRange } from "./recurrence.js";
+
+/**
+ * Write only the records of `value` that changed since the last render.
+ */
+export function usePersistedCollection(repo, name, value, onError) {
+  const prev = useRef(value);
+  useEffect(() => {
+    if (prev.current === value) return;
+    const change = diffCollection(name, prev.current, value);
+    prev.current = value;
+    repo.write([change]).catch(onError);
+  }, [repo, name, value, onError]);
+}
+
+/**
+ * Events (with recurring series expanded) between two dates, queried from the
+ * repository. `events` is only a change signal: pass the in-memory list so the
+ * query re-runs after edits, and expanded directly if the query fails.
+ * Declare after usePersistedCollection so the query sees the latest writes.
+ */
+export function useEventsInRange(repo, from, to, events) {
+  const [result, setResult] = useState({ from: null, to: null, list: [] });
+  useEffect(() => {
+    let cancelled = false;
+    repo
+      .eventsInRange(from, to)
+      .catch((err) => {
+        console.error(err);
+        return expandEventsInRange(events, from, to);
+      })
+      .then((list) => {
+        if (!cancelled) setResult({ from, to, list });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [repo, from, to, events]);
+  // Don't show another range's events while the new query is in flight
+  return result.from === from && result.to === to ? result.list : [];
+}
@@ -0,0 +1,422 @@
+import { todayISOFromDate } from "./dates.js";
+import { EVENT_TYPES, findTypeByName, typeName } from "./eventTypes.js";
+import { expandEventsInRange } from "./recurrence.js";
+
+/**
+ * iCalendar (RFC 5545) import/export
+ * Import understands VEVENT with DTSTART, DTEND/DURATION, RRULE (daily/weekly),
+ * EXDATE and RECURRENCE-ID overrides. Export writes one VEVENT per occurrence.
+ */
+
+const PRODID = "-//Lock-In Planner//Student-Athlete Planner//EN";
+
+// Stand-in type records when the caller has none: the built-ins by id
+const DEFAULT_TYPES = EVENT_TYPES.map((id) => ({ id, name: id }));
+
+// Title keywords for the built-in types
+const TYPE_KEYWORDS = [
+  ["Match", /\b(match|game|vs\.?|tournament|meet|scrimmage|invitational)\b/i],
+  ["Practice", /\b(practice|training|walkthrough|shootaround)\b/i],
+  ["Lift", /\b(lift|lifting|weights|strength|conditioning)\b/i],
+  ["Recovery", /\b(recovery|treatment|rehab|massage|ice bath|stretch|physio)\b/i],
+  ["Study", /\b(study|study hall|tutor|tutoring|review|homework)\b/i],
+  ["Class", /\b(lecture|class|lab|seminar|recitation|discussion)\b|^[A-Z]{2,4}\s?\d{3}/i],
+];
+
+// ---------- parsing ----------
+
+function unfold(text) {
+  return text.replace(/\r\n/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+}
+
+function unescapeText(v) {
+  return v
+    .replace(/\\n/gi, "\n")
+    .replace(/\\,/g, ",")
+    .replace(/\\;/g, ";")
+    .replace(/\\\\/g, "\\");
+}
+
+// "DTSTART;TZID=America/New_York:20260112T090000" -> { name, params, value }
+function parseLine(line) {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon < 0) return null;
+  const [name, ...rawParams] = line.slice(0, colon).split(";");
+  const params = {};
+  rawParams.forEach((p) => {
+    const [k, v = ""] = p.split("=");
+    params[k.toUpperCase()] = v.replace(/^"|"$/g, "");
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Date-time value -> { date, time, allDay }. UTC values ("Z") are converted
+ * to local time; TZID and floating values are taken as wall-clock time.
+ */
+function parseDateTime(value, params = {}) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!m) return null;
+  const [, y, mo, d, hh, mi, ss, z] = m;
+  if (!hh || params.VALUE === "DATE") {
+    return { date: `${y}-${mo}-${d}`, time: "00:00", allDay: true };
+  }
+  if (z) {
+    const local = new Date(Date.UTC(+y, +mo - 1, +d, +hh, +mi, +(ss || 0)));
+    const time = `${String(local.getHours()).padStart(2, "0")}:${String(local.getMinutes()).padStart(2, "0")}`;
+    return { date: todayISOFromDate(local), time, allDay: false };
+  }
+  return { date: `${y}-${mo}-${d}`, time: `${hh}:${mi}`, allDay: false };
+}
+
+// "P1DT2H30M" -> minutes
+function parseDuration(value) {
+  const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!m) return null;
+  const [, sign, w, d, h, mi] = m;
+  const mins = (+w || 0) * 7 * 1440 + (+d || 0) * 1440 + (+h || 0) * 60 + (+mi || 0);
+  return sign === "-" ? -mins : mins;
+}
+
+function minutesBetween(a, b) {
+  const start = new Date(`${a.date}T${a.time}:00`);
+  const end = new Date(`${b.date}T${b.time}:00`);
+  return Math.round((end - start) / 60000);
+}
+
+const BYDAY = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+/**
+ * RRULE -> recurrence rule used by recurrence.js, or { unsupported } when the
+ * rule can't be represented (monthly, yearly, BYSETPOS, ...).
+ */
+function parseRRule(value) {
+  const parts = Object.fromEntries(
+    value.split(";").map((p) => {
+      const [k, v = ""] = p.split("=");
+      return [k.toUpperCase(), v];
+    })
+  );
+  const freq = (parts.FREQ || "").toUpperCase();
+  if (freq !== "DAILY" && freq !== "WEEKLY") return { unsupported: `FREQ=${freq || "?"}` };
+  if (parts.BYSETPOS || parts.BYMONTH || parts.BYMONTHDAY || parts.BYHOUR) {
+    return { unsupported: value };
+  }
+  const weekdays = (parts.BYDAY || "")
+    .split(",")
+    .filter(Boolean)
+    .map((d) => BYDAY[d.slice(-2).toUpperCase()])
+    .filter((d) => d != null);
+  if (freq === "DAILY" && weekdays.length) return { unsupported: value };
+  const until = parts.UNTIL ? parseDateTime(parts.UNTIL)?.date || null : null;
+  return {
+    freq: freq === "DAILY" ? "daily" : "weekly",
+    interval: Math.max(1, Number(parts.INTERVAL) || 1),
+    weekdays,
+    until,
+    count: parts.COUNT ? Number(parts.COUNT) : null,
+  };
+}
+
+/**
+ * Parse .ics text into plain VEVENT records:
+ *   { uid, summary, description, location, categories, date, startTime,
+ *     durationMin, allDay, rrule, exdates, recurrenceId, cancelled }
+ */
+export function parseICS(text) {
+  const out = [];
+  let cur = null;
+  let depth = 0; // components nested in the VEVENT, e.g. VALARM
+  for (const line of unfold(text)) {
+    if (!line.trim()) continue;
+    if (line === "BEGIN:VEVENT") {
+      cur = { exdates: [], categories: [] };
+      depth = 0;
+      continue;
+    }
+    if (line === "END:VEVENT" && depth === 0) {
+      if (cur?.start) out.push(finishVEvent(cur));
+      cur = null;
+      continue;
+    }
+    if (!cur) continue;
+    // A VALARM has its own DESCRIPTION, DURATION, ...; they aren't the event's
+    if (/^BEGIN:/i.test(line)) {
+      depth += 1;
+      continue;
+    }
+    if (/^END:/i.test(line)) {
+      depth = Math.max(0, depth - 1);
+      continue;
+    }
+    if (depth > 0) continue;
+    const prop = parseLine(line);
+    if (!prop) continue;
+    const { name, params, value } = prop;
+    if (name === "UID") cur.uid = value.trim();
+    else if (name === "SUMMARY") cur.summary = unescapeText(value).trim();
+    else if (name === "DESCRIPTION") cur.description = unescapeText(value).trim();
+    else if (name === "LOCATION") cur.location = unescapeText(value).trim();
+    else if (name === "CATEGORIES") cur.categories.push(...unescapeText(value).split(",").map((c) => c.trim()));
+    else if (name === "DTSTART") cur.start = parseDateTime(value, params);
+    else if (name === "DTEND") cur.end = parseDateTime(value, params);
+    else if (name === "DURATION") cur.duration = parseDuration(value);
+    else if (name === "RRULE") cur.rrule = parseRRule(value);
+    else if (name === "EXDATE") {
+      value.split(",").forEach((v) => {
+        const dt = parseDateTime(v, params);
+        if (dt) cur.exdates.push(dt.date);
+      });
+    } else if (name === "RECURRENCE-ID") cur.recurrenceId = parseDateTime(value, params)?.date;
+    else if (name === "STATUS") cur.cancelled = value.trim().toUpperCase() === "CANCELLED";
+  }
+  return out;
+}
+
+function finishVEvent(v) {
+  let durationMin = 0;
+  if (v.duration != null) durationMin = v.duration;
+  else if (v.end) durationMin = minutesBetween(v.start, v.end);
+  // All-day events carry no scheduled time in the planner
+  if (v.start.allDay) durationMin = 0;
+  return {
+    uid: v.uid || null,
+    summary: v.summary || "(untitled)",
+    description: v.description || "",
+    location: v.location || "",
+    categories: v.categories,
+    date: v.start.date,
+    startTime: v.start.time,
+    durationMin: Math.max(0, durationMin),
+    allDay: v.start.allDay,
+    rrule: v.rrule || null,
+    exdates: v.exdates,
+    recurrenceId: v.recurrenceId || null,
+    cancelled: Boolean(v.cancelled),
+  };
+}
+
+// ---------- mapping onto planner events ----------
+
+export function typeMapKey(summary) {
+  return summary.trim().toLowerCase();
+}
+
+/**
+ * Pick an event type id for a VEVENT: user mapping by title first, then
+ * CATEGORIES naming a type, then keywords in the title.
+ * types: event type records
+ */
+export function guessEventType(vevent, typeMap = {}, types = DEFAULT_TYPES) {
+  const mapped = typeMap[typeMapKey(vevent.summary)];
+  if (mapped && types.some((t) => t.id === mapped)) return mapped;
+  const category = vevent.categories.map((c) => findTypeByName(types, c)).find(Boolean);
+  if (category) return category.id;
+  const hit = TYPE_KEYWORDS.find(([, re]) => re.test(vevent.summary));
+  return hit ? hit[0] : "Other";
+}
+
+function notesFor(v) {
+  return [v.allDay ? "All day" : "", v.location, v.description].filter(Boolean).join(" • ");
+}
+
+/**
+ * Turn parsed VEVENTs into planner events keyed by source UID.
+ * Returns { events, cancelled, warnings }; events have no `id` yet (see
+ * mergeImported). cancelled lists the UIDs of whole events or series the
+ * calendar marks STATUS:CANCELLED.
+ */
+export function veventsToEvents(vevents, typeMap = {}, types = DEFAULT_TYPES) {
+  const warnings = [];
+  const masters = new Map();
+  const singles = [];
+  const cancelled = [];
+
+  vevents
+    .filter((v) => !v.recurrenceId)
+    .forEach((v) => {
+      const evt = {
+        date: v.date,
+        type: guessEventType(v, typeMap, types),
+        title: v.summary,
+        startTime: v.startTime,
+        durationMin: v.durationMin,
+        notes: notesFor(v),
+        sourceUid: v.uid,
+      };
+      if (v.rrule?.unsupported) {
+        warnings.push(`"${v.summary}" repeats in a way the planner can't follow (${v.rrule.unsupported}); only the first date was imported.`);
+      } else if (v.rrule) {
+        evt.recurrence = v.rrule;
+        if (v.exdates.length) evt.exdates = [...new Set(v.exdates)].sort();
+      }
+      if (v.cancelled) {
+        if (v.uid) cancelled.push(v.uid);
+        return;
+      }
+      if (v.uid) masters.set(v.uid, evt);
+      else singles.push(evt);
+    });
+
+  // Modified or cancelled single occurrences of a series
+  vevents
+    .filter((v) => v.recurrenceId)
+    .forEach((v) => {
+      const series = masters.get(v.uid);
+      if (!series?.recurrence) return;
+      if (v.cancelled) {
+        series.exdates = [...new Set([...(series.exdates || []), v.recurrenceId])].sort();
+        return;
+      }
+      if (v.date !== v.recurrenceId) {
+        // Moved to another day: skip the original date, add a one-off copy
+        series.exdates = [...new Set([...(series.exdates || []), v.recurrenceId])].sort();
+        singles.push({
+          date: v.date,
+          type: series.type,
+          title: v.summary,
+          startTime: v.startTime,
+          durationMin: v.durationMin,
+          notes: notesFor(v),
+          sourceUid: `${v.uid}#${v.recurrenceId}`,
+        });
+        return;
+      }
+      series.overrides = {
+        ...series.overrides,
+        [v.recurrenceId]: {
+          title: v.summary,
+          startTime: v.startTime,
+          durationMin: v.durationMin,
+          notes: notesFor(v),
+        },
+      };
+    });
+
+  return { events: [...masters.values(), ...singles], cancelled, warnings };
+}
+
+const COMPARE_FIELDS = ["date", "type", "title", "startTime", "durationMin", "notes", "recurrence", "exdates", "overrides"];
+
+function sameEvent(a, b) {
+  return COMPARE_FIELDS.every((f) => JSON.stringify(a[f] ?? null) === JSON.stringify(b[f] ?? null));
+}
+
+// The UID a stored event came from; one-off copies of moved occurrences are "UID#date"
+function sourceSeriesUid(evt) {
+  return evt.sourceUid?.split("#")[0];
+}
+
+/**
+ * Classify imported events against existing ones by source UID.
+ * Existing events from a cancelled UID (including moved occurrences of a
+ * cancelled series) are planned for removal.
+ * Returns [{ event, status: "new" | "update" | "unchanged" | "remove", existingId }].
+ */
+export function planImport(existing, imported, cancelled = []) {
+  const byUid = new Map(existing.filter((e) => e.sourceUid).map((e) => [e.sourceUid, e]));
+  const plan = imported.map((evt) => {
+    const match = evt.sourceUid ? byUid.get(evt.sourceUid) : null;
+    if (!match) return { event: evt, status: "new", existingId: null };
+    return { event: evt, status: sameEvent(match, evt) ? "unchanged" : "update", existingId: match.id };
+  });
+  const gone = new Set(cancelled);
+  existing
+    .filter((e) => e.sourceUid && gone.has(sourceSeriesUid(e)))
+    .forEach((e) => plan.push({ event: e, status: "remove", existingId: e.id }));
+  return plan;
+}
+
+export function mergeImported(existing, plan) {
+  const updates = new Map(plan.filter((p) => p.status === "update").map((p) => [p.existingId, p.event]));
+  const removed = new Set(plan.filter((p) => p.status === "remove").map((p) => p.existingId));
+  const next = existing.filter((e) => !removed.has(e.id)).map((e) => {
+    const upd = updates.get(e.id);
+    if (!upd) return e;
+    // Drop local recurrence fields the updated source no longer has
+    const { recurrence: _r, exdates: _x, overrides: _o, ...rest } = e;
+    return { ...rest, ...upd, id: e.id };
+  });
+  const added = plan
+    .filter((p) => p.status === "new")
+    .map((p) => ({ ...p.event, id: crypto.randomUUID() }));
+  return [...next, ...added];
+}
+
+// ---------- export ----------
+
+function escapeText(v) {
+  return String(v)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/,/g, "\\,")
+    .replace(/;/g, "\\;");
+}
+
+// Fold to 75 octets per line as RFC 5545 requires
+function fold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let cur = "";
+  let curLen = 0;
+  for (const ch of line) {
+    const len = new TextEncoder().encode(ch).length;
+    if (curLen + len > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+      curLen = 0;
+    }
+    cur += ch;
+    curLen += len;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+function icsDate(iso) {
+  return iso.replace(/-/g, "");
+}
+
+function icsDateTime(iso, time) {
+  return `${icsDate(iso)}T${time.replace(":", "")}00`;
+}
+
+function utcStamp(d) {
+  return d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Export events between two dates (inclusive) as an .ics document.
+ * Times are written as floating local time so calendars show the same clock time.
+ * CATEGORIES carries the type's name, which import maps back onto the type.
+ */
+export function eventsToICS(events, fromDate, toDate, types = DEFAULT_TYPES) {
+  const stamp = utcStamp(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:Lock-In Planner",
+  ];
+  expandEventsInRange(events, fromDate, toDate).forEach((e) => {
+    const uid = e.seriesId
+      ? `${e.sourceUid || e.seriesId}-${icsDate(e.date)}`
+      : e.sourceUid || `${e.id}@lockin-planner`;
+    lines.push("BEGIN:VEVENT", `UID:${uid}`, `DTSTAMP:${stamp}`);
+    lines.push(
+      `DTSTART:${icsDateTime(e.date, e.startTime)}`,
+      `DURATION:PT${Math.max(0, Number(e.durationMin) || 0)}M`
+    );
+    lines.push(
+      `SUMMARY:${escapeText(e.title)}`,
+      `CATEGORIES:${escapeText(typeName(types, e.type))}`
+    );
+    if (e.notes) lines.push(`DESCRIPTION:${escapeText(e.notes)}`);
+    lines.push("END:VEVENT");
+  });
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
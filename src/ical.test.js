@@ -0,0 +1,203 @@
+import { describe, expect, it } from "vitest";
+import { eventsToICS, mergeImported, parseICS, planImport, veventsToEvents } from "./ical.js";
+
+const ics = (...lines) =>
+  ["BEGIN:VCALENDAR", "VERSION:2.0", ...lines, "END:VCALENDAR"].join("\r\n");
+
+describe("parseICS", () => {
+  it("reads a timed event with folded and escaped text", () => {
+    const [v] = parseICS(
+      ics(
+        "BEGIN:VEVENT",
+        "UID:abc-1",
+        "SUMMARY:Practice\\, full pads",
+        "DESCRIPTION:Bring cleats\\nand water; meet at",
+        "  the field house",
+        "DTSTART;TZID=America/Chicago:20261020T153000",
+        "DTEND;TZID=America/Chicago:20261020T173000",
+        "LOCATION:Field 2",
+        "END:VEVENT"
+      )
+    );
+    expect(v).toMatchObject({
+      uid: "abc-1",
+      summary: "Practice, full pads",
+      description: "Bring cleats\nand water; meet at the field house",
+      location: "Field 2",
+      date: "2026-10-20",
+      startTime: "15:30",
+      durationMin: 120,
+      allDay: false,
+    });
+  });
+
+  it("keeps VALARM properties out of the event", () => {
+    const [v] = parseICS(
+      ics(
+        "BEGIN:VEVENT",
+        "UID:abc-2",
+        "SUMMARY:Match vs State",
+        "DESCRIPTION:Away game",
+        "DTSTART:20261024T130000",
+        "DURATION:PT3H",
+        "BEGIN:VALARM",
+        "ACTION:DISPLAY",
+        "DESCRIPTION:Reminder",
+        "TRIGGER:-PT30M",
+        "DURATION:PT5M",
+        "REPEAT:2",
+        "END:VALARM",
+        "END:VEVENT"
+      )
+    );
+    expect(v.description).toBe("Away game");
+    expect(v.durationMin).toBe(180);
+  });
+
+  it("reads weekly rules, exceptions and all-day events", () => {
+    const out = parseICS(
+      ics(
+        "BEGIN:VEVENT",
+        "UID:bio",
+        "SUMMARY:BIO 212",
+        "DTSTART:20261019T090000",
+        "DURATION:PT75M",
+        "RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=8",
+        "EXDATE:20261021T090000",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "UID:trip",
+        "SUMMARY:Travel day",
+        "DTSTART;VALUE=DATE:20261023",
+        "DTEND;VALUE=DATE:20261024",
+        "END:VEVENT"
+      )
+    );
+    expect(out[0].rrule).toEqual({
+      freq: "weekly",
+      interval: 1,
+      weekdays: [1, 3],
+      until: null,
+      count: 8,
+    });
+    expect(out[0].exdates).toEqual(["2026-10-21"]);
+    expect(out[1]).toMatchObject({ allDay: true, durationMin: 0, date: "2026-10-23" });
+  });
+});
+
+describe("veventsToEvents", () => {
+  it("guesses types and folds RECURRENCE-ID overrides into the series", () => {
+    const vevents = parseICS(
+      ics(
+        "BEGIN:VEVENT",
+        "UID:lift",
+        "SUMMARY:Team lift",
+        "DTSTART:20261019T060000",
+        "DURATION:PT1H",
+        "RRULE:FREQ=DAILY;COUNT=5",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "UID:lift",
+        "RECURRENCE-ID:20261020T060000",
+        "SUMMARY:Team lift (late)",
+        "DTSTART:20261020T070000",
+        "DURATION:PT1H",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "UID:lift",
+        "RECURRENCE-ID:20261021T060000",
+        "STATUS:CANCELLED",
+        "DTSTART:20261021T060000",
+        "END:VEVENT"
+      )
+    );
+    const { events, warnings } = veventsToEvents(vevents);
+    expect(warnings).toEqual([]);
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ type: "Lift", sourceUid: "lift", exdates: ["2026-10-21"] });
+    expect(events[0].overrides["2026-10-20"]).toMatchObject({ startTime: "07:00" });
+  });
+
+  it("warns about rules it can't follow and imports the first date", () => {
+    const vevents = parseICS(
+      ics(
+        "BEGIN:VEVENT",
+        "UID:m",
+        "SUMMARY:Monthly meeting",
+        "DTSTART:20261019T120000",
+        "RRULE:FREQ=MONTHLY",
+        "END:VEVENT"
+      )
+    );
+    const { events, warnings } = veventsToEvents(vevents);
+    expect(warnings).toHaveLength(1);
+    expect(events[0].recurrence).toBeUndefined();
+  });
+});
+
+describe("planImport / mergeImported", () => {
+  it("removes events whose series the calendar cancelled", () => {
+    const vevents = parseICS(
+      ics(
+        "BEGIN:VEVENT",
+        "UID:lift",
+        "SUMMARY:Team lift",
+        "STATUS:CANCELLED",
+        "DTSTART:20261019T060000",
+        "RRULE:FREQ=DAILY;COUNT=5",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "UID:film",
+        "SUMMARY:Film",
+        "DTSTART:20261019T100000",
+        "END:VEVENT"
+      )
+    );
+    const { events: imported, cancelled } = veventsToEvents(vevents);
+    expect(imported.map((e) => e.sourceUid)).toEqual(["film"]);
+    expect(cancelled).toEqual(["lift"]);
+
+    const existing = [
+      { id: "a", sourceUid: "lift", date: "2026-10-19", title: "Team lift" },
+      { id: "b", sourceUid: "lift#2026-10-20", date: "2026-10-21", title: "Team lift" },
+      { id: "c", date: "2026-10-19", title: "My own lift" },
+    ];
+    const plan = planImport(existing, imported, cancelled);
+    expect(plan.map((p) => [p.status, p.existingId])).toEqual([
+      ["new", null],
+      ["remove", "a"],
+      ["remove", "b"],
+    ]);
+    const merged = mergeImported(existing, plan);
+    expect(merged.map((e) => e.title)).toEqual(["My own lift", "Film"]);
+  });
+});
+
+describe("eventsToICS", () => {
+  it("round-trips through parseICS and re-imports as unchanged", () => {
+    const events = [
+      {
+        id: "e1",
+        date: "2026-10-22",
+        type: "Practice",
+        title: "Practice; film after",
+        startTime: "15:00",
+        durationMin: 120,
+        notes: "Bring, cleats",
+      },
+    ];
+    const text = eventsToICS(events, "2026-10-19", "2026-10-25");
+    const [v] = parseICS(text);
+    expect(v).toMatchObject({
+      summary: "Practice; film after",
+      categories: ["Practice"],
+      description: "Bring, cleats",
+      date: "2026-10-22",
+      startTime: "15:00",
+      durationMin: 120,
+    });
+    const imported = veventsToEvents([v]).events;
+    const existing = imported.map((e) => ({ ...e, id: "x" }));
+    expect(planImport(existing, imported)[0].status).toBe("unchanged");
+  });
+});
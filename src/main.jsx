@@ -2,9 +2,23 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { createMemoryRepository, openRepository } from './db.js'
+import { loadAppData } from './persistence.js'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+async function boot() {
+  const repo = await openRepository()
+  try {
+    return await loadAppData(repo)
+  } catch (err) {
+    console.error('Could not load saved data, using in-memory storage:', err)
+    return loadAppData(createMemoryRepository())
+  }
+}
+
+boot().then(({ repo, data, issues }) => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App repo={repo} initialData={data} initialIssues={issues} />
+    </StrictMode>,
+  )
+})
@@ -0,0 +1,214 @@
+import { legacyCourseId, newCourse } from "./courses.js";
+import {
+  builtInEventTypes,
+  builtInReminders,
+  findTypeByName,
+  newEventType,
+} from "./eventTypes.js";
+
+/**
+ * Schema versions and ordered data migrations.
+ * Migrations work on the plain data object
+ *   { events, courses, eventTypes, wellness, studySessions, assignments, dayTemplates,
+ *     settings }
+ * so the same steps upgrade both local storage and older backup files.
+ * To change a stored shape: bump SCHEMA_VERSION and append a migration.
+ */
+
+export const SCHEMA_VERSION = 7;
+
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v);
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Baseline: normalize unversioned v1 data",
+    migrate(data) {
+      const events = (Array.isArray(data.events) ? data.events : [])
+        .filter(isPlainObject)
+        .map((e) => ({
+          ...e,
+          id: e.id || crypto.randomUUID(),
+          durationMin: Number(e.durationMin) || 0,
+          notes: e.notes || "",
+        }));
+      const courses = (Array.isArray(data.courses) ? data.courses : [])
+        .filter((c) => typeof c === "string" && c.trim());
+      return {
+        ...data,
+        events,
+        courses: [...new Set(courses)],
+        wellness: isPlainObject(data.wellness) ? data.wellness : {},
+        studyLog: isPlainObject(data.studyLog) ? data.studyLog : {},
+        settings: isPlainObject(data.settings) ? data.settings : {},
+      };
+    },
+  },
+  {
+    version: 2,
+    description: "Study log per day/course -> individual study sessions",
+    migrate(data) {
+      const { studyLog = {}, ...rest } = data;
+      const legacy = [];
+      Object.entries(studyLog).forEach(([date, byCourse]) => {
+        Object.entries(byCourse || {}).forEach(([course, minutes]) => {
+          if (!(Number(minutes) > 0)) return;
+          legacy.push({
+            // Stable id so restoring the same old backup twice doesn't double count
+            id: `legacy-${date}-${course}`,
+            date,
+            course,
+            start: null,
+            end: null,
+            minutes: Number(minutes),
+            status: "legacy",
+          });
+        });
+      });
+      return { ...rest, studySessions: [...(data.studySessions || []), ...legacy] };
+    },
+  },
+  {
+    version: 3,
+    description: "Assignments, quizzes and exams per course",
+    migrate(data) {
+      const assignments = (Array.isArray(data.assignments) ? data.assignments : [])
+        .filter(isPlainObject)
+        .map((a) => ({ ...a, id: a.id || crypto.randomUUID() }));
+      return { ...data, assignments };
+    },
+  },
+  {
+    version: 4,
+    description: "Courses as records; everything else refers to them by id",
+    migrate(data) {
+      const courses = [];
+      const idByCode = new Map();
+      (Array.isArray(data.courses) ? data.courses : []).forEach((c) => {
+        // Names from local storage and old backups; DB v4 already made records
+        const record =
+          typeof c === "string"
+            ? newCourse({ id: legacyCourseId(c), code: c }, courses.length)
+            : isPlainObject(c) && c.id
+              ? newCourse({ ...c, code: c.code || c.name || c.id }, courses.length)
+              : null;
+        if (!record || idByCode.has(record.code)) return;
+        delete record.name;
+        courses.push(record);
+        idByCode.set(record.code, record.id);
+      });
+      const ids = new Set(courses.map((c) => c.id));
+      // Courses removed earlier still have history: keep them as archived records
+      const toId = (course) => {
+        if (!course || ids.has(course)) return course;
+        if (!idByCode.has(course)) {
+          const record = newCourse(
+            { id: legacyCourseId(course), code: course, archived: true },
+            courses.length
+          );
+          courses.push(record);
+          idByCode.set(course, record.id);
+        }
+        return idByCode.get(course);
+      };
+      const withCourse = (r) => (r.course ? { ...r, course: toId(r.course) } : r);
+
+      const events = (data.events || []).map((e) => {
+        const next = withCourse(e);
+        if (!isPlainObject(e.overrides)) return next;
+        const overrides = Object.fromEntries(
+          Object.entries(e.overrides).map(([date, o]) => [date, o ? withCourse(o) : o])
+        );
+        return { ...next, overrides };
+      });
+      const studySessions = (data.studySessions || []).map(withCourse);
+      const assignments = (data.assignments || []).map(withCourse);
+      const settings = { ...data.settings };
+      if (isPlainObject(settings.studyTargets)) {
+        const targets = Object.entries(settings.studyTargets);
+        settings.studyTargets = Object.fromEntries(
+          targets.map(([c, hours]) => [idByCode.get(c) || c, hours])
+        );
+      }
+      return { ...data, courses, events, studySessions, assignments, settings };
+    },
+  },
+  {
+    version: 5,
+    description: "Event types as records; seed the built-ins and map existing events",
+    migrate(data) {
+      const saved = (Array.isArray(data.eventTypes) ? data.eventTypes : []).filter(
+        (t) => isPlainObject(t) && t.id
+      );
+      const eventTypes = saved.length ? saved.map((t) => newEventType(t)) : builtInEventTypes();
+      // Types typed by hand or imported under other spellings: match by name,
+      // otherwise keep them as custom types
+      const toId = (type) => {
+        if (!type) return type;
+        const found = findTypeByName(eventTypes, type);
+        if (found) return found.id;
+        const record = newEventType({ id: `type-${type}`, name: type, defaultTitle: type });
+        eventTypes.push(record);
+        return record.id;
+      };
+      const withType = (r) => (r.type ? { ...r, type: toId(r.type) } : r);
+
+      const events = (data.events || []).map((e) => {
+        const next = withType(e);
+        if (!isPlainObject(e.overrides)) return next;
+        const overrides = Object.fromEntries(
+          Object.entries(e.overrides).map(([date, o]) => [date, o ? withType(o) : o])
+        );
+        return { ...next, overrides };
+      });
+      const settings = { ...data.settings };
+      if (isPlainObject(settings.icsTypeMap)) {
+        const mapped = Object.entries(settings.icsTypeMap);
+        settings.icsTypeMap = Object.fromEntries(mapped.map(([title, t]) => [title, toId(t)]));
+      }
+      return { ...data, eventTypes, events, settings };
+    },
+  },
+  {
+    version: 6,
+    description: "Day templates",
+    migrate(data) {
+      const dayTemplates = (Array.isArray(data.dayTemplates) ? data.dayTemplates : [])
+        .filter(isPlainObject)
+        .map((t) => ({
+          ...t,
+          id: t.id || crypto.randomUUID(),
+          name: t.name || "Untitled day",
+          events: (Array.isArray(t.events) ? t.events : []).filter(isPlainObject),
+        }));
+      return { ...data, dayTemplates };
+    },
+  },
+  {
+    version: 7,
+    description: "Default reminder rules on event types",
+    migrate(data) {
+      const eventTypes = (data.eventTypes || []).map((t) =>
+        Array.isArray(t.reminders) ? t : { ...t, reminders: t.builtIn ? builtInReminders(t.id) : [] }
+      );
+      return { ...data, eventTypes };
+    },
+  },
+];
+
+/**
+ * Run every migration newer than `fromVersion`, in order.
+ * Unversioned data counts as version 0.
+ */
+export function migrateData(data, fromVersion = 0) {
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(
+      `Data is from a newer version of the app (schema ${fromVersion}, this app knows ${SCHEMA_VERSION}).`
+    );
+  }
+  return MIGRATIONS.filter((m) => m.version > fromVersion)
+    .sort((a, b) => a.version - b.version)
+    .reduce((acc, m) => m.migrate(acc), data);
+}
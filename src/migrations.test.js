@@ -0,0 +1,145 @@
+import { describe, expect, it } from "vitest";
+import { builtInReminders } from "./eventTypes.js";
+import { MIGRATIONS, SCHEMA_VERSION, migrateData } from "./migrations.js";
+
+// One migration on its own, as migrateData runs it
+const step = (version, data) => MIGRATIONS.find((m) => m.version === version).migrate(data);
+
+describe("migrateData", () => {
+  it("runs only the migrations newer than the stored version", () => {
+    const current = { events: [] };
+    expect(migrateData(current, SCHEMA_VERSION)).toBe(current);
+    expect(migrateData({}).events).toEqual([]);
+  });
+
+  it("refuses data from a newer version of the app", () => {
+    expect(() => migrateData({}, SCHEMA_VERSION + 1)).toThrow(/newer version/);
+  });
+});
+
+describe("migration 1: baseline", () => {
+  it("normalizes unversioned data", () => {
+    const data = step(1, {
+      events: [
+        { id: "e1", date: "2026-10-19", title: "Lift", startTime: "06:00" },
+        { date: "2026-10-19", title: "Film", startTime: "10:00", durationMin: "45" },
+        null,
+      ],
+      courses: ["BIO 212", "BIO 212", "", 7],
+      wellness: [],
+    });
+    expect(data.events).toHaveLength(2);
+    expect(data.events[0]).toMatchObject({ id: "e1", durationMin: 0, notes: "" });
+    expect(data.events[1].durationMin).toBe(45);
+    expect(data.events[1].id).toBeTruthy();
+    expect(data.courses).toEqual(["BIO 212"]);
+    expect(data.wellness).toEqual({});
+    expect(data.settings).toEqual({});
+  });
+});
+
+describe("migration 2: study sessions", () => {
+  it("turns per-day study totals into sessions with stable ids", () => {
+    const data = step(2, {
+      studyLog: { "2026-10-18": { "BIO 212": 45, "HIST 101": "30", "MATH 140": 0 } },
+      studySessions: [{ id: "s1", date: "2026-10-19", course: "BIO 212", minutes: 25 }],
+    });
+    expect(data.studyLog).toBeUndefined();
+    expect(data.studySessions.map((s) => [s.id, s.minutes, s.status])).toEqual([
+      ["s1", 25, undefined],
+      ["legacy-2026-10-18-BIO 212", 45, "legacy"],
+      ["legacy-2026-10-18-HIST 101", 30, "legacy"],
+    ]);
+  });
+});
+
+describe("migration 3: assignments", () => {
+  it("keeps assignment records and gives them ids", () => {
+    const { assignments } = step(3, { assignments: [{ title: "Lab report" }, { id: "a1" }, "x"] });
+    expect(assignments).toHaveLength(2);
+    expect(assignments[0].id).toBeTruthy();
+    expect(assignments[1].id).toBe("a1");
+    expect(step(3, {}).assignments).toEqual([]);
+  });
+});
+
+describe("migration 4: course records", () => {
+  it("turns course names into records and refers to them by id", () => {
+    const data = step(4, {
+      courses: ["BIO 212", "BIO 212"],
+      events: [
+        { id: "e1", course: "BIO 212", overrides: { "2026-10-21": { course: "HIST 101" } } },
+      ],
+      studySessions: [{ id: "s1", course: "HIST 101" }],
+      assignments: [{ id: "a1", course: "BIO 212" }],
+      settings: { studyTargets: { "BIO 212": 4 } },
+    });
+    // Courses only found in history come back archived
+    expect(data.courses.map((c) => [c.id, c.code, Boolean(c.archived)])).toEqual([
+      ["course-BIO 212", "BIO 212", false],
+      ["course-HIST 101", "HIST 101", true],
+    ]);
+    expect(data.events[0].course).toBe("course-BIO 212");
+    expect(data.events[0].overrides["2026-10-21"].course).toBe("course-HIST 101");
+    expect(data.studySessions[0].course).toBe("course-HIST 101");
+    expect(data.assignments[0].course).toBe("course-BIO 212");
+    expect(data.settings.studyTargets).toEqual({ "course-BIO 212": 4 });
+  });
+
+  it("keeps course records the database already made", () => {
+    const { courses } = step(4, { courses: [{ id: "course-BIO 212", name: "BIO 212" }] });
+    expect(courses[0]).toMatchObject({ id: "course-BIO 212", code: "BIO 212" });
+    expect(courses[0].name).toBeUndefined();
+  });
+});
+
+describe("migration 5: event type records", () => {
+  it("seeds the built-ins and keeps unknown types as custom ones", () => {
+    const data = step(5, {
+      events: [
+        { id: "e1", type: "lift" },
+        { id: "e2", type: "Film", overrides: { "2026-10-21": { type: "Practice" } } },
+      ],
+      settings: { icsTypeMap: { "team lift": "Lift", "film session": "Film" } },
+    });
+    expect(data.eventTypes.find((t) => t.id === "Lift")).toMatchObject({ builtIn: true });
+    expect(data.eventTypes.find((t) => t.id === "type-Film")).toMatchObject({ name: "Film" });
+    expect(data.events.map((e) => e.type)).toEqual(["Lift", "type-Film"]);
+    expect(data.events[1].overrides["2026-10-21"].type).toBe("Practice");
+    expect(data.settings.icsTypeMap).toEqual({ "team lift": "Lift", "film session": "type-Film" });
+  });
+
+  it("keeps saved types", () => {
+    const { eventTypes } = step(5, { eventTypes: [{ id: "Lift", name: "Weights" }] });
+    expect(eventTypes.map((t) => t.name)).toEqual(["Weights"]);
+  });
+});
+
+describe("migration 6: day templates", () => {
+  it("keeps template records with ids, names and event lists", () => {
+    const { dayTemplates } = step(6, {
+      dayTemplates: [
+        { name: "Game day", events: [{ title: "Walkthrough" }, null] },
+        { id: "t2" },
+        3,
+      ],
+    });
+    expect(dayTemplates).toHaveLength(2);
+    expect(dayTemplates[0].id).toBeTruthy();
+    expect(dayTemplates[0].events).toEqual([{ title: "Walkthrough" }]);
+    expect(dayTemplates[1]).toMatchObject({ id: "t2", name: "Untitled day", events: [] });
+  });
+});
+
+describe("migration 7: reminder rules", () => {
+  it("gives built-in types their default reminders and custom types none", () => {
+    const { eventTypes } = step(7, {
+      eventTypes: [
+        { id: "Lift", builtIn: true },
+        { id: "type-Film" },
+        { id: "Practice", builtIn: true, reminders: [] },
+      ],
+    });
+    expect(eventTypes.map((t) => t.reminders)).toEqual([builtInReminders("Lift"), [], []]);
+  });
+});
@@ -0,0 +1,230 @@
+import { createMemoryRepository } from "./db.js";
+import { SCHEMA_VERSION, migrateData } from "./migrations.js";
+import { LS_KEYS, SCHEMA_KEY, loadStoredData } from "./storage.js";
+
+/**
+ * App data <-> repository records
+ * App state keeps the familiar shapes (events, study session and course arrays,
+ * wellness keyed by date, settings object); only changed records are written.
+ */
+
+export const DEFAULT_DATA = {
+  events: [],
+  courses: ["BIO 212", "CHE 211", "PSY 233"],
+  eventTypes: [], // migration 5 seeds the built-ins
+  wellness: {},
+  studySessions: [],
+  assignments: [],
+  dayTemplates: [],
+  settings: {},
+};
+
+export const COLLECTION_STORES = {
+  events: "events",
+  courses: "courses",
+  eventTypes: "eventTypes",
+  wellness: "wellness",
+  studySessions: "studySessions",
+  assignments: "assignments",
+  dayTemplates: "dayTemplates",
+  settings: "meta",
+};
+
+// Collections with their own object store (settings live in meta)
+const RECORD_COLLECTIONS = Object.keys(COLLECTION_STORES).filter((n) => n !== "settings");
+
+// Collections stored as arrays of { id, ... } records
+const ID_COLLECTIONS = ["events", "studySessions", "assignments", "dayTemplates"];
+
+// Id-keyed collections whose order matters; each record stores its position
+const ORDERED_COLLECTIONS = ["courses", "eventTypes"];
+
+export function toRecords(name, value) {
+  switch (name) {
+    case "events":
+    case "studySessions":
+    case "assignments":
+    case "dayTemplates":
+      return value;
+    case "courses":
+    case "eventTypes":
+      return value.map((c, order) => ({ ...c, order }));
+    case "wellness":
+      return Object.entries(value).map(([date, w]) => ({ ...w, date }));
+    case "studyLog":
+      return Object.entries(value).map(([date, byCourse]) => ({ date, byCourse }));
+    case "settings":
+      return [{ key: "settings", value }];
+    default:
+      return [];
+  }
+}
+
+function fromRecords(name, records) {
+  switch (name) {
+    case "events":
+    case "studySessions":
+    case "assignments":
+    case "dayTemplates":
+      return records;
+    case "courses":
+    case "eventTypes":
+      return [...records]
+        .sort((a, b) => a.order - b.order)
+        .map((r) => {
+          const { order: _order, ...record } = r;
+          return record;
+        });
+    case "wellness":
+      return Object.fromEntries(records.map(({ date, ...w }) => [date, w]));
+    case "studyLog":
+      return Object.fromEntries(records.map((r) => [r.date, r.byCourse]));
+    default:
+      return records;
+  }
+}
+
+/**
+ * Records to put/delete to get from `prev` to `next`. Relies on immutable
+ * updates: an unchanged record keeps its object identity.
+ */
+export function diffCollection(name, prev, next) {
+  const store = COLLECTION_STORES[name];
+  if (name === "settings") return { store, put: prev === next ? [] : toRecords(name, next), del: [] };
+
+  if (ORDERED_COLLECTIONS.includes(name)) {
+    // Order is stored on each record, so a moved record is rewritten too
+    const ids = new Set(next.map((c) => c.id));
+    const put = toRecords(name, next).filter((_, order) => prev[order] !== next[order]);
+    const del = prev.filter((c) => !ids.has(c.id)).map((c) => c.id);
+    return { store, put, del };
+  }
+
+  if (ID_COLLECTIONS.includes(name)) {
+    const before = new Map(prev.map((e) => [e.id, e]));
+    const ids = new Set(next.map((e) => e.id));
+    return {
+      store,
+      put: next.filter((e) => before.get(e.id) !== e),
+      del: prev.filter((e) => !ids.has(e.id)).map((e) => e.id),
+    };
+  }
+
+  // Date-keyed objects (wellness)
+  const put = Object.keys(next)
+    .filter((date) => prev[date] !== next[date])
+    .map((date) => toRecords(name, { [date]: next[date] })[0]);
+  const del = Object.keys(prev).filter((date) => !(date in next));
+  return { store, put, del };
+}
+
+function hasLegacyData() {
+  try {
+    return Object.values(LS_KEYS).some((key) => localStorage.getItem(key) != null);
+  } catch {
+    return false;
+  }
+}
+
+function clearLegacyData() {
+  [...Object.values(LS_KEYS), SCHEMA_KEY].forEach((key) => localStorage.removeItem(key));
+}
+
+async function readAll(repo) {
+  const data = {};
+  for (const name of RECORD_COLLECTIONS) {
+    data[name] = fromRecords(name, await repo.getAll(COLLECTION_STORES[name]));
+  }
+  // Databases before schema 2 kept per-day totals; migration 2 turns them into sessions
+  const legacyLog = await repo.getAll("studyLog");
+  if (legacyLog.length) data.studyLog = fromRecords("studyLog", legacyLog);
+  data.settings = (await repo.getMeta("settings")) || {};
+  return data;
+}
+
+async function writeAll(repo, data) {
+  await repo.replaceAll({
+    ...Object.fromEntries(
+      RECORD_COLLECTIONS.map((n) => [COLLECTION_STORES[n], toRecords(n, data[n])])
+    ),
+    studyLog: [],
+  });
+  await repo.setMeta("settings", data.settings);
+}
+
+/**
+ * Load app data from the repository.
+ * - First run on IndexedDB (or the localStorage snapshot): move the
+ *   sa_lockin_*_v1 localStorage keys over once
+ * - Memory fallback: read localStorage but leave it in place
+ * - Keys that can't be migrated are shown as they are, left in place and
+ *   saving stays off (see below)
+ * - Run schema migrations when the stored version is older
+ * Returns { data, issues, repo }; data also carries the saved timer and
+ * reminder state. repo is where the app saves: the one passed in, or, when the
+ * stored data can't be migrated to this version, an in-memory copy (kind
+ * "readonly") so nothing the app writes lands on top of it.
+ */
+export async function loadAppData(repo, defaults = DEFAULT_DATA) {
+  const { readOnly, ...result } = await loadCollections(repo, defaults);
+  // Device state that isn't part of backups
+  const timer = (await repo.getMeta("timer")) || null;
+  // Timers saved before schema 4 name their course instead of its id
+  const { courses } = result.data;
+  if (timer?.course && !courses.some((c) => c.id === timer.course)) {
+    timer.course = courses.find((c) => c.code === timer.course)?.id || null;
+  }
+  result.data.timer = timer;
+  result.data.reminderState = (await repo.getMeta("reminderState")) || {};
+  result.data.reminderSwState = (await repo.getMeta("reminderSwState")) || {};
+  return { ...result, repo: readOnly ? await readOnlyCopy(result.data) : repo };
+}
+
+async function readOnlyCopy(data) {
+  const copy = { ...createMemoryRepository(), kind: "readonly" };
+  await writeAll(copy, data);
+  return copy;
+}
+
+async function loadCollections(repo, defaults) {
+  const imported = await repo.getMeta("importedLocalStorage");
+  if (!imported && hasLegacyData()) {
+    const { data, issues } = loadStoredData(defaults);
+    // Unmigrated data isn't imported or cleared. Saving stays off so edits
+    // never pile up in the database under legacy keys that load again next time.
+    if (issues.some((i) => i.name === "schema")) {
+      // The legacy keys don't hold every collection; the rest start empty
+      return { data: { ...migrateData({ ...defaults }, 0), ...data }, issues, readOnly: true };
+    }
+    await writeAll(repo, data);
+    await repo.setMeta("schemaVersion", SCHEMA_VERSION);
+    if (repo.kind !== "memory") {
+      await repo.setMeta("importedLocalStorage", new Date().toISOString());
+      // Keep unreadable data aside (storage.js copied it to __corrupt keys)
+      clearLegacyData();
+    }
+    return { data, issues };
+  }
+
+  const version = await repo.getMeta("schemaVersion");
+  if (version == null) {
+    // Brand-new install
+    const data = migrateData({ ...defaults }, 0);
+    await writeAll(repo, data);
+    await repo.setMeta("schemaVersion", SCHEMA_VERSION);
+    if (repo.kind !== "memory") await repo.setMeta("importedLocalStorage", "none");
+    return { data, issues: [] };
+  }
+
+  const stored = await readAll(repo);
+  if (version === SCHEMA_VERSION) return { data: stored, issues: [] };
+  try {
+    const data = migrateData(stored, version);
+    await writeAll(repo, data);
+    await repo.setMeta("schemaVersion", SCHEMA_VERSION);
+    return { data, issues: [] };
+  } catch (err) {
+    // Shown as it is, but saving stays off until an app that can read it loads it
+    return { data: stored, issues: [{ name: "schema", reason: err.message }], readOnly: true };
+  }
+}
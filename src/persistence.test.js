@@ -0,0 +1,156 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { SNAPSHOT_KEY, createMemoryRepository } from "./db.js";
+import { SCHEMA_VERSION } from "./migrations.js";
+import { diffCollection, loadAppData } from "./persistence.js";
+import { LS_KEYS, SCHEMA_KEY } from "./storage.js";
+
+// Just enough of the Storage API
+class MemoryStorage {
+  items = new Map();
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+// The memory repository standing in for IndexedDB
+const idbRepository = () => ({ ...createMemoryRepository(), kind: "indexeddb" });
+
+const legacyEvents = [
+  { id: "e1", date: "2026-10-19", type: "Lift", title: "Lift", startTime: "06:00" },
+];
+
+let storage;
+beforeEach(() => {
+  storage = new MemoryStorage();
+  vi.stubGlobal("localStorage", storage);
+});
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe("loadAppData", () => {
+  it("starts a new install from the defaults at the current schema", async () => {
+    const repo = idbRepository();
+    const { data, issues } = await loadAppData(repo);
+    expect(issues).toEqual([]);
+    expect(data.events).toEqual([]);
+    expect(await repo.getMeta("schemaVersion")).toBe(SCHEMA_VERSION);
+    expect(await repo.getMeta("importedLocalStorage")).toBe("none");
+  });
+
+  it("moves the legacy keys into IndexedDB once", async () => {
+    storage.setItem(LS_KEYS.events, JSON.stringify(legacyEvents));
+    const repo = idbRepository();
+    const { data, issues } = await loadAppData(repo);
+    expect(issues).toEqual([]);
+    expect(data.events[0]).toMatchObject({ id: "e1", startTime: "06:00" });
+    expect(await repo.getMeta("importedLocalStorage")).toBeTruthy();
+    expect(storage.getItem(LS_KEYS.events)).toBe(null);
+    // From then on the database is what loads
+    await repo.write([{ store: "events", del: ["e1"] }]);
+    expect((await loadAppData(repo)).data.events).toEqual([]);
+  });
+
+  it("leaves the legacy keys in place for the in-memory fallback", async () => {
+    storage.setItem(LS_KEYS.events, JSON.stringify(legacyEvents));
+    const { data } = await loadAppData(createMemoryRepository());
+    expect(data.events).toHaveLength(1);
+    expect(storage.getItem(LS_KEYS.events)).not.toBe(null);
+  });
+
+  it("doesn't import legacy data it couldn't migrate", async () => {
+    storage.setItem(LS_KEYS.events, JSON.stringify(legacyEvents));
+    storage.setItem(SCHEMA_KEY, String(SCHEMA_VERSION + 1));
+    const repo = idbRepository();
+    const { data, issues, repo: saveTo } = await loadAppData(repo);
+    expect(issues.map((i) => i.name)).toEqual(["schema"]);
+    expect(data.events).toEqual(legacyEvents);
+    expect(data.studySessions).toEqual([]);
+    expect(saveTo.kind).toBe("readonly");
+    await saveTo.write([diffCollection("events", data.events, [])]);
+    expect(await repo.getAll("events")).toEqual([]);
+    expect(await repo.getMeta("schemaVersion")).toBeUndefined();
+    expect(await repo.getMeta("importedLocalStorage")).toBeUndefined();
+    expect(storage.getItem(LS_KEYS.events)).not.toBe(null);
+  });
+
+  it("shows stored data it can't migrate but saves nothing over it", async () => {
+    const repo = idbRepository();
+    await repo.write([{ store: "events", put: legacyEvents }]);
+    await repo.setMeta("schemaVersion", SCHEMA_VERSION + 1);
+    const { data, issues, repo: saveTo } = await loadAppData(repo);
+    expect(issues.map((i) => i.name)).toEqual(["schema"]);
+    expect(data.events).toEqual(legacyEvents);
+    expect(saveTo.kind).toBe("readonly");
+
+    // What the app does after an edit
+    const events = [{ ...legacyEvents[0], title: "Edited" }];
+    await saveTo.write([diffCollection("events", data.events, events)]);
+    await saveTo.setMeta("schemaVersion", SCHEMA_VERSION);
+    expect(await saveTo.getAll("events")).toEqual(events);
+    expect(await repo.getAll("events")).toEqual(legacyEvents);
+    expect(await repo.getMeta("schemaVersion")).toBe(SCHEMA_VERSION + 1);
+  });
+});
+
+describe("createMemoryRepository with storage", () => {
+  it("saves a snapshot that the next page load reads back", async () => {
+    const saved = new MemoryStorage();
+    const repo = createMemoryRepository(saved);
+    expect(repo.kind).toBe("localstorage");
+    const { data } = await loadAppData(repo);
+    const events = [...data.events, legacyEvents[0]];
+    await repo.write([diffCollection("events", data.events, events)]);
+
+    const reloaded = await loadAppData(createMemoryRepository(saved));
+    expect(reloaded.data.events).toEqual(events);
+    expect(reloaded.data.eventTypes).toEqual(data.eventTypes);
+  });
+
+  it("moves the legacy keys into the snapshot once", async () => {
+    storage.setItem(LS_KEYS.events, JSON.stringify(legacyEvents));
+    const repo = createMemoryRepository(new MemoryStorage());
+    const { data } = await loadAppData(repo);
+    expect(data.events).toHaveLength(1);
+    expect(await repo.getMeta("importedLocalStorage")).toBeTruthy();
+    expect(storage.getItem(LS_KEYS.events)).toBe(null);
+  });
+
+  it("keeps an unreadable snapshot aside and starts empty", async () => {
+    const saved = new MemoryStorage();
+    saved.setItem(SNAPSHOT_KEY, "{not json");
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const repo = createMemoryRepository(saved);
+    expect(await repo.getAll("events")).toEqual([]);
+    expect(saved.getItem(`${SNAPSHOT_KEY}__corrupt`)).toBe("{not json");
+  });
+});
+
+describe("diffCollection", () => {
+  it("writes only changed records and deletes removed ones", () => {
+    const a = { id: "a" };
+    const b = { id: "b" };
+    const c = { id: "c" };
+    const next = [a, { ...b, title: "x" }];
+    expect(diffCollection("events", [a, b, c], next)).toEqual({
+      store: "events",
+      put: [next[1]],
+      del: ["c"],
+    });
+  });
+
+  it("rewrites moved records in ordered collections", () => {
+    const a = { id: "a" };
+    const b = { id: "b" };
+    const { put, del } = diffCollection("courses", [a, b], [b]);
+    expect(put).toEqual([{ id: "b", order: 0 }]);
+    expect(del).toEqual(["a"]);
+  });
+});
@@ -0,0 +1,341 @@
+import { findCourseInText } from "./courses.js";
+import { addDaysISO, weekdayOf } from "./dates.js";
+import { EVENT_TYPES, eventTypeById } from "./eventTypes.js";
+import { fromMinutes } from "./schedule.js";
+import { manualSession } from "./sessions.js";
+
+/**
+ * Quick entry: one line of text -> events or a study log entry.
+ *   "lift tomorrow 6am 60m"             a Lift tomorrow at 06:00 for 60 minutes
+ *   "practice mon-thu 3:30-5:30pm"      a Practice on each of the coming Mon–Thu
+ *   "practice every mon-thu 3-5"        one weekly series instead
+ *   "match sat @ 1pm away"              "Match away" on Saturday at 13:00
+ *   "studied BIO 212 45m yesterday"     45 minutes logged for BIO 212
+ * Rule-based and local. A type (or one of its quick-add templates) is matched
+ * by name; words that aren't a date, time, duration or course become the title.
+ * Relative dates count from `today`; without one the entry goes on `date`.
+ */
+
+const DAY_MIN = 24 * 60;
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const WEEKDAY_RE = new RegExp(
+  "^(sun(day)?|mon(day)?|tue(s|sday)?|wed(s|nesday)?|thu(r|rs|rsday)?|fri(day)?|sat(urday)?)$"
+);
+
+const RELATIVE_DAYS = { today: 0, tomorrow: 1, tmrw: 1, tmr: 1, yesterday: -1 };
+const STUDY_VERBS = ["studied", "logged", "log"];
+const FILLERS = ["@", "at", "on", "for", "from"];
+
+const TIME_RE = /^(\d{1,2})(?::(\d{2}))?(am|pm|a|p)?$/;
+const RANGE_RE = /^(\d{1,2}(?::\d{2})?(?:am|pm|a|p)?)[-–](\d{1,2}(?::\d{2})?(?:am|pm|a|p)?)$/;
+const DURATION_RE = /^(\d+(?:\.\d+)?)(m|min|mins|minutes?|h|hr|hrs|hours?)$/;
+const HOURS_MINUTES_RE = /^(\d+)h(\d+)m?$/;
+const SLASH_DATE_RE = /^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/;
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function weekdayIndex(word) {
+  return WEEKDAY_RE.test(word) ? WEEKDAYS.indexOf(word.slice(0, 3)) : -1;
+}
+
+// The first date on or after `today` falling on `weekday`
+function nextWeekday(today, weekday) {
+  return addDaysISO(today, (weekday - weekdayOf(today) + 7) % 7);
+}
+
+// "mon-thu", "mon,wed,fri", "fri-mon" -> weekday numbers in order, or null
+function weekdayList(word) {
+  const range = word.split(/[-–]/);
+  if (range.length === 2) {
+    const [a, b] = range.map(weekdayIndex);
+    if (a < 0 || b < 0) return null;
+    return Array.from({ length: ((b - a + 7) % 7) + 1 }, (_, i) => (a + i) % 7);
+  }
+  const list = word.split(/[,/]/).filter(Boolean).map(weekdayIndex);
+  return list.length && list.every((d) => d >= 0) ? list : null;
+}
+
+/**
+ * "6", "6:30", "6pm", "18:00" -> minutes after midnight. A bare 1–6 with no
+ * am/pm is read as afternoon ("practice 3" is at 15:00); minutes or a leading
+ * zero ("5:45", "06:00") keep the hour as written.
+ */
+function parseClock(text, suffixHint = "") {
+  const m = TIME_RE.exec(text);
+  if (!m) return null;
+  let h = Number(m[1]);
+  const min = Number(m[2] || 0);
+  if (h > 24 || min > 59) return null;
+  const suffix = (m[3] || suffixHint).charAt(0);
+  if (suffix === "a") h %= 12;
+  else if (suffix === "p") h = (h % 12) + 12;
+  else if (!m[2] && !m[1].startsWith("0") && h >= 1 && h <= 6) h += 12;
+  return h * 60 + min;
+}
+
+function clockSuffix(text) {
+  return TIME_RE.exec(text)?.[3] || "";
+}
+
+// "3:30-5:30", "3-5pm", "11-1pm" -> { start, end }
+function parseRange(word) {
+  const m = RANGE_RE.exec(word);
+  if (!m) return null;
+  const [, a, b] = m;
+  const endSuffix = clockSuffix(b);
+  let start = parseClock(a, endSuffix);
+  const end = parseClock(b);
+  if (start == null || end == null) return null;
+  // "11-1pm": the shared suffix doesn't fit the start
+  if (!clockSuffix(a) && endSuffix && start > end) start = parseClock(a, "am");
+  return { start, end: end > start ? end : end + 12 * 60 };
+}
+
+function parseDuration(word) {
+  const hm = HOURS_MINUTES_RE.exec(word);
+  if (hm) return Number(hm[1]) * 60 + Number(hm[2]);
+  const m = DURATION_RE.exec(word);
+  if (!m) return null;
+  const n = Number(m[1]);
+  return Math.round(m[2].startsWith("h") ? n * 60 : n);
+}
+
+function parseDate(word, today) {
+  if (ISO_DATE_RE.test(word)) return word;
+  const m = SLASH_DATE_RE.exec(word);
+  if (!m) return null;
+  const year = m[3] ? (m[3].length === 2 ? `20${m[3]}` : m[3]) : today.slice(0, 4);
+  const date = `${year}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+  return Number.isNaN(new Date(date + "T00:00:00").getTime()) ? null : date;
+}
+
+// A date, time or duration word, so a filler in front of it can go
+function isScheduleWord(word, today) {
+  return (
+    word in RELATIVE_DAYS ||
+    word === "next" ||
+    Boolean(weekdayList(word) || parseDate(word, today) || parseRange(word)) ||
+    TIME_RE.test(word) ||
+    parseDuration(word) != null
+  );
+}
+
+// Split "6 pm" / "45 min" back into one word, and "@1pm" into "1pm"
+function tokenize(text) {
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  const out = [];
+  words.forEach((word) => {
+    const lower = word.toLowerCase();
+    const prev = out[out.length - 1];
+    if (prev && /^\d+(?::\d{2})?$/.test(prev.lower) && /^(am|pm|a\.m\.|p\.m\.)$/.test(lower)) {
+      prev.lower += lower.replace(/\./g, "");
+      prev.text += ` ${word}`;
+      return;
+    }
+    if (prev && /^\d+(?:\.\d+)?$/.test(prev.lower) && DURATION_RE.test(`1${lower}`)) {
+      prev.lower += lower;
+      prev.text += ` ${word}`;
+      return;
+    }
+    const stripped = lower.replace(/^@(?=\d)/, "");
+    out.push({ text: word, lower: stripped });
+  });
+  return out;
+}
+
+// Longest type or template name starting at some word: { index, length, type, template }
+function findTypeWords(tokens, types) {
+  const names = [
+    ...types.flatMap((type) =>
+      (type.templates || []).map((template) => ({ name: template.name, type, template }))
+    ),
+    ...types.map((type) => ({ name: type.name, type, template: null })),
+    ...types.map((type) => ({ name: type.id, type, template: null })),
+  ]
+    .map((n) => ({ ...n, words: String(n.name).toLowerCase().split(/\s+/).filter(Boolean) }))
+    .filter((n) => n.words.length)
+    .sort((a, b) => b.words.length - a.words.length);
+  for (let i = 0; i < tokens.length; i++) {
+    const hit = names.find((n) => n.words.every((w, j) => tokens[i + j]?.lower === w));
+    if (hit) return { index: i, length: hit.words.length, type: hit.type, template: hit.template };
+  }
+  return null;
+}
+
+// Remove the first case-insensitive occurrence of `code` from the text
+function withoutText(text, code) {
+  const i = text.toLowerCase().indexOf(code.toLowerCase());
+  return i < 0 ? text : `${text.slice(0, i)} ${text.slice(i + code.length)}`;
+}
+
+/**
+ * Parse one line of quick entry.
+ * options: { today, date, types, courses, defaultTime }
+ *   courses  course records that can be named (the current term's)
+ * Returns { events, sessions, warnings, error }; `error` is set (and nothing
+ * is created) when the line can't be turned into anything.
+ */
+export function parseQuickEntry(text, options) {
+  const {
+    today,
+    date: baseDate = today,
+    types = EVENT_TYPES.map((id) => ({ id, name: id })),
+    courses = [],
+    defaultTime = "09:00",
+  } = options;
+  const result = { events: [], sessions: [], warnings: [], error: "" };
+
+  let tokens = tokenize(text);
+  if (!tokens.length) return { ...result, error: "Type what to add." };
+
+  const studied = STUDY_VERBS.includes(tokens[0].lower);
+  if (studied) tokens = tokens.slice(1);
+
+  const typeHit = studied ? null : findTypeWords(tokens, types);
+  if (typeHit) {
+    tokens = tokens.filter((_, i) => i < typeHit.index || i >= typeHit.index + typeHit.length);
+  }
+  const type = typeHit?.type || null;
+
+  // Study time and Study blocks name a course; other events keep codes in the title
+  let course = null;
+  if (studied || type?.id === "Study") {
+    const words = tokens.map((t) => t.text).join(" ");
+    course = findCourseInText(courses, words);
+    if (course) tokens = tokenize(withoutText(words, course.code));
+  }
+
+  const dates = [];
+  let weekdays = null;
+  let repeat = null; // "weekly" | "daily"
+  let start = null;
+  let durationMin = null;
+  const titleWords = [];
+
+  tokens.forEach((token, i) => {
+    const word = token.lower;
+    const next = tokens[i + 1]?.lower || "";
+    if (word === "every" || word === "each") {
+      repeat = "weekly";
+      return;
+    }
+    if (word === "daily" || (repeat && word === "day")) {
+      repeat = "daily";
+      return;
+    }
+    const relative = RELATIVE_DAYS[word];
+    if (relative != null) {
+      dates.push(addDaysISO(today, relative));
+      return;
+    }
+    if (word === "next" && weekdayList(next)) {
+      tokens[i + 1].nextWeek = true;
+      return;
+    }
+    const days = weekdayList(word);
+    if (days) {
+      // A range runs on consecutive days from its first weekday
+      const first = nextWeekday(today, days[0]);
+      days.forEach((d, k) => {
+        const day = word.includes("-") ? addDaysISO(first, k) : nextWeekday(today, d);
+        dates.push(token.nextWeek ? addDaysISO(day, 7) : day);
+      });
+      weekdays = [...(weekdays || []), ...days];
+      return;
+    }
+    const date = parseDate(word, today);
+    if (date) {
+      dates.push(date);
+      return;
+    }
+
+    const range = parseRange(word);
+    if (range) {
+      start = range.start;
+      durationMin = range.end - range.start;
+      return;
+    }
+    const minutes = parseDuration(word);
+    if (minutes != null) {
+      durationMin = minutes;
+      return;
+    }
+    // A bare "6" is only a time after "at"/"@"
+    const clock =
+      /[:apm]/.test(word) || FILLERS.includes(tokens[i - 1]?.lower) ? parseClock(word) : null;
+    if (clock != null) {
+      start = clock;
+      return;
+    }
+    // "at 6pm", "on sat", "for 45m": the filler goes with what follows
+    if (FILLERS.includes(word) && isScheduleWord(next, today)) return;
+    titleWords.push(token.text);
+  });
+
+  const rest = titleWords.join(" ");
+  const when = [...new Set(dates)].sort();
+  if (!when.length) when.push(baseDate);
+
+  if (studied) {
+    if (!course) return { ...result, error: "Name one of your courses (e.g., “BIO 212”)." };
+    if (!(durationMin > 0)) return { ...result, error: "Add how long you studied (e.g., “45m”)." };
+    result.sessions = when.map((d) =>
+      manualSession({
+        date: d,
+        course: course.id,
+        minutes: durationMin,
+        startTime: start == null ? null : fromMinutes(start),
+      })
+    );
+    return result;
+  }
+
+  if (!type && !rest) {
+    return { ...result, error: "Start with an event type (e.g., “lift”) or a title." };
+  }
+  const record = type || eventTypeById(types, "Other");
+  const template = typeHit?.template || null;
+  // Study blocks for a course are titled like the study planner's
+  const baseTitle = template
+    ? template.title || template.name
+    : course
+      ? `Study: ${course.code}`
+      : type
+        ? type.defaultTitle || type.name
+        : "";
+  const title = [baseTitle, rest].filter(Boolean).join(" ");
+  if (durationMin == null) {
+    durationMin = Number(template?.durationMin ?? record.defaultDurationMin) || 60;
+  }
+  if (start == null) {
+    result.warnings.push(`No time given: starts at ${defaultTime}.`);
+    start = parseClock(defaultTime);
+  }
+  if (start + durationMin > DAY_MIN) {
+    result.warnings.push("Runs past midnight: the planner ends it at 24:00.");
+  }
+
+  const base = {
+    type: record.id,
+    title,
+    startTime: fromMinutes(start),
+    durationMin,
+    notes: template?.notes || "",
+  };
+  if (course && record.id === "Study") base.course = course.id;
+
+  if (repeat) {
+    base.date = when[0];
+    base.recurrence = {
+      freq: repeat,
+      interval: 1,
+      weekdays: repeat === "weekly" ? [...new Set(weekdays || [weekdayOf(when[0])])] : [],
+      until: null,
+      count: null,
+    };
+    result.events = [{ id: crypto.randomUUID(), ...base }];
+  } else {
+    result.events = when.map((d) => ({ id: crypto.randomUUID(), ...base, date: d }));
+  }
+  return result;
+}
@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import { parseQuickEntry } from "./quickEntry.js";
+
+// 2026-10-19 is a Monday
+const options = {
+  today: "2026-10-19",
+  courses: [{ id: "bio", code: "BIO 212" }],
+};
+const parse = (text) => parseQuickEntry(text, options);
+const first = (text) => parse(text).events[0];
+
+describe("parseQuickEntry times", () => {
+  it("keeps times with minutes or a leading zero as written", () => {
+    expect(first("lift 06:00 60m")).toMatchObject({ startTime: "06:00", durationMin: 60 });
+    expect(first("lift 5:45 45m")).toMatchObject({ startTime: "05:45", durationMin: 45 });
+    expect(first("practice 18:30")).toMatchObject({ startTime: "18:30" });
+  });
+
+  it("reads a bare 1–6 o'clock as afternoon unless am/pm says otherwise", () => {
+    expect(first("practice at 3").startTime).toBe("15:00");
+    expect(first("lift at 6am").startTime).toBe("06:00");
+    expect(first("lift 6 am 60m").startTime).toBe("06:00");
+    expect(first("match @1pm").startTime).toBe("13:00");
+    expect(first("practice at 9").startTime).toBe("09:00");
+  });
+
+  it("reads ranges with a shared suffix", () => {
+    expect(first("practice 3-5")).toMatchObject({ startTime: "15:00", durationMin: 120 });
+    expect(first("practice 3:30-5:30pm")).toMatchObject({ startTime: "15:30", durationMin: 120 });
+    expect(first("meeting 11-1pm")).toMatchObject({ startTime: "11:00", durationMin: 120 });
+  });
+
+  it("falls back to the default time with a warning", () => {
+    const out = parse("film tomorrow");
+    expect(out.events[0]).toMatchObject({ date: "2026-10-20", startTime: "09:00" });
+    expect(out.warnings).toEqual(["No time given: starts at 09:00."]);
+  });
+});
+
+describe("parseQuickEntry dates", () => {
+  it("creates one event per day in a weekday range, or one series with every", () => {
+    const days = parse("practice mon-thu 3-5").events.map((e) => e.date);
+    expect(days).toEqual(["2026-10-19", "2026-10-20", "2026-10-21", "2026-10-22"]);
+    const [series] = parse("practice every mon-thu 3-5").events;
+    expect(series.date).toBe("2026-10-19");
+    expect(series.recurrence).toMatchObject({ freq: "weekly", weekdays: [1, 2, 3, 4] });
+  });
+
+  it("puts the rest of the line in the title", () => {
+    expect(first("match sat @ 1pm away")).toMatchObject({
+      type: "Match",
+      title: "Match away",
+      date: "2026-10-24",
+      startTime: "13:00",
+    });
+  });
+});
+
+describe("parseQuickEntry study logs", () => {
+  it("logs study time for a named course", () => {
+    const out = parse("studied BIO 212 45m yesterday");
+    expect(out.events).toEqual([]);
+    expect(out.sessions[0]).toMatchObject({ date: "2026-10-18", course: "bio", minutes: 45 });
+  });
+
+  it("asks for the course and the length", () => {
+    expect(parse("studied 45m").error).toMatch(/course/);
+    expect(parse("studied BIO 212").error).toMatch(/how long/);
+  });
+});
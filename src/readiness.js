@@ -0,0 +1,163 @@
+import { addDaysISO } from "./dates.js";
+import { WELLNESS_METRICS } from "./weeklyReport.js";
+
+/**
+ * Readiness from the daily check-in, judged against the athlete's own
+ * baseline rather than fixed cut-offs. Each metric becomes a z-score against
+ * the check-ins of the previous `baselineDays` days, signed so positive is
+ * good, then the weighted mean maps to 0–100 with 50 = a typical day for you.
+ */
+
+export const DEFAULT_READINESS_SETTINGS = {
+  weights: { sleepHours: 1, soreness: 1, stress: 1, energy: 1 }, // 0 leaves a metric out
+  baselineDays: 28,
+  minBaseline: 5, // check-ins needed before scoring
+  sleepThreshold: 7, // hours
+  lowSleepNights: 3,
+  declineDays: 3,
+  sorenessSpikeZ: 1.5, // soreness this far above usual the day of/after a Match
+};
+
+const READINESS_LABELS = {
+  sleepHours: "Sleep",
+  soreness: "Soreness",
+  stress: "Stress",
+  energy: "Energy",
+};
+
+const MIN_SD = 0.5; // a very steady baseline shouldn't turn small changes into huge z-scores
+const POINTS_PER_SD = 15;
+const REASON_Z = 1; // metrics at least this far from usual are named as reasons
+
+/** Settings with defaults filled in (weights merged key by key). */
+export function readinessSettings(saved = {}) {
+  return {
+    ...DEFAULT_READINESS_SETTINGS,
+    ...saved,
+    weights: { ...DEFAULT_READINESS_SETTINGS.weights, ...saved.weights },
+  };
+}
+
+function value(entry, key) {
+  if (!entry || entry[key] === "" || entry[key] == null) return null;
+  const n = Number(entry[key]);
+  return Number.isFinite(n) ? n : null;
+}
+
+function meanAndSd(values) {
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  const variance = values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length;
+  return { mean, sd: Math.max(MIN_SD, Math.sqrt(variance)) };
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+/**
+ * Score for one date. wellness: { date: entry }.
+ * Returns null without a check-in that day, { score: null, needed } while the
+ * baseline is too short, else { score, z, metrics: [{ key, value, mean, z, weight }], reasons }
+ * where z is the combined z-score behind the (clamped) score.
+ * Metrics weighted 0 are still measured (for flags) but don't move the score.
+ */
+export function readinessFor(wellness, date, settings) {
+  const entry = wellness[date];
+  if (!entry) return null;
+
+  const baseline = [];
+  for (let i = 1; i <= settings.baselineDays; i++) {
+    const past = wellness[addDaysISO(date, -i)];
+    if (past) baseline.push(past);
+  }
+  if (baseline.length < settings.minBaseline) {
+    const needed = settings.minBaseline - baseline.length;
+    return { score: null, needed, metrics: [], reasons: [] };
+  }
+
+  const metrics = [];
+  WELLNESS_METRICS.forEach(({ key, better }) => {
+    const v = value(entry, key);
+    const history = baseline.map((b) => value(b, key)).filter((x) => x != null);
+    if (v == null || history.length < settings.minBaseline) return;
+    const { mean, sd } = meanAndSd(history);
+    const z = ((v - mean) / sd) * (better === "higher" ? 1 : -1);
+    const weight = Math.max(0, Number(settings.weights[key]) || 0);
+    metrics.push({ key, value: v, mean: round1(mean), z: round1(z), weight });
+  });
+  const scored = metrics.filter((m) => m.weight > 0);
+  if (!scored.length) return { score: null, needed: 0, metrics, reasons: [] };
+
+  const totalWeight = scored.reduce((s, m) => s + m.weight, 0);
+  const combined = scored.reduce((s, m) => s + m.z * m.weight, 0) / totalWeight;
+  const score = Math.max(0, Math.min(100, Math.round(50 + combined * POINTS_PER_SD)));
+
+  const reasons = scored
+    .filter((m) => Math.abs(m.z) >= REASON_Z)
+    .sort((a, b) => Math.abs(b.z * b.weight) - Math.abs(a.z * a.weight))
+    .map((m) => {
+      const unit = m.key === "sleepHours" ? "h" : "";
+      const direction = m.value > m.mean ? "above" : "below";
+      const label = READINESS_LABELS[m.key];
+      return {
+        key: m.key,
+        good: m.z > 0,
+        text: `${label} ${m.value}${unit} is ${direction} your usual ${m.mean}${unit}`,
+      };
+    });
+
+  return { score, z: round1(combined), metrics, reasons };
+}
+
+/** Scores for the `days` days ending at `endDate`: [{ date, score, z }] (null if unscored). */
+export function readinessSeries(wellness, endDate, days, settings) {
+  return Array.from({ length: days }, (_, i) => {
+    const date = addDaysISO(endDate, i - days + 1);
+    const r = readinessFor(wellness, date, settings);
+    return { date, score: r?.score ?? null, z: r?.score == null ? null : r.z };
+  });
+}
+
+/**
+ * Trend warnings for `date`:
+ *   decline     readiness fell each of the last `declineDays` days
+ *   lowSleep    under `sleepThreshold` hours `lowSleepNights` nights running
+ *   matchSoreness  soreness spiked the day of or after a Match
+ * matchDates: dates with a Match (at least `date` and the day before).
+ * Returns [{ kind, text }]
+ */
+export function readinessFlags(wellness, date, settings, matchDates = []) {
+  const flags = [];
+
+  // Compare unclamped z so a slide that bottoms out at 0 still counts
+  const zs = readinessSeries(wellness, date, settings.declineDays + 1, settings).map((s) => s.z);
+  if (zs.every((z) => z != null) && zs.every((z, i) => i === 0 || z < zs[i - 1])) {
+    flags.push({
+      kind: "decline",
+      text: `Readiness has dropped ${settings.declineDays} days running`,
+    });
+  }
+
+  const nights = Array.from({ length: settings.lowSleepNights }, (_, i) =>
+    value(wellness[addDaysISO(date, -i)], "sleepHours")
+  );
+  if (nights.every((h) => h != null && h < settings.sleepThreshold)) {
+    flags.push({
+      kind: "lowSleep",
+      text: `Under ${settings.sleepThreshold}h of sleep ${settings.lowSleepNights} nights running`,
+    });
+  }
+
+  const matchDay = [date, addDaysISO(date, -1)].find((d) => matchDates.includes(d));
+  const today = readinessFor(wellness, date, settings);
+  const soreness = today?.metrics.find((m) => m.key === "soreness");
+  if (matchDay && soreness && -soreness.z >= settings.sorenessSpikeZ) {
+    const when = matchDay === date ? "on match day" : "after yesterday's match";
+    flags.push({
+      kind: "matchSoreness",
+      text: `Soreness spiked ${when} (${soreness.value} vs usual ${soreness.mean})`,
+    });
+  }
+
+  return flags;
+}
@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import { addDaysISO } from "./dates.js";
+import { readinessFlags, readinessFor, readinessSeries, readinessSettings } from "./readiness.js";
+
+const settings = readinessSettings();
+const TODAY = "2026-10-19";
+
+const TYPICAL = { sleepHours: 8, soreness: 3, stress: 4, energy: 6 };
+
+// A steady run of typical check-ins before `date`
+function baseline(date, days = 7) {
+  const out = {};
+  for (let i = 1; i <= days; i++) out[addDaysISO(date, -i)] = TYPICAL;
+  return out;
+}
+
+// Baseline plus today's check-in
+const withToday = (entry) => ({ ...baseline(TODAY), [TODAY]: { ...TYPICAL, ...entry } });
+
+describe("readinessSettings", () => {
+  it("fills in defaults key by key", () => {
+    const s = readinessSettings({ weights: { stress: 0 }, minBaseline: 3 });
+    expect(s.weights).toEqual({ sleepHours: 1, soreness: 1, stress: 0, energy: 1 });
+    expect(s.minBaseline).toBe(3);
+    expect(s.baselineDays).toBe(28);
+  });
+});
+
+describe("readinessFor", () => {
+  it("needs a check-in and enough baseline days", () => {
+    expect(readinessFor({}, TODAY, settings)).toBe(null);
+    const short = { ...baseline(TODAY, 3), [TODAY]: { sleepHours: 8 } };
+    expect(readinessFor(short, TODAY, settings)).toMatchObject({ score: null, needed: 2 });
+  });
+
+  it("scores a typical day at 50", () => {
+    const r = readinessFor(withToday({}), TODAY, settings);
+    expect(r).toMatchObject({ score: 50, z: 0, reasons: [] });
+  });
+
+  it("scores against the athlete's own usual and names the reasons", () => {
+    const r = readinessFor(withToday({ sleepHours: 6 }), TODAY, settings);
+    // 2h under a steady 8h is -4 sd (sd floored at 0.5), averaged over 4 metrics
+    expect(r.z).toBe(-1);
+    expect(r.score).toBe(35);
+    expect(r.reasons).toEqual([
+      { key: "sleepHours", good: false, text: "Sleep 6h is below your usual 8h" },
+    ]);
+  });
+
+  it("leaves metrics weighted 0 out of the score", () => {
+    const s = readinessSettings({ weights: { sleepHours: 0 } });
+    const r = readinessFor(withToday({ sleepHours: 6 }), TODAY, s);
+    expect(r).toMatchObject({ score: 50, reasons: [] });
+  });
+});
+
+describe("readinessFlags", () => {
+  it("flags short sleep several nights running", () => {
+    const wellness = baseline(TODAY);
+    [0, 1, 2].forEach((i) => (wellness[addDaysISO(TODAY, -i)] = { sleepHours: 6.5 }));
+    expect(readinessFlags(wellness, TODAY, settings).map((f) => f.kind)).toEqual(["lowSleep"]);
+  });
+
+  it("flags a readiness slide", () => {
+    const wellness = baseline(TODAY, 10);
+    [3, 2, 1, 0].forEach((daysAgo, i) => {
+      wellness[addDaysISO(TODAY, -daysAgo)] = { ...TYPICAL, stress: 4 + i };
+    });
+    const series = readinessSeries(wellness, TODAY, 4, settings).map((d) => d.score);
+    expect(series).toEqual([...series].sort((a, b) => b - a));
+    expect(readinessFlags(wellness, TODAY, settings).map((f) => f.kind)).toContain("decline");
+  });
+
+  it("flags a soreness spike after a match", () => {
+    const wellness = withToday({ soreness: 6 });
+    const flags = readinessFlags(wellness, TODAY, settings, [addDaysISO(TODAY, -1)]);
+    expect(flags).toEqual([
+      { kind: "matchSoreness", text: "Soreness spiked after yesterday's match (6 vs usual 3)" },
+    ]);
+    expect(readinessFlags(wellness, TODAY, settings, [])).toEqual([]);
+  });
+});
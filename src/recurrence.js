@@ -0,0 +1,260 @@
+import { addDaysISO, daysBetweenISO, startOfWeekISO, weekdayOf } from "./dates.js";
+
+/**
+ * Recurring events
+ * A series is stored once, as a normal event with extra fields:
+ *   recurrence: { freq: "daily" | "weekly", interval, weekdays: [0-6], until, count }
+ *   exdates:    ["YYYY-MM-DD"]                 skipped occurrences
+ *   overrides:  { "YYYY-MM-DD": { ...fields } } changed occurrences
+ * Occurrences are expanded on demand and never written back to storage.
+ */
+
+export const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Fields a single occurrence may change
+const OVERRIDE_FIELDS = [
+  "type",
+  "title",
+  "startTime",
+  "durationMin",
+  "notes",
+  "course",
+  "reminders",
+  "rpe",
+];
+// Logged after the fact (session RPE); not a change to the plan
+const LOG_FIELDS = ["rpe"];
+
+export function isRecurring(evt) {
+  return Boolean(evt && evt.recurrence);
+}
+
+function weekOf(iso) {
+  return startOfWeekISO(new Date(iso + "T00:00:00"));
+}
+
+// Monday-based offset of a weekday (Mon 0 ... Sun 6)
+function mondayOffset(weekday) {
+  return (weekday + 6) % 7;
+}
+
+/**
+ * 0-based position of `date` within the series, or -1 when the rule does not
+ * produce it. Skipped dates still count, same as EXDATE vs COUNT in iCalendar.
+ */
+export function occurrenceIndex(evt, date) {
+  const rule = evt.recurrence;
+  if (!rule || date < evt.date) return -1;
+  if (rule.until && date > rule.until) return -1;
+  const interval = Math.max(1, Number(rule.interval) || 1);
+
+  let index = -1;
+  if (rule.freq === "daily") {
+    const diff = daysBetweenISO(evt.date, date);
+    if (diff % interval === 0) index = diff / interval;
+  } else if (rule.freq === "weekly") {
+    const offsets = (rule.weekdays?.length ? rule.weekdays : [weekdayOf(evt.date)]).map(mondayOffset);
+    const startWeek = weekOf(evt.date);
+    const dateWeek = weekOf(date);
+    const weeks = daysBetweenISO(startWeek, dateWeek) / 7;
+    const dateOff = daysBetweenISO(dateWeek, date);
+    if (weeks % interval !== 0 || !offsets.includes(dateOff)) return -1;
+
+    const startOff = daysBetweenISO(startWeek, evt.date);
+    const k = weeks / interval;
+    const upTo = offsets.filter((o) => o <= dateOff).length;
+    if (k === 0) {
+      index = offsets.filter((o) => o >= startOff && o <= dateOff).length - 1;
+    } else {
+      const firstWeek = offsets.filter((o) => o >= startOff).length;
+      index = firstWeek + (k - 1) * offsets.length + upTo - 1;
+    }
+  }
+
+  if (index < 0) return -1;
+  if (rule.count && index >= Number(rule.count)) return -1;
+  return index;
+}
+
+export function occursOn(evt, date) {
+  if (!isRecurring(evt)) return evt.date === date;
+  if (evt.exdates?.includes(date)) return false;
+  return occurrenceIndex(evt, date) >= 0;
+}
+
+function instanceOf(evt, date) {
+  const override = evt.overrides?.[date] || {};
+  return {
+    ...evt,
+    ...override,
+    id: `${evt.id}@${date}`,
+    seriesId: evt.id,
+    date,
+    changed: Object.keys(override).some((f) => !LOG_FIELDS.includes(f)),
+  };
+}
+
+/**
+ * Events happening on one date, with recurring series expanded into
+ * occurrence instances. Instances carry `seriesId` and an id of "seriesId@date".
+ */
+export function expandEventsForDate(events, date) {
+  const out = [];
+  for (const evt of events) {
+    if (!isRecurring(evt)) {
+      if (evt.date === date) out.push(evt);
+    } else if (occursOn(evt, date)) {
+      out.push(instanceOf(evt, date));
+    }
+  }
+  return out;
+}
+
+export function expandEventsInRange(events, fromDate, toDate) {
+  const out = [];
+  for (let d = fromDate; d <= toDate; d = addDaysISO(d, 1)) {
+    out.push(...expandEventsForDate(events, d));
+  }
+  return out;
+}
+
+function pickOverride(patch) {
+  const out = {};
+  OVERRIDE_FIELDS.forEach((f) => {
+    if (patch[f] !== undefined) out[f] = patch[f];
+  });
+  return out;
+}
+
+// Series bookkeeping that a standalone copy must not carry over
+const SERIES_FIELDS = ["seriesId", "changed", "recurrence", "exdates", "overrides", "sourceUid"];
+
+/** A one-off copy of an event or occurrence with a new id, with `patch` applied. */
+export function detachedCopy(evt, patch = {}) {
+  const copy = { ...evt, ...patch, id: crypto.randomUUID() };
+  SERIES_FIELDS.forEach((f) => delete copy[f]);
+  return copy;
+}
+
+function splitByDate(series, date) {
+  const before = { exdates: [], overrides: {} };
+  const after = { exdates: [], overrides: {} };
+  (series.exdates || []).forEach((d) => (d < date ? before : after).exdates.push(d));
+  Object.entries(series.overrides || {}).forEach(([d, o]) => {
+    (d < date ? before : after).overrides[d] = o;
+  });
+  return { before, after };
+}
+
+/**
+ * Apply an edit to an event or occurrence.
+ * scope: "this" | "following" | "all" (ignored for one-off events)
+ * Moving a single occurrence to another date (scope "this" with patch.date)
+ * takes it out of the series as a one-off event.
+ */
+export function updateOccurrence(events, instance, patch, scope = "all") {
+  if (!instance.seriesId) {
+    return events.map((e) => (e.id === instance.id ? { ...e, ...patch } : e));
+  }
+  const series = events.find((e) => e.id === instance.seriesId);
+  if (!series) return events;
+  const date = instance.date;
+
+  if (scope === "this") {
+    if (patch.date && patch.date !== date) {
+      return [...deleteOccurrence(events, instance, "this"), detachedCopy(instance, patch)];
+    }
+    const overrides = {
+      ...series.overrides,
+      [date]: { ...series.overrides?.[date], ...pickOverride(patch) },
+    };
+    return events.map((e) => (e.id === series.id ? { ...series, overrides } : e));
+  }
+
+  if (scope === "following" && date > series.date) {
+    const index = occurrenceIndex(series, date);
+    const { before, after } = splitByDate(series, date);
+    const head = {
+      ...series,
+      recurrence: { ...series.recurrence, until: addDaysISO(date, -1) },
+      exdates: before.exdates,
+      overrides: before.overrides,
+    };
+    const rule = { ...series.recurrence, ...patch.recurrence };
+    const tail = {
+      ...series,
+      ...patch,
+      id: crypto.randomUUID(),
+      date,
+      recurrence: {
+        ...rule,
+        count: rule.count && index > 0 ? Math.max(1, rule.count - index) : rule.count,
+      },
+      exdates: after.exdates,
+      overrides: after.overrides,
+    };
+    return events.flatMap((e) => (e.id === series.id ? [head, tail] : [e]));
+  }
+
+  // "all", or "following" from the first occurrence
+  return events.map((e) => {
+    if (e.id !== series.id) return e;
+    const next = { ...series, ...patch };
+    // Patch fields win over per-occurrence changes to the same fields
+    const fields = Object.keys(pickOverride(patch));
+    if (fields.length && series.overrides) {
+      next.overrides = Object.fromEntries(
+        Object.entries(series.overrides)
+          .map(([d, o]) => [d, Object.fromEntries(Object.entries(o).filter(([k]) => !fields.includes(k)))])
+          .filter(([, o]) => Object.keys(o).length)
+      );
+    }
+    return next;
+  });
+}
+
+export function deleteOccurrence(events, instance, scope = "all") {
+  if (!instance.seriesId) return events.filter((e) => e.id !== instance.id);
+  const series = events.find((e) => e.id === instance.seriesId);
+  if (!series) return events;
+  const date = instance.date;
+
+  if (scope === "this") {
+    const overrides = { ...series.overrides };
+    delete overrides[date];
+    const exdates = [...new Set([...(series.exdates || []), date])].sort();
+    return events.map((e) => (e.id === series.id ? { ...series, exdates, overrides } : e));
+  }
+
+  if (scope === "following" && date > series.date) {
+    const { before } = splitByDate(series, date);
+    const head = {
+      ...series,
+      recurrence: { ...series.recurrence, until: addDaysISO(date, -1) },
+      exdates: before.exdates,
+      overrides: before.overrides,
+    };
+    return events.map((e) => (e.id === series.id ? head : e));
+  }
+
+  return events.filter((e) => e.id !== series.id);
+}
+
+export function describeRecurrence(rule) {
+  if (!rule) return "";
+  const interval = Math.max(1, Number(rule.interval) || 1);
+  let text;
+  if (rule.freq === "daily") {
+    text = interval === 1 ? "Daily" : `Every ${interval} days`;
+  } else {
+    const days = [...(rule.weekdays || [])]
+      .sort((a, b) => mondayOffset(a) - mondayOffset(b))
+      .map((d) => WEEKDAY_LABELS[d])
+      .join(", ");
+    text = interval === 1 ? "Weekly" : `Every ${interval} weeks`;
+    if (days) text += ` on ${days}`;
+  }
+  if (rule.until) text += ` until ${rule.until}`;
+  if (rule.count) text += ` × ${rule.count}`;
+  return text;
+}
@@ -0,0 +1,133 @@
+import { describe, expect, it } from "vitest";
+import {
+  deleteOccurrence,
+  describeRecurrence,
+  expandEventsInRange,
+  occurrenceIndex,
+  occursOn,
+  updateOccurrence,
+} from "./recurrence.js";
+
+// 2026-10-19 is a Monday
+const series = (recurrence, fields = {}) => ({
+  id: "s",
+  date: "2026-10-19",
+  type: "Practice",
+  title: "Practice",
+  startTime: "15:00",
+  durationMin: 120,
+  recurrence,
+  ...fields,
+});
+
+const dates = (events) => events.map((e) => e.date);
+
+describe("occurrenceIndex", () => {
+  it("counts daily occurrences with an interval", () => {
+    const evt = series({ freq: "daily", interval: 2 });
+    expect(occurrenceIndex(evt, "2026-10-19")).toBe(0);
+    expect(occurrenceIndex(evt, "2026-10-20")).toBe(-1);
+    expect(occurrenceIndex(evt, "2026-10-23")).toBe(2);
+    expect(occurrenceIndex(evt, "2026-10-18")).toBe(-1);
+  });
+
+  it("counts weekly occurrences across weeks, starting mid-week", () => {
+    // Starts Wednesday, repeats Mon/Wed/Fri
+    const evt = series(
+      { freq: "weekly", interval: 1, weekdays: [1, 3, 5] },
+      { date: "2026-10-21" }
+    );
+    expect(occurrenceIndex(evt, "2026-10-19")).toBe(-1);
+    expect(occurrenceIndex(evt, "2026-10-21")).toBe(0);
+    expect(occurrenceIndex(evt, "2026-10-23")).toBe(1);
+    expect(occurrenceIndex(evt, "2026-10-26")).toBe(2);
+    expect(occurrenceIndex(evt, "2026-10-30")).toBe(4);
+  });
+
+  it("stops at until and count", () => {
+    const until = series({ freq: "daily", interval: 1, until: "2026-10-21" });
+    expect(occursOn(until, "2026-10-21")).toBe(true);
+    expect(occursOn(until, "2026-10-22")).toBe(false);
+    const count = series({ freq: "weekly", interval: 2, count: 2 });
+    expect(occursOn(count, "2026-11-02")).toBe(true);
+    expect(occursOn(count, "2026-11-16")).toBe(false);
+  });
+});
+
+describe("expandEventsInRange", () => {
+  it("expands series into instances, skipping exdates and applying overrides", () => {
+    const evt = series(
+      { freq: "daily", interval: 1 },
+      {
+        exdates: ["2026-10-20"],
+        overrides: { "2026-10-21": { startTime: "07:00" }, "2026-10-22": { rpe: 6 } },
+      }
+    );
+    const oneOff = { id: "x", date: "2026-10-20", title: "Film", startTime: "10:00" };
+    const out = expandEventsInRange([evt, oneOff], "2026-10-19", "2026-10-22");
+    expect(dates(out)).toEqual(["2026-10-19", "2026-10-20", "2026-10-21", "2026-10-22"]);
+    expect(out[0]).toMatchObject({ id: "s@2026-10-19", seriesId: "s", changed: false });
+    expect(out[1].id).toBe("x");
+    expect(out[2]).toMatchObject({ startTime: "07:00", changed: true });
+    // A logged RPE isn't a change to the plan
+    expect(out[3]).toMatchObject({ rpe: 6, changed: false });
+  });
+});
+
+describe("updateOccurrence / deleteOccurrence", () => {
+  const evt = series({ freq: "daily", interval: 1, count: 10 });
+  const instance = (date) => ({ ...evt, id: `s@${date}`, seriesId: "s", date });
+
+  it("edits one occurrence as an override", () => {
+    const [next] = updateOccurrence([evt], instance("2026-10-21"), { title: "Scrimmage" }, "this");
+    expect(next.overrides).toEqual({ "2026-10-21": { title: "Scrimmage" } });
+  });
+
+  it("moves one occurrence out of the series", () => {
+    const out = updateOccurrence([evt], instance("2026-10-21"), { date: "2026-10-25" }, "this");
+    expect(out).toHaveLength(2);
+    expect(out[0].exdates).toEqual(["2026-10-21"]);
+    expect(out[1]).toMatchObject({ date: "2026-10-25", title: "Practice" });
+    expect(out[1].recurrence).toBeUndefined();
+    expect(out[1].seriesId).toBeUndefined();
+  });
+
+  it("splits the series for this-and-following, keeping the remaining count", () => {
+    const patch = { startTime: "06:00" };
+    const out = updateOccurrence([evt], instance("2026-10-23"), patch, "following");
+    expect(out).toHaveLength(2);
+    expect(out[0].recurrence).toMatchObject({ until: "2026-10-22", count: 10 });
+    expect(out[1]).toMatchObject({ date: "2026-10-23", startTime: "06:00" });
+    expect(out[1].recurrence.count).toBe(6);
+    const all = expandEventsInRange(out, "2026-10-19", "2026-11-30");
+    expect(all).toHaveLength(10);
+  });
+
+  it("drops overridden fields an edit to the whole series replaces", () => {
+    const withOverride = {
+      ...evt,
+      overrides: { "2026-10-21": { startTime: "07:00", notes: "Bus at 6" } },
+    };
+    const [next] = updateOccurrence([withOverride], instance("2026-10-19"), { startTime: "16:00" });
+    expect(next.startTime).toBe("16:00");
+    expect(next.overrides).toEqual({ "2026-10-21": { notes: "Bus at 6" } });
+  });
+
+  it("deletes one, following, or all occurrences", () => {
+    expect(deleteOccurrence([evt], instance("2026-10-20"), "this")[0].exdates).toEqual([
+      "2026-10-20",
+    ]);
+    const [head] = deleteOccurrence([evt], instance("2026-10-22"), "following");
+    expect(head.recurrence.until).toBe("2026-10-21");
+    expect(deleteOccurrence([evt], instance("2026-10-22"), "all")).toEqual([]);
+  });
+});
+
+describe("describeRecurrence", () => {
+  it("describes rules in words", () => {
+    expect(describeRecurrence({ freq: "daily", interval: 1 })).toBe("Daily");
+    expect(describeRecurrence({ freq: "weekly", interval: 2, weekdays: [0, 1], count: 4 })).toBe(
+      "Every 2 weeks on Mon, Sun × 4"
+    );
+  });
+});
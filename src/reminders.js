@@ -0,0 +1,232 @@
+import { notificationPermission, showNotification } from "./alerts.js";
+import { courseLabel } from "./courses.js";
+import { addDaysISO, daysBetweenISO, minutesToHhMm } from "./dates.js";
+import { eventTypeById, typeName } from "./eventTypes.js";
+
+/**
+ * Scheduled reminders
+ * Events remind on their type's rules (EventType.reminders) unless the event
+ * sets its own `reminders` ([] = none). A rule is minutes before the start
+ * ("15") or "night" for the evening before at settings.nightBeforeTime.
+ * On top of that: a daily wellness check-in (skipped once the day is logged)
+ * and a study nudge when the week's study targets are behind pace.
+ *
+ * The queue is rebuilt from the plan and saved to meta "reminderQueue", where
+ * the service worker picks it up to deliver reminders while the app is closed
+ * (public/sw-notifications.js). What happened to each reminder is kept by id:
+ *   { shownAt, snoozedUntil, dismissedAt }   (ms timestamps)
+ * in meta "reminderState" (written by the app) and "reminderSwState" (written
+ * by the service worker). The two never overwrite each other; readers take the
+ * later value of each field.
+ */
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  nightBeforeTime: "20:00",
+  checkIn: true,
+  checkInTime: "21:00",
+  studyNudge: true,
+  studyNudgeTime: "18:00",
+};
+
+export const REMINDER_RULES = [
+  { key: "0", label: "At start" },
+  { key: "10", label: "10 min before" },
+  { key: "15", label: "15 min before" },
+  { key: "30", label: "30 min before" },
+  { key: "60", label: "1 hour before" },
+  { key: "120", label: "2 hours before" },
+  { key: "night", label: "Night before" },
+];
+
+export const SNOOZE_MINUTES = 10; // the notification's Snooze action, see sw-notifications.js
+export const REMINDER_SYNC_TAG = "lockin-reminders";
+const HORIZON_DAYS = 2; // the queue covers today and the next two days
+const GRACE_MS = 60 * 60000; // reminders missed by more than this aren't shown late
+
+export function reminderSettings(saved) {
+  return { ...DEFAULT_REMINDER_SETTINGS, ...saved };
+}
+
+export function ruleLabel(rule) {
+  return REMINDER_RULES.find((r) => r.key === rule)?.label || `${rule} min before`;
+}
+
+/** Rules that apply to an event: its own when set, otherwise its type's. */
+export function eventReminderRules(evt, types) {
+  if (Array.isArray(evt.reminders)) return evt.reminders;
+  return eventTypeById(types, evt.type).reminders || [];
+}
+
+function timeOn(date, time) {
+  return new Date(`${date}T${time}:00`).getTime();
+}
+
+function ruleTime(evt, rule, settings) {
+  if (rule === "night") return timeOn(addDaysISO(evt.date, -1), settings.nightBeforeTime);
+  return timeOn(evt.date, evt.startTime) - Number(rule) * 60000;
+}
+
+function eventReminder(evt, rule, types, settings) {
+  const name = typeName(types, evt.type);
+  const title = evt.title === name ? name : `${name}: ${evt.title}`;
+  const when = rule === "night" ? `Tomorrow at ${evt.startTime}` : `Starts at ${evt.startTime}`;
+  return {
+    id: `event:${evt.id}:${rule}`,
+    at: ruleTime(evt, rule, settings),
+    kind: "event",
+    title,
+    body: [when, evt.notes].filter(Boolean).join(" • "),
+    date: evt.date,
+  };
+}
+
+/**
+ * Courses behind an even split of their weekly study target through `date`.
+ * targets { courseId: hours per week }, done { courseId: minutes logged this week }
+ * Returns [{ course, targetMin, expectedMin, doneMin }].
+ */
+export function studyBehind(targets, done, weekStart, date) {
+  const elapsed = Math.min(7, daysBetweenISO(weekStart, date) + 1);
+  return Object.entries(targets)
+    .map(([course, hours]) => {
+      const targetMin = Math.round((Number(hours) || 0) * 60);
+      const expectedMin = Math.round((targetMin * elapsed) / 7);
+      return { course, targetMin, expectedMin, doneMin: done[course] || 0 };
+    })
+    .filter((r) => r.targetMin > 0 && r.doneMin < r.expectedMin);
+}
+
+/**
+ * Reminders from the start of `today` through the horizon, soonest first.
+ * events      occurrences from today to the day after the horizon (night-before rules)
+ * loggedDays  Set of dates that already have a wellness check-in
+ * behind      studyBehind rows for today
+ * Returns [{ id, at, kind: "event" | "checkIn" | "study", title, body, date }].
+ */
+export function buildReminderQueue({
+  events,
+  types,
+  courses,
+  settings,
+  loggedDays,
+  behind,
+  today,
+}) {
+  const last = addDaysISO(today, HORIZON_DAYS);
+  const out = [];
+  events.forEach((evt) => {
+    eventReminderRules(evt, types).forEach((rule) =>
+      out.push(eventReminder(evt, rule, types, settings))
+    );
+  });
+  if (settings.checkIn) {
+    for (let d = today; d <= last; d = addDaysISO(d, 1)) {
+      if (loggedDays.has(d)) continue;
+      out.push({
+        id: `checkIn:${d}`,
+        at: timeOn(d, settings.checkInTime),
+        kind: "checkIn",
+        title: "Daily check-in",
+        body: "Log sleep, soreness, stress and energy for today.",
+        date: d,
+      });
+    }
+  }
+  if (settings.studyNudge && behind.length) {
+    const short = behind.map(
+      (r) => `${courseLabel(courses, r.course)} ${minutesToHhMm(r.expectedMin - r.doneMin)}`
+    );
+    out.push({
+      id: `study:${today}`,
+      at: timeOn(today, settings.studyNudgeTime),
+      kind: "study",
+      title: "Behind on study this week",
+      body: `To get back on pace: ${short.join(", ")}`,
+      date: today,
+    });
+  }
+  const from = timeOn(today, "00:00");
+  const until = timeOn(addDaysISO(last, 1), "00:00");
+  return out.filter((r) => r.at >= from && r.at < until).sort((a, b) => a.at - b.at);
+}
+
+/** Combine two state maps, taking the later value of each field. */
+export function mergeReminderState(a, b) {
+  const out = { ...a };
+  Object.entries(b).forEach(([id, s]) => {
+    const prev = out[id] || {};
+    out[id] = {};
+    ["shownAt", "snoozedUntil", "dismissedAt"].forEach((f) => {
+      const value = Math.max(prev[f] || 0, s[f] || 0);
+      if (value) out[id][f] = value;
+    });
+  });
+  return out;
+}
+
+export function reminderDueAt(item, state = {}) {
+  return Math.max(item.at, state.snoozedUntil || 0);
+}
+
+/**
+ * "pending" | "due" | "shown" | "missed" | "dismissed"
+ * Snoozing after a reminder was shown makes it pending again.
+ */
+export function reminderStatus(item, state = {}, now) {
+  if (state.dismissedAt) return "dismissed";
+  const dueAt = reminderDueAt(item, state);
+  if ((state.shownAt || 0) >= dueAt) return "shown";
+  if (dueAt > now) return "pending";
+  return now - dueAt > GRACE_MS ? "missed" : "due";
+}
+
+/** Queue entries to list: not dismissed, and not long past. */
+export function visibleReminders(queue, state, now) {
+  return queue.filter(
+    (item) =>
+      !state[item.id]?.dismissedAt && reminderDueAt(item, state[item.id]) >= now - GRACE_MS
+  );
+}
+
+/** State entries still referenced by the queue (older ones are dropped when saving). */
+export function pruneReminderState(state, queue) {
+  const ids = new Set(queue.map((item) => item.id));
+  return Object.fromEntries(Object.entries(state).filter(([id]) => ids.has(id)));
+}
+
+/** Show a reminder as a system notification, with a Snooze action where supported. */
+export function showReminder(item) {
+  if (notificationPermission() !== "granted") return Promise.resolve();
+  return showNotification(item.title, item.body, {
+    tag: item.id,
+    renotify: false,
+    data: { reminderId: item.id },
+    actions: [{ action: "snooze", title: `Snooze ${SNOOZE_MINUTES} min` }],
+  }).catch((err) => console.warn("Reminder notification failed:", err));
+}
+
+/**
+ * Ask the browser to wake the service worker now and then to deliver
+ * reminders while the app is closed. Only installed apps in Chromium browsers
+ * get periodic background sync, and the browser picks the interval (often
+ * hours, less for rarely used apps), so this is a best effort: reminders that
+ * come up more than GRACE_MS late are dropped. Resolves to whether it's registered.
+ */
+export async function registerBackgroundReminders() {
+  const reg = await navigator.serviceWorker?.getRegistration();
+  if (!reg?.periodicSync) return false;
+  try {
+    const status = await navigator.permissions?.query({ name: "periodic-background-sync" });
+    if (status && status.state !== "granted") return false;
+    await reg.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: 15 * 60000 });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export async function unregisterBackgroundReminders() {
+  const reg = await navigator.serviceWorker?.getRegistration();
+  await reg?.periodicSync?.unregister(REMINDER_SYNC_TAG).catch(() => {});
+}
@@ -0,0 +1,136 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_REMINDER_SETTINGS,
+  buildReminderQueue,
+  eventReminderRules,
+  mergeReminderState,
+  pruneReminderState,
+  reminderStatus,
+  studyBehind,
+  visibleReminders,
+} from "./reminders.js";
+
+const MIN = 60000;
+const at = (date, time) => new Date(`${date}T${time}:00`).getTime();
+
+const types = [
+  { id: "Lift", name: "Lift", reminders: ["night", "15"] },
+  { id: "Film", name: "Film", reminders: [] },
+];
+const lift = {
+  id: "e1",
+  date: "2026-10-20",
+  type: "Lift",
+  title: "Lift",
+  startTime: "06:00",
+  notes: "Bring straps",
+};
+const film = { ...lift, id: "e2", type: "Film", title: "Opponent film", startTime: "10:00" };
+const settings = { ...DEFAULT_REMINDER_SETTINGS, enabled: true };
+const queue = (args) =>
+  buildReminderQueue({
+    events: [lift, film],
+    types,
+    courses: [{ id: "bio", code: "BIO 212" }],
+    settings: { ...settings, checkIn: false, studyNudge: false },
+    loggedDays: new Set(),
+    behind: [],
+    today: "2026-10-19",
+    ...args,
+  });
+
+describe("eventReminderRules", () => {
+  it("uses the event's own rules over its type's", () => {
+    expect(eventReminderRules(lift, types)).toEqual(["night", "15"]);
+    expect(eventReminderRules({ ...lift, reminders: [] }, types)).toEqual([]);
+    expect(eventReminderRules({ ...film, reminders: ["30"] }, types)).toEqual(["30"]);
+  });
+});
+
+describe("buildReminderQueue", () => {
+  it("schedules event rules soonest first", () => {
+    expect(queue()).toEqual([
+      {
+        id: "event:e1:night",
+        at: at("2026-10-19", "20:00"),
+        kind: "event",
+        title: "Lift",
+        body: "Tomorrow at 06:00 • Bring straps",
+        date: "2026-10-20",
+      },
+      {
+        id: "event:e1:15",
+        at: at("2026-10-20", "05:45"),
+        kind: "event",
+        title: "Lift",
+        body: "Starts at 06:00 • Bring straps",
+        date: "2026-10-20",
+      },
+    ]);
+  });
+
+  it("names the type when the title differs and drops reminders before today", () => {
+    const early = { ...film, date: "2026-10-19", startTime: "00:10", reminders: ["30"] };
+    expect(queue({ events: [early] })).toEqual([]);
+    const titled = queue({ events: [{ ...film, reminders: ["0"] }] });
+    expect(titled.map((r) => r.title)).toEqual(["Film: Opponent film"]);
+  });
+
+  it("adds check-ins for days not logged yet and a study nudge", () => {
+    const items = queue({
+      events: [],
+      settings,
+      loggedDays: new Set(["2026-10-19"]),
+      behind: [{ course: "bio", targetMin: 240, expectedMin: 34, doneMin: 0 }],
+    });
+    expect(items.map((r) => r.id)).toEqual([
+      "study:2026-10-19",
+      "checkIn:2026-10-20",
+      "checkIn:2026-10-21",
+    ]);
+    expect(items[0].body).toBe("To get back on pace: BIO 212 34m");
+  });
+});
+
+describe("studyBehind", () => {
+  it("compares logged minutes with an even split of the week", () => {
+    const targets = { bio: 7, hist: 3.5, psy: 0 };
+    const rows = studyBehind(targets, { hist: 120 }, "2026-10-19", "2026-10-21");
+    expect(rows).toEqual([{ course: "bio", targetMin: 420, expectedMin: 180, doneMin: 0 }]);
+  });
+});
+
+describe("reminder state", () => {
+  const item = { id: "r", at: at("2026-10-19", "18:00") };
+
+  it("merges the app's and the service worker's state field by field", () => {
+    const app = { r: { shownAt: 5, snoozedUntil: 20 }, old: { dismissedAt: 1 } };
+    const sw = { r: { shownAt: 10 } };
+    expect(mergeReminderState(app, sw)).toEqual({
+      r: { shownAt: 10, snoozedUntil: 20 },
+      old: { dismissedAt: 1 },
+    });
+  });
+
+  it("moves from pending to due, shown or missed", () => {
+    expect(reminderStatus(item, {}, item.at - MIN)).toBe("pending");
+    expect(reminderStatus(item, {}, item.at + MIN)).toBe("due");
+    expect(reminderStatus(item, {}, item.at + 2 * 60 * MIN)).toBe("missed");
+    expect(reminderStatus(item, { shownAt: item.at }, item.at + MIN)).toBe("shown");
+    expect(reminderStatus(item, { dismissedAt: item.at }, item.at + MIN)).toBe("dismissed");
+  });
+
+  it("is pending again when snoozed after showing", () => {
+    const state = { shownAt: item.at, snoozedUntil: item.at + 10 * MIN };
+    expect(reminderStatus(item, state, item.at + MIN)).toBe("pending");
+    expect(reminderStatus(item, state, item.at + 10 * MIN)).toBe("due");
+  });
+
+  it("lists recent reminders and keeps state only for queued ones", () => {
+    const old = { id: "old", at: item.at - 3 * 60 * MIN };
+    const dismissed = { id: "d", at: item.at };
+    const state = { d: { dismissedAt: item.at }, gone: { shownAt: 1 } };
+    expect(visibleReminders([old, item, dismissed], state, item.at)).toEqual([item]);
+    expect(pruneReminderState(state, [old, item, dismissed])).toEqual({ d: state.d });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Time-of-day math for one day's schedule: overlaps, busy time and free blocks.
+ * Times are "HH:MM"; intervals are [startMin, endMin) minutes after midnight,
+ * clipped to the day.
+ */
+
+const DAY_MIN = 24 * 60;
+
+export function toMinutes(time) {
+  const [h, m] = String(time || "0:0").split(":").map(Number);
+  return (h || 0) * 60 + (m || 0);
+}
+
+export function fromMinutes(mins) {
+  const m = Math.max(0, Math.min(DAY_MIN, Math.round(mins)));
+  return `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+}
+
+export function eventInterval(e) {
+  const start = toMinutes(e.startTime);
+  return [start, Math.min(DAY_MIN, start + Math.max(0, Number(e.durationMin) || 0))];
+}
+
+function overlaps([a1, a2], [b1, b2]) {
+  return a1 < b2 && b1 < a2;
+}
+
+/** Events in `dayEvents` that overlap `candidate` (ignoring the candidate itself). */
+export function findConflicts(candidate, dayEvents) {
+  const span = eventInterval(candidate);
+  if (span[0] === span[1]) return [];
+  return dayEvents.filter((e) => {
+    if (candidate.id && e.id === candidate.id) return false;
+    const other = eventInterval(e);
+    return other[0] !== other[1] && overlaps(span, other);
+  });
+}
+
+/** Ids of events that overlap at least one other event that day. */
+export function conflictingIds(dayEvents) {
+  const ids = new Set();
+  dayEvents.forEach((e) => {
+    if (findConflicts(e, dayEvents).length) ids.add(e.id);
+  });
+  return ids;
+}
+
+/** Busy intervals merged so overlapping time is only counted once. */
+export function mergedIntervals(dayEvents) {
+  const spans = dayEvents
+    .map(eventInterval)
+    .filter(([s, e]) => e > s)
+    .sort((a, b) => a[0] - b[0]);
+  const out = [];
+  spans.forEach(([s, e]) => {
+    const last = out[out.length - 1];
+    if (last && s <= last[1]) last[1] = Math.max(last[1], e);
+    else out.push([s, e]);
+  });
+  return out;
+}
+
+export function busyMinutes(dayEvents) {
+  return mergedIntervals(dayEvents).reduce((sum, [s, e]) => sum + (e - s), 0);
+}
+
+/**
+ * Gaps between events from wake to sleep time, at least `minLength` minutes.
+ * Returns [{ start: "HH:MM", end: "HH:MM", minutes }].
+ */
+export function freeBlocks(dayEvents, wakeTime, sleepTime, minLength = 15) {
+  const dayStart = toMinutes(wakeTime);
+  const dayEnd = toMinutes(sleepTime) > dayStart ? toMinutes(sleepTime) : DAY_MIN;
+  const out = [];
+  let cursor = dayStart;
+  mergedIntervals(dayEvents).forEach(([s, e]) => {
+    if (e <= cursor) return;
+    if (s > cursor) out.push([cursor, Math.min(s, dayEnd)]);
+    cursor = Math.max(cursor, e);
+  });
+  if (cursor < dayEnd) out.push([cursor, dayEnd]);
+  return out
+    .filter(([s, e]) => e - s >= minLength)
+    .map(([s, e]) => ({ start: fromMinutes(s), end: fromMinutes(e), minutes: e - s }));
+}
+
+/**
+ * Side-by-side layout for a calendar day column. Overlapping events share the
+ * width: each gets a lane and the number of lanes in its overlap cluster.
+ * [{ event, start, end, lane, lanes }]
+ */
+export function layoutDay(dayEvents) {
+  const items = dayEvents
+    .map((event) => {
+      const [start, end] = eventInterval(event);
+      return { event, start, end: Math.max(end, start + 15), lane: 0, lanes: 1 };
+    })
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  let cluster = [];
+  let clusterEnd = -1;
+  const closeCluster = () => {
+    const lanes = cluster.reduce((n, it) => Math.max(n, it.lane + 1), 1);
+    cluster.forEach((it) => (it.lanes = lanes));
+    cluster = [];
+  };
+  items.forEach((it) => {
+    if (it.start >= clusterEnd) closeCluster();
+    const laneEnds = [];
+    cluster.forEach((c) => (laneEnds[c.lane] = Math.max(laneEnds[c.lane] ?? -1, c.end)));
+    let lane = 0;
+    while (laneEnds[lane] > it.start) lane += 1;
+    it.lane = lane;
+    cluster.push(it);
+    clusterEnd = Math.max(clusterEnd, it.end);
+  });
+  closeCluster();
+  return items;
+}
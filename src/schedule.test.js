@@ -0,0 +1,106 @@
+import { describe, expect, it } from "vitest";
+import {
+  busyMinutes,
+  conflictingIds,
+  findConflicts,
+  freeBlocks,
+  fromMinutes,
+  layoutDay,
+  toMinutes,
+} from "./schedule.js";
+
+const evt = (id, startTime, durationMin) => ({ id, startTime, durationMin });
+
+describe("clock minutes", () => {
+  it("converts both ways and clips to the day", () => {
+    expect(toMinutes("06:30")).toBe(390);
+    expect(toMinutes("")).toBe(0);
+    expect(fromMinutes(390)).toBe("06:30");
+    expect(fromMinutes(-5)).toBe("00:00");
+    expect(fromMinutes(24 * 60 + 30)).toBe("24:00");
+  });
+});
+
+describe("findConflicts / conflictingIds", () => {
+  const lift = evt("lift", "06:00", 60);
+  const film = evt("film", "06:30", 30);
+  const cls = evt("class", "07:00", 50); // starts as the lift ends
+  const note = evt("note", "06:15", 0);
+
+  it("finds events that overlap, not ones that only touch", () => {
+    expect(findConflicts(lift, [lift, film, cls])).toEqual([film]);
+    expect(findConflicts(cls, [lift, film, cls])).toEqual([]);
+  });
+
+  it("ignores zero-length events", () => {
+    expect(findConflicts(note, [lift])).toEqual([]);
+    expect(findConflicts(lift, [note])).toEqual([]);
+  });
+
+  it("lists every event caught in an overlap", () => {
+    expect([...conflictingIds([lift, film, cls, note])]).toEqual(["lift", "film"]);
+  });
+});
+
+describe("busyMinutes", () => {
+  it("counts overlapping time once", () => {
+    const day = [evt("a", "06:00", 60), evt("b", "06:30", 60), evt("c", "09:00", 30)];
+    expect(busyMinutes(day)).toBe(120);
+  });
+
+  it("stops at midnight", () => {
+    expect(busyMinutes([evt("a", "23:30", 90)])).toBe(30);
+  });
+});
+
+describe("freeBlocks", () => {
+  it("returns the gaps between wake and sleep time", () => {
+    const day = [evt("a", "08:00", 60), evt("b", "08:30", 60), evt("c", "12:00", 120)];
+    expect(freeBlocks(day, "07:00", "18:00")).toEqual([
+      { start: "07:00", end: "08:00", minutes: 60 },
+      { start: "09:30", end: "12:00", minutes: 150 },
+      { start: "14:00", end: "18:00", minutes: 240 },
+    ]);
+  });
+
+  it("drops gaps shorter than the minimum", () => {
+    const day = [evt("a", "07:10", 50), evt("b", "08:20", 40)];
+    expect(freeBlocks(day, "07:00", "09:30", 25)).toEqual([
+      { start: "09:00", end: "09:30", minutes: 30 },
+    ]);
+  });
+
+  it("runs to midnight when sleep time is after it", () => {
+    expect(freeBlocks([], "20:00", "01:00")).toEqual([
+      { start: "20:00", end: "24:00", minutes: 240 },
+    ]);
+  });
+});
+
+describe("layoutDay", () => {
+  it("puts overlapping events side by side and the rest full width", () => {
+    const day = [
+      evt("lift", "06:00", 60),
+      evt("film", "06:30", 60),
+      evt("meal", "06:45", 15),
+      evt("class", "09:00", 50),
+    ];
+    const lanes = Object.fromEntries(layoutDay(day).map((it) => [it.event.id, it.lane]));
+    expect(lanes).toEqual({ lift: 0, film: 1, meal: 2, class: 0 });
+    expect(layoutDay(day).map((it) => it.lanes)).toEqual([3, 3, 3, 1]);
+  });
+
+  it("reuses a lane once its event has ended", () => {
+    const day = [evt("a", "06:00", 60), evt("b", "06:30", 60), evt("c", "07:00", 30)];
+    expect(layoutDay(day).map((it) => [it.event.id, it.lane, it.lanes])).toEqual([
+      ["a", 0, 2],
+      ["b", 1, 2],
+      ["c", 0, 2],
+    ]);
+  });
+
+  it("gives zero-length events some height", () => {
+    const [item] = layoutDay([evt("note", "10:00", 0)]);
+    expect(item.end - item.start).toBe(15);
+  });
+});
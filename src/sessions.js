@@ -0,0 +1,136 @@
+import { todayISOFromDate } from "./dates.js";
+
+/**
+ * Study sessions: one record per focus session (timer or manual).
+ *   { id, date, course, start, end, minutes, status, eventId, assignmentId, studyHall }
+ * start/end are ms timestamps (null for legacy entries); minutes is time
+ * actually focused; eventId links the session to the Study event (or
+ * occurrence id) it was run against; studyHall is { location, monitor } for
+ * supervised study-hall time, else null. Daily/weekly totals are always
+ * derived from sessions.
+ */
+
+export const SESSION_STATUS = {
+  completed: "Completed",
+  interrupted: "Partial",
+  manual: "Manual",
+  legacy: "Earlier log",
+};
+
+/** { "YYYY-MM-DD": { COURSE: minutes } } from a list of sessions. */
+export function aggregateSessions(sessions) {
+  const out = {};
+  sessions.forEach((s) => {
+    const mins = Number(s.minutes) || 0;
+    if (mins <= 0) return;
+    const day = out[s.date] || (out[s.date] = {});
+    day[s.course] = (day[s.course] || 0) + mins;
+  });
+  return out;
+}
+
+export function timerSession({
+  course,
+  start,
+  end,
+  minutes,
+  status,
+  eventId,
+  assignmentId,
+  studyHall,
+}) {
+  return {
+    id: crypto.randomUUID(),
+    date: todayISOFromDate(new Date(start)),
+    course,
+    start,
+    end,
+    minutes,
+    status,
+    eventId: eventId || null,
+    assignmentId: assignmentId || null,
+    studyHall: studyHall || null,
+  };
+}
+
+/** Manual entry or correction: date + "HH:MM" start + minutes. */
+export function manualSession({
+  id,
+  date,
+  startTime,
+  course,
+  minutes,
+  status,
+  eventId,
+  assignmentId,
+  studyHall,
+}) {
+  const mins = Math.max(0, Math.round(Number(minutes) || 0));
+  const start = startTime ? new Date(`${date}T${startTime}:00`).getTime() : null;
+  return {
+    id: id || crypto.randomUUID(),
+    date,
+    course,
+    start,
+    end: start != null ? start + mins * 60000 : null,
+    minutes: mins,
+    status: status || "manual",
+    eventId: eventId || null,
+    assignmentId: assignmentId || null,
+    studyHall: studyHall || null,
+  };
+}
+
+export function clockTime(ms) {
+  if (ms == null) return "";
+  const d = new Date(ms);
+  return `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+export const STUDY_EVENT_STATUS = {
+  planned: "Planned",
+  done: "Done",
+  partial: "Partial",
+  missed: "Missed",
+};
+
+/** Focused minutes per linked Study event: { eventId: minutes }. */
+export function minutesByEvent(sessions) {
+  const out = {};
+  sessions.forEach((s) => {
+    if (s.eventId) out[s.eventId] = (out[s.eventId] || 0) + (Number(s.minutes) || 0);
+  });
+  return out;
+}
+
+/** Minutes logged against each assignment: { assignmentId: minutes }. */
+export function minutesByAssignment(sessions) {
+  const out = {};
+  sessions.forEach((s) => {
+    if (s.assignmentId) out[s.assignmentId] = (out[s.assignmentId] || 0) + (Number(s.minutes) || 0);
+  });
+  return out;
+}
+
+/**
+ * How a Study event went, from the minutes focused against it:
+ * done (full length), partial (some), missed (none and it's over) or planned.
+ */
+export function studyEventStatus(evt, focusedMin, now) {
+  const planned = Number(evt.durationMin) || 0;
+  if (focusedMin > 0) return focusedMin >= planned ? "done" : "partial";
+  const end = new Date(`${evt.date}T${evt.startTime}:00`).getTime() + planned * 60000;
+  return end < now ? "missed" : "planned";
+}
+
+/** Rows of { course, planned, actual } for every course with either. */
+export function planVsActual(plannedByCourse, actualByCourse) {
+  const courses = [...new Set([...Object.keys(plannedByCourse), ...Object.keys(actualByCourse)])];
+  return courses
+    .map((course) => ({
+      course,
+      planned: plannedByCourse[course] || 0,
+      actual: actualByCourse[course] || 0,
+    }))
+    .sort((a, b) => b.planned - a.planned || b.actual - a.actual);
+}
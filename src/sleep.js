@@ -0,0 +1,118 @@
+import { addDaysISO, startOfWeekISO } from "./dates.js";
+import { fromMinutes, toMinutes } from "./schedule.js";
+
+/**
+ * Sleep detail on the wellness check-in. A date's check-in holds the night
+ * that ended that morning plus the day's naps:
+ *   wellness[date].sleep = { bedtime: "HH:MM", wake: "HH:MM", quality: 1-5, napMin }
+ * `sleepHours` stays on the entry, derived from bedtime and wake (the night
+ * only), so readiness, reports and older check-ins that only have sleepHours
+ * keep working. Sleep debt and the weekly chart count naps as well.
+ */
+
+export const DEFAULT_SLEEP_SETTINGS = {
+  targetHours: 8,
+  prepMin: 45, // from waking up to the first event of the day
+  debtDays: 7, // rolling window for sleep debt
+};
+
+export const SLEEP_QUALITY_LABELS = { 1: "Poor", 2: "Fair", 3: "OK", 4: "Good", 5: "Great" };
+
+const DAY_MIN = 24 * 60;
+
+export function sleepSettings(saved) {
+  return { ...DEFAULT_SLEEP_SETTINGS, ...saved };
+}
+
+/** Minutes from bedtime to wake (across midnight), or null until both are set. */
+export function nightMinutes(sleep) {
+  if (!sleep?.bedtime || !sleep?.wake) return null;
+  return (toMinutes(sleep.wake) - toMinutes(sleep.bedtime) + DAY_MIN) % DAY_MIN;
+}
+
+/** The check-in with `patch` applied to its sleep and sleepHours re-derived. */
+export function withSleep(entry, patch) {
+  const sleep = { ...entry.sleep, ...patch };
+  const mins = nightMinutes(sleep);
+  if (mins != null) return { ...entry, sleep, sleepHours: Math.round((mins / 60) * 100) / 100 };
+  // Clearing a time drops the hours derived from it; hours typed in before stay
+  const derived = nightMinutes(entry.sleep) != null;
+  return { ...entry, sleep, sleepHours: derived ? null : entry.sleepHours };
+}
+
+/** Night plus naps in minutes, or null when the check-in has no sleep logged. */
+export function totalSleepMinutes(entry) {
+  const hours = entry?.sleepHours;
+  const night = hours == null || hours === "" ? null : Number(hours) * 60;
+  const naps = Number(entry?.sleep?.napMin) || 0;
+  if ((night == null || !Number.isFinite(night)) && !naps) return null;
+  return Math.round((night || 0) + naps);
+}
+
+/**
+ * Rolling sleep debt over the `debtDays` days ending at `date`: each logged
+ * day adds the shortfall against the target, extra sleep pays it back (never
+ * below zero, so sleep can't be banked ahead). Days without sleep are skipped.
+ * Returns { debtMin, nights, avgMin }.
+ */
+export function sleepDebt(wellness, date, settings) {
+  const targetMin = settings.targetHours * 60;
+  let debtMin = 0;
+  let nights = 0;
+  let total = 0;
+  for (let i = settings.debtDays - 1; i >= 0; i--) {
+    const mins = totalSleepMinutes(wellness[addDaysISO(date, -i)]);
+    if (mins == null) continue;
+    nights += 1;
+    total += mins;
+    debtMin = Math.max(0, debtMin + targetMin - mins);
+  }
+  const avgMin = nights ? Math.round(total / nights) : null;
+  return { debtMin: Math.round(debtMin), nights, avgMin };
+}
+
+/**
+ * When to go to bed to get the target before the next day: wake `prepMin`
+ * before its earliest timed event, or at `fallbackWake` on a day with nothing
+ * scheduled. All-day and zero-length events (imported calendar days) don't
+ * count. nextDayEvents: the next day's occurrences.
+ * Returns { bedtime, wake, event } (event: the earliest one, or null).
+ */
+export function recommendedBedtime(nextDayEvents, settings, fallbackWake) {
+  const event =
+    nextDayEvents
+      .filter((e) => !e.allDay && Number(e.durationMin) > 0)
+      .sort((a, b) => a.startTime.localeCompare(b.startTime))[0] || null;
+  const wake = event ? toMinutes(event.startTime) - settings.prepMin : toMinutes(fallbackWake);
+  const bed = wake - settings.targetHours * 60;
+  const clock = (mins) => fromMinutes(((mins % DAY_MIN) + DAY_MIN) % DAY_MIN);
+  return { bedtime: clock(bed), wake: clock(wake), event };
+}
+
+/**
+ * Average sleep per logged day (naps included) for the `weeks` weeks ending
+ * with the week of `date`, oldest first.
+ * Returns [{ weekStart, avgMin, nights, quality }] (avgMin/quality null when empty).
+ */
+export function weeklySleep(wellness, date, weeks) {
+  const last = startOfWeekISO(new Date(date + "T00:00:00"));
+  return Array.from({ length: weeks }, (_, w) => {
+    const weekStart = addDaysISO(last, (w - weeks + 1) * 7);
+    let total = 0;
+    let nights = 0;
+    const ratings = [];
+    for (let i = 0; i < 7; i++) {
+      const entry = wellness[addDaysISO(weekStart, i)];
+      const mins = totalSleepMinutes(entry);
+      if (mins != null) {
+        total += mins;
+        nights += 1;
+      }
+      if (entry?.sleep?.quality) ratings.push(Number(entry.sleep.quality));
+    }
+    const quality = ratings.length
+      ? Math.round((ratings.reduce((s, q) => s + q, 0) / ratings.length) * 10) / 10
+      : null;
+    return { weekStart, avgMin: nights ? Math.round(total / nights) : null, nights, quality };
+  });
+}
@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_SLEEP_SETTINGS,
+  nightMinutes,
+  recommendedBedtime,
+  sleepDebt,
+  totalSleepMinutes,
+  weeklySleep,
+  withSleep,
+} from "./sleep.js";
+
+const settings = DEFAULT_SLEEP_SETTINGS; // 8h, 45 min to get ready, 7-day debt
+
+describe("recommendedBedtime", () => {
+  const lift = { title: "Lift", startTime: "06:00", durationMin: 60 };
+
+  it("wakes at the fallback time on a free day", () => {
+    expect(recommendedBedtime([], settings, "07:00")).toEqual({
+      bedtime: "23:00",
+      wake: "07:00",
+      event: null,
+    });
+  });
+
+  it("works back from the earliest event", () => {
+    const practice = { title: "Practice", startTime: "15:00", durationMin: 120 };
+    expect(recommendedBedtime([practice, lift], settings, "07:00")).toEqual({
+      bedtime: "21:15",
+      wake: "05:15",
+      event: lift,
+    });
+  });
+
+  it("skips all-day and zero-length events", () => {
+    const travel = { title: "Travel day", startTime: "00:00", durationMin: 0 };
+    const flagged = { title: "Game day", startTime: "00:00", durationMin: 60, allDay: true };
+    expect(recommendedBedtime([travel, flagged, lift], settings, "07:00").event).toBe(lift);
+    expect(recommendedBedtime([travel], settings, "07:00").wake).toBe("07:00");
+  });
+});
+
+describe("withSleep", () => {
+  it("derives sleepHours from bedtime and wake across midnight", () => {
+    const entry = withSleep({}, { bedtime: "23:30", wake: "07:00" });
+    expect(nightMinutes(entry.sleep)).toBe(450);
+    expect(entry.sleepHours).toBe(7.5);
+  });
+
+  it("clears derived hours with a time but keeps hours typed in", () => {
+    const derived = withSleep({}, { bedtime: "23:30", wake: "07:00" });
+    expect(withSleep(derived, { wake: "" }).sleepHours).toBe(null);
+    expect(withSleep({ sleepHours: 6 }, { quality: 4 }).sleepHours).toBe(6);
+  });
+});
+
+describe("sleep totals", () => {
+  it("adds naps to the night", () => {
+    expect(totalSleepMinutes({ sleepHours: 7, sleep: { napMin: 30 } })).toBe(450);
+    expect(totalSleepMinutes({ sleep: { napMin: 20 } })).toBe(20);
+    expect(totalSleepMinutes({ sleepHours: "" })).toBe(null);
+  });
+
+  it("runs a debt that extra sleep pays back but never banks", () => {
+    const wellness = {
+      "2026-10-13": { sleepHours: 10 }, // nothing to pay back yet
+      "2026-10-14": { sleepHours: 6 },
+      "2026-10-15": { sleepHours: 7 },
+      "2026-10-16": { sleepHours: 9 },
+      "2026-10-18": { sleepHours: 5, sleep: { napMin: 35 } },
+      "2026-10-19": { sleepHours: 8 },
+    };
+    const debt = sleepDebt(wellness, "2026-10-19", settings);
+    expect(debt).toMatchObject({ debtMin: 265, nights: 6 });
+  });
+
+  it("averages each week", () => {
+    const wellness = {
+      "2026-10-12": { sleepHours: 8, sleep: { quality: 4 } },
+      "2026-10-19": { sleepHours: 7, sleep: { quality: 3 } },
+      "2026-10-20": { sleepHours: 6, sleep: { quality: 2 } },
+    };
+    const [prev, week] = weeklySleep(wellness, "2026-10-20", 2);
+    expect(prev).toMatchObject({ weekStart: "2026-10-12", avgMin: 480, nights: 1, quality: 4 });
+    expect(week).toMatchObject({ weekStart: "2026-10-19", avgMin: 390, nights: 2, quality: 2.5 });
+  });
+});
@@ -0,0 +1,89 @@
+import { SCHEMA_VERSION, migrateData } from "./migrations.js";
+
+/**
+ * Legacy localStorage data (the sa_lockin_*_v1 keys)
+ * Read once and moved into IndexedDB by persistence.js. Unreadable values are
+ * reported (and their raw text kept aside) instead of silently becoming defaults.
+ */
+
+export const LS_KEYS = {
+  events: "sa_lockin_events_v1",
+  courses: "sa_lockin_courses_v1",
+  wellness: "sa_lockin_wellness_v1",
+  studyLog: "sa_lockin_studylog_v1", // { "YYYY-MM-DD": { "COURSE": minutes } }, see migration 2
+  settings: "sa_lockin_settings_v1",
+};
+
+export const SCHEMA_KEY = "sa_lockin_schema_version";
+
+const CORRUPT_SUFFIX = "__corrupt";
+
+const SHAPES = {
+  events: "array",
+  courses: "array",
+  wellness: "object",
+  studyLog: "object",
+  settings: "object",
+};
+
+function hasShape(value, shape) {
+  if (shape === "array") return Array.isArray(value);
+  return value != null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Read a JSON value. Returns { value, issue } where issue is null when the
+ * key is missing or valid, or { key, reason } when the stored text is corrupt.
+ * Corrupt text is copied to `<key>__corrupt` so it survives the next save.
+ */
+export function loadJSON(key, fallback, shape) {
+  let raw;
+  try {
+    raw = localStorage.getItem(key);
+  } catch {
+    return { value: fallback, issue: { key, reason: "Storage is not available" } };
+  }
+  if (!raw) return { value: fallback, issue: null };
+
+  let reason = null;
+  let value = fallback;
+  try {
+    const parsed = JSON.parse(raw);
+    if (shape && !hasShape(parsed, shape)) reason = `Expected ${shape === "array" ? "a list" : "an object"}`;
+    else value = parsed;
+  } catch {
+    reason = "Not valid JSON";
+  }
+  if (!reason) return { value, issue: null };
+
+  try {
+    localStorage.setItem(key + CORRUPT_SUFFIX, raw);
+  } catch {
+    // quota: the report below still tells the user what happened
+  }
+  return { value: fallback, issue: { key, reason, copyKey: key + CORRUPT_SUFFIX } };
+}
+
+/**
+ * Load every collection, migrate it to SCHEMA_VERSION and record the version.
+ * Returns { data, issues }.
+ */
+export function loadStoredData(defaults) {
+  const issues = [];
+  const raw = {};
+  Object.entries(LS_KEYS).forEach(([name, key]) => {
+    const { value, issue } = loadJSON(key, defaults[name], SHAPES[name]);
+    raw[name] = value;
+    if (issue) issues.push({ ...issue, name });
+  });
+
+  const stored = Number(localStorage.getItem(SCHEMA_KEY)) || 0;
+  let data = raw;
+  try {
+    data = migrateData(raw, stored);
+    localStorage.setItem(SCHEMA_KEY, String(SCHEMA_VERSION));
+  } catch (err) {
+    issues.push({ key: SCHEMA_KEY, name: "schema", reason: err.message });
+  }
+  return { data, issues };
+}
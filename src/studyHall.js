@@ -0,0 +1,87 @@
+import { addDaysISO, weekdayOf } from "./dates.js";
+import { SESSION_STATUS, clockTime } from "./sessions.js";
+import { csvCell } from "./weeklyReport.js";
+
+/**
+ * Study-hall requirement: mandated supervised study hours per week.
+ * A session counts when its status is one of `countStatuses` and, with
+ * `studyHallOnly`, it was marked as study hall ({ location, monitor }).
+ * Weeks start on `weekStartsOn`, which may differ from the planner's Monday
+ * weeks to match the athletic department's reporting week.
+ */
+
+export const DEFAULT_STUDY_HALL_SETTINGS = {
+  hoursPerWeek: 0, // 0 = no requirement
+  countStatuses: ["completed", "interrupted", "manual"],
+  studyHallOnly: true,
+  weekStartsOn: 1, // 0 Sun ... 6 Sat
+  athlete: "", // name printed on the compliance report
+};
+
+export function studyHallSettings(saved = {}) {
+  return { ...DEFAULT_STUDY_HALL_SETTINGS, ...saved };
+}
+
+export function studyHallWeekStart(date, settings) {
+  return addDaysISO(date, -((weekdayOf(date) - settings.weekStartsOn + 7) % 7));
+}
+
+export function countsForStudyHall(session, settings) {
+  if (!(Number(session.minutes) > 0)) return false;
+  if (!settings.countStatuses.includes(session.status)) return false;
+  return !settings.studyHallOnly || Boolean(session.studyHall);
+}
+
+/**
+ * Compliance for the requirement week containing `date`.
+ * Returns { weekStart, weekEnd, requiredMin, countedMin, remainingMin, met, sessions }
+ * where sessions are that week's counted or study-hall sessions in time order,
+ * each with `counts`.
+ */
+export function studyHallWeek(sessions, date, settings) {
+  const weekStart = studyHallWeekStart(date, settings);
+  const weekEnd = addDaysISO(weekStart, 6);
+  const list = sessions
+    .filter((s) => s.date >= weekStart && s.date <= weekEnd)
+    .map((s) => ({ ...s, counts: countsForStudyHall(s, settings) }))
+    .filter((s) => s.counts || s.studyHall)
+    .sort((a, b) => a.date.localeCompare(b.date) || (a.start ?? 0) - (b.start ?? 0));
+  const requiredMin = Math.round((Number(settings.hoursPerWeek) || 0) * 60);
+  const countedMin = list
+    .filter((s) => s.counts)
+    .reduce((sum, s) => sum + (Number(s.minutes) || 0), 0);
+  return {
+    weekStart,
+    weekEnd,
+    requiredMin,
+    countedMin,
+    remainingMin: Math.max(0, requiredMin - countedMin),
+    met: requiredMin > 0 && countedMin >= requiredMin,
+    sessions: list,
+  };
+}
+
+/**
+ * The week's sessions as CSV for the academic coordinator: one row per
+ * session, then the counted total and the requirement.
+ * names: { courseId: code }
+ */
+export function studyHallCSV(week, names = {}) {
+  const rows = [
+    ["date", "start", "end", "minutes", "course", "location", "monitor", "type", "counts"],
+    ...week.sessions.map((s) => [
+      s.date,
+      clockTime(s.start),
+      clockTime(s.end),
+      s.minutes,
+      names[s.course] || s.course,
+      s.studyHall?.location || "",
+      s.studyHall?.monitor || "",
+      SESSION_STATUS[s.status] || s.status,
+      s.counts ? "yes" : "no",
+    ]),
+    ["counted_total", "", "", week.countedMin],
+    ["required", "", "", week.requiredMin],
+  ];
+  return rows.map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
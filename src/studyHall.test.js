@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { studyHallCSV, studyHallSettings, studyHallWeek, studyHallWeekStart } from "./studyHall.js";
+
+const at = (date, hour) => new Date(`${date}T${String(hour).padStart(2, "0")}:00`).getTime();
+const hall = { location: "Library 2F", monitor: "Coach Reyes" };
+const session = (id, date, hour, minutes, fields = {}) => ({
+  id,
+  date,
+  course: "bio",
+  minutes,
+  start: at(date, hour),
+  end: at(date, hour) + minutes * 60000,
+  status: "completed",
+  studyHall: hall,
+  ...fields,
+});
+
+const settings = studyHallSettings({ hoursPerWeek: 4 });
+
+describe("studyHallWeekStart", () => {
+  it("starts weeks on the configured day", () => {
+    expect(studyHallWeekStart("2026-10-21", settings)).toBe("2026-10-19");
+    expect(studyHallWeekStart("2026-10-21", { weekStartsOn: 0 })).toBe("2026-10-18");
+    expect(studyHallWeekStart("2026-10-18", settings)).toBe("2026-10-12");
+  });
+});
+
+describe("studyHallWeek", () => {
+  const sessions = [
+    session("late", "2026-10-22", 19, 90),
+    session("early", "2026-10-20", 15, 120),
+    session("home", "2026-10-20", 21, 60, { studyHall: null }),
+    session("legacy", "2026-10-21", 12, 30, { status: "legacy" }),
+    session("last-week", "2026-10-18", 15, 120),
+  ];
+
+  it("counts study-hall sessions in the week against the requirement", () => {
+    const week = studyHallWeek(sessions, "2026-10-21", settings);
+    expect(week).toMatchObject({
+      weekStart: "2026-10-19",
+      weekEnd: "2026-10-25",
+      requiredMin: 240,
+      countedMin: 210,
+      remainingMin: 30,
+      met: false,
+    });
+    expect(week.sessions.map((s) => [s.id, s.counts])).toEqual([
+      ["early", true],
+      ["legacy", false],
+      ["late", true],
+    ]);
+  });
+
+  it("counts any session when study hall isn't required", () => {
+    const anywhere = { ...settings, studyHallOnly: false };
+    const week = studyHallWeek(sessions, "2026-10-21", anywhere);
+    expect(week).toMatchObject({ countedMin: 270, met: true });
+  });
+
+  it("is never met without a requirement", () => {
+    expect(studyHallWeek(sessions, "2026-10-21", studyHallSettings()).met).toBe(false);
+  });
+});
+
+describe("studyHallCSV", () => {
+  it("lists the sessions and the totals", () => {
+    const week = studyHallWeek([session("early", "2026-10-20", 15, 120)], "2026-10-20", settings);
+    expect(studyHallCSV(week, { bio: "BIO 212" }).split("\r\n")).toEqual([
+      "date,start,end,minutes,course,location,monitor,type,counts",
+      "2026-10-20,15:00,17:00,120,BIO 212,Library 2F,Coach Reyes,Completed,yes",
+      "counted_total,,,120",
+      "required,,,240",
+      "",
+    ]);
+  });
+});
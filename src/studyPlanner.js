@@ -0,0 +1,260 @@
+import { courseNames, findCourseInText } from "./courses.js";
+import { addDaysISO, todayISOFromDate } from "./dates.js";
+import { eventInterval, fromMinutes, mergedIntervals, toMinutes } from "./schedule.js";
+
+/**
+ * Study auto-planner
+ * Fills free time in a week with Study events so each course reaches its weekly
+ * target, around Class/Lift/Practice/Match and the rules below.
+ */
+
+export const DEFAULT_PLAN_OPTIONS = {
+  minBlockMin: 30, // shortest block worth scheduling
+  maxBlockMin: 90, // longest single block
+  breakMin: 10, // gap kept after each planned block
+  maxDailyMin: 180, // study cap per day
+  postMatchMin: 180, // no study this long after a match ends
+  skipTravelDays: true,
+};
+
+// Blocks planned for today start at the next quarter hour from now
+const SLOT_MIN = 15;
+
+const TRAVEL_RE = /\b(travel|bus|flight|fly|away trip|road trip)\b/i;
+
+export function isTravelDay(dayEvents) {
+  return dayEvents.some((e) => TRAVEL_RE.test(`${e.title} ${e.notes || ""}`));
+}
+
+/**
+ * Which course id a Study event is for: its `course` field, else a course whose
+ * code is in the title.
+ */
+export function studyEventCourse(evt, courses) {
+  if (evt.type !== "Study") return null;
+  if (evt.course) return evt.course;
+  return findCourseInText(courses, evt.title)?.id || null;
+}
+
+/** Planned Study minutes per course id in a list of events. */
+export function plannedStudyByCourse(events, courses) {
+  const out = {};
+  events.forEach((e) => {
+    const course = studyEventCourse(e, courses);
+    if (course) out[course] = (out[course] || 0) + (Number(e.durationMin) || 0);
+  });
+  return out;
+}
+
+/**
+ * Busy intervals for a day: every event, plus a recovery window after matches.
+ */
+function busyFor(dayEvents, options) {
+  const spans = dayEvents.map((e) => {
+    const [s, end] = eventInterval(e);
+    return { startTime: fromMinutes(s), durationMin: end - s + (e.type === "Match" ? options.postMatchMin : 0) };
+  });
+  return mergedIntervals(spans);
+}
+
+// When free time starts on `date`: wake time, or the next slot after `now` on its own day
+function dayStart(date, wake, now) {
+  if (!now || date !== todayISOFromDate(now)) return wake;
+  const mins = now.getHours() * 60 + now.getMinutes();
+  return Math.max(wake, Math.ceil(mins / SLOT_MIN) * SLOT_MIN);
+}
+
+function freeSpans(busy, wake, sleep) {
+  const out = [];
+  let cursor = wake;
+  busy.forEach(([s, e]) => {
+    if (e <= cursor) return;
+    if (s > cursor) out.push([cursor, Math.min(s, sleep)]);
+    cursor = Math.max(cursor, e);
+  });
+  if (cursor < sleep) out.push([cursor, sleep]);
+  return out.filter(([s, e]) => e > s);
+}
+
+/**
+ * Propose Study events for the week.
+ *   weekEvents: expanded events for the 7 days (from the repository)
+ *   courses:    course records to plan for
+ *   targets:    { courseId: minutes per week }
+ *   doneByCourse: minutes already studied this week
+ *   fromDate:   first day that may get new blocks (usually today)
+ *   now:        current Date; nothing is planned on its day before then
+ * Returns { proposals: [{ id, date, startTime, durationMin, course, title, type }], shortfall: { courseId: minutes } }
+ */
+export function planStudyWeek({
+  weekStart,
+  weekEvents,
+  courses,
+  targets,
+  doneByCourse = {},
+  fromDate,
+  now,
+  wakeTime,
+  sleepTime,
+  options = DEFAULT_PLAN_OPTIONS,
+}) {
+  const opts = { ...DEFAULT_PLAN_OPTIONS, ...options };
+  opts.minBlockMin = Math.max(5, Number(opts.minBlockMin) || 0);
+  opts.maxBlockMin = Math.max(opts.minBlockMin, Number(opts.maxBlockMin) || 0);
+  const wake = toMinutes(wakeTime);
+  const sleep = toMinutes(sleepTime) > wake ? toMinutes(sleepTime) : 24 * 60;
+
+  // Upcoming days only, each with its free spans and study already on it
+  const days = [];
+  for (let i = 0; i < 7; i++) {
+    const date = addDaysISO(weekStart, i);
+    if (fromDate && date < fromDate) continue;
+    const dayEvents = weekEvents.filter((e) => e.date === date);
+    if (opts.skipTravelDays && isTravelDay(dayEvents)) continue;
+    const studied = dayEvents
+      .filter((e) => e.type === "Study")
+      .reduce((sum, e) => sum + (Number(e.durationMin) || 0), 0);
+    const free = freeSpans(busyFor(dayEvents, opts), dayStart(date, wake, now), sleep);
+    days.push({ date, free, studied, courses: new Set() });
+  }
+
+  const planned = plannedStudyByCourse(weekEvents, courses);
+  const remaining = {};
+  courses.forEach(({ id }) => {
+    const need = (Number(targets[id]) || 0) - (doneByCourse[id] || 0) - (planned[id] || 0);
+    if (need > 0) remaining[id] = need;
+  });
+  const names = courseNames(courses);
+
+  const proposals = [];
+  for (;;) {
+    const course = Object.keys(remaining)
+      .filter((c) => remaining[c] > 0)
+      .sort((a, b) => remaining[b] - remaining[a])[0];
+    if (!course) break;
+
+    const want = Math.min(opts.maxBlockMin, Math.max(opts.minBlockMin, remaining[course]));
+    // Spread the load: least-studied day first, prefer days without this course yet
+    const candidates = days
+      .map((day) => {
+        const room = opts.maxDailyMin - day.studied;
+        const span = day.free.find(([s, e]) => e - s >= opts.minBlockMin);
+        return { day, room, span };
+      })
+      .filter(({ room, span }) => span && room >= opts.minBlockMin)
+      .sort(
+        (a, b) =>
+          Number(a.day.courses.has(course)) - Number(b.day.courses.has(course)) ||
+          a.day.studied - b.day.studied ||
+          a.day.date.localeCompare(b.day.date)
+      );
+    const pick = candidates[0];
+    if (!pick) break;
+
+    const [s, e] = pick.span;
+    const length = Math.min(want, e - s, pick.room);
+    proposals.push({
+      id: crypto.randomUUID(),
+      date: pick.day.date,
+      type: "Study",
+      title: `Study: ${names[course]}`,
+      course,
+      startTime: fromMinutes(s),
+      durationMin: length,
+      notes: "Auto-planned",
+    });
+
+    remaining[course] -= length;
+    pick.day.studied += length;
+    pick.day.courses.add(course);
+    const nextStart = s + length + opts.breakMin;
+    pick.day.free = pick.day.free
+      .map((span) => (span === pick.span ? [nextStart, e] : span))
+      .filter(([a, b]) => b > a);
+  }
+
+  const shortfall = Object.fromEntries(
+    Object.entries(remaining).filter(([, mins]) => mins > 0)
+  );
+  proposals.sort((a, b) => (a.date + a.startTime).localeCompare(b.date + b.startTime));
+  return { proposals, shortfall };
+}
+
+/**
+ * Propose Study events working toward one assignment before it's due.
+ *   rangeEvents: expanded events from `fromDate` through the due date
+ *   needMin:     minutes still to plan
+ *   now:         current Date; nothing is planned on its day before then
+ * Blocks go on the lightest days first, from `fromDate` up to the day before
+ * the due date, or up to the due time on the day itself when one is set.
+ * Returns { proposals, shortfall } with shortfall in minutes.
+ */
+export function planAssignmentStudy({
+  assignment,
+  rangeEvents,
+  needMin,
+  fromDate,
+  now,
+  wakeTime,
+  sleepTime,
+  options = DEFAULT_PLAN_OPTIONS,
+}) {
+  const opts = { ...DEFAULT_PLAN_OPTIONS, ...options };
+  opts.minBlockMin = Math.max(5, Number(opts.minBlockMin) || 0);
+  opts.maxBlockMin = Math.max(opts.minBlockMin, Number(opts.maxBlockMin) || 0);
+  const wake = toMinutes(wakeTime);
+  const sleep = toMinutes(sleepTime) > wake ? toMinutes(sleepTime) : 24 * 60;
+
+  const days = [];
+  for (let date = fromDate; date <= assignment.dueDate; date = addDaysISO(date, 1)) {
+    const onDueDay = date === assignment.dueDate;
+    if (onDueDay && !assignment.dueTime) break;
+    const dayEvents = rangeEvents.filter((e) => e.date === date);
+    if (opts.skipTravelDays && isTravelDay(dayEvents)) continue;
+    const end = onDueDay ? Math.min(sleep, toMinutes(assignment.dueTime)) : sleep;
+    const studied = dayEvents
+      .filter((e) => e.type === "Study")
+      .reduce((sum, e) => sum + (Number(e.durationMin) || 0), 0);
+    const free = freeSpans(busyFor(dayEvents, opts), dayStart(date, wake, now), end);
+    days.push({ date, free, studied });
+  }
+
+  const proposals = [];
+  let remaining = Math.max(0, Math.round(needMin));
+  while (remaining > 0) {
+    const want = Math.min(opts.maxBlockMin, Math.max(opts.minBlockMin, remaining));
+    const pick = days
+      .map((day) => ({
+        day,
+        room: opts.maxDailyMin - day.studied,
+        span: day.free.find(([s, e]) => e - s >= opts.minBlockMin),
+      }))
+      .filter(({ room, span }) => span && room >= opts.minBlockMin)
+      .sort((a, b) => a.day.studied - b.day.studied || a.day.date.localeCompare(b.day.date))[0];
+    if (!pick) break;
+
+    const [s, e] = pick.span;
+    const length = Math.min(want, e - s, pick.room);
+    proposals.push({
+      id: crypto.randomUUID(),
+      date: pick.day.date,
+      type: "Study",
+      title: `Study: ${assignment.title}`,
+      course: assignment.course,
+      assignmentId: assignment.id,
+      startTime: fromMinutes(s),
+      durationMin: length,
+      notes: `For ${assignment.kind.toLowerCase()} due ${assignment.dueDate}`,
+    });
+
+    remaining -= length;
+    pick.day.studied += length;
+    const nextStart = s + length + opts.breakMin;
+    pick.day.free = pick.day.free
+      .map((span) => (span === pick.span ? [nextStart, e] : span))
+      .filter(([a, b]) => b > a);
+  }
+
+  proposals.sort((a, b) => (a.date + a.startTime).localeCompare(b.date + b.startTime));
+  return { proposals, shortfall: Math.max(0, remaining) };
+}
@@ -0,0 +1,179 @@
+import { describe, expect, it } from "vitest";
+import {
+  isTravelDay,
+  planAssignmentStudy,
+  planStudyWeek,
+  plannedStudyByCourse,
+  studyEventCourse,
+} from "./studyPlanner.js";
+
+// 2026-10-19 is a Monday
+const courses = [
+  { id: "bio", code: "BIO 212" },
+  { id: "hist", code: "HIST 101" },
+];
+const plan = (args) =>
+  planStudyWeek({
+    weekStart: "2026-10-19",
+    weekEvents: [],
+    courses,
+    targets: {},
+    wakeTime: "07:00",
+    sleepTime: "22:00",
+    ...args,
+  });
+const blocks = ({ proposals }) => proposals.map((p) => [p.date, p.startTime, p.durationMin]);
+
+const evt = (date, type, title, startTime, durationMin) => ({
+  id: `${date}-${title}`,
+  date,
+  type,
+  title,
+  startTime,
+  durationMin,
+});
+const study = (date, title, durationMin, course) => ({
+  ...evt(date, "Study", title, "19:00", durationMin),
+  course,
+});
+
+describe("study events", () => {
+  it("finds the course from the field or the title", () => {
+    const named = study("2026-10-19", "Study", 60, "hist");
+    expect(studyEventCourse(named, courses)).toBe("hist");
+    expect(studyEventCourse(study("2026-10-19", "bio 212 review", 60), courses)).toBe("bio");
+    expect(studyEventCourse({ type: "Lift", title: "BIO 212" }, courses)).toBe(null);
+  });
+
+  it("adds up planned minutes per course", () => {
+    const events = [
+      study("2026-10-19", "Study: BIO 212", 60),
+      study("2026-10-20", "Study: BIO 212", 45),
+      study("2026-10-21", "Reading", 30),
+    ];
+    expect(plannedStudyByCourse(events, courses)).toEqual({ bio: 105 });
+  });
+
+  it("spots travel days", () => {
+    expect(isTravelDay([{ title: "Bus to State", notes: "" }])).toBe(true);
+    expect(isTravelDay([{ title: "Practice", notes: "Busy week" }])).toBe(false);
+  });
+});
+
+describe("planStudyWeek", () => {
+  it("spreads a target over the lightest days in blocks of at most maxBlockMin", () => {
+    const result = plan({ targets: { bio: 180, hist: 60 } });
+    expect(blocks(result)).toEqual([
+      ["2026-10-19", "07:00", 90],
+      ["2026-10-20", "07:00", 90],
+      ["2026-10-21", "07:00", 60],
+    ]);
+    expect(result.proposals[2]).toMatchObject({ course: "hist", title: "Study: HIST 101" });
+    expect(result.shortfall).toEqual({});
+  });
+
+  it("counts what's already studied and planned", () => {
+    const result = plan({
+      targets: { bio: 180 },
+      doneByCourse: { bio: 60 },
+      weekEvents: [study("2026-10-19", "Study: BIO 212", 60)],
+    });
+    expect(blocks(result)).toEqual([["2026-10-20", "07:00", 60]]);
+  });
+
+  it("works around events and the recovery time after a match", () => {
+    const weekEvents = [
+      evt("2026-10-25", "Lift", "Lift", "07:00", 60),
+      evt("2026-10-25", "Match", "Match", "09:00", 120),
+    ];
+    const result = plan({ targets: { bio: 90 }, weekEvents, fromDate: "2026-10-25" });
+    expect(blocks(result)).toEqual([
+      ["2026-10-25", "08:00", 60],
+      ["2026-10-25", "14:00", 30],
+    ]);
+  });
+
+  it("skips travel days and days before fromDate", () => {
+    const weekEvents = [evt("2026-10-24", "Match", "Bus to State", "06:00", 0)];
+    const result = plan({ targets: { bio: 30 }, weekEvents, fromDate: "2026-10-24" });
+    expect(blocks(result)).toEqual([["2026-10-25", "07:00", 30]]);
+  });
+
+  it("starts today's blocks at the next quarter hour from now", () => {
+    const weekEvents = [evt("2026-10-24", "Practice", "Practice", "15:00", 120)];
+    const now = new Date(2026, 9, 24, 13, 5);
+    const result = plan({ targets: { bio: 150 }, weekEvents, fromDate: "2026-10-24", now });
+    expect(blocks(result)).toEqual([
+      ["2026-10-24", "13:15", 90],
+      ["2026-10-25", "07:00", 60],
+    ]);
+    // Past bedtime: nothing left today
+    const late = new Date(2026, 9, 25, 22, 30);
+    expect(plan({ targets: { bio: 30 }, fromDate: "2026-10-25", now: late }).shortfall).toEqual({
+      bio: 30,
+    });
+  });
+
+  it("reports what doesn't fit under the daily cap", () => {
+    const result = plan({
+      targets: { bio: 120 },
+      fromDate: "2026-10-25",
+      options: { maxDailyMin: 30 },
+    });
+    expect(blocks(result)).toEqual([["2026-10-25", "07:00", 30]]);
+    expect(result.shortfall).toEqual({ bio: 90 });
+  });
+});
+
+describe("planAssignmentStudy", () => {
+  const assignment = {
+    id: "lab",
+    course: "bio",
+    kind: "Assignment",
+    title: "Lab report",
+    dueDate: "2026-10-21",
+    dueTime: "",
+  };
+  const planFor = (args) =>
+    planAssignmentStudy({
+      assignment,
+      rangeEvents: [],
+      fromDate: "2026-10-19",
+      wakeTime: "07:00",
+      sleepTime: "22:00",
+      ...args,
+    });
+
+  it("plans on the days before an assignment due at the end of the day", () => {
+    const result = planFor({ needMin: 180 });
+    expect(blocks(result)).toEqual([
+      ["2026-10-19", "07:00", 90],
+      ["2026-10-20", "07:00", 90],
+    ]);
+    expect(result.proposals[0]).toMatchObject({
+      title: "Study: Lab report",
+      course: "bio",
+      assignmentId: "lab",
+      notes: "For assignment due 2026-10-21",
+    });
+    expect(result.shortfall).toBe(0);
+  });
+
+  it("starts today's blocks at the next quarter hour from now", () => {
+    const result = planFor({ needMin: 120, now: new Date(2026, 9, 19, 21, 1) });
+    expect(blocks(result)).toEqual([
+      ["2026-10-19", "21:15", 45],
+      ["2026-10-20", "07:00", 75],
+    ]);
+  });
+
+  it("uses the due day up to the due time", () => {
+    const result = planFor({
+      assignment: { ...assignment, dueTime: "09:00" },
+      fromDate: "2026-10-21",
+      needMin: 150,
+    });
+    expect(blocks(result)).toEqual([["2026-10-21", "07:00", 90]]);
+    expect(result.shortfall).toBe(60);
+  });
+});
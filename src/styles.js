@@ -0,0 +1,321 @@
+// Shared inline styles for the planner cards
+
+export const styles = {
+  page: {
+    fontFamily:
+      'ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, "Helvetica Neue", Arial',
+    padding: 18,
+    maxWidth: 1100,
+    margin: "0 auto",
+    color: "#111",
+  },
+  header: {
+    display: "flex",
+    gap: 16,
+    alignItems: "flex-end",
+    justifyContent: "space-between",
+    marginBottom: 16,
+    flexWrap: "wrap",
+  },
+  h1: { fontSize: 28, fontWeight: 800, letterSpacing: -0.5 },
+  sub: { fontSize: 13, opacity: 0.75, marginTop: 4 },
+  dateWrap: { display: "flex", gap: 8, alignItems: "center" },
+  grid: {
+    display: "grid",
+    gridTemplateColumns: "1.2fr 1fr",
+    gap: 14,
+  },
+  card: {
+    border: "1px solid #e6e6e6",
+    borderRadius: 16,
+    padding: 14,
+    boxShadow: "0 6px 18px rgba(0,0,0,0.05)",
+    background: "white",
+  },
+  cardTitle: { fontSize: 18, fontWeight: 800 },
+  cardTitleSmall: { fontSize: 15, fontWeight: 800, marginBottom: 8 },
+  cardMeta: { fontSize: 12, opacity: 0.7, marginTop: 4, marginBottom: 10 },
+  rowWrap: { display: "flex", flexDirection: "column", gap: 8 },
+  row: { display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" },
+  label: { fontSize: 12, fontWeight: 700, opacity: 0.7 },
+  labelSmall: { fontSize: 11, fontWeight: 700, opacity: 0.7, display: "block" },
+  input: {
+    border: "1px solid #ddd",
+    borderRadius: 10,
+    padding: "9px 10px",
+    fontSize: 14,
+    outline: "none",
+    width: "100%",
+    minWidth: 140,
+  },
+  inputWide: {
+    border: "1px solid #ddd",
+    borderRadius: 10,
+    padding: "9px 10px",
+    fontSize: 14,
+    outline: "none",
+    flex: 1,
+    minWidth: 220,
+  },
+  select: {
+    border: "1px solid #ddd",
+    borderRadius: 10,
+    padding: "9px 10px",
+    fontSize: 14,
+    outline: "none",
+    minWidth: 160,
+  },
+  textarea: {
+    border: "1px solid #ddd",
+    borderRadius: 12,
+    padding: 10,
+    fontSize: 14,
+    outline: "none",
+    width: "100%",
+    minHeight: 70,
+    resize: "vertical",
+  },
+  primaryBtn: {
+    border: "1px solid #111",
+    background: "#111",
+    color: "white",
+    borderRadius: 12,
+    padding: "10px 12px",
+    fontWeight: 800,
+    cursor: "pointer",
+    minWidth: 90,
+  },
+  secondaryBtn: {
+    border: "1px solid #111",
+    background: "white",
+    color: "#111",
+    borderRadius: 12,
+    padding: "10px 12px",
+    fontWeight: 800,
+    cursor: "pointer",
+    minWidth: 90,
+  },
+  ghostBtn: {
+    border: "1px solid #ddd",
+    background: "white",
+    color: "#111",
+    borderRadius: 12,
+    padding: "10px 12px",
+    fontWeight: 800,
+    cursor: "pointer",
+  },
+  dangerBtn: {
+    border: "1px solid #ffcccc",
+    background: "#fff5f5",
+    color: "#b00020",
+    borderRadius: 12,
+    padding: "8px 10px",
+    fontWeight: 800,
+    cursor: "pointer",
+  },
+  divider: { height: 1, background: "#eee", margin: "12px 0" },
+  list: { display: "flex", flexDirection: "column", gap: 8 },
+  listItem: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 10,
+    border: "1px solid #eee",
+    borderRadius: 14,
+    padding: "10px 10px",
+    background: "#fff",
+  },
+  listItemActive: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 10,
+    border: "1px solid #2fa37c",
+    borderRadius: 14,
+    padding: "10px 10px",
+    background: "#f3fbf7",
+  },
+  scopeBox: {
+    display: "flex",
+    flexDirection: "column",
+    gap: 8,
+    border: "1px dashed #ddd",
+    borderRadius: 14,
+    padding: 10,
+    background: "#fafafa",
+  },
+  listLeft: { display: "flex", gap: 10, alignItems: "center" },
+  badge: {
+    fontSize: 11,
+    fontWeight: 900,
+    padding: "6px 8px",
+    borderRadius: 999,
+    background: "#f3f3f3",
+    border: "1px solid #e7e7e7",
+    whiteSpace: "nowrap",
+  },
+  itemTitle: { fontSize: 14, fontWeight: 900 },
+  itemSub: { fontSize: 12, opacity: 0.7, marginTop: 2 },
+  empty: { fontSize: 13, opacity: 0.7, padding: "10px 2px" },
+  timerBox: {
+    border: "1px solid #eee",
+    borderRadius: 16,
+    padding: 14,
+    background: "#fafafa",
+  },
+  timerPhase: { fontSize: 12, fontWeight: 900, opacity: 0.7 },
+  timerTime: { fontSize: 44, fontWeight: 900, letterSpacing: -1, margin: "6px 0" },
+  tip: { fontSize: 12, opacity: 0.7, marginTop: 10 },
+  quickBar: { display: "flex", flexWrap: "wrap", gap: 8 },
+  chip: {
+    border: "1px solid #e3e3e3",
+    background: "white",
+    borderRadius: 999,
+    padding: "8px 10px",
+    fontWeight: 800,
+    fontSize: 12,
+    cursor: "pointer",
+  },
+  chipActive: {
+    border: "1px solid #111",
+    background: "#111",
+    color: "white",
+    borderRadius: 999,
+    padding: "8px 10px",
+    fontWeight: 800,
+    fontSize: 12,
+    cursor: "pointer",
+  },
+  studyStats: { display: "flex", gap: 10, marginBottom: 10, flexWrap: "wrap" },
+  stat: {
+    flex: 1,
+    minWidth: 140,
+    border: "1px solid #eee",
+    borderRadius: 14,
+    padding: 10,
+    background: "#fff",
+  },
+  statLabel: { fontSize: 12, opacity: 0.7, fontWeight: 800 },
+  statValue: { fontSize: 18, fontWeight: 900, marginTop: 4 },
+  warning: {
+    fontSize: 12,
+    color: "#8a5300",
+    background: "#fff8e6",
+    border: "1px solid #ffe3a3",
+    borderRadius: 10,
+    padding: "6px 8px",
+    marginTop: 6,
+  },
+  scrollList: {
+    display: "flex",
+    flexDirection: "column",
+    gap: 6,
+    maxHeight: 220,
+    overflowY: "auto",
+    paddingRight: 4,
+  },
+  progressTrack: {
+    height: 8,
+    borderRadius: 999,
+    background: "#f0f0f0",
+    overflow: "hidden",
+    marginTop: 4,
+  },
+  progressFill: { height: "100%", background: "#2fa37c", borderRadius: 999 },
+  calWeek: {
+    display: "grid",
+    gridTemplateColumns: "44px repeat(7, minmax(0, 1fr))",
+    gap: 4,
+    overflowX: "auto",
+  },
+  calDayHead: {
+    fontSize: 12,
+    fontWeight: 800,
+    textAlign: "center",
+    padding: "6px 2px",
+    borderRadius: 10,
+    cursor: "pointer",
+  },
+  calHourLabel: { fontSize: 10, opacity: 0.6, textAlign: "right", paddingRight: 4 },
+  calColumn: {
+    position: "relative",
+    borderLeft: "1px solid #eee",
+    background: "repeating-linear-gradient(#fff 0 43px, #f2f2f2 43px 44px)",
+    cursor: "pointer",
+  },
+  calEvent: {
+    position: "absolute",
+    borderRadius: 6,
+    padding: "2px 4px",
+    fontSize: 11,
+    color: "white",
+    overflow: "hidden",
+    boxSizing: "border-box",
+    cursor: "pointer",
+  },
+  calResize: {
+    position: "absolute",
+    left: 0,
+    right: 0,
+    bottom: 0,
+    height: 6,
+    cursor: "ns-resize",
+  },
+  calMonth: { display: "grid", gridTemplateColumns: "repeat(7, minmax(0, 1fr))", gap: 4 },
+  calMonthCell: {
+    minHeight: 72,
+    border: "1px solid #eee",
+    borderRadius: 10,
+    padding: 6,
+    fontSize: 11,
+    background: "#fff",
+    cursor: "pointer",
+    textAlign: "left",
+  },
+  toast: {
+    position: "fixed",
+    left: "50%",
+    bottom: 18,
+    transform: "translateX(-50%)",
+    display: "flex",
+    gap: 10,
+    alignItems: "center",
+    background: "#111",
+    color: "white",
+    borderRadius: 12,
+    padding: "10px 14px",
+    fontSize: 13,
+    fontWeight: 700,
+    boxShadow: "0 8px 24px rgba(0,0,0,0.2)",
+    zIndex: 10,
+  },
+  toastBtn: {
+    border: "none",
+    background: "transparent",
+    color: "#7fe0b8",
+    fontWeight: 900,
+    cursor: "pointer",
+    fontSize: 13,
+  },
+  reportSheet: {
+    maxWidth: 760,
+    margin: "0 auto",
+    background: "white",
+    color: "#111",
+    fontSize: 12,
+  },
+  reportGrid: { display: "grid", gridTemplateColumns: "1fr 1fr", gap: 14, marginTop: 12 },
+  reportSection: { fontSize: 13, fontWeight: 900, margin: "12px 0 6px" },
+  reportTable: { width: "100%", borderCollapse: "collapse", fontSize: 12 },
+  reportCell: { borderBottom: "1px solid #eee", padding: "3px 6px", textAlign: "right" },
+  reportLegend: { display: "flex", flexWrap: "wrap", gap: 10, fontSize: 11, marginTop: 4 },
+  reportSignature: { borderTop: "1px solid #111", paddingTop: 4, marginTop: 36, fontSize: 11 },
+  reportSwatch: {
+    display: "inline-block",
+    width: 9,
+    height: 9,
+    borderRadius: 2,
+    marginRight: 4,
+  },
+  footer: { fontSize: 12, opacity: 0.65, marginTop: 14 },
+};
\ No newline at end of file
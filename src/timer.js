@@ -0,0 +1,181 @@
+/**
+ * Lock-In timer state machine driven by wall-clock timestamps.
+ * Remaining time is always endsAt - now, so the timer doesn't drift when the
+ * tab is throttled or the phone sleeps, and a saved timer resumes after reload.
+ *
+ * timer = {
+ *   mode: "Pomodoro" | "Custom",
+ *   phase: "idle" | "focus" | "break" | "longBreak",
+ *   course,
+ *   eventId, eventTitle, // Study event this run was started from, if any
+ *   restoreMode,  // mode to go back to when this run ends (runs started from an event)
+ *   assignmentId, // assignment the focus time counts toward, if any (kept like course)
+ *   studyHall,    // { location, monitor } while focusing in study hall, else null (kept)
+ *   running,
+ *   endsAt,       // ms epoch, while running
+ *   remainingMs,  // while paused
+ *   phaseStartedAt, // when the current focus phase first started
+ *   cycle,        // 1-based focus session number in the current run
+ *   doneCycles,   // focus sessions finished by the last run that reached its target
+ *   config        // snapshot of the timer settings for the current run
+ * }
+ */
+
+/** Timer settings, saved per user in settings.timer. targetCycles 0 = run until stopped. */
+export const DEFAULT_TIMER_SETTINGS = {
+  focusMin: 25,
+  breakMin: 5,
+  longBreakMin: 15,
+  longBreakEvery: 4,
+  targetCycles: 4,
+  autoStartBreaks: true,
+  autoStartFocus: true,
+  customMin: 45,
+};
+
+// A break that ended longer ago than this doesn't start a focus phase by
+// itself: nobody was there to focus, so the timer waits at "Ready".
+const CATCH_UP_GRACE_MS = 5000;
+
+export function initialTimer(saved) {
+  const { lengths, ...rest } = saved || {};
+  return {
+    mode: "Pomodoro",
+    phase: "idle",
+    course: null,
+    eventId: null,
+    eventTitle: null,
+    restoreMode: null,
+    assignmentId: null,
+    studyHall: null,
+    running: false,
+    endsAt: null,
+    remainingMs: 0,
+    phaseStartedAt: null,
+    cycle: lengths ? 1 : 0,
+    doneCycles: 0,
+    // Timers saved before cycles existed kept only { focusMin, breakMin, customMin }
+    config: lengths ? { ...DEFAULT_TIMER_SETTINGS, ...lengths } : null,
+    ...rest,
+  };
+}
+
+export function focusMs(timer) {
+  const c = timer.config;
+  return (timer.mode === "Custom" ? c.customMin : c.focusMin) * 60000;
+}
+
+function breakMs(timer, phase) {
+  return (phase === "longBreak" ? timer.config.longBreakMin : timer.config.breakMin) * 60000;
+}
+
+// Enter `phase` at `at`, either running or paused at its full length
+function enterPhase(timer, phase, at, length, autoStart) {
+  const next = { ...timer, phase, phaseStartedAt: phase === "focus" && autoStart ? at : null };
+  if (autoStart) return { ...next, running: true, endsAt: at + length, remainingMs: 0 };
+  return { ...next, running: false, endsAt: null, remainingMs: length };
+}
+
+export function remainingMs(timer, now) {
+  if (timer.phase === "idle") return 0;
+  if (!timer.running) return timer.remainingMs;
+  return Math.max(0, timer.endsAt - now);
+}
+
+export function startTimerState(timer, now, config) {
+  if (timer.running) return timer;
+  if (timer.phase === "idle") {
+    const next = { ...timer, phase: "focus", phaseStartedAt: now, cycle: 1, doneCycles: 0, config: { ...config } };
+    return { ...next, running: true, endsAt: now + focusMs(next), remainingMs: 0 };
+  }
+  return {
+    ...timer,
+    running: true,
+    endsAt: now + timer.remainingMs,
+    remainingMs: 0,
+    phaseStartedAt: timer.phase === "focus" ? timer.phaseStartedAt ?? now : timer.phaseStartedAt,
+  };
+}
+
+export function pauseTimerState(timer, now) {
+  if (!timer.running) return timer;
+  return { ...timer, running: false, remainingMs: remainingMs(timer, now), endsAt: null };
+}
+
+export function resetTimerState(timer) {
+  return {
+    ...timer,
+    mode: timer.restoreMode || timer.mode,
+    phase: "idle",
+    running: false,
+    endsAt: null,
+    remainingMs: 0,
+    phaseStartedAt: null,
+    cycle: 0,
+    config: null,
+    eventId: null,
+    eventTitle: null,
+    restoreMode: null,
+  };
+}
+
+/** Focus time actually elapsed in the current focus phase (pauses excluded). */
+export function focusElapsedMs(timer, now) {
+  if (timer.phase !== "focus") return 0;
+  return Math.max(0, focusMs(timer) - remainingMs(timer, now));
+}
+
+/** "Focus 3 of 4" style counter for the current run, or null when idle. */
+export function cycleLabel(timer) {
+  if (timer.phase === "idle" || timer.mode !== "Pomodoro") return null;
+  const of = timer.config.targetCycles > 0 ? ` of ${timer.config.targetCycles}` : "";
+  if (timer.phase === "focus") return `Focus ${timer.cycle}${of}`;
+  return `Next: focus ${timer.cycle + 1}${of}`;
+}
+
+/**
+ * Move through every phase that has ended by `now`.
+ * Returns { timer, completed } where completed lists finished focus phases:
+ *   [{ course, minutes, start, end, eventId, assignmentId, studyHall }]
+ * `timer` is the same object when nothing changed.
+ * Pomodoro runs take a long break after every `longBreakEvery` focus sessions
+ * and stop once `targetCycles` focus sessions are done.
+ */
+export function advanceTimer(timer, now) {
+  let t = timer;
+  const completed = [];
+  while (t.running && t.endsAt <= now) {
+    const endedAt = t.endsAt;
+    if (t.phase === "focus") {
+      completed.push({
+        course: t.course,
+        minutes: Math.round(focusMs(t) / 60000),
+        start: t.phaseStartedAt ?? endedAt - focusMs(t),
+        end: endedAt,
+        eventId: t.eventId,
+        assignmentId: t.assignmentId,
+        studyHall: t.studyHall,
+      });
+      const { targetCycles, longBreakEvery, autoStartBreaks } = t.config;
+      if (t.mode !== "Pomodoro") {
+        t = resetTimerState(t);
+      } else if (targetCycles > 0 && t.cycle >= targetCycles) {
+        t = { ...resetTimerState(t), doneCycles: t.cycle };
+      } else {
+        const next = longBreakEvery > 0 && t.cycle % longBreakEvery === 0 ? "longBreak" : "break";
+        t = enterPhase(t, next, endedAt, breakMs(t, next), autoStartBreaks);
+      }
+    } else {
+      const autoStart = t.config.autoStartFocus && now - endedAt <= CATCH_UP_GRACE_MS;
+      t = enterPhase({ ...t, cycle: t.cycle + 1 }, "focus", endedAt, focusMs(t), autoStart);
+    }
+  }
+  return { timer: t, completed };
+}
+
+export function formatClock(ms) {
+  const total = Math.ceil(ms / 1000);
+  const m = Math.floor(total / 60);
+  const s = total % 60;
+  return `${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}`;
+}
@@ -0,0 +1,143 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_TIMER_SETTINGS,
+  advanceTimer,
+  cycleLabel,
+  focusElapsedMs,
+  formatClock,
+  initialTimer,
+  pauseTimerState,
+  remainingMs,
+  resetTimerState,
+  startTimerState,
+} from "./timer.js";
+
+const MIN = 60000;
+const T0 = new Date(2026, 9, 19, 15, 0).getTime();
+const config = DEFAULT_TIMER_SETTINGS; // 25/5, long break of 15 every 4, stop after 4
+const started = (mode = "Pomodoro", settings = config) =>
+  startTimerState(initialTimer({ mode, course: "BIO 212" }), T0, settings);
+
+describe("start / pause / reset", () => {
+  it("counts down from wall-clock time and keeps the rest while paused", () => {
+    const timer = started();
+    expect(timer).toMatchObject({ phase: "focus", running: true, endsAt: T0 + 25 * MIN, cycle: 1 });
+    expect(remainingMs(timer, T0 + 10 * MIN)).toBe(15 * MIN);
+
+    const paused = pauseTimerState(timer, T0 + 10 * MIN);
+    expect(remainingMs(paused, T0 + 60 * MIN)).toBe(15 * MIN);
+    const resumed = startTimerState(paused, T0 + 60 * MIN, config);
+    expect(resumed.endsAt).toBe(T0 + 75 * MIN);
+  });
+
+  it("snapshots the settings for the run", () => {
+    const timer = started();
+    expect(startTimerState(timer, T0 + MIN, { ...config, focusMin: 50 })).toBe(timer);
+    expect(resetTimerState(timer)).toMatchObject({ phase: "idle", running: false, config: null });
+  });
+
+  it("fills in the settings of a timer saved before cycles existed", () => {
+    const saved = { phase: "focus", lengths: { focusMin: 30, breakMin: 10, customMin: 45 } };
+    expect(initialTimer(saved)).toMatchObject({
+      cycle: 1,
+      config: { ...config, focusMin: 30, breakMin: 10 },
+    });
+    expect(initialTimer(saved).lengths).toBeUndefined();
+  });
+});
+
+describe("focusElapsedMs", () => {
+  it("counts focus time without the pauses", () => {
+    const paused = pauseTimerState(started(), T0 + 10 * MIN);
+    const resumed = startTimerState(paused, T0 + 60 * MIN, config);
+    expect(resumed.phaseStartedAt).toBe(T0);
+    expect(focusElapsedMs(resumed, T0 + 65 * MIN)).toBe(15 * MIN);
+    expect(focusElapsedMs(resetTimerState(resumed), T0 + 65 * MIN)).toBe(0);
+  });
+});
+
+describe("advanceTimer", () => {
+  it("changes nothing before the phase ends", () => {
+    const timer = started();
+    const { timer: next, completed } = advanceTimer(timer, T0 + 24 * MIN);
+    expect(next).toBe(timer);
+    expect(completed).toEqual([]);
+  });
+
+  it("logs the focus phase and starts the break when it ends", () => {
+    const { timer, completed } = advanceTimer(started(), T0 + 25 * MIN);
+    expect(completed).toMatchObject([
+      { course: "BIO 212", minutes: 25, start: T0, end: T0 + 25 * MIN },
+    ]);
+    expect(timer).toMatchObject({ phase: "break", running: true, endsAt: T0 + 30 * MIN });
+    expect(cycleLabel(timer)).toBe("Next: focus 2 of 4");
+  });
+
+  it("rolls over several phases at once when the tab was only briefly throttled", () => {
+    // The break ended two seconds ago: still within the grace period
+    const { timer, completed } = advanceTimer(started(), T0 + 30 * MIN + 2000);
+    expect(completed).toHaveLength(1);
+    expect(timer).toMatchObject({
+      phase: "focus",
+      running: true,
+      endsAt: T0 + 55 * MIN,
+      phaseStartedAt: T0 + 30 * MIN,
+    });
+    expect(cycleLabel(timer)).toBe("Focus 2 of 4");
+  });
+
+  it("waits at the next focus phase after sleeping through the break", () => {
+    const { timer, completed } = advanceTimer(started(), T0 + 2 * 60 * MIN);
+    expect(completed.map((c) => c.end)).toEqual([T0 + 25 * MIN]);
+    expect(timer).toMatchObject({
+      phase: "focus",
+      running: false,
+      endsAt: null,
+      remainingMs: 25 * MIN,
+      cycle: 2,
+    });
+  });
+
+  it("waits at the break when breaks don't start by themselves", () => {
+    const manual = started("Pomodoro", { ...config, autoStartBreaks: false });
+    const { timer } = advanceTimer(manual, T0 + 40 * MIN);
+    expect(timer).toMatchObject({ phase: "break", running: false, remainingMs: 5 * MIN });
+  });
+
+  it("takes the long break and stops at the target", () => {
+    const settings = { ...config, longBreakEvery: 1, targetCycles: 2 };
+    const { timer: onBreak } = advanceTimer(started("Pomodoro", settings), T0 + 25 * MIN);
+    expect(onBreak).toMatchObject({ phase: "longBreak", endsAt: T0 + 40 * MIN });
+
+    const { timer: second } = advanceTimer(onBreak, T0 + 40 * MIN);
+    const { timer, completed } = advanceTimer(second, T0 + 65 * MIN);
+    expect(completed.map((c) => c.start)).toEqual([T0 + 40 * MIN]);
+    expect(timer).toMatchObject({ phase: "idle", running: false, doneCycles: 2 });
+    expect(cycleLabel(timer)).toBe(null);
+  });
+
+  it("goes back to the previous mode after a run started from an event", () => {
+    const saved = initialTimer({ mode: "Custom", restoreMode: "Pomodoro", course: "BIO 212" });
+    const fromEvent = startTimerState(saved, T0, { ...config, customMin: 60 });
+    const { timer } = advanceTimer(fromEvent, T0 + 60 * MIN);
+    expect(timer).toMatchObject({ phase: "idle", mode: "Pomodoro", restoreMode: null });
+    expect(resetTimerState(fromEvent).mode).toBe("Pomodoro");
+    expect(resetTimerState(started("Custom")).mode).toBe("Custom");
+  });
+
+  it("finishes a custom run and goes idle", () => {
+    const { timer, completed } = advanceTimer(started("Custom"), T0 + 3 * 60 * MIN);
+    expect(completed).toMatchObject([
+      { course: "BIO 212", minutes: 45, start: T0, end: T0 + 45 * MIN },
+    ]);
+    expect(timer).toMatchObject({ phase: "idle", running: false });
+  });
+});
+
+describe("formatClock", () => {
+  it("rounds up to whole seconds", () => {
+    expect(formatClock(25 * MIN)).toBe("25:00");
+    expect(formatClock(61001)).toBe("01:02");
+    expect(formatClock(0)).toBe("00:00");
+  });
+});
@@ -0,0 +1,129 @@
+import { addDaysISO } from "./dates.js";
+
+/**
+ * Training load from session RPE (rating of perceived exertion, 1–10, logged
+ * after a training session). Session load = RPE × minutes.
+ *   acute     load over the last 7 days
+ *   chronic   average weekly load over the last 28 days
+ *   ACWR      acute / chronic; 0.8–1.3 is the usual "safe" band
+ *   monotony  mean / standard deviation of the last 7 daily loads
+ *   strain    acute × monotony
+ * Which event types are training comes from the type records (`trainingLoad`);
+ * TRAINING_TYPES is the built-in default.
+ */
+
+export const TRAINING_TYPES = ["Lift", "Practice", "Match"];
+
+// Borg CR-10 wording
+export const RPE_LABELS = {
+  1: "Very easy",
+  2: "Easy",
+  3: "Moderate",
+  4: "Somewhat hard",
+  5: "Hard",
+  6: "Hard+",
+  7: "Very hard",
+  8: "Very hard+",
+  9: "Near max",
+  10: "Max effort",
+};
+
+export const ACWR_BAND = { low: 0.8, high: 1.3, danger: 1.5 };
+export const MONOTONY_HIGH = 2;
+const CHRONIC_DAYS = 28;
+const MIN_HISTORY_DAYS = 21; // rated sessions must go back this far before ACWR means much
+
+export function isTrainingEvent(evt, trainingTypes = TRAINING_TYPES) {
+  return trainingTypes.includes(evt.type);
+}
+
+/** RPE × minutes, or null when the session has no RPE yet. */
+export function sessionLoad(evt, trainingTypes = TRAINING_TYPES) {
+  const rpe = Number(evt.rpe);
+  if (!isTrainingEvent(evt, trainingTypes) || !rpe) return null;
+  return rpe * (Number(evt.durationMin) || 0);
+}
+
+/**
+ * Load per day for the `days` days ending at `endDate`.
+ * events: expanded instances covering that range.
+ * Returns [{ date, load, sessions, unrated }]
+ */
+export function dailyLoads(events, endDate, days, trainingTypes = TRAINING_TYPES) {
+  const byDate = {};
+  events.forEach((e) => {
+    if (!isTrainingEvent(e, trainingTypes)) return;
+    const day = byDate[e.date] || (byDate[e.date] = { load: 0, sessions: 0, unrated: 0 });
+    const load = sessionLoad(e, trainingTypes);
+    if (load == null) day.unrated += 1;
+    else {
+      day.load += load;
+      day.sessions += 1;
+    }
+  });
+  return Array.from({ length: days }, (_, i) => {
+    const date = addDaysISO(endDate, i - days + 1);
+    return { date, load: 0, sessions: 0, unrated: 0, ...byDate[date] };
+  });
+}
+
+function round(n, digits = 2) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+/**
+ * Load picture as of `endDate` from the 28 days before it (inclusive).
+ * Returns { today, acute, chronic, acwr, monotony, strain, unrated, zone, warnings, days }
+ * with acwr null until rated sessions span 3 weeks, monotony null without load.
+ * zone: "low" | "safe" | "high" | "danger" | null
+ */
+export function loadSummary(events, endDate, trainingTypes = TRAINING_TYPES) {
+  const days = dailyLoads(events, endDate, CHRONIC_DAYS, trainingTypes);
+  const week = days.slice(-7);
+  const acute = week.reduce((s, d) => s + d.load, 0);
+  const chronic = days.reduce((s, d) => s + d.load, 0) / (CHRONIC_DAYS / 7);
+
+  const firstRated = days.find((d) => d.sessions > 0);
+  const history = firstRated ? CHRONIC_DAYS - days.indexOf(firstRated) : 0;
+  const acwr = history >= MIN_HISTORY_DAYS && chronic > 0 ? round(acute / chronic) : null;
+
+  const mean = acute / 7;
+  const sd = Math.sqrt(week.reduce((s, d) => s + (d.load - mean) ** 2, 0) / 7);
+  // Identical loads every day have no spread; treat as the top of the scale
+  const monotony = acute > 0 ? round(sd > 0 ? mean / sd : 7, 1) : null;
+  const strain = monotony == null ? null : Math.round(acute * monotony);
+
+  let zone = null;
+  if (acwr != null) {
+    if (acwr > ACWR_BAND.danger) zone = "danger";
+    else if (acwr > ACWR_BAND.high) zone = "high";
+    else if (acwr < ACWR_BAND.low) zone = "low";
+    else zone = "safe";
+  }
+
+  const warnings = [];
+  if (zone === "danger") {
+    warnings.push(`ACWR ${acwr}: load spiked well above your month. Injury risk rises.`);
+  } else if (zone === "high") {
+    warnings.push(`ACWR ${acwr}: load is climbing faster than usual. Build up gradually.`);
+  } else if (zone === "low") {
+    warnings.push(`ACWR ${acwr}: much lighter week than your month. Fitness can slip.`);
+  }
+  if (monotony != null && monotony > MONOTONY_HIGH) {
+    warnings.push(`Monotony ${monotony}: similar load every day. Mix hard and easy days.`);
+  }
+
+  return {
+    today: week[6].load,
+    acute,
+    chronic: Math.round(chronic),
+    acwr,
+    monotony,
+    strain,
+    unrated: week.reduce((s, d) => s + d.unrated, 0),
+    zone,
+    warnings,
+    days,
+  };
+}
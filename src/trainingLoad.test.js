@@ -0,0 +1,66 @@
+import { describe, expect, it } from "vitest";
+import { addDaysISO } from "./dates.js";
+import { dailyLoads, loadSummary, sessionLoad } from "./trainingLoad.js";
+
+const TODAY = "2026-10-19";
+
+// One Practice a day for `days` days ending `daysAgo` days before today
+function practices(days, rpe, { daysAgo = 0, durationMin = 60 } = {}) {
+  return Array.from({ length: days }, (_, i) => ({
+    id: `p${daysAgo + i}`,
+    date: addDaysISO(TODAY, -(daysAgo + i)),
+    type: "Practice",
+    durationMin,
+    rpe,
+  }));
+}
+
+describe("sessionLoad / dailyLoads", () => {
+  it("is RPE × minutes for rated training sessions", () => {
+    expect(sessionLoad({ type: "Lift", rpe: 7, durationMin: 60 })).toBe(420);
+    expect(sessionLoad({ type: "Lift", durationMin: 60 })).toBe(null);
+    expect(sessionLoad({ type: "Study", rpe: 7, durationMin: 60 })).toBe(null);
+  });
+
+  it("adds up each day and counts unrated sessions", () => {
+    const events = [
+      { date: TODAY, type: "Lift", rpe: 6, durationMin: 60 },
+      { date: TODAY, type: "Practice", rpe: 4, durationMin: 90 },
+      { date: TODAY, type: "Match", durationMin: 120 },
+      { date: TODAY, type: "Class", rpe: 9, durationMin: 50 },
+    ];
+    expect(dailyLoads(events, TODAY, 2)).toEqual([
+      { date: "2026-10-18", load: 0, sessions: 0, unrated: 0 },
+      { date: TODAY, load: 720, sessions: 2, unrated: 1 },
+    ]);
+  });
+});
+
+describe("loadSummary", () => {
+  it("calls an even month safe but flags the same load every day", () => {
+    const s = loadSummary(practices(28, 5), TODAY);
+    expect(s).toMatchObject({ acute: 2100, chronic: 2100, acwr: 1, zone: "safe" });
+    expect(s.monotony).toBe(7);
+    expect(s.strain).toBe(14700);
+    expect(s.warnings).toEqual(["Monotony 7: similar load every day. Mix hard and easy days."]);
+  });
+
+  it("flags a spike against the month", () => {
+    const events = [...practices(7, 10), ...practices(21, 5, { daysAgo: 7 })];
+    const s = loadSummary(events, TODAY);
+    expect(s.acute).toBe(4200);
+    expect(s.chronic).toBe(2625);
+    expect(s.acwr).toBe(1.6);
+    expect(s.zone).toBe("danger");
+  });
+
+  it("waits for three weeks of history before giving an ACWR", () => {
+    const s = loadSummary(practices(10, 5), TODAY);
+    expect(s.acwr).toBe(null);
+    expect(s.zone).toBe(null);
+  });
+
+  it("has no monotony without load", () => {
+    expect(loadSummary([], TODAY)).toMatchObject({ acute: 0, monotony: null, strain: null });
+  });
+});
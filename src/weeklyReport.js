@@ -0,0 +1,278 @@
+import { courseNames } from "./courses.js";
+import { addDaysISO } from "./dates.js";
+import { EVENT_TYPES, typeIdsWith } from "./eventTypes.js";
+import { busyMinutes } from "./schedule.js";
+
+/**
+ * Weekly report numbers: study minutes per course per day, scheduled load by
+ * event type, wellness trends, best/worst days and the change from the week
+ * before. Pure data; the report view and the CSV/HTML exports share it.
+ */
+
+export const WELLNESS_METRICS = [
+  { key: "sleepHours", label: "Sleep (h)", max: 12, better: "higher", color: "#4a7bd0" },
+  { key: "soreness", label: "Soreness", max: 10, better: "lower", color: "#d9822b" },
+  { key: "stress", label: "Stress", max: 10, better: "lower", color: "#d64545" },
+  { key: "energy", label: "Energy", max: 10, better: "higher", color: "#2fa37c" },
+];
+
+function sum(values) {
+  return values.reduce((s, v) => s + (Number(v) || 0), 0);
+}
+
+function average(values) {
+  const nums = values.filter((v) => typeof v === "number" && Number.isFinite(v));
+  if (!nums.length) return null;
+  return Math.round((sum(nums) / nums.length) * 10) / 10;
+}
+
+function metricValue(entry, key) {
+  if (!entry || entry[key] === "" || entry[key] == null) return null;
+  const n = Number(entry[key]);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * One 0–10 number for how a day felt, higher is better: energy, inverted
+ * stress and soreness, and sleep against 8 hours, averaged. Null if the day
+ * has no check-in.
+ */
+export function wellnessScore(entry) {
+  if (!entry) return null;
+  const parts = [
+    metricValue(entry, "energy"),
+    metricValue(entry, "stress") == null ? null : 11 - metricValue(entry, "stress"),
+    metricValue(entry, "soreness") == null ? null : 11 - metricValue(entry, "soreness"),
+    metricValue(entry, "sleepHours") == null
+      ? null
+      : (Math.min(8, metricValue(entry, "sleepHours")) / 8) * 10,
+  ];
+  return average(parts);
+}
+
+/**
+ * Totals for the 7 days from `weekStart`.
+ * weekEvents: expanded instances in that week; studyLog: { date: { course: minutes } }
+ */
+export function summarizeWeek(weekStart, weekEvents, studyLog, wellness) {
+  const days = Array.from({ length: 7 }, (_, i) => {
+    const date = addDaysISO(weekStart, i);
+    const dayEvents = weekEvents.filter((e) => e.date === date);
+    const study = { ...(studyLog[date] || {}) };
+    const loadByType = {};
+    dayEvents.forEach((e) => {
+      loadByType[e.type] = (loadByType[e.type] || 0) + (Number(e.durationMin) || 0);
+    });
+    return {
+      date,
+      study,
+      studyTotal: sum(Object.values(study)),
+      loadByType,
+      scheduled: busyMinutes(dayEvents),
+      wellness: wellness[date] || null,
+      score: wellnessScore(wellness[date]),
+    };
+  });
+
+  const studyByCourse = {};
+  const loadByType = {};
+  days.forEach((d) => {
+    Object.entries(d.study).forEach(([c, m]) => (studyByCourse[c] = (studyByCourse[c] || 0) + m));
+    Object.entries(d.loadByType).forEach(([t, m]) => (loadByType[t] = (loadByType[t] || 0) + m));
+  });
+
+  return {
+    weekStart,
+    days,
+    studyByCourse,
+    loadByType,
+    studyTotal: sum(days.map((d) => d.studyTotal)),
+    scheduled: sum(days.map((d) => d.scheduled)),
+    checkIns: days.filter((d) => d.wellness).length,
+    averages: Object.fromEntries(
+      WELLNESS_METRICS.map((m) => [m.key, average(days.map((d) => metricValue(d.wellness, m.key)))])
+    ),
+  };
+}
+
+function extremes(days, value) {
+  const scored = days.filter((d) => value(d) != null);
+  if (!scored.length) return { best: null, worst: null };
+  const sorted = [...scored].sort((a, b) => value(b) - value(a));
+  return { best: sorted[0], worst: sorted[sorted.length - 1] };
+}
+
+/**
+ * Report for the week starting `weekStart`, compared with the 7 days before.
+ * Days after `asOf` (today, for the current week) don't count as best/worst.
+ * courses: course records, for names (archived and other terms' included)
+ * eventTypes: type records, for names, order and the academic/training totals
+ * Returns { ...summary, previous, courses, courseNames, typeOrder, typeNames,
+ *           highlights, comparison }
+ */
+export function buildWeeklyReport({
+  weekStart,
+  weekEvents,
+  prevEvents,
+  studyLog,
+  wellness,
+  courses: courseRecords = [],
+  eventTypes = [],
+  asOf = addDaysISO(weekStart, 6),
+}) {
+  const current = summarizeWeek(weekStart, weekEvents, studyLog, wellness);
+  const previous = summarizeWeek(addDaysISO(weekStart, -7), prevEvents, studyLog, wellness);
+
+  const courses = Object.keys(current.studyByCourse).sort(
+    (a, b) => current.studyByCourse[b] - current.studyByCourse[a] || a.localeCompare(b)
+  );
+
+  const pastDays = current.days.filter((d) => d.date <= asOf);
+  const study = extremes(pastDays, (d) => d.studyTotal);
+  const feel = extremes(pastDays, (d) => d.score);
+  const highlights = {
+    mostStudy: study.best?.studyTotal ? study.best : null,
+    leastStudy: study.best?.studyTotal ? study.worst : null,
+    bestDay: feel.best,
+    worstDay: feel.worst !== feel.best ? feel.worst : null,
+  };
+
+  const row = (key, label, cur, prev, better, unit) => ({
+    key,
+    label,
+    current: cur,
+    previous: prev,
+    delta: cur == null || prev == null ? null : Math.round((cur - prev) * 10) / 10,
+    better, // "higher" | "lower" | null (neither is better)
+    unit, // "min" | "" (plain number)
+  });
+  const comparison = [
+    row("study", "Study time", current.studyTotal, previous.studyTotal, "higher", "min"),
+    row("scheduled", "Scheduled time", current.scheduled, previous.scheduled, null, "min"),
+    ...[
+      ["academic", "Academic time"],
+      ["trainingLoad", "Training time"],
+    ]
+      .map(([flag, label]) => [flag, label, typeIdsWith(eventTypes, flag)])
+      .filter(([, , ids]) => ids.length > 0)
+      .map(([flag, label, ids]) => {
+        const minutes = (week) => sum(ids.map((t) => week.loadByType[t]));
+        return row(flag, label, minutes(current), minutes(previous), null, "min");
+      }),
+    row("checkIns", "Check-ins", current.checkIns, previous.checkIns, "higher", ""),
+    ...WELLNESS_METRICS.map((m) =>
+      row(
+        m.key,
+        `Avg ${m.label.toLowerCase()}`,
+        current.averages[m.key],
+        previous.averages[m.key],
+        m.better,
+        ""
+      )
+    ),
+  ];
+
+  return {
+    ...current,
+    previous,
+    courses,
+    courseNames: courseNames(courseRecords),
+    typeOrder: eventTypes.map((t) => t.id),
+    typeNames: Object.fromEntries(eventTypes.map((t) => [t.id, t.name])),
+    highlights,
+    comparison,
+  };
+}
+
+/** Event type ids with scheduled minutes this week or last, in the types' order. */
+export function reportTypes(report) {
+  const order = report.typeOrder?.length ? report.typeOrder : EVENT_TYPES;
+  const used = new Set([
+    ...Object.keys(report.loadByType),
+    ...Object.keys(report.previous.loadByType),
+  ]);
+  const custom = [...used].filter((t) => !order.includes(t));
+  return [...order.filter((t) => used.has(t)), ...custom];
+}
+
+/**
+ * One CSV field, quoted when needed. Text starting with = + - @, a tab or a
+ * carriage return gets a leading ' so spreadsheets don't run it as a formula;
+ * numbers stay numbers.
+ */
+export function csvCell(value) {
+  let s = value == null ? "" : String(value);
+  if (typeof value !== "number" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Raw numbers as CSV: one row per day (study minutes per course, scheduled
+ * minutes per event type, wellness), then week totals for this and last week.
+ */
+export function weeklyReportCSV(report) {
+  const types = reportTypes(report);
+  const header = [
+    "date",
+    ...report.courses.map((c) => `study_min:${report.courseNames[c] || c}`),
+    "study_min_total",
+    ...types.map((t) => `scheduled_min:${report.typeNames?.[t] || t}`),
+    "scheduled_min_total",
+    ...WELLNESS_METRICS.map((m) => m.key),
+  ];
+  const dayRow = (d) => [
+    d.date,
+    ...report.courses.map((c) => d.study[c] || 0),
+    d.studyTotal,
+    ...types.map((t) => d.loadByType[t] || 0),
+    d.scheduled,
+    ...WELLNESS_METRICS.map((m) => metricValue(d.wellness, m.key)),
+  ];
+  const totalRow = (label, week) => [
+    label,
+    ...report.courses.map((c) => week.studyByCourse[c] || 0),
+    week.studyTotal,
+    ...types.map((t) => week.loadByType[t] || 0),
+    week.scheduled,
+    ...WELLNESS_METRICS.map((m) => week.averages[m.key]),
+  ];
+  const rows = [
+    header,
+    ...report.days.map(dayRow),
+    totalRow("week_total", report),
+    totalRow("previous_week_total", report.previous),
+  ];
+  return rows.map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"]/g,
+    (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]
+  );
+}
+
+/** Standalone print-ready page around the report's static markup. */
+export function reportDocument(title, bodyMarkup) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: letter portrait; margin: 12mm; }
+  body {
+    margin: 0;
+    font-family: ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif;
+    color: #111;
+    background: white;
+  }
+  * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+</style>
+</head>
+<body>
+${bodyMarkup}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,19 @@
+import { describe, expect, it } from "vitest";
+import { csvCell } from "./weeklyReport.js";
+
+describe("csvCell", () => {
+  it("quotes commas, quotes and line breaks", () => {
+    expect(csvCell('Lift, "heavy"')).toBe('"Lift, ""heavy"""');
+    expect(csvCell(null)).toBe("");
+  });
+
+  it("keeps text from running as a spreadsheet formula", () => {
+    expect(csvCell("=HYPERLINK(\"x\")")).toBe(`"'=HYPERLINK(""x"")"`);
+    expect(csvCell("+1 rep")).toBe("'+1 rep");
+    expect(csvCell("-")).toBe("'-");
+    expect(csvCell("@coach")).toBe("'@coach");
+    expect(csvCell("\t=1+1")).toBe("'\t=1+1");
+    expect(csvCell("\r=1+1")).toBe(`"'\r=1+1"`);
+    expect(csvCell(-5)).toBe("-5");
+  });
+});
@@ -7,6 +7,10 @@ export default defineConfig({
     react(),
     VitePWA({
       registerType: "autoUpdate",
+      workbox: {
+        // Notification clicks and background delivery of scheduled reminders
+        importScripts: ["sw-notifications.js"]
+      },
       manifest: {
         name: "Lock-In Planner",
         short_name: "Lock-In",